@@ -0,0 +1,55 @@
+// Runs the unit simulation headless against the seed data and prints a JSON
+// trace of unit states and simulated task progress.
+//
+//   npm run simulate -- --hours 24 --seed 7 --start 2026-01-05T09:00:00Z
+import { Store } from '../src/data/Store.js';
+import { SeedAdapter } from '../src/data/SeedAdapter.js';
+import { runSimulation } from '../src/units/SimulationRunner.js';
+
+const USAGE = 'Usage: npm run simulate -- [--hours N] [--seed N] [--start ISO-date] [--sample-minutes N]';
+
+// A fixed default start (a Monday morning) so runs without --start repeat too
+const DEFAULT_START = '2026-01-05T09:00:00Z';
+
+function parseArgs(argv) {
+  const options = { hours: 24, seed: 1, start: new Date(DEFAULT_START), sampleMinutes: 60 };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--hours': options.hours = Number(value); i++; break;
+      case '--seed': options.seed = Number(value); i++; break;
+      case '--start': options.start = new Date(value); i++; break;
+      case '--sample-minutes': options.sampleMinutes = Number(value); i++; break;
+      default: throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+  }
+  if (!(options.hours > 0)) throw new Error('--hours must be a positive number');
+  if (!Number.isInteger(options.seed)) throw new Error('--seed must be an integer');
+  if (Number.isNaN(options.start.getTime())) throw new Error('--start must be a date');
+  if (!(options.sampleMinutes > 0)) throw new Error('--sample-minutes must be a positive number');
+  return options;
+}
+
+// The store persists to localStorage; keep it in memory for the run
+if (typeof globalThis.localStorage === 'undefined') {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+  };
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (err) {
+  console.error(`${err.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+// Seed due dates are laid out around the start, not the wall clock
+const store = new Store(new SeedAdapter({ today: options.start }));
+await store.syncFromAdapter();
+const trace = runSimulation({ store, ...options });
+process.stdout.write(JSON.stringify(trace, null, 2) + '\n');
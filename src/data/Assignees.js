@@ -0,0 +1,36 @@
+/**
+ * Task assignees. A task can be shared by several people through
+ * `assigneeIds`; `assigneeId` stays in step as the first of them (or '')
+ * so older data, adapters and saves written before sharing keep working.
+ */
+
+/** Everyone assigned to a task, primary first. */
+export function getAssigneeIds(task) {
+  if (Array.isArray(task.assigneeIds) && task.assigneeIds.length > 0) return task.assigneeIds;
+  return task.assigneeId ? [task.assigneeId] : [];
+}
+
+export function isAssignedTo(task, personId) {
+  return getAssigneeIds(task).includes(personId);
+}
+
+/** A copy of the task with `assigneeIds` and `assigneeId` filled in and in step. */
+export function normalizeAssignees(task) {
+  return withAssignees(task, getAssigneeIds(task));
+}
+
+/** A copy of the task assigned to exactly these people (duplicates and blanks dropped). */
+export function withAssignees(task, ids) {
+  const assigneeIds = [...new Set(ids.filter(Boolean))];
+  return { ...task, assigneeIds, assigneeId: assigneeIds[0] || '' };
+}
+
+/**
+ * A copy of the task with one assignee handed over to someone else, keeping
+ * the other co-assignees. With no `fromId` the task goes to `toId` alone.
+ */
+export function reassign(task, fromId, toId) {
+  const ids = getAssigneeIds(task);
+  if (!fromId || !ids.includes(fromId)) return withAssignees(task, [toId]);
+  return withAssignees(task, ids.map(id => (id === fromId ? toId : id)));
+}
@@ -0,0 +1,96 @@
+/**
+ * Person availability. `capacity` is the share of a full working week the
+ * person gives the team, 0–100 (missing = 100). `outOfOffice` lists their
+ * absences as inclusive 'YYYY-MM-DD' ranges, e.g.
+ *
+ *   { capacity: 60, outOfOffice: [{ start: '2026-12-21', end: '2027-01-01' }] }
+ *
+ * WorkCalendar skips out-of-office days for that person and carries their
+ * capacity into the stamina and gather-rate formulas.
+ */
+
+import { getAssigneeIds } from './Assignees.js';
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Capacity as a fraction, 0..1. */
+export function getCapacity(person) {
+  if (!person || person.capacity === undefined || person.capacity === null || person.capacity === '') return 1;
+  const capacity = Number(person.capacity);
+  if (!Number.isFinite(capacity)) return 1;
+  return Math.max(0, Math.min(100, capacity)) / 100;
+}
+
+/** The person's absences, valid and in date order (reversed ranges are flipped). */
+export function getOutOfOffice(person) {
+  return normalizeOutOfOffice(person && person.outOfOffice);
+}
+
+/** @returns {Array<{start:string, end:string}>} */
+export function normalizeOutOfOffice(ranges) {
+  if (!Array.isArray(ranges)) return [];
+  return ranges
+    .filter(r => r && DATE_RE.test(r.start) && DATE_RE.test(r.end || r.start))
+    .map(r => {
+      const end = r.end || r.start;
+      return r.start <= end ? { start: r.start, end } : { start: end, end: r.start };
+    })
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/** The absence covering `dateKey` ('YYYY-MM-DD'), or null. */
+export function absenceOn(person, dateKey) {
+  if (!dateKey) return null;
+  return getOutOfOffice(person).find(r => r.start <= dateKey && dateKey <= r.end) || null;
+}
+
+/**
+ * Assignees who are out of office on an unfinished task's due date — the
+ * task is at risk unless someone else picks it up.
+ * @param {object} task
+ * @param {object[]} people
+ * @returns {Array<{person:object, absence:{start:string, end:string}}>}
+ */
+export function awayOnDueDate(task, people) {
+  if (!task.expectedDate || task.percentComplete >= 100) return [];
+  const ids = getAssigneeIds(task);
+  return people
+    .filter(p => ids.includes(p.id))
+    .map(person => ({ person, absence: absenceOn(person, task.expectedDate) }))
+    .filter(entry => entry.absence);
+}
+
+/**
+ * Read absences typed as text: ranges separated by semicolons, each a
+ * single date or "start to end" (".." and a spaced " - " work too). Commas
+ * are left to the dates, e.g. "Oct 3, 2026 - Oct 10, 2026".
+ *
+ *   "2026-10-19 to 2026-10-23; 2026-12-25"
+ *
+ * @param {string} text
+ * @param {(str:string) => string} [toDate] — turns a date cell into
+ *   'YYYY-MM-DD' or '' (defaults to ISO dates only)
+ * @returns {{ranges: Array<{start:string, end:string}>, invalid: string[]}}
+ */
+export function parseOutOfOffice(text, toDate = (str) => (DATE_RE.test(str) ? str : '')) {
+  const ranges = [];
+  const invalid = [];
+  for (const part of (text || '').split(';').map(s => s.trim()).filter(Boolean)) {
+    const [startText, endText = startText, ...extra] = part.split(/\s+to\s+|\s*\.\.\s*|\s+[-–]\s+/i).map(s => s.trim());
+    const start = toDate(startText);
+    const end = toDate(endText);
+    if (!start || !end || extra.length > 0) {
+      invalid.push(part);
+      continue;
+    }
+    ranges.push({ start, end });
+  }
+  return { ranges: normalizeOutOfOffice(ranges), invalid };
+}
+
+/** Absences as text, the form parseOutOfOffice() reads. */
+export function formatOutOfOffice(ranges) {
+  return normalizeOutOfOffice(ranges)
+    .map(r => (r.start === r.end ? r.start : `${r.start} to ${r.end}`))
+    .join('; ');
+}
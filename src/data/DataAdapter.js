@@ -7,22 +7,27 @@
  * @property {string} name
  * @property {string} role
  * @property {string} color
+ * @property {number} [capacity]       - 0–100, share of a full week; 100 when missing
+ * @property {Array<{start:string, end:string}>} [outOfOffice] - absences, inclusive 'YYYY-MM-DD'
  *
  * @typedef {Object} ExternalTask
  * @property {string} id
  * @property {string} name
  * @property {string} [description]
- * @property {string} assigneeId
+ * @property {string} assigneeId       - first assignee, '' when unassigned
+ * @property {string[]} [assigneeIds]  - everyone sharing the task (defaults to [assigneeId])
  * @property {string} [category]       - becomes resource type
  * @property {number} discoveryPercent  - 0–100
  * @property {number} executionPercent  - 0–100
  * @property {number} percentComplete   - 0–100
  * @property {string} [expectedDate]    - ISO date string
  * @property {string|null} [milestoneId]
+ * @property {string[]} [dependsOn]     - IDs of tasks that must finish first
  *
  * @typedef {Object} ExternalMilestone
  * @property {string} id
  * @property {string} name
+ * @property {string} [dueDate]         - ISO date string
  * @property {string[]} taskIds
  */
 
@@ -39,6 +44,22 @@ export class DataAdapter {
   /** @returns {Promise<string[]>} Unique category labels = resource types */
   async fetchResourceTypes() { throw new Error('Not implemented'); }
 
-  /** Pull fresh data from the source */
+  /**
+   * Pull fresh data from the source. Rejects when the source can't be read,
+   * keeping the data from the previous sync.
+   */
   async sync() { throw new Error('Not implemented'); }
+
+  /** @returns {boolean} Whether push() can write edits back to the source */
+  canWrite() { return false; }
+
+  /**
+   * Write queued local edits back to the source. Optional — only called when
+   * canWrite() is true. Throw if the source can't be reached (ops stay queued);
+   * report rows the source rejects through the per-op results instead.
+   * @param {import('./WriteQueue.js').WriteOp[]} ops
+   * @param {{people: ExternalPerson[], tasks: ExternalTask[], milestones: ExternalMilestone[]}} context — current store data, for resolving references
+   * @returns {Promise<Array<{id:string, ok:boolean, error?:string}>>}
+   */
+  async push(ops, context) { throw new Error('Not implemented'); }
 }
@@ -0,0 +1,97 @@
+/**
+ * Unit experience. Every percentage point of progress on a task earns its
+ * assignee one XP in the task's category, once, so the map remembers who has
+ * grown in what even after tasks are reassigned or deleted. Levels and a
+ * gather / scout speed multiplier per category are derived from that XP.
+ *
+ * Level L needs XP_PER_LEVEL × L × (L − 1) / 2 XP: 100 for Lv 2, 300 for
+ * Lv 3, 600 for Lv 4 — roughly one more finished task per level.
+ */
+
+import { getAssigneeIds } from './Assignees.js';
+
+export const XP_PER_LEVEL = 100;
+export const MAX_LEVEL = 10;
+export const SKILL_BONUS_PER_LEVEL = 0.05; // Lv 4 → 1.15× speed
+export const GENERAL_CATEGORY = 'General'; // tasks without a category
+
+/**
+ * Credit progress made between two task snapshots to each task's current
+ * assignees — everyone on a shared task earns the full amount, since they
+ * all practised the work.
+ *
+ * XP is only paid above each person's high-water mark on the task, so a
+ * task that goes 0 → 100 → 0 → 100, or is deleted and synced back, pays
+ * out once. A setback never takes XP away. Someone joining a task starts
+ * from its progress before they joined.
+ *
+ * @param {{experience: Object<string, Object<string, number>>, marks: Object<string, Object<string, number>>}} state
+ *   experience: personId → category → XP; marks: taskId → personId → highest % credited
+ * @param {object[]} before — tasks as they were (missing tasks count as 0%)
+ * @param {object[]} after
+ * @returns {{experience: Object<string, Object<string, number>>, marks: Object<string, Object<string, number>>}}
+ *   new maps; the inputs aren't changed
+ */
+export function accrueExperience({ experience = {}, marks = {} }, before, after) {
+  const beforeById = new Map(before.map(t => [t.id, t]));
+  const result = { experience: { ...experience }, marks: { ...marks } };
+
+  for (const task of after) {
+    const assigneeIds = getAssigneeIds(task);
+    if (assigneeIds.length === 0) continue;
+    const old = beforeById.get(task.id);
+    const start = old ? old.percentComplete : 0;
+    const taskMarks = { ...(result.marks[task.id] || {}) };
+    const category = task.category || GENERAL_CATEGORY;
+
+    for (const personId of assigneeIds) {
+      const mark = taskMarks[personId] ?? start;
+      taskMarks[personId] = Math.max(mark, task.percentComplete);
+      const gained = task.percentComplete - mark;
+      if (!(gained > 0)) continue;
+
+      const person = { ...(result.experience[personId] || {}) };
+      person[category] = (person[category] || 0) + gained;
+      result.experience[personId] = person;
+    }
+    result.marks[task.id] = taskMarks;
+  }
+  return result;
+}
+
+export function levelForXp(xp) {
+  // Inverse of XP_PER_LEVEL × L × (L − 1) / 2
+  const level = Math.floor((1 + Math.sqrt(1 + (8 * Math.max(0, xp)) / XP_PER_LEVEL)) / 2);
+  return Math.min(MAX_LEVEL, level);
+}
+
+export function xpForLevel(level) {
+  return (XP_PER_LEVEL * level * (level - 1)) / 2;
+}
+
+export function skillMultiplier(level) {
+  return 1 + (level - 1) * SKILL_BONUS_PER_LEVEL;
+}
+
+/**
+ * One person's skills, strongest first.
+ * @param {Object<string, number>} personXp — category → XP
+ * @returns {Array<{category:string, xp:number, level:number, multiplier:number, progress:number}>}
+ *   progress is 0–1 toward the next level (1 at MAX_LEVEL)
+ */
+export function getSkills(personXp = {}) {
+  return Object.entries(personXp)
+    .map(([category, xp]) => {
+      const level = levelForXp(xp);
+      const progress = level >= MAX_LEVEL
+        ? 1
+        : (xp - xpForLevel(level)) / (xpForLevel(level + 1) - xpForLevel(level));
+      return { category, xp, level, multiplier: skillMultiplier(level), progress };
+    })
+    .sort((a, b) => b.xp - a.xp);
+}
+
+/** Speed multiplier for working a task of `category` with this XP. */
+export function skillMultiplierFor(personXp = {}, category) {
+  return skillMultiplier(levelForXp(personXp[category || GENERAL_CATEGORY] || 0));
+}
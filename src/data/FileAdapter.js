@@ -0,0 +1,358 @@
+import { DataAdapter } from './DataAdapter.js';
+import { PALETTE } from '../utils/Colors.js';
+import {
+  parseCSV, parsePeopleRows, parseMilestoneRows, parseTaskRows, normalizeDate, splitAssigneeNames,
+  PEOPLE_COLUMNS, MILESTONE_COLUMNS,
+} from './SheetParser.js';
+import { normalizeOutOfOffice } from './Availability.js';
+
+const FILE_STORAGE_KEY = 'workrpg-file-import';
+
+/**
+ * Loads people, tasks and milestones from local files — no network needed.
+ *
+ * Accepts either:
+ *   - One to three CSV files using the Google Sheets column layout
+ *     (People / Tasks / Milestones, detected from the header row). A Tasks
+ *     CSV on its own is enough: people and milestones are inferred from the
+ *     Assignee and Milestone columns.
+ *   - One JSON file: { people: ExternalPerson[], tasks: ExternalTask[],
+ *     milestones?: ExternalMilestone[] } — see the typedefs in DataAdapter.js.
+ *
+ * File contents are kept in localStorage so sync() works across reloads.
+ * Every skipped or corrected row is recorded in getReport().
+ */
+export class FileAdapter extends DataAdapter {
+  constructor() {
+    super();
+    this._people = [];
+    this._tasks = [];
+    this._milestones = [];
+    this._resourceTypes = [];
+    this._report = { files: [], issues: [] };
+  }
+
+  /**
+   * Read dropped or picked files and keep their contents for sync().
+   * @param {Iterable<{name:string, text:() => Promise<string>}>} files — File objects
+   */
+  async loadFiles(files) {
+    const entries = [];
+    for (const file of files) {
+      entries.push({ name: file.name, text: await file.text() });
+    }
+    localStorage.setItem(FILE_STORAGE_KEY, JSON.stringify(entries));
+  }
+
+  async sync() {
+    const entries = FileAdapter.loadSavedFiles();
+    if (entries.length === 0) {
+      console.warn('FileAdapter: No imported files.');
+      return;
+    }
+    this._parseEntries(entries);
+  }
+
+  /**
+   * Validation report for the last sync.
+   * @returns {{ files: string[], issues: Array<{file:string, sheet:string, row:number|null, level:'error'|'warning', message:string}>,
+   *             counts: {people:number, tasks:number, milestones:number} }}
+   */
+  getReport() {
+    return {
+      ...this._report,
+      counts: {
+        people: this._people.length,
+        tasks: this._tasks.length,
+        milestones: this._milestones.length,
+      },
+    };
+  }
+
+  static loadSavedFiles() {
+    try {
+      const raw = localStorage.getItem(FILE_STORAGE_KEY);
+      if (raw) return JSON.parse(raw);
+    } catch { /* ignore corrupt data */ }
+    return [];
+  }
+
+  // ─── Parsing ──────────────────────────────────────────────────────
+
+  _parseEntries(entries) {
+    const issues = [];
+    const jsonEntries = entries.filter(e => isJsonFile(e));
+    const csvEntries = entries.filter(e => !isJsonFile(e));
+
+    if (jsonEntries.length > 0) {
+      const [first, ...rest] = jsonEntries;
+      for (const extra of [...rest, ...csvEntries]) {
+        issues.push({ file: extra.name, sheet: '', row: null, level: 'error', message: 'Ignored — import one JSON file on its own' });
+      }
+      this._parseJson(first, issues);
+    } else {
+      this._parseCsvFiles(csvEntries, issues);
+    }
+
+    this._report = { files: entries.map(e => e.name), issues };
+  }
+
+  _parseCsvFiles(entries, issues) {
+    const sheets = {};
+    for (const entry of entries) {
+      const rows = parseCSV(entry.text);
+      const kind = detectSheet(rows[0] || [], entry.name);
+      if (!kind) {
+        issues.push({ file: entry.name, sheet: '', row: 1, level: 'error', message: 'Unrecognized header — expected the People, Tasks or Milestones columns' });
+        continue;
+      }
+      if (sheets[kind]) {
+        issues.push({ file: entry.name, sheet: kind, row: null, level: 'error', message: `Ignored — a ${kind} file was already imported` });
+        continue;
+      }
+      sheets[kind] = { name: entry.name, rows };
+    }
+
+    const collect = (sheet, errors) => {
+      for (const e of errors) issues.push({ file: sheet.name, ...e });
+    };
+
+    // Infer people / milestones from the Tasks sheet when their files are missing
+    const taskRows = sheets.Tasks ? sheets.Tasks.rows : [];
+    const peopleSheet = sheets.People || inferredSheet(taskRows, 2, PEOPLE_COLUMNS, splitAssigneeNames);
+    const milestoneSheet = sheets.Milestones || inferredSheet(taskRows, 8, MILESTONE_COLUMNS);
+
+    const people = parsePeopleRows(peopleSheet.rows);
+    collect(peopleSheet, people.errors);
+    const milestones = parseMilestoneRows(milestoneSheet.rows);
+    collect(milestoneSheet, milestones.errors);
+
+    this._people = people.people;
+    this._milestones = milestones.milestones;
+
+    if (sheets.Tasks) {
+      const tasks = parseTaskRows(taskRows, this._people, this._milestones);
+      collect(sheets.Tasks, tasks.errors);
+      this._tasks = tasks.tasks;
+      this._resourceTypes = tasks.resourceTypes;
+    } else {
+      this._tasks = [];
+      this._resourceTypes = [];
+    }
+  }
+
+  _parseJson(entry, issues) {
+    const report = (sheet, index, level, message) => {
+      issues.push({ file: entry.name, sheet, row: index === null ? null : index + 1, level, message });
+    };
+
+    let data;
+    try {
+      data = JSON.parse(entry.text);
+    } catch (err) {
+      report('', null, 'error', `Invalid JSON: ${err.message}`);
+      this._people = this._tasks = this._milestones = this._resourceTypes = [];
+      return;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      report('', null, 'error', 'Expected an object with people, tasks and milestones arrays');
+      this._people = this._tasks = this._milestones = this._resourceTypes = [];
+      return;
+    }
+
+    // People
+    const people = [];
+    asArray(data.people, 'people', report).forEach((p, i) => {
+      if (!isNonEmptyString(p && p.id) || !isNonEmptyString(p.name)) {
+        report('people', i, 'error', 'Person needs a string id and name');
+        return;
+      }
+      if (people.some(existing => existing.id === p.id)) {
+        report('people', i, 'error', `Duplicate person id "${p.id}"`);
+        return;
+      }
+      people.push({
+        id: p.id,
+        name: p.name,
+        role: typeof p.role === 'string' ? p.role : '',
+        color: isNonEmptyString(p.color) ? p.color : PALETTE.AVATAR_COLORS[i % PALETTE.AVATAR_COLORS.length],
+        capacity: Number.isFinite(p.capacity) ? Math.max(0, Math.min(100, p.capacity)) : 100,
+        outOfOffice: normalizeOutOfOffice(p.outOfOffice),
+      });
+    });
+
+    // Milestones (taskIds are validated once tasks are known)
+    const milestones = [];
+    const rawTaskIds = new Map();
+    asArray(data.milestones, 'milestones', report, true).forEach((m, i) => {
+      if (!isNonEmptyString(m && m.id) || !isNonEmptyString(m.name)) {
+        report('milestones', i, 'error', 'Milestone needs a string id and name');
+        return;
+      }
+      let dueDate = '';
+      if (m.dueDate) {
+        dueDate = typeof m.dueDate === 'string' ? normalizeDate(m.dueDate) : '';
+        if (!dueDate) report('milestones', i, 'warning', `dueDate "${m.dueDate}" is not a date — ignored`);
+      }
+      milestones.push({ id: m.id, name: m.name, dueDate, taskIds: [] });
+      rawTaskIds.set(m.id, { index: i, ids: Array.isArray(m.taskIds) ? m.taskIds : [] });
+    });
+
+    // Tasks
+    const tasks = [];
+    const categories = new Set();
+    const rawDependsOn = new Map();
+    asArray(data.tasks, 'tasks', report).forEach((t, i) => {
+      if (!isNonEmptyString(t && t.id) || !isNonEmptyString(t.name)) {
+        report('tasks', i, 'error', 'Task needs a string id and name');
+        return;
+      }
+      if (tasks.some(existing => existing.id === t.id)) {
+        report('tasks', i, 'error', `Duplicate task id "${t.id}"`);
+        return;
+      }
+
+      const assigneeIds = [];
+      const listed = Array.isArray(t.assigneeIds) && t.assigneeIds.length > 0 ? t.assigneeIds : [t.assigneeId];
+      for (const id of listed.filter(Boolean)) {
+        if (!people.some(p => p.id === id)) {
+          report('tasks', i, 'warning', `Unknown assigneeId "${id}" — left off the task`);
+        } else if (!assigneeIds.includes(id)) {
+          assigneeIds.push(id);
+        }
+      }
+
+      let milestoneId = t.milestoneId || null;
+      if (milestoneId && !milestones.some(m => m.id === milestoneId)) {
+        report('tasks', i, 'warning', `Unknown milestoneId "${milestoneId}"`);
+        milestoneId = null;
+      }
+
+      const discoveryPercent = jsonPercent(t.discoveryPercent, 50, 'discoveryPercent', i, report);
+      const executionPercent = jsonPercent(t.executionPercent, 100 - discoveryPercent, 'executionPercent', i, report);
+      const percentComplete = jsonPercent(t.percentComplete, 0, 'percentComplete', i, report);
+
+      let expectedDate = '';
+      if (t.expectedDate) {
+        expectedDate = typeof t.expectedDate === 'string' ? normalizeDate(t.expectedDate) : '';
+        if (!expectedDate) report('tasks', i, 'warning', `expectedDate "${t.expectedDate}" is not a date — ignored`);
+      }
+
+      const category = typeof t.category === 'string' ? t.category : '';
+      if (category) categories.add(category);
+
+      tasks.push({
+        id: t.id,
+        name: t.name,
+        description: typeof t.description === 'string' ? t.description : '',
+        assigneeId: assigneeIds[0] || '',
+        assigneeIds,
+        category,
+        discoveryPercent,
+        executionPercent,
+        percentComplete,
+        expectedDate,
+        milestoneId,
+        dependsOn: [],
+      });
+      rawDependsOn.set(t.id, { index: i, ids: Array.isArray(t.dependsOn) ? t.dependsOn : [] });
+    });
+
+    // Prerequisites may refer to tasks later in the list
+    for (const task of tasks) {
+      const { index, ids } = rawDependsOn.get(task.id);
+      for (const depId of ids) {
+        if (depId === task.id || !tasks.some(t => t.id === depId)) {
+          report('tasks', index, 'warning', `Unknown prerequisite "${depId}" in dependsOn`);
+        } else if (!task.dependsOn.includes(depId)) {
+          task.dependsOn.push(depId);
+        }
+      }
+    }
+
+    // Link milestones ↔ tasks from both directions
+    for (const ms of milestones) {
+      const { index, ids } = rawTaskIds.get(ms.id);
+      for (const taskId of ids) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task) {
+          report('milestones', index, 'warning', `Unknown task id "${taskId}" in taskIds`);
+          continue;
+        }
+        if (!task.milestoneId) task.milestoneId = ms.id;
+        if (task.milestoneId === ms.id && !ms.taskIds.includes(taskId)) ms.taskIds.push(taskId);
+      }
+    }
+    for (const task of tasks) {
+      const ms = task.milestoneId ? milestones.find(m => m.id === task.milestoneId) : null;
+      if (ms && !ms.taskIds.includes(task.id)) ms.taskIds.push(task.id);
+    }
+
+    this._people = people;
+    this._tasks = tasks;
+    this._milestones = milestones;
+    this._resourceTypes = [...categories];
+  }
+
+  async fetchPeople() { return this._people; }
+  async fetchTasks() { return this._tasks; }
+  async fetchMilestones() { return this._milestones; }
+  async fetchResourceTypes() { return this._resourceTypes; }
+}
+
+function isJsonFile(entry) {
+  return /\.json$/i.test(entry.name) || entry.text.trimStart().startsWith('{');
+}
+
+/** Identify a CSV from its header row, falling back to the file name. */
+function detectSheet(header, fileName) {
+  const cols = header.map(h => h.toLowerCase());
+  if (cols.includes('assignee') || cols.includes('discovery%') || cols.includes('complete%')) return 'Tasks';
+  if (cols.includes('role') || cols.includes('color')) return 'People';
+  if (cols.length === 1 && cols[0] === 'name') {
+    if (/people|team/i.test(fileName)) return 'People';
+    return 'Milestones';
+  }
+  if (/task/i.test(fileName)) return 'Tasks';
+  if (/people|team/i.test(fileName)) return 'People';
+  if (/milestone/i.test(fileName)) return 'Milestones';
+  return null;
+}
+
+/**
+ * Build a one-column sheet from the unique non-empty values of a Tasks
+ * column. `split` turns a cell into its values (one per cell by default).
+ */
+function inferredSheet(taskRows, columnIndex, header, split = cell => (cell ? [cell] : [])) {
+  const seen = new Map();
+  for (let i = 1; i < taskRows.length; i++) {
+    for (const value of split(taskRows[i][columnIndex])) {
+      if (!seen.has(value.toLowerCase())) seen.set(value.toLowerCase(), value);
+    }
+  }
+  return { name: '(inferred)', rows: [header, ...[...seen.values()].map(v => [v])] };
+}
+
+function asArray(value, key, report, optional = false) {
+  if (Array.isArray(value)) return value;
+  if (!(optional && value === undefined)) {
+    report(key, null, 'error', `"${key}" must be an array`);
+  }
+  return [];
+}
+
+function jsonPercent(value, fallback, field, index, report) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value !== 'number' || isNaN(value)) {
+    report('tasks', index, 'warning', `${field} "${value}" is not a number — using ${fallback}`);
+    return fallback;
+  }
+  if (value < 0 || value > 100) {
+    report('tasks', index, 'warning', `${field} ${value} is outside 0–100 — clamped`);
+  }
+  return Math.max(0, Math.min(100, value));
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
@@ -0,0 +1,361 @@
+import { DataAdapter } from './DataAdapter.js';
+import { CONFIG } from '../utils/Config.js';
+import { PALETTE } from '../utils/Colors.js';
+
+const PAGE_SIZE = 100;
+const MAX_RATE_LIMIT_WAIT_MS = 60000; // give up instead of stalling sync longer than this
+const MAX_RATE_LIMIT_RETRIES = 3;
+
+const PROJECT_ITEMS_QUERY = `
+  query($owner: String!, $number: Int!, $after: String) {
+    owner: OWNER_TYPE(login: $owner) {
+      projectV2(number: $number) {
+        items(first: ${PAGE_SIZE}, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            fieldValues(first: 30) {
+              nodes {
+                ... on ProjectV2ItemFieldNumberValue { number field { ... on ProjectV2FieldCommon { name } } }
+                ... on ProjectV2ItemFieldDateValue { date field { ... on ProjectV2FieldCommon { name } } }
+              }
+            }
+            content {
+              ... on Issue {
+                number
+                title
+                body
+                state
+                repository { nameWithOwner }
+                labels(first: 10) { nodes { name } }
+                assignees(first: 10) { nodes { login name } }
+                milestone { number title dueOn }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Reads issues from a GitHub repository or a Projects (v2) board.
+ *
+ * Mapping:
+ *   First label    → category
+ *   Milestone      → milestone (with taskIds)
+ *   Assignees      → people (several make a shared task)
+ *   Completion     → 100 when closed, else the project's progress field,
+ *                    else the ratio of ticked "- [x]" checklist items in the body
+ *
+ * Repository mode uses the REST API (CONFIG.GITHUB_REPO = "owner/name").
+ * Project mode uses GraphQL (CONFIG.GITHUB_PROJECT = project URL) and needs a token.
+ * Both follow pagination and wait out short rate-limit windows.
+ */
+export class GitHubAdapter extends DataAdapter {
+  constructor() {
+    super();
+    this._people = [];
+    this._tasks = [];
+    this._milestones = [];
+    this._resourceTypes = [];
+  }
+
+  async sync() {
+    const project = parseProjectUrl(CONFIG.GITHUB_PROJECT);
+    if (!project && !CONFIG.GITHUB_REPO) {
+      console.warn('GitHubAdapter: No GITHUB_REPO or GITHUB_PROJECT configured.');
+      return;
+    }
+
+    try {
+      if (project) {
+        const items = await this._fetchProjectItems(project);
+        this._parseItems(items, []);
+      } else {
+        const [issues, milestones] = await Promise.all([
+          this._fetchAllPages(`/repos/${CONFIG.GITHUB_REPO}/issues?state=all&per_page=${PAGE_SIZE}`),
+          this._fetchAllPages(`/repos/${CONFIG.GITHUB_REPO}/milestones?state=all&per_page=${PAGE_SIZE}`),
+        ]);
+        const items = issues
+          .filter(issue => !issue.pull_request)
+          .map(issue => this._restIssueToItem(issue));
+        const repoMilestones = milestones.map(ms => ({
+          repo: CONFIG.GITHUB_REPO,
+          number: ms.number,
+          title: ms.title,
+          dueOn: ms.due_on,
+        }));
+        this._parseItems(items, repoMilestones);
+      }
+    } catch (err) {
+      console.error('GitHubAdapter: sync failed', err);
+      throw err;
+    }
+  }
+
+  // ─── HTTP ─────────────────────────────────────────────────────────
+
+  /** Follow REST `Link: rel="next"` headers until every page is fetched. */
+  async _fetchAllPages(path) {
+    const results = [];
+    let url = this._apiUrl(path);
+    while (url) {
+      const resp = await this._request(url);
+      results.push(...await resp.json());
+      url = nextLink(resp.headers.get('link'));
+    }
+    return results;
+  }
+
+  async _fetchProjectItems({ ownerType, owner, number }) {
+    const query = PROJECT_ITEMS_QUERY.replace('OWNER_TYPE', ownerType === 'users' ? 'user' : 'organization');
+    const items = [];
+    let after = null;
+
+    while (true) {
+      const resp = await this._request(this._apiUrl('/graphql'), {
+        method: 'POST',
+        body: JSON.stringify({ query, variables: { owner, number, after } }),
+      });
+      const json = await resp.json();
+      if (json.errors && json.errors.length > 0) {
+        throw new Error(`GitHub GraphQL error: ${json.errors[0].message}`);
+      }
+
+      const project = json.data && json.data.owner && json.data.owner.projectV2;
+      if (!project) throw new Error(`GitHub project ${owner}/${number} not found`);
+
+      for (const node of project.items.nodes) {
+        if (node.content && node.content.number !== undefined) {
+          items.push(this._graphqlItemToItem(node));
+        }
+      }
+
+      if (!project.items.pageInfo.hasNextPage) break;
+      after = project.items.pageInfo.endCursor;
+    }
+
+    return items;
+  }
+
+  /** fetch() with auth headers, retrying once the rate-limit window resets. */
+  async _request(url, init = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const resp = await fetch(url, { ...init, headers: this._headers() });
+      if (resp.ok) return resp;
+
+      const waitMs = rateLimitWait(resp);
+      if (waitMs === null) throw new Error(`GitHub request failed: ${resp.status}`);
+      if (waitMs > MAX_RATE_LIMIT_WAIT_MS || attempt >= MAX_RATE_LIMIT_RETRIES) {
+        throw new Error(`GitHub rate limit exceeded; resets in ${Math.ceil(waitMs / 1000)}s`);
+      }
+      console.warn(`GitHubAdapter: rate limited, retrying in ${Math.ceil(waitMs / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  _headers() {
+    const headers = {
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+    };
+    if (CONFIG.GITHUB_TOKEN) headers.Authorization = `Bearer ${CONFIG.GITHUB_TOKEN}`;
+    return headers;
+  }
+
+  _apiUrl(path) {
+    return CONFIG.GITHUB_API_URL.replace(/\/+$/, '') + path;
+  }
+
+  // ─── Normalization ────────────────────────────────────────────────
+  // REST and GraphQL responses are both reduced to the same item shape:
+  // { repo, number, title, body, closed, labels, assignees, milestone, progress, dueDate }
+
+  _restIssueToItem(issue) {
+    return {
+      repo: CONFIG.GITHUB_REPO,
+      number: issue.number,
+      title: issue.title,
+      body: issue.body || '',
+      closed: issue.state === 'closed',
+      labels: (issue.labels || []).map(l => (typeof l === 'string' ? l : l.name)),
+      assignees: (issue.assignees || []).map(a => ({ login: a.login, name: a.login })),
+      milestone: issue.milestone
+        ? { repo: CONFIG.GITHUB_REPO, number: issue.milestone.number, title: issue.milestone.title, dueOn: issue.milestone.due_on }
+        : null,
+      progress: null,
+      dueDate: null,
+    };
+  }
+
+  _graphqlItemToItem(node) {
+    const issue = node.content;
+    const repo = issue.repository.nameWithOwner;
+    let progress = null;
+    let dueDate = null;
+    for (const value of node.fieldValues.nodes) {
+      const fieldName = value.field && value.field.name;
+      if (!fieldName) continue;
+      if (fieldName === CONFIG.GITHUB_PROGRESS_FIELD && typeof value.number === 'number') progress = value.number;
+      if (fieldName === CONFIG.GITHUB_DUE_DATE_FIELD && value.date) dueDate = value.date;
+    }
+
+    return {
+      repo,
+      number: issue.number,
+      title: issue.title,
+      body: issue.body || '',
+      closed: issue.state === 'CLOSED',
+      labels: issue.labels.nodes.map(l => l.name),
+      assignees: issue.assignees.nodes.map(a => ({ login: a.login, name: a.name || a.login })),
+      milestone: issue.milestone
+        ? { repo, number: issue.milestone.number, title: issue.milestone.title, dueOn: issue.milestone.dueOn }
+        : null,
+      progress,
+      dueDate,
+    };
+  }
+
+  _parseItems(items, knownMilestones) {
+    const people = new Map();
+    const milestones = new Map();
+    const categories = new Set();
+    this._tasks = [];
+
+    for (const ms of knownMilestones) {
+      const id = this._milestoneId(ms);
+      milestones.set(id, { id, name: ms.title, dueDate: dateOnly(ms.dueOn), taskIds: [] });
+    }
+
+    for (const item of items) {
+      const taskId = 'gh-' + this._slugId(`${item.repo}-${item.number}`);
+
+      const assigneeIds = [];
+      for (const assignee of item.assignees) {
+        const personId = 'gh-' + this._slugId(assignee.login);
+        assigneeIds.push(personId);
+        if (!people.has(personId)) {
+          people.set(personId, {
+            id: personId,
+            name: assignee.name,
+            role: '',
+            color: PALETTE.AVATAR_COLORS[people.size % PALETTE.AVATAR_COLORS.length],
+          });
+        }
+      }
+
+      const category = item.labels[0] || '';
+      if (category) categories.add(category);
+
+      let milestoneId = null;
+      if (item.milestone) {
+        milestoneId = this._milestoneId(item.milestone);
+        if (!milestones.has(milestoneId)) {
+          milestones.set(milestoneId, {
+            id: milestoneId, name: item.milestone.title, dueDate: dateOnly(item.milestone.dueOn), taskIds: [],
+          });
+        }
+        milestones.get(milestoneId).taskIds.push(taskId);
+      }
+
+      const milestoneDue = item.milestone ? dateOnly(item.milestone.dueOn) : '';
+
+      this._tasks.push({
+        id: taskId,
+        name: item.title,
+        description: firstParagraph(item.body),
+        assigneeId: assigneeIds[0] || '',
+        assigneeIds,
+        category,
+        discoveryPercent: 50,
+        executionPercent: 50,
+        percentComplete: completionPercent(item),
+        expectedDate: item.dueDate || milestoneDue,
+        milestoneId,
+      });
+    }
+
+    this._people = [...people.values()];
+    this._milestones = [...milestones.values()];
+    this._resourceTypes = [...categories];
+  }
+
+  _milestoneId(ms) {
+    return 'gh-ms-' + this._slugId(`${ms.repo}-${ms.number}`);
+  }
+
+  _slugId(str) {
+    return str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+  }
+
+  async fetchPeople() { return this._people; }
+  async fetchTasks() { return this._tasks; }
+  async fetchMilestones() { return this._milestones; }
+  async fetchResourceTypes() { return this._resourceTypes; }
+}
+
+/**
+ * Completion for an issue: closed → 100, else a project progress field
+ * (read against CONFIG.GITHUB_PROGRESS_SCALE, its value when done), else
+ * the checklist ratio in the body.
+ */
+function completionPercent(item) {
+  if (item.closed) return 100;
+  if (typeof item.progress === 'number') {
+    const pct = item.progress / (CONFIG.GITHUB_PROGRESS_SCALE || 100) * 100;
+    return Math.round(Math.max(0, Math.min(100, pct)));
+  }
+  const checklist = checklistRatio(item.body);
+  return checklist === null ? 0 : Math.round(checklist * 100);
+}
+
+/** Ratio of ticked markdown task-list items ("- [x]") to all of them, or null if none. */
+function checklistRatio(body) {
+  const boxes = (body || '').match(/^\s*[-*+] \[[ xX]\]/gm);
+  if (!boxes) return null;
+  const done = boxes.filter(b => /\[[xX]\]/.test(b)).length;
+  return done / boxes.length;
+}
+
+/** Parse "https://github.com/orgs/acme/projects/7" (or users/…) into its parts. */
+function parseProjectUrl(url) {
+  const match = /(orgs|users)\/([^/]+)\/projects\/(\d+)/.exec(url || '');
+  if (!match) return null;
+  return { ownerType: match[1], owner: match[2], number: parseInt(match[3], 10) };
+}
+
+function nextLink(linkHeader) {
+  if (!linkHeader) return null;
+  const match = /<([^>]+)>;\s*rel="next"/.exec(linkHeader);
+  return match ? match[1] : null;
+}
+
+/**
+ * How long to wait before retrying a rate-limited response, or null if the
+ * response isn't a rate limit. Honors Retry-After (secondary limits) and
+ * X-RateLimit-Reset (primary limit).
+ */
+function rateLimitWait(resp) {
+  if (resp.status !== 403 && resp.status !== 429) return null;
+
+  const retryAfter = resp.headers.get('retry-after');
+  if (retryAfter !== null) return Math.max(0, Number(retryAfter) * 1000);
+
+  if (resp.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = Number(resp.headers.get('x-ratelimit-reset'));
+    return Math.max(0, reset * 1000 - Date.now());
+  }
+
+  return null;
+}
+
+function firstParagraph(body) {
+  const text = (body || '').split(/\n\s*\n/)[0].trim();
+  return text.startsWith('- [') ? '' : text;
+}
+
+/** "2026-11-14T07:00:00Z" → "2026-11-14" */
+function dateOnly(timestamp) {
+  return timestamp ? timestamp.split('T')[0] : '';
+}
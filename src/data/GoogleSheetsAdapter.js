@@ -1,17 +1,26 @@
 import { DataAdapter } from './DataAdapter.js';
 import { CONFIG } from '../utils/Config.js';
-import { PALETTE } from '../utils/Colors.js';
+import { parseCSV, parsePeopleRows, parseMilestoneRows, parseTaskRows } from './SheetParser.js';
+import { getAssigneeIds } from './Assignees.js';
+import { formatOutOfOffice } from './Availability.js';
 
 /**
  * Reads data from a published Google Sheet (CSV export, no API key needed).
  *
- * Expected sheet structure:
- *   "People" sheet:     Name, Role, Color
+ * Expected sheet structure (see SheetParser.js):
+ *   "People" sheet:     Name, Role, Color, Capacity%, Out of Office
  *   "Tasks" sheet:      Name, Description, Assignee, Category, Discovery%, Execution%, Complete%, Due Date, Milestone
- *   "Milestones" sheet: Name
+ *   "Milestones" sheet: Name, Due Date
  *
  * Sheet must be published to the web (File → Share → Publish to web → CSV).
  * Set CONFIG.GOOGLE_SHEET_ID to the sheet's ID.
+ *
+ * Optional write-back: set CONFIG.GOOGLE_SHEET_WRITE_URL to an Apps Script
+ * web app bound to the sheet (see README). push() POSTs
+ *   { sheetId, ops: [{ id, sheet, action: 'append'|'update'|'delete', match, values }] }
+ * where `match` holds the Name (and Assignee, for Tasks) of the row to change
+ * and `values` is the full row in column order. The script answers
+ *   { results: [{ id, ok, error? }] }
  */
 export class GoogleSheetsAdapter extends DataAdapter {
   constructor() {
@@ -41,6 +50,7 @@ export class GoogleSheetsAdapter extends DataAdapter {
       this._parseTasks(taskRows);
     } catch (err) {
       console.error('GoogleSheetsAdapter: sync failed', err);
+      throw err;
     }
   }
 
@@ -52,118 +62,82 @@ export class GoogleSheetsAdapter extends DataAdapter {
     return this._parseCSV(text);
   }
 
-  _parseCSV(text) {
-    const rows = [];
-    const lines = text.split('\n');
-    for (const line of lines) {
-      if (!line.trim()) continue;
-      // Simple CSV parse (handles quoted fields with commas)
-      const row = [];
-      let current = '';
-      let inQuotes = false;
-      for (let i = 0; i < line.length; i++) {
-        const ch = line[i];
-        if (ch === '"') {
-          if (inQuotes && line[i + 1] === '"') {
-            current += '"';
-            i++;
-          } else {
-            inQuotes = !inQuotes;
-          }
-        } else if (ch === ',' && !inQuotes) {
-          row.push(current.trim());
-          current = '';
-        } else {
-          current += ch;
-        }
-      }
-      row.push(current.trim());
-      rows.push(row);
-    }
-    return rows;
+  canWrite() {
+    return Boolean(CONFIG.GOOGLE_SHEET_WRITE_URL);
   }
 
-  _parsePeople(rows) {
-    // First row is header: Name, Role, Color
-    this._people = [];
-    for (let i = 1; i < rows.length; i++) {
-      const [name, role, color] = rows[i];
-      if (!name) continue;
-      this._people.push({
-        id: this._slugId(name),
-        name,
-        role: role || '',
-        color: color || PALETTE.AVATAR_COLORS[i % PALETTE.AVATAR_COLORS.length],
-      });
-    }
+  async push(ops, context) {
+    const sheetOps = ops.map(op => this._toSheetOp(op, context));
+    const resp = await fetch(CONFIG.GOOGLE_SHEET_WRITE_URL, {
+      method: 'POST',
+      // text/plain keeps this a "simple" request — Apps Script can't answer CORS preflights
+      headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+      body: JSON.stringify({ sheetId: CONFIG.GOOGLE_SHEET_ID, ops: sheetOps }),
+    });
+    if (!resp.ok) throw new Error(`Sheet write-back failed: ${resp.status}`);
+
+    const json = await resp.json();
+    const results = Array.isArray(json.results) ? json.results : [];
+    return ops.map(op => results.find(r => r.id === op.id) || { id: op.id, ok: false, error: 'No result returned for this row' });
   }
 
-  _parseMilestones(rows) {
-    // First row is header: Name
-    this._milestones = [];
-    for (let i = 1; i < rows.length; i++) {
-      const [name] = rows[i];
-      if (!name) continue;
-      this._milestones.push({
-        id: this._slugId(name),
-        name,
-        taskIds: [], // Populated when tasks are parsed
-      });
+  /** Translate a queued edit into a row operation on the People / Tasks / Milestones sheet. */
+  _toSheetOp(op, context) {
+    const people = [...context.people, ...this._people];
+    const milestones = [...context.milestones, ...this._milestones];
+    const personName = (id) => (people.find(p => p.id === id) || { name: '' }).name;
+    const assigneeNames = (task) => getAssigneeIds(task).map(personName).filter(Boolean).join(', ');
+    const milestoneName = (id) => (id ? (milestones.find(m => m.id === id) || { name: '' }).name : '');
+    const tasks = [...context.tasks, ...this._tasks];
+    const taskNames = (ids) => (ids || [])
+      .map(id => (tasks.find(t => t.id === id) || { name: '' }).name)
+      .filter(Boolean)
+      .join('; ');
+
+    const sheet = { person: 'People', task: 'Tasks', milestone: 'Milestones' }[op.entity];
+    const action = { create: 'append', update: 'update', delete: 'delete' }[op.action];
+
+    let match = null;
+    if (op.before) {
+      match = { Name: op.before.name };
+      if (op.entity === 'task') match.Assignee = assigneeNames(op.before);
     }
-  }
 
-  _parseTasks(rows) {
-    // Header: Name, Description, Assignee, Category, Discovery%, Execution%, Complete%, Due Date, Milestone
-    this._tasks = [];
-    const categories = new Set();
-
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      const [name, description, assigneeName, category, disc, exec, complete, dueDate, milestoneName] = row;
-      if (!name) continue;
-
-      const assignee = this._people.find(p => p.name.toLowerCase() === (assigneeName || '').toLowerCase());
-      const milestone = milestoneName
-        ? this._milestones.find(m => m.name.toLowerCase() === milestoneName.toLowerCase())
-        : null;
-
-      const taskId = this._slugId(name + '-' + (assigneeName || ''));
-      const discoveryPercent = this._parseNum(disc, 50);
-      const executionPercent = this._parseNum(exec, 100 - discoveryPercent);
-
-      if (category) categories.add(category);
-
-      const task = {
-        id: taskId,
-        name,
-        description: description || '',
-        assigneeId: assignee ? assignee.id : '',
-        category: category || '',
-        discoveryPercent,
-        executionPercent,
-        percentComplete: this._parseNum(complete, 0),
-        expectedDate: dueDate || '',
-        milestoneId: milestone ? milestone.id : null,
-      };
-
-      this._tasks.push(task);
-
-      // Link task to milestone
-      if (milestone && !milestone.taskIds.includes(taskId)) {
-        milestone.taskIds.push(taskId);
+    let values = null;
+    if (op.after) {
+      const r = op.after;
+      if (op.entity === 'person') {
+        values = [r.name, r.role || '', r.color || '', r.capacity ?? 100, formatOutOfOffice(r.outOfOffice)];
+      } else if (op.entity === 'task') {
+        values = [
+          r.name, r.description || '', assigneeNames(r), r.category || '',
+          r.discoveryPercent, r.executionPercent, r.percentComplete,
+          r.expectedDate || '', milestoneName(r.milestoneId), taskNames(r.dependsOn),
+        ];
+      } else {
+        values = [r.name, r.dueDate || ''];
       }
     }
 
-    this._resourceTypes = [...categories];
+    return { id: op.id, sheet, action, match, values };
+  }
+
+  _parseCSV(text) {
+    return parseCSV(text);
+  }
+
+  _parsePeople(rows) {
+    this._people = parsePeopleRows(rows).people;
   }
 
-  _parseNum(str, fallback) {
-    const n = parseInt(str, 10);
-    return isNaN(n) ? fallback : Math.max(0, Math.min(100, n));
+  _parseMilestones(rows) {
+    this._milestones = parseMilestoneRows(rows).milestones;
   }
 
-  _slugId(str) {
-    return str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+  _parseTasks(rows) {
+    const { tasks, resourceTypes } = parseTaskRows(rows, this._people, this._milestones);
+    this._tasks = tasks;
+    this._resourceTypes = resourceTypes;
   }
 
   async fetchPeople() { return this._people; }
@@ -0,0 +1,182 @@
+const DB_NAME = 'workrpg-history';
+const DB_VERSION = 1;
+const ENTRY_STORE = 'progress';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_SAMPLE_DAYS = 60;
+
+/**
+ * Append-only log of every task's percentComplete over time, kept in
+ * IndexedDB — what the timeline scrubber replays.
+ *
+ * The Store calls record() on every sync and every edit. Only tasks whose
+ * value differs from the last logged one get a new entry, so an unchanged
+ * task costs nothing. Entries are never rewritten or removed; a deleted
+ * task simply stops getting new ones.
+ *
+ * Without IndexedDB (tests, some private browsing modes) the log only
+ * lives for the session.
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {string} taskId
+ * @property {number} time             — ms since epoch
+ * @property {number} percentComplete
+ */
+export class HistoryLog {
+  constructor() {
+    this._db = null;
+    this._byTask = new Map(); // taskId -> HistoryEntry[], oldest first
+    this._start = null;       // time of the first entry
+    // Loading and every append run in order on this chain
+    this._ready = this._open();
+  }
+
+  async _open() {
+    if (typeof indexedDB === 'undefined') return;
+    try {
+      this._db = await openDatabase();
+      for (const entry of await readEntries(this._db)) this._add(entry);
+    } catch (err) {
+      console.warn('[history] IndexedDB unavailable — history kept for this session only:', err);
+      this._db = null;
+    }
+  }
+
+  /** Resolves once stored entries are loaded and earlier record() calls are written. */
+  ready() {
+    return this._ready;
+  }
+
+  /**
+   * Log the current percentComplete of each task that changed since its
+   * last entry.
+   * @param {Array<{id:string, percentComplete:number}>} tasks
+   * @param {number} [time]
+   */
+  record(tasks, time = Date.now()) {
+    const values = tasks.map(t => ({ taskId: t.id, time, percentComplete: t.percentComplete }));
+    this._ready = this._ready.then(async () => {
+      const entries = values.filter(e => this._latest(e.taskId) !== e.percentComplete);
+      if (entries.length === 0) return;
+      for (const entry of entries) this._add(entry);
+      if (!this._db) return;
+      try {
+        await writeEntries(this._db, entries);
+      } catch (err) {
+        console.warn('[history] Failed to save progress history:', err);
+      }
+    });
+    return this._ready;
+  }
+
+  /** @returns {{start:number, end:number}|null} time span covered by the log */
+  getRange() {
+    if (this._start === null) return null;
+    let end = this._start;
+    for (const series of this._byTask.values()) end = Math.max(end, series[series.length - 1].time);
+    return { start: this._start, end };
+  }
+
+  /** @returns {HistoryEntry[]} one task's entries, oldest first */
+  getSeries(taskId) {
+    return this._byTask.get(taskId) || [];
+  }
+
+  /**
+   * percentComplete of a task at `time` — its latest entry at or before
+   * then, or null if it hadn't been logged yet.
+   */
+  percentAt(taskId, time) {
+    const series = this.getSeries(taskId);
+    for (let i = series.length - 1; i >= 0; i--) {
+      if (series[i].time <= time) return series[i].percentComplete;
+    }
+    return null;
+  }
+
+  /**
+   * Shallow task copies with percentComplete as of `time`. Tasks not logged
+   * yet at that point count as not started.
+   */
+  applyAt(tasks, time) {
+    return tasks.map(t => ({ ...t, percentComplete: this.percentAt(t.id, time) ?? 0 }));
+  }
+
+  /**
+   * One sample per day before today — every task's percentComplete at the
+   * end of that day — oldest first. Days run from the first one logged, at
+   * most `maxDays` back; a day with no entries repeats the day before.
+   * A task not logged yet by a day is left out of that day's sample.
+   * Feeds computeMilestoneForecast.
+   * @param {(date:Date) => string} dateKey — names a time's day,
+   *   'YYYY-MM-DD' (e.g. WorkCalendar.dateKey, for its time zone)
+   * @param {Date} [now]
+   * @param {number} [maxDays]
+   * @returns {Array<{date:string, tasks:Object<string, number>}>}
+   */
+  dailySamples(dateKey, now = new Date(), maxDays = MAX_SAMPLE_DAYS) {
+    const today = dateKey(now);
+    // Latest value per task per day, in time order across tasks
+    const entries = [...this._byTask.values()].flat().sort((a, b) => a.time - b.time);
+    const byDay = new Map(); // date -> { taskId: percentComplete }
+    for (const entry of entries) {
+      const date = dateKey(new Date(entry.time));
+      if (date >= today) break;
+      if (!byDay.has(date)) byDay.set(date, {});
+      byDay.get(date)[entry.taskId] = entry.percentComplete;
+    }
+    if (byDay.size === 0) return [];
+
+    const samples = [];
+    let tasks = {};
+    for (let date = byDay.keys().next().value; date < today; date = nextDate(date)) {
+      tasks = { ...tasks, ...byDay.get(date) };
+      samples.push({ date, tasks });
+    }
+    return samples.slice(-maxDays);
+  }
+
+  _latest(taskId) {
+    const series = this._byTask.get(taskId);
+    return series ? series[series.length - 1].percentComplete : null;
+  }
+
+  _add(entry) {
+    if (!this._byTask.has(entry.taskId)) this._byTask.set(entry.taskId, []);
+    this._byTask.get(entry.taskId).push(entry);
+    if (this._start === null || entry.time < this._start) this._start = entry.time;
+  }
+}
+
+function nextDate(date) {
+  return new Date(Date.parse(date) + MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(ENTRY_STORE, { autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function readEntries(db) {
+  return new Promise((resolve, reject) => {
+    // Keys auto-increment, so entries come back in the order they were written
+    const request = db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function writeEntries(db, entries) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ENTRY_STORE, 'readwrite');
+    const store = tx.objectStore(ENTRY_STORE);
+    for (const entry of entries) store.add(entry);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,212 @@
+import { DataAdapter } from './DataAdapter.js';
+import { CONFIG } from '../utils/Config.js';
+import { PALETTE } from '../utils/Colors.js';
+
+const PAGE_SIZE = 100;
+
+// Jira status category → percentComplete
+const STATUS_CATEGORY_PROGRESS = {
+  new: 0,
+  indeterminate: 50,
+  done: 100,
+};
+
+/**
+ * Reads issues from Jira Cloud or Jira Server / Data Center via a JQL search.
+ *
+ * Mapping:
+ *   Assignee            → person
+ *   Issue type or first component → category (CONFIG.JIRA_CATEGORY_FIELD)
+ *   First fix version or epic     → milestone (CONFIG.JIRA_MILESTONE_FIELD)
+ *   Due date            → expectedDate
+ *   Status category     → percentComplete (To Do 0, In Progress 50, Done 100)
+ *
+ * Cloud authenticates with email + API token (Basic), Server with a
+ * personal access token (Bearer). Set CONFIG.JIRA_BASE_URL and CONFIG.JIRA_JQL.
+ */
+export class JiraAdapter extends DataAdapter {
+  constructor() {
+    super();
+    this._people = [];
+    this._tasks = [];
+    this._milestones = [];
+    this._resourceTypes = [];
+  }
+
+  async sync() {
+    if (!CONFIG.JIRA_BASE_URL || !CONFIG.JIRA_JQL) {
+      console.warn('JiraAdapter: No JIRA_BASE_URL or JIRA_JQL configured.');
+      return;
+    }
+
+    try {
+      const issues = await this._searchAll(CONFIG.JIRA_JQL);
+      this._parseIssues(issues);
+    } catch (err) {
+      console.error('JiraAdapter: sync failed', err);
+      throw err;
+    }
+  }
+
+  /** Page through /search until every matching issue has been fetched. */
+  async _searchAll(jql) {
+    const issues = [];
+    let startAt = 0;
+
+    while (true) {
+      const page = await this._fetchPage(jql, startAt);
+      const batch = page.issues || [];
+      issues.push(...batch);
+      startAt += batch.length;
+      if (batch.length === 0 || startAt >= (page.total ?? 0)) break;
+    }
+
+    return issues;
+  }
+
+  async _fetchPage(jql, startAt) {
+    const isCloud = CONFIG.JIRA_DEPLOYMENT !== 'server';
+    const apiVersion = isCloud ? 3 : 2;
+    const base = CONFIG.JIRA_BASE_URL.replace(/\/+$/, '');
+    const params = new URLSearchParams({
+      jql,
+      startAt: String(startAt),
+      maxResults: String(PAGE_SIZE),
+      fields: this._requestedFields().join(','),
+    });
+
+    const url = `${base}/rest/api/${apiVersion}/search?${params}`;
+    const resp = await fetch(url, { headers: this._authHeaders(isCloud) });
+    if (!resp.ok) throw new Error(`Jira search failed: ${resp.status}`);
+    return resp.json();
+  }
+
+  _requestedFields() {
+    const fields = [
+      'summary', 'description', 'assignee', 'issuetype', 'components',
+      'duedate', 'status', 'fixVersions', 'parent',
+    ];
+    if (CONFIG.JIRA_EPIC_LINK_FIELD) fields.push(CONFIG.JIRA_EPIC_LINK_FIELD);
+    return fields;
+  }
+
+  _authHeaders(isCloud) {
+    const headers = { Accept: 'application/json' };
+    if (!CONFIG.JIRA_API_TOKEN) return headers;
+    headers.Authorization = isCloud
+      ? `Basic ${btoa(`${CONFIG.JIRA_EMAIL}:${CONFIG.JIRA_API_TOKEN}`)}`
+      : `Bearer ${CONFIG.JIRA_API_TOKEN}`;
+    return headers;
+  }
+
+  _parseIssues(issues) {
+    const people = new Map();
+    const milestones = new Map();
+    const categories = new Set();
+    this._tasks = [];
+
+    for (const issue of issues) {
+      const f = issue.fields || {};
+
+      let assigneeId = '';
+      if (f.assignee) {
+        assigneeId = this._personId(f.assignee);
+        if (!people.has(assigneeId)) {
+          people.set(assigneeId, {
+            id: assigneeId,
+            name: f.assignee.displayName || f.assignee.name || assigneeId,
+            role: '',
+            color: PALETTE.AVATAR_COLORS[people.size % PALETTE.AVATAR_COLORS.length],
+          });
+        }
+      }
+
+      const category = this._category(f);
+      if (category) categories.add(category);
+
+      const milestone = this._milestone(f);
+      if (milestone) {
+        if (!milestones.has(milestone.id)) milestones.set(milestone.id, { ...milestone, taskIds: [] });
+        milestones.get(milestone.id).taskIds.push(issue.key);
+      }
+
+      const statusKey = f.status && f.status.statusCategory ? f.status.statusCategory.key : 'new';
+
+      this._tasks.push({
+        id: issue.key,
+        name: f.summary || issue.key,
+        description: this._plainText(f.description),
+        assigneeId,
+        category,
+        discoveryPercent: 50,
+        executionPercent: 50,
+        percentComplete: STATUS_CATEGORY_PROGRESS[statusKey] ?? 0,
+        expectedDate: f.duedate || '',
+        milestoneId: milestone ? milestone.id : null,
+      });
+    }
+
+    this._people = [...people.values()];
+    this._milestones = [...milestones.values()];
+    this._resourceTypes = [...categories];
+  }
+
+  _personId(user) {
+    // Cloud exposes accountId; Server exposes key / name
+    return 'jira-' + this._slugId(user.accountId || user.key || user.name || user.displayName || '');
+  }
+
+  _category(fields) {
+    if (CONFIG.JIRA_CATEGORY_FIELD === 'component') {
+      const [first] = fields.components || [];
+      return first ? first.name : '';
+    }
+    return fields.issuetype ? fields.issuetype.name : '';
+  }
+
+  _milestone(fields) {
+    if (CONFIG.JIRA_MILESTONE_FIELD === 'epic') {
+      // Cloud: epic is the parent issue. Server: epic link custom field holds the key.
+      const parent = fields.parent;
+      if (parent && parent.fields && parent.fields.issuetype && parent.fields.issuetype.name === 'Epic') {
+        return { id: 'jira-epic-' + this._slugId(parent.key), name: parent.fields.summary || parent.key };
+      }
+      const epicKey = CONFIG.JIRA_EPIC_LINK_FIELD ? fields[CONFIG.JIRA_EPIC_LINK_FIELD] : null;
+      if (typeof epicKey === 'string' && epicKey) {
+        return { id: 'jira-epic-' + this._slugId(epicKey), name: epicKey };
+      }
+      return null;
+    }
+
+    const [version] = fields.fixVersions || [];
+    if (!version) return null;
+    return {
+      id: 'jira-version-' + this._slugId(String(version.id || version.name)),
+      name: version.name,
+      dueDate: version.releaseDate || '',
+    };
+  }
+
+  /** Descriptions are plain strings on API v2 and Atlassian Document Format on v3. */
+  _plainText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    const parts = [];
+    const walk = (node) => {
+      if (node.type === 'text' && node.text) parts.push(node.text);
+      for (const child of node.content || []) walk(child);
+      if (node.type === 'paragraph') parts.push(' ');
+    };
+    walk(value);
+    return parts.join('').replace(/\s+/g, ' ').trim();
+  }
+
+  _slugId(str) {
+    return str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+  }
+
+  async fetchPeople() { return this._people; }
+  async fetchTasks() { return this._tasks; }
+  async fetchMilestones() { return this._milestones; }
+  async fetchResourceTypes() { return this._resourceTypes; }
+}
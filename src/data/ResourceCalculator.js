@@ -1,27 +1,48 @@
 import { clamp } from '../utils/Math.js';
+import { getAssigneeIds, isAssignedTo } from './Assignees.js';
+import { WorkCalendar } from './WorkCalendar.js';
 
 const MS_PER_DAY = 1000 * 60 * 60 * 24;
-const DECAY_RATE = 0.03;
-const IDEAL_DISCOVERY = 0.4;
+const DECAY_RATE = 0.03;          // stamina lost per working day overdue, at 0% complete
+const MIN_CAPACITY = 0.1;         // floor so a 0% capacity doesn't divide by zero or stall a node
+export const IDEAL_DISCOVERY = 0.4;
 const MAX_PHASE_PENALTY = 0.8;
+const FORECAST_WINDOW_DAYS = 21;
+const MAX_FORECAST_DAYS = 3650;
 
-function taskTimeEnergy(task, now) {
+// Overdue time counts working days only (see WorkCalendar), so weekends,
+// holidays and the person's days off don't drain stamina. Every function
+// taking a `calendar` defaults to the team calendar from CONFIG; pass a
+// person's view (calendar.forPerson) for their out-of-office days and
+// capacity: someone on part time drains faster on an overdue task, since each
+// working day they have less of it to catch up with, and gathers slower.
+
+function taskTimeEnergy(task, now, calendar) {
   if (!task.expectedDate) return 1.0;
-  const expected = new Date(task.expectedDate + 'T00:00:00');
-  const daysOverdue = Math.max(0, (now - expected) / MS_PER_DAY);
+  const daysOverdue = calendar.workingDaysElapsed(task.expectedDate, now);
+  if (daysOverdue === null) return 1.0;
   const remainingWork = 1 - (task.percentComplete / 100);
   if (daysOverdue === 0) return 1.0;
-  const penalty = daysOverdue * DECAY_RATE * remainingWork;
+  const penalty = daysOverdue * DECAY_RATE * remainingWork / capacityOf(calendar);
   return Math.max(0, 1.0 - penalty);
 }
 
-function timeEnergy(tasks, now) {
+function capacityOf(calendar) {
+  return Math.max(MIN_CAPACITY, calendar.capacity ?? 1);
+}
+
+// How much of a task falls on each of its assignees — shared tasks weigh less
+function shareOf(task) {
+  return 1 / Math.max(1, getAssigneeIds(task).length);
+}
+
+function timeEnergy(tasks, now, calendar) {
   if (tasks.length === 0) return 1.0;
   let weightedSum = 0;
   let totalWeight = 0;
   for (const task of tasks) {
-    const weight = Math.max(1 - task.percentComplete / 100, 0.1);
-    weightedSum += taskTimeEnergy(task, now) * weight;
+    const weight = Math.max(1 - task.percentComplete / 100, 0.1) * shareOf(task);
+    weightedSum += taskTimeEnergy(task, now, calendar) * weight;
     totalWeight += weight;
   }
   return totalWeight > 0 ? weightedSum / totalWeight : 1.0;
@@ -33,7 +54,7 @@ export function computePhaseBalance(tasks) {
   let totalWeight = 0;
   for (const task of tasks) {
     const remaining = 1 - (task.percentComplete / 100);
-    const weight = Math.max(remaining, 0.1);
+    const weight = Math.max(remaining, 0.1) * shareOf(task);
     discoveryWeight += (task.discoveryPercent / 100) * weight;
     totalWeight += weight;
   }
@@ -47,15 +68,15 @@ function phaseEnergy(tasks) {
   return 1.0 - (MAX_PHASE_PENALTY * normalizedDeviation * normalizedDeviation);
 }
 
-export function computeUnitStamina(tasks, now = new Date()) {
+export function computeUnitStamina(tasks, now = new Date(), calendar = WorkCalendar.fromConfig()) {
   if (tasks.length === 0) return 1.0;
-  const timeFactor = timeEnergy(tasks, now);
+  const timeFactor = timeEnergy(tasks, now, calendar);
   const phaseFactor = phaseEnergy(tasks);
   return clamp(timeFactor * phaseFactor, 0, 1);
 }
 
-export function computeStaminaBreakdown(tasks, now = new Date()) {
-  const timeFactor = timeEnergy(tasks, now);
+export function computeStaminaBreakdown(tasks, now = new Date(), calendar = WorkCalendar.fromConfig()) {
+  const timeFactor = timeEnergy(tasks, now, calendar);
   const phaseFactor = phaseEnergy(tasks);
   return {
     total: clamp(timeFactor * phaseFactor, 0, 1),
@@ -65,23 +86,43 @@ export function computeStaminaBreakdown(tasks, now = new Date()) {
     perTask: tasks.map(t => ({
       taskId: t.id,
       taskName: t.name,
-      timeEnergy: taskTimeEnergy(t, now),
+      timeEnergy: taskTimeEnergy(t, now, calendar),
       percentComplete: t.percentComplete,
-      daysUntilDue: t.expectedDate
-        ? Math.ceil((new Date(t.expectedDate + 'T00:00:00') - now) / MS_PER_DAY)
-        : null,
+      // Working days, negative once overdue
+      daysUntilDue: t.expectedDate ? calendar.workingDaysUntil(t.expectedDate, now) : null,
     })),
   };
 }
 
-export function computeGatherRate(tasks) {
-  const stamina = computeUnitStamina(tasks);
-  return 0.5 + stamina * 0.5; // 0.5x to 1.0x speed
+// `skill` is the unit's category skill multiplier (Experience.js) for the
+// task it's working — 1 for a beginner.
+export function computeGatherRate(tasks, now = new Date(), skill = 1, calendar = WorkCalendar.fromConfig()) {
+  const stamina = computeUnitStamina(tasks, now, calendar);
+  return (0.5 + stamina * 0.5) * skill * capacityOf(calendar); // 0.5x to 1.0x speed, times skill and capacity
+}
+
+export function computeScoutSpeed(tasks, now = new Date(), skill = 1, calendar = WorkCalendar.fromConfig()) {
+  const stamina = computeUnitStamina(tasks, now, calendar);
+  return (0.6 + stamina * 0.4) * skill; // 0.6x to 1.0x speed, times skill
 }
 
-export function computeScoutSpeed(tasks) {
-  const stamina = computeUnitStamina(tasks);
-  return 0.6 + stamina * 0.4; // 0.6x to 1.0x speed
+// Stamina of both units before and after handing `task` to someone else.
+// `fromTasks` is the current assignee's workload (null when unassigned),
+// `toTasks` the new assignee's; the task is moved between the two lists.
+// `calendars` holds each side's calendar view (team calendar by default).
+export function computeReassignImpact(task, fromTasks, toTasks, now = new Date(), calendars = {}) {
+  const remaining = (tasks) => tasks.filter(t => t.id !== task.id);
+  const from = calendars.from || WorkCalendar.fromConfig();
+  const to = calendars.to || WorkCalendar.fromConfig();
+  return {
+    from: fromTasks
+      ? { before: computeUnitStamina(fromTasks, now, from), after: computeUnitStamina(remaining(fromTasks), now, from) }
+      : null,
+    to: {
+      before: computeUnitStamina(toTasks, now, to),
+      after: computeUnitStamina([...remaining(toTasks), task], now, to),
+    },
+  };
 }
 
 export function computeStructureProgress(milestone, allTasks) {
@@ -90,3 +131,102 @@ export function computeStructureProgress(milestone, allTasks) {
   const totalComplete = milestoneTasks.reduce((sum, t) => sum + t.percentComplete, 0);
   return totalComplete / (milestoneTasks.length * 100);
 }
+
+// Projects when a milestone's tasks will all reach 100%. Velocity is the
+// least-squares slope of milestone progress per working day over the last
+// few weeks of daily samples (HistoryLog.dailySamples), scaled by the
+// stamina of whoever holds the remaining work (tired units gather slower —
+// same curve as computeGatherRate). The interval is one standard error of that slope
+// either side. Dates are projected in working days on `calendar`.
+export function computeMilestoneForecast(milestone, tasks, history, now = new Date(), calendar = WorkCalendar.fromConfig()) {
+  const milestoneTasks = tasks.filter(t => milestone.taskIds.includes(t.id));
+  const dueDate = milestone.dueDate || '';
+  const forecast = {
+    status: 'unknown', date: null, earliest: null, latest: null,
+    velocity: 0, remaining: 0, dueDate, late: false, atRisk: false,
+  };
+  if (milestoneTasks.length === 0) return forecast;
+
+  const progressOf = (pctById) => milestoneTasks.reduce(
+    (sum, t) => sum + (t.id in pctById ? pctById[t.id] : t.percentComplete), 0,
+  ) / milestoneTasks.length;
+  const current = progressOf({});
+  forecast.remaining = 100 - current;
+  if (forecast.remaining <= 0) {
+    forecast.status = 'complete';
+    return forecast;
+  }
+
+  // Samples are one per calendar day; today's point is the live data. A
+  // sample from a day off sits with the working day after it.
+  const today = calendar.dateKey(now);
+  const points = [{ x: 0, y: current }];
+  for (const sample of history) {
+    const calendarDaysAgo = Math.round((Date.parse(today) - Date.parse(sample.date)) / MS_PER_DAY);
+    if (!(calendarDaysAgo > 0 && calendarDaysAgo <= FORECAST_WINDOW_DAYS)) continue;
+    const daysAgo = calendar.workingDaysBetween(sample.date, today);
+    points.push({ x: -daysAgo, y: progressOf(sample.tasks) });
+  }
+  if (points.length < 2) return forecast;
+
+  const { slope, slopeError } = linearFit(points);
+  forecast.velocity = slope * staminaFactor(milestoneTasks, tasks, now, calendar);
+  if (forecast.velocity <= 0 || forecast.remaining / forecast.velocity > MAX_FORECAST_DAYS) {
+    forecast.status = 'stalled';
+    forecast.late = dueDate !== '';
+    return forecast;
+  }
+
+  const spread = slopeError * (forecast.velocity / slope);
+  const fast = forecast.velocity + spread;
+  const slow = forecast.velocity - spread;
+  forecast.status = 'forecast';
+  forecast.date = projectDate(calendar, now, forecast.remaining / forecast.velocity);
+  forecast.earliest = projectDate(calendar, now, forecast.remaining / fast);
+  forecast.latest = slow > 0 ? projectDate(calendar, now, forecast.remaining / slow) : null;
+  if (dueDate) {
+    forecast.late = forecast.date > dueDate;
+    forecast.atRisk = !forecast.late && (forecast.latest === null || forecast.latest > dueDate);
+  }
+  return forecast;
+}
+
+function staminaFactor(milestoneTasks, allTasks, now, calendar) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+  for (const task of milestoneTasks) {
+    const weight = 100 - task.percentComplete;
+    if (weight <= 0) continue;
+    // A shared task moves with its assignees' average stamina
+    const ids = getAssigneeIds(task);
+    const stamina = ids.length > 0
+      ? ids.reduce((sum, id) => sum + computeUnitStamina(allTasks.filter(t => isAssignedTo(t, id)), now, calendar.forPerson(id)), 0) / ids.length
+      : 1.0;
+    weightedSum += (0.5 + stamina * 0.5) * weight;
+    totalWeight += weight;
+  }
+  return totalWeight > 0 ? weightedSum / totalWeight : 1.0;
+}
+
+function linearFit(points) {
+  const n = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  for (const p of points) {
+    sxx += (p.x - meanX) ** 2;
+    sxy += (p.x - meanX) * (p.y - meanY);
+  }
+  if (sxx === 0) return { slope: 0, slopeError: 0 };
+  const slope = sxy / sxx;
+  if (n < 3) return { slope, slopeError: 0 };
+  const residuals = points.reduce((sum, p) => sum + (p.y - meanY - slope * (p.x - meanX)) ** 2, 0);
+  return { slope, slopeError: Math.sqrt(residuals / (n - 2) / sxx) };
+}
+
+// null when the date is too far out to mean anything
+function projectDate(calendar, now, workingDays) {
+  if (workingDays > MAX_FORECAST_DAYS) return null;
+  return calendar.addWorkingDays(now, workingDays);
+}
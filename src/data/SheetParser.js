@@ -0,0 +1,252 @@
+import { PALETTE } from '../utils/Colors.js';
+import { parseOutOfOffice } from './Availability.js';
+
+/**
+ * Row parsing for the spreadsheet layout shared by GoogleSheetsAdapter and
+ * FileAdapter (CSV import).
+ *
+ *   People:     Name, Role, Color, Capacity%, Out of Office
+ *   Tasks:      Name, Description, Assignee, Category, Discovery%, Execution%, Complete%, Due Date, Milestone, Depends On
+ *   Milestones: Name, Due Date
+ *
+ * The first row of each sheet is a header. Parsers never throw on bad rows;
+ * they return the rows they could use plus a list of validation issues:
+ *   { sheet, row, level: 'error' | 'warning', message }
+ * 'error' rows were skipped, 'warning' rows were kept with a fallback value.
+ * `row` is the 1-based spreadsheet row number (header = row 1).
+ *
+ * Depends On lists prerequisite task names separated by commas or
+ * semicolons; a name shared by several tasks depends on all of them.
+ *
+ * Out of Office lists absences the same way, each a date or a range:
+ * "2026-10-19 to 2026-10-23; 2026-12-25".
+ */
+
+export const PEOPLE_COLUMNS = ['Name', 'Role', 'Color', 'Capacity%', 'Out of Office'];
+export const TASK_COLUMNS = ['Name', 'Description', 'Assignee', 'Category', 'Discovery%', 'Execution%', 'Complete%', 'Due Date', 'Milestone', 'Depends On'];
+export const MILESTONE_COLUMNS = ['Name', 'Due Date'];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Simple CSV parse (handles quoted fields with commas and escaped quotes). */
+export function parseCSV(text) {
+  const rows = [];
+  const lines = text.split(/\r?\n/);
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const row = [];
+    let current = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') {
+        if (inQuotes && line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          inQuotes = !inQuotes;
+        }
+      } else if (ch === ',' && !inQuotes) {
+        row.push(current.trim());
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    row.push(current.trim());
+    rows.push(row);
+  }
+  return rows;
+}
+
+export function parsePeopleRows(rows) {
+  const people = [];
+  const errors = [];
+  for (let i = 1; i < rows.length; i++) {
+    const [name, role, color, capacity, outOfOffice] = rows[i];
+    if (!name) {
+      errors.push(issue('People', i, 'error', 'Missing name'));
+      continue;
+    }
+    const id = slugId(name);
+    if (people.some(p => p.id === id)) {
+      errors.push(issue('People', i, 'error', `Duplicate person "${name}"`));
+      continue;
+    }
+    people.push({
+      id,
+      name,
+      role: role || '',
+      color: color || PALETTE.AVATAR_COLORS[i % PALETTE.AVATAR_COLORS.length],
+      capacity: percentCell(capacity, 100, 'Capacity%', i, errors, 'People'),
+      outOfOffice: outOfOfficeCell(outOfOffice, i, errors),
+    });
+  }
+  return { people, errors };
+}
+
+export function parseMilestoneRows(rows) {
+  const milestones = [];
+  const errors = [];
+  for (let i = 1; i < rows.length; i++) {
+    const [name, dueDateRaw] = rows[i];
+    if (!name) {
+      errors.push(issue('Milestones', i, 'error', 'Missing name'));
+      continue;
+    }
+    let dueDate = '';
+    if (dueDateRaw) {
+      dueDate = normalizeDate(dueDateRaw);
+      if (!dueDate) {
+        errors.push(issue('Milestones', i, 'warning', `Due Date "${dueDateRaw}" is not a date — ignored`));
+      }
+    }
+    milestones.push({
+      id: slugId(name),
+      name,
+      dueDate,
+      taskIds: [], // Populated when tasks are parsed
+    });
+  }
+  return { milestones, errors };
+}
+
+/**
+ * Parse task rows, resolving Assignee and Milestone names against the
+ * already-parsed people and milestones (milestone taskIds are filled in),
+ * and Depends On names against the other task rows.
+ */
+export function parseTaskRows(rows, people, milestones) {
+  const tasks = [];
+  const errors = [];
+  const categories = new Set();
+  const prerequisiteNames = new Map(); // task -> { names, rowIndex }
+
+  for (let i = 1; i < rows.length; i++) {
+    const [name, description, assigneeName, category, disc, exec, complete, dueDate, milestoneName, dependsOn] = rows[i];
+    if (!name) {
+      errors.push(issue('Tasks', i, 'error', 'Missing task name'));
+      continue;
+    }
+
+    // Shared tasks list several people: "Alice Smith, Bob Jones"
+    const assigneeIds = [];
+    for (const personName of splitAssigneeNames(assigneeName)) {
+      const assignee = people.find(p => p.name.toLowerCase() === personName.toLowerCase());
+      if (assignee) {
+        if (!assigneeIds.includes(assignee.id)) assigneeIds.push(assignee.id);
+      } else {
+        errors.push(issue('Tasks', i, 'warning', `Unknown assignee "${personName}" — left off the task`));
+      }
+    }
+
+    const milestone = milestoneName
+      ? milestones.find(m => m.name.toLowerCase() === milestoneName.toLowerCase())
+      : null;
+    if (milestoneName && !milestone) {
+      errors.push(issue('Tasks', i, 'warning', `Unknown milestone "${milestoneName}"`));
+    }
+
+    const taskId = slugId(name + '-' + (assigneeName || ''));
+    if (tasks.some(t => t.id === taskId)) {
+      errors.push(issue('Tasks', i, 'error', `Duplicate task "${name}" for the same assignee`));
+      continue;
+    }
+
+    const discoveryPercent = percentCell(disc, 50, 'Discovery%', i, errors);
+    const executionPercent = percentCell(exec, 100 - discoveryPercent, 'Execution%', i, errors);
+    const percentComplete = percentCell(complete, 0, 'Complete%', i, errors);
+
+    let expectedDate = '';
+    if (dueDate) {
+      expectedDate = normalizeDate(dueDate);
+      if (!expectedDate) {
+        errors.push(issue('Tasks', i, 'warning', `Due Date "${dueDate}" is not a date — ignored`));
+      }
+    }
+
+    if (category) categories.add(category);
+
+    tasks.push({
+      id: taskId,
+      name,
+      description: description || '',
+      assigneeId: assigneeIds[0] || '',
+      assigneeIds,
+      category: category || '',
+      discoveryPercent,
+      executionPercent,
+      percentComplete,
+      expectedDate,
+      milestoneId: milestone ? milestone.id : null,
+      dependsOn: [],
+    });
+
+    // Link task to milestone
+    if (milestone && !milestone.taskIds.includes(taskId)) {
+      milestone.taskIds.push(taskId);
+    }
+
+    const names = (dependsOn || '').split(/[;,]/).map(n => n.trim()).filter(Boolean);
+    if (names.length > 0) prerequisiteNames.set(tasks[tasks.length - 1], { names, rowIndex: i });
+  }
+
+  // Prerequisites may appear further down the sheet, so resolve them last
+  for (const [task, { names, rowIndex }] of prerequisiteNames) {
+    for (const depName of names) {
+      const matches = tasks.filter(t => t.name.toLowerCase() === depName.toLowerCase() && t !== task);
+      if (matches.length === 0) {
+        errors.push(issue('Tasks', rowIndex, 'warning', `Unknown prerequisite "${depName}" — ignored`));
+      }
+      for (const dep of matches) {
+        if (!task.dependsOn.includes(dep.id)) task.dependsOn.push(dep.id);
+      }
+    }
+  }
+
+  return { tasks, resourceTypes: [...categories], errors };
+}
+
+/** The names in an Assignee cell — several for a shared task ("Alice Smith, Bob Jones"). */
+export function splitAssigneeNames(cell) {
+  return (cell || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/** Normalize a date cell (ISO or locale-formatted, e.g. 11/14/2026) to YYYY-MM-DD, or '' if unparseable. */
+export function normalizeDate(str) {
+  const d = new Date(str);
+  if (isNaN(d.getTime())) return '';
+  if (DATE_RE.test(str)) return str;
+  const mm = String(d.getMonth() + 1).padStart(2, '0');
+  const dd = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+export function slugId(str) {
+  return str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+}
+
+function percentCell(str, fallback, column, rowIndex, errors, sheet = 'Tasks') {
+  if (str === undefined || str === '') return fallback;
+  const n = parseInt(str, 10);
+  if (isNaN(n)) {
+    errors.push(issue(sheet, rowIndex, 'warning', `${column} "${str}" is not a number — using ${fallback}`));
+    return fallback;
+  }
+  if (n < 0 || n > 100) {
+    errors.push(issue(sheet, rowIndex, 'warning', `${column} ${n} is outside 0–100 — clamped`));
+  }
+  return Math.max(0, Math.min(100, n));
+}
+
+function outOfOfficeCell(str, rowIndex, errors) {
+  const { ranges, invalid } = parseOutOfOffice(str, normalizeDate);
+  for (const part of invalid) {
+    errors.push(issue('People', rowIndex, 'warning', `Out of Office "${part}" is not a date or range — ignored`));
+  }
+  return ranges;
+}
+
+function issue(sheet, rowIndex, level, message) {
+  return { sheet, row: rowIndex + 1, level, message };
+}
@@ -1,7 +1,21 @@
 import { generateUUID } from '../utils/Math.js';
+import { WriteQueue } from './WriteQueue.js';
+import { HistoryLog } from './HistoryLog.js';
+import { mergeCollection, changedFields, sameValue } from './SyncMerge.js';
+import { accrueExperience, getSkills, skillMultiplierFor } from './Experience.js';
+import { isAssignedTo, getAssigneeIds, normalizeAssignees, withAssignees } from './Assignees.js';
+import { WorkCalendar } from './WorkCalendar.js';
+import { normalizeOutOfOffice } from './Availability.js';
 
 const STORAGE_KEY = 'workrpg-data-v3';
 
+const COLLECTIONS = { person: 'people', task: 'tasks', milestone: 'milestones' };
+
+/** Every event a person, task or milestone edit can emit — see Store._emitDiff. */
+export const DATA_EVENTS = Object.keys(COLLECTIONS).flatMap(entity => [
+  `${entity}Added`, `${entity}Changed`, `${entity}Removed`,
+]);
+
 export class Store {
   constructor(adapter) {
     this._adapter = adapter;
@@ -12,10 +26,23 @@ export class Store {
       milestones: [],
       resourceTypes: [],
       mapState: {
-        revealedTiles: [],   // ["col,row", ...]
+        exploration: null,   // FogOfWar.getExplorationState() — bitsets of explored tiles
         resourceNodes: [],   // [{ col, row, resourceType, taskId, depleted }]
       },
+      synced: null,          // { people, tasks, milestones } as of the last sync — merge base
+      conflicts: [],         // unresolved SyncConflicts
+      experience: {},        // { personId: { category: XP } } — see Experience.js
+      experienceMarks: {},   // { taskId: { personId: highest % credited } }
     };
+    this._writes = new WriteQueue();
+    this._history = new HistoryLog();
+    this._flushing = null;
+    // Built on first use; people's availability or CONFIG changing rebuilds it
+    this._calendar = null;
+    this._personCalendars = new Map();
+    for (const event of ['personAdded', 'personChanged', 'personRemoved']) {
+      this.on(event, () => { this._calendar = null; });
+    }
     this._loadLocal();
   }
 
@@ -28,16 +55,32 @@ export class Store {
           this._data = parsed;
           // Ensure mapState exists (migration from older saves)
           if (!this._data.mapState) {
-            this._data.mapState = { revealedTiles: [], resourceNodes: [] };
+            this._data.mapState = { exploration: null, resourceNodes: [] };
           }
+          // The old "col,row" string list was never populated — drop it
+          delete this._data.mapState.revealedTiles;
+          if (this._data.mapState.exploration === undefined) this._data.mapState.exploration = null;
+          if (this._data.synced === undefined) this._data.synced = null;
+          if (!this._data.conflicts) this._data.conflicts = [];
+          // Daily samples now come from the history log
+          delete this._data.progressHistory;
+          if (!this._data.experience) this._data.experience = {};
+          if (!this._data.experienceMarks) this._data.experienceMarks = {};
+          // Saves from before shared tasks only have assigneeId
+          this._data.tasks = this._data.tasks.map(normalizeAssignees);
+          if (this._data.synced) this._data.synced.tasks = (this._data.synced.tasks || []).map(normalizeAssignees);
         }
       }
     } catch { /* ignore corrupt data */ }
   }
 
   _save() {
+    this._history.record(this._data.tasks);
+    this._persist();
+  }
+
+  _persist() {
     localStorage.setItem(STORAGE_KEY, JSON.stringify(this._data));
-    this.emit('change');
   }
 
   // --- Event emitter ---
@@ -57,27 +100,277 @@ export class Store {
     for (const cb of this._listeners[event]) cb(data);
   }
 
+  /**
+   * Call `cb` once after each burst of DATA_EVENTS — a whole sync, or a
+   * person removed along with their tasks — for views that re-render
+   * everything. Listen to the events themselves to react to one record.
+   */
+  onDataChange(cb) {
+    let queued = false;
+    const run = () => {
+      if (queued) return;
+      queued = true;
+      queueMicrotask(() => {
+        queued = false;
+        cb();
+      });
+    };
+    for (const event of DATA_EVENTS) this.on(event, run);
+  }
+
   // --- Adapter sync ---
 
   setAdapter(adapter) {
     this._adapter = adapter;
   }
 
+  /**
+   * Pull from the adapter and three-way merge with local edits (see
+   * SyncMerge.js). Emits added / changed / removed events for each person,
+   * task and milestone that differs afterwards (see _emitDiff), and
+   * 'conflict' when new conflicts appear.
+   */
   async syncFromAdapter() {
+    // Push local edits first so the pull below already contains them
+    await this.flushWrites();
+    await this._adapter.sync();
+
     const [people, tasks, milestones, resourceTypes] = await Promise.all([
       this._adapter.fetchPeople(),
       this._adapter.fetchTasks(),
       this._adapter.fetchMilestones(),
       this._adapter.fetchResourceTypes(),
     ]);
+    // Copies — adapters hand out their own arrays, which local edits mustn't touch
+    const remote = clone({ people, tasks, milestones });
+    remote.tasks = remote.tasks.map(normalizeAssignees);
+    const previous = {
+      people: this._data.people,
+      tasks: this._data.tasks,
+      milestones: this._data.milestones,
+      conflicts: this._data.conflicts,
+    };
 
-    this._data.people = people;
-    this._data.tasks = tasks;
-    this._data.milestones = milestones;
-    this._data.resourceTypes = resourceTypes;
+    const firstSync = !this._data.synced;
+    if (firstSync) {
+      // First sync (or a save from before merging existed) — take the source as-is
+      Object.assign(this._data, remote);
+      this._data.synced = clone(remote);
+      this._data.conflicts = [];
+    } else {
+      const synced = {};
+      const conflicts = [];
+      for (const [entity, key] of Object.entries(COLLECTIONS)) {
+        const result = mergeCollection(entity, this._data.synced[key] || [], this._data[key], remote[key]);
+        this._data[key] = result.records;
+        synced[key] = result.base;
+        conflicts.push(...result.conflicts);
+      }
+      this._data.synced = clone(synced);
+      this._data.conflicts = conflicts;
+    }
+
+    this._gainExperience(previous.tasks, this._data.tasks);
+
+    // Categories of tasks added locally stay resource types too
+    const categories = this._data.tasks.map(t => t.category).filter(Boolean);
+    this._data.resourceTypes = [...new Set([...resourceTypes, ...categories])];
 
     // Preserve existing mapState (fog, resource node positions) across syncs
+    const changed = firstSync || !sameValue(
+      [previous.people, previous.tasks, previous.milestones],
+      [this._data.people, this._data.tasks, this._data.milestones],
+    );
+    if (changed) {
+      this._save();
+    } else {
+      this._history.record(this._data.tasks);
+      this._persist();
+    }
+    for (const [entity, key] of Object.entries(COLLECTIONS)) {
+      this._emitDiff(entity, previous[key], this._data[key]);
+    }
+
+    const known = new Map(previous.conflicts.map(c => [c.id, c]));
+    const fresh = this._data.conflicts.filter(c => !known.has(c.id) || !sameValue(known.get(c.id), c));
+    if (fresh.length > 0) this.emit('conflict', fresh);
+  }
+
+  /**
+   * Emit `<entity>Added`, `<entity>Changed` (with the changed fields) and
+   * `<entity>Removed` for each record that differs between two snapshots —
+   * e.g. { task } for 'taskAdded', { person, fields } for 'personChanged'.
+   * @param {'person'|'task'|'milestone'} entity
+   */
+  _emitDiff(entity, before, after) {
+    const beforeById = new Map(before.map(r => [r.id, r]));
+    const afterIds = new Set(after.map(r => r.id));
+    for (const record of after) {
+      const old = beforeById.get(record.id);
+      if (!old) {
+        this.emit(`${entity}Added`, { [entity]: record });
+      } else {
+        const fields = changedFields(record, old);
+        if (fields.length > 0) this.emit(`${entity}Changed`, { [entity]: record, fields });
+      }
+    }
+    for (const record of before) {
+      if (!afterIds.has(record.id)) this.emit(`${entity}Removed`, { [entity]: record });
+    }
+  }
+
+  // --- Conflicts ---
+
+  /** @returns {import('./SyncMerge.js').SyncConflict[]} */
+  getConflicts() { return this._data.conflicts; }
+
+  /**
+   * Resolve a sync conflict.
+   * @param {string} conflictId
+   * @param {'local'|'remote'|Object<string, 'local'|'remote'>} resolution —
+   *   one side for the whole record, or a side per conflicting field
+   */
+  resolveConflict(conflictId, resolution) {
+    const conflict = this._data.conflicts.find(c => c.id === conflictId);
+    if (!conflict) return;
+    const key = COLLECTIONS[conflict.entity];
+    const pick = (field) => {
+      // The primary assignee always comes from the side picked for the full list
+      if (field === 'assigneeId' && conflict.fields.some(f => f.field === 'assigneeIds')) field = 'assigneeIds';
+      return typeof resolution === 'string' ? resolution : resolution[field] || 'local';
+    };
+    const synced = this._data.synced[key];
+    const baseIndex = synced.findIndex(r => r.id === conflict.entityId);
+    // Copies — picked values are written into the records themselves
+    const before = this._data[key].map(r => ({ ...r }));
+
+    if (conflict.kind === 'changed') {
+      const record = this._data[key].find(r => r.id === conflict.entityId);
+      if (!record || baseIndex === -1) {
+        this._data.conflicts = this._data.conflicts.filter(c => c !== conflict);
+        this._save();
+        return;
+      }
+      const remoteRow = { ...record };
+      const localRow = { ...record };
+      for (const { field, remote } of conflict.fields) {
+        // The source now has `remote`; a kept local value stays dirty and wins next sync
+        synced[baseIndex][field] = remote;
+        remoteRow[field] = remote;
+        if (pick(field) === 'remote') record[field] = remote;
+      }
+      if (key === 'tasks') this._gainExperience([localRow], [record]);
+      if (!sameValue(record, remoteRow)) this._recordWrite(conflict.entity, 'update', record.id, remoteRow, record);
+    } else if (conflict.kind === 'deletedRemote') {
+      synced.splice(baseIndex, 1);
+      if (pick() === 'remote') {
+        this._data[key] = this._data[key].filter(r => r.id !== conflict.entityId);
+      } else {
+        this._recordWrite(conflict.entity, 'create', conflict.entityId, null, conflict.local);
+      }
+    } else if (conflict.kind === 'deletedLocal') {
+      synced[baseIndex] = clone(conflict.remote);
+      if (pick() === 'remote') {
+        this._data[key].push({ ...conflict.remote });
+      } else {
+        this._recordWrite(conflict.entity, 'delete', conflict.entityId, conflict.remote, null);
+      }
+    }
+
+    this._data.conflicts = this._data.conflicts.filter(c => c !== conflict);
     this._save();
+    this._emitDiff(conflict.entity, before, this._data[key]);
+  }
+
+  /**
+   * Fields of a record edited locally since the last sync.
+   * @param {'person'|'task'|'milestone'} entity
+   * @param {string} id
+   * @returns {string[]} field names; ['*'] for records that were never synced
+   */
+  getDirtyFields(entity, id) {
+    const key = COLLECTIONS[entity];
+    const record = this._data[key].find(r => r.id === id);
+    if (!record || !this._data.synced) return [];
+    const base = (this._data.synced[key] || []).find(r => r.id === id);
+    if (!base) return ['*'];
+    return changedFields(record, base);
+  }
+
+  // --- Write-back ---
+
+  _canWrite() {
+    return typeof this._adapter.canWrite === 'function' && this._adapter.canWrite();
+  }
+
+  /** Queue an edit for the adapter (no-op for read-only sources) and try to send it. */
+  _recordWrite(entity, action, entityId, before, after) {
+    if (!this._canWrite()) return;
+    this._writes.enqueue({ entity, action, entityId, before, after });
+    this.emit('writes');
+    this.flushWrites().catch(err => console.error('Store: write-back failed', err));
+  }
+
+  /**
+   * Send pending edits to the adapter. Ops the source rejects stay queued as
+   * failed; if the source can't be reached everything stays pending.
+   * @returns {Promise<boolean>} false when the source was unreachable
+   */
+  async flushWrites() {
+    // Ops queued during an in-flight push go out right after it
+    while (this._flushing) await this._flushing;
+    const pending = this._writes.getPending();
+    if (!this._canWrite() || pending.length === 0) return true;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return false;
+
+    this._writes.markSending(pending);
+    this._flushing = (async () => {
+      try {
+        const results = await this._adapter.push(pending, {
+          people: this._data.people,
+          tasks: this._data.tasks,
+          milestones: this._data.milestones,
+        });
+        this._writes.applyResults(results);
+        for (const result of results) {
+          const op = result.ok && pending.find(o => o.id === result.id);
+          if (op) this._markSynced(op);
+        }
+        this._persist();
+        return true;
+      } catch (err) {
+        console.warn('Store: data source unreachable, keeping edits queued', err);
+        this._writes.release(pending);
+        return false;
+      } finally {
+        this._flushing = null;
+        this.emit('writes');
+      }
+    })();
+    return this._flushing;
+  }
+
+  /** @returns {import('./WriteQueue.js').WriteOp[]} */
+  getQueuedWrites() { return this._writes.getOps(); }
+
+  async retryWrite(opId) {
+    this._writes.retry(opId);
+    this.emit('writes');
+    await this.flushWrites();
+  }
+
+  discardWrite(opId) {
+    this._writes.discard(opId);
+    this.emit('writes');
+  }
+
+  /** The source accepted an edit — fold it into the merge base so it isn't seen as a local change. */
+  _markSynced(op) {
+    if (!this._data.synced) return;
+    const key = COLLECTIONS[op.entity];
+    const list = (this._data.synced[key] || []).filter(r => r.id !== op.entityId);
+    if (op.after) list.push(clone(op.after));
+    this._data.synced[key] = list;
   }
 
   // --- People queries ---
@@ -93,7 +386,7 @@ export class Store {
   getTask(id) { return this._data.tasks.find(t => t.id === id); }
 
   getTasksForPerson(personId) {
-    return this._data.tasks.filter(t => t.assigneeId === personId);
+    return this._data.tasks.filter(t => isAssignedTo(t, personId));
   }
 
   getTasksForMilestone(milestoneId) {
@@ -102,6 +395,53 @@ export class Store {
     return this._data.tasks.filter(t => ms.taskIds.includes(t.id));
   }
 
+  /**
+   * The working calendar from CONFIG with everyone's out-of-office ranges —
+   * or, given a person id, that person's view of it. Cached until someone
+   * is added, edited or removed, or CONFIG's calendar settings are replaced.
+   * @param {string} [personId]
+   * @returns {WorkCalendar}
+   */
+  getCalendar(personId) {
+    if (!this._calendar || !this._calendar.matchesConfig()) {
+      this._calendar = WorkCalendar.fromConfig(this._data.people);
+      this._personCalendars.clear();
+    }
+    if (!personId) return this._calendar;
+    if (!this._personCalendars.has(personId)) {
+      this._personCalendars.set(personId, this._calendar.forPerson(personId));
+    }
+    return this._personCalendars.get(personId);
+  }
+
+  /**
+   * Full record of task progress changes, kept in IndexedDB — see
+   * HistoryLog.js. Await its ready() before reading.
+   * @returns {HistoryLog}
+   */
+  getHistory() { return this._history; }
+
+  // --- Experience ---
+
+  /** @returns {Object<string, number>} category → XP for one person */
+  getExperience(personId) { return this._data.experience[personId] || {}; }
+
+  /** @returns {ReturnType<typeof getSkills>} */
+  getSkills(personId) { return getSkills(this.getExperience(personId)); }
+
+  /** Gather / scout speed multiplier for `personId` working a `category` task. */
+  getSkillMultiplier(personId, category) {
+    return skillMultiplierFor(this.getExperience(personId), category);
+  }
+
+  _gainExperience(before, after) {
+    const { experience, marks } = accrueExperience(
+      { experience: this._data.experience, marks: this._data.experienceMarks }, before, after,
+    );
+    this._data.experience = experience;
+    this._data.experienceMarks = marks;
+  }
+
   // --- Milestone queries ---
 
   getMilestones() { return this._data.milestones; }
@@ -114,7 +454,7 @@ export class Store {
 
   getResourceNodes() { return this._data.mapState.resourceNodes; }
 
-  getRevealedTiles() { return this._data.mapState.revealedTiles; }
+  getExplorationState() { return this._data.mapState.exploration; }
 
   // --- People mutations ---
 
@@ -124,60 +464,135 @@ export class Store {
       name: person.name || 'New Person',
       role: person.role || '',
       color: person.color || '#607D8B',
+      capacity: person.capacity ?? 100,
+      outOfOffice: normalizeOutOfOffice(person.outOfOffice),
     };
     this._data.people.push(newPerson);
     this._save();
+    this.emit('personAdded', { person: newPerson });
+    this._recordWrite('person', 'create', newPerson.id, null, newPerson);
     return newPerson;
   }
 
   updatePerson(id, changes) {
     const person = this.getPerson(id);
     if (!person) return;
+    const before = { ...person };
     Object.assign(person, changes);
     this._save();
+    const fields = changedFields(person, before);
+    if (fields.length > 0) this.emit('personChanged', { person, fields });
+    this._recordWrite('person', 'update', id, before, person);
   }
 
   removePerson(id) {
+    const person = this.getPerson(id);
+    const tasks = this.getTasksForPerson(id);
+    // Their solo tasks go with them; shared tasks stay with the co-assignees
+    const removed = tasks.filter(t => getAssigneeIds(t).length === 1);
+    const shared = tasks.filter(t => getAssigneeIds(t).length > 1).map(t => ({ ...t }));
     this._data.people = this._data.people.filter(p => p.id !== id);
-    // Also remove their tasks
-    this._data.tasks = this._data.tasks.filter(t => t.assigneeId !== id);
+    this._data.tasks = this._data.tasks.filter(t => !removed.includes(t));
+    for (const task of tasks) {
+      if (removed.includes(task)) continue;
+      Object.assign(task, withAssignees(task, getAssigneeIds(task).filter(pid => pid !== id)));
+    }
+    const dependents = this._unlinkPrerequisites(removed.map(t => t.id));
     this._save();
+    for (const task of removed) {
+      this.emit('taskRemoved', { task });
+      this._recordWrite('task', 'delete', task.id, task, null);
+    }
+    for (const before of shared) {
+      const task = this.getTask(before.id);
+      this.emit('taskChanged', { task, fields: changedFields(task, before) });
+      this._recordWrite('task', 'update', task.id, before, task);
+    }
+    this._recordUnlinked(dependents);
+    if (person) {
+      this.emit('personRemoved', { person });
+      this._recordWrite('person', 'delete', id, person, null);
+    }
   }
 
   // --- Task mutations ---
 
   addTask(task) {
-    const newTask = {
+    const newTask = normalizeAssignees({
       id: generateUUID(),
       name: task.name || 'New Task',
       description: task.description || '',
       assigneeId: task.assigneeId,
+      assigneeIds: task.assigneeIds,
       category: task.category || '',
       discoveryPercent: task.discoveryPercent ?? 50,
       executionPercent: task.executionPercent ?? 50,
       expectedDate: task.expectedDate || new Date().toISOString().split('T')[0],
       percentComplete: task.percentComplete ?? 0,
       milestoneId: task.milestoneId || null,
-    };
+      dependsOn: task.dependsOn || [],
+    });
     this._data.tasks.push(newTask);
+    this._gainExperience([], [newTask]);
     this._save();
+    this.emit('taskAdded', { task: newTask });
+    this._recordWrite('task', 'create', newTask.id, null, newTask);
     return newTask;
   }
 
   updateTask(taskId, changes) {
     const task = this.getTask(taskId);
     if (!task) return;
+    const before = { ...task };
+    if ('assigneeIds' in changes || 'assigneeId' in changes) {
+      // Setting assigneeId alone (older callers) makes that person the only assignee
+      const ids = changes.assigneeIds ?? (changes.assigneeId ? [changes.assigneeId] : []);
+      changes = { ...changes, ...withAssignees({}, ids) };
+    }
     Object.assign(task, changes);
+    this._gainExperience([before], [task]);
     this._save();
+    const fields = changedFields(task, before);
+    if (fields.length > 0) this.emit('taskChanged', { task, fields });
+    this._recordWrite('task', 'update', taskId, before, task);
   }
 
   removeTask(taskId) {
+    const task = this.getTask(taskId);
     this._data.tasks = this._data.tasks.filter(t => t.id !== taskId);
     // Remove from milestones
     for (const ms of this._data.milestones) {
       ms.taskIds = ms.taskIds.filter(id => id !== taskId);
     }
+    const dependents = this._unlinkPrerequisites([taskId]);
     this._save();
+    if (task) {
+      this.emit('taskRemoved', { task });
+      this._recordWrite('task', 'delete', taskId, task, null);
+    }
+    this._recordUnlinked(dependents);
+  }
+
+  /**
+   * Drop deleted task IDs from other tasks' dependsOn.
+   * @returns {Array<{task:object, before:object}>} the tasks that changed
+   */
+  _unlinkPrerequisites(removedIds) {
+    const changed = [];
+    for (const t of this._data.tasks) {
+      const dependsOn = t.dependsOn || [];
+      if (!dependsOn.some(id => removedIds.includes(id))) continue;
+      changed.push({ task: t, before: { ...t } });
+      t.dependsOn = dependsOn.filter(id => !removedIds.includes(id));
+    }
+    return changed;
+  }
+
+  _recordUnlinked(changed) {
+    for (const { task, before } of changed) {
+      this.emit('taskChanged', { task, fields: ['dependsOn'] });
+      this._recordWrite('task', 'update', task.id, before, task);
+    }
   }
 
   // --- Milestone mutations ---
@@ -186,33 +601,51 @@ export class Store {
     const ms = {
       id: generateUUID(),
       name: milestone.name || 'New Milestone',
+      dueDate: milestone.dueDate || '',
       taskIds: milestone.taskIds || [],
     };
     this._data.milestones.push(ms);
     this._save();
+    this.emit('milestoneAdded', { milestone: ms });
+    this._recordWrite('milestone', 'create', ms.id, null, ms);
     return ms;
   }
 
   updateMilestone(id, changes) {
     const ms = this.getMilestone(id);
     if (!ms) return;
+    const before = { ...ms };
     Object.assign(ms, changes);
     this._save();
+    const fields = changedFields(ms, before);
+    if (fields.length > 0) this.emit('milestoneChanged', { milestone: ms, fields });
+    this._recordWrite('milestone', 'update', id, before, ms);
   }
 
   removeMilestone(id) {
+    const ms = this.getMilestone(id);
     this._data.milestones = this._data.milestones.filter(m => m.id !== id);
     this._save();
+    if (ms) {
+      this.emit('milestoneRemoved', { milestone: ms });
+      this._recordWrite('milestone', 'delete', id, ms, null);
+    }
   }
 
   // --- Map state mutations ---
 
-  setTileRevealed(col, row) {
-    const key = `${col},${row}`;
-    if (!this._data.mapState.revealedTiles.includes(key)) {
-      this._data.mapState.revealedTiles.push(key);
-      // Don't call _save() per tile — batch from fog system
-    }
+  /**
+   * Persist explored fog (called in batches by the fog system — no event).
+   * @param {{width:number, height:number, revealed:string, cleared:string}} state
+   */
+  saveExplorationState(state) {
+    this._data.mapState.exploration = state;
+    this._persist();
+  }
+
+  resetExploration() {
+    this._data.mapState.exploration = null;
+    this._persist();
   }
 
   saveMapState() {
@@ -236,13 +669,24 @@ export class Store {
 
   resetToSeed() {
     localStorage.removeItem(STORAGE_KEY);
+    const previous = this._data;
     this._data = {
       people: [],
       tasks: [],
       milestones: [],
       resourceTypes: [],
-      mapState: { revealedTiles: [], resourceNodes: [] },
+      mapState: { exploration: null, resourceNodes: [] },
+      synced: null,
+      conflicts: [],
+      experience: {},
+      experienceMarks: {},
     };
-    this.emit('change');
+    for (const [entity, key] of Object.entries(COLLECTIONS)) {
+      this._emitDiff(entity, previous[key], []);
+    }
   }
 }
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
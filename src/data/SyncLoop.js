@@ -0,0 +1,74 @@
+/**
+ * Periodic sync that survives a flaky source: after a failure it retries
+ * sooner, backing off from `retryMs` up to the normal interval, and goes back
+ * to the normal interval once a sync succeeds. Meant for unattended screens
+ * where nobody is there to press "Sync now".
+ */
+export class SyncLoop {
+  /**
+   * @param {{syncFromAdapter: () => Promise<void>}} store
+   * @param {object} opts
+   * @param {number} opts.intervalMs — time between successful syncs
+   * @param {number} opts.retryMs — first retry after a failure
+   */
+  constructor(store, { intervalMs, retryMs }) {
+    this._store = store;
+    this._intervalMs = intervalMs;
+    this._retryMs = Math.min(retryMs, intervalMs);
+    this._failures = 0;
+    this._timer = null;
+    this._errorCallbacks = [];
+    this._recoverCallbacks = [];
+  }
+
+  /** Schedule the next sync — immediately with `{ now: true }`, e.g. after a failed boot sync. */
+  start({ now = false } = {}) {
+    this.stop();
+    this._schedule(now ? 0 : this._intervalMs);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  /** Consecutive failed syncs so far (0 when healthy). */
+  getFailureCount() {
+    return this._failures;
+  }
+
+  /** @param {(err: Error, failures: number) => void} cb */
+  onError(cb) {
+    this._errorCallbacks.push(cb);
+  }
+
+  /** Called when a sync succeeds after one or more failures. */
+  onRecover(cb) {
+    this._recoverCallbacks.push(cb);
+  }
+
+  _schedule(delay) {
+    this._timer = setTimeout(() => this._run(), delay);
+  }
+
+  async _run() {
+    try {
+      await this._store.syncFromAdapter();
+    } catch (err) {
+      this._failures++;
+      for (const cb of this._errorCallbacks) cb(err, this._failures);
+      if (this._timer !== null) this._schedule(this.retryDelay());
+      return;
+    }
+    if (this._failures > 0) {
+      this._failures = 0;
+      for (const cb of this._recoverCallbacks) cb();
+    }
+    if (this._timer !== null) this._schedule(this._intervalMs);
+  }
+
+  /** Wait before the next retry: retryMs, doubling per failure, capped at the interval. */
+  retryDelay() {
+    return Math.min(this._retryMs * 2 ** Math.max(0, this._failures - 1), this._intervalMs);
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Three-way merge between the last synced snapshot (base), the store's
+ * current records (local) and freshly fetched adapter data (remote).
+ *
+ * Per record:
+ *   - added on one side only        → kept
+ *   - deleted on one side, untouched on the other → deleted
+ *   - deleted on one side, edited on the other    → conflict
+ *   - present on all three sides    → merged field by field: a field edited
+ *     on one side takes that side's value, edited identically on both is
+ *     fine, edited differently is a conflict (local value kept meanwhile)
+ * Array fields (milestone taskIds, assignees, out-of-office ranges) merge as
+ * sets of values and never conflict.
+ *
+ * Conflicted fields keep their old base value in the returned snapshot, so
+ * the same conflict is found again on the next sync until it's resolved.
+ *
+ * @typedef {Object} SyncConflict
+ * @property {string} id          — "<entity>:<entityId>"
+ * @property {'person'|'task'|'milestone'} entity
+ * @property {string} entityId
+ * @property {string} name
+ * @property {'changed'|'deletedRemote'|'deletedLocal'} kind
+ * @property {Array<{field:string, base:*, local:*, remote:*}>} fields — for 'changed'
+ * @property {object|null} local  — local record (null when deleted locally)
+ * @property {object|null} remote — remote record (null when deleted remotely)
+ */
+
+/**
+ * @param {'person'|'task'|'milestone'} entity
+ * @param {object[]} base
+ * @param {object[]} local
+ * @param {object[]} remote
+ * @returns {{ records: object[], base: object[], conflicts: SyncConflict[] }}
+ */
+export function mergeCollection(entity, base, local, remote) {
+  const baseById = byId(base);
+  const localById = byId(local);
+  const remoteById = byId(remote);
+
+  const records = [];
+  const nextBase = [];
+  const conflicts = [];
+
+  // Remote order first, then records only known locally or in the base
+  const ids = [...new Set([...remote, ...local, ...base].map(r => r.id))];
+
+  for (const id of ids) {
+    const b = baseById.get(id);
+    const l = localById.get(id);
+    const r = remoteById.get(id);
+
+    if (r && !b) {
+      // New remote record (or created on both sides — the source wins)
+      records.push({ ...r });
+      nextBase.push(r);
+    } else if (r && b && !l) {
+      if (sameValue(r, b)) {
+        nextBase.push(r); // local delete stands until the source changes it
+      } else {
+        conflicts.push(conflict(entity, r, 'deletedLocal', [], null, r));
+        nextBase.push(b);
+      }
+    } else if (r && b && l) {
+      const merged = mergeFields(b, l, r);
+      records.push(merged.record);
+      nextBase.push(merged.base);
+      if (merged.fields.length > 0) {
+        conflicts.push(conflict(entity, l, 'changed', merged.fields, l, r));
+      }
+    } else if (!r && b && l) {
+      if (sameValue(l, b)) continue; // deleted remotely
+      conflicts.push(conflict(entity, l, 'deletedRemote', [], l, null));
+      records.push(l);
+      nextBase.push(b);
+    } else if (!r && !b && l) {
+      records.push(l); // local addition, not synced yet
+    }
+    // Only in base: deleted on both sides
+  }
+
+  return { records, base: nextBase, conflicts };
+}
+
+/**
+ * Field names of `record` that differ from its synced snapshot.
+ * @param {object|undefined} record
+ * @param {object|undefined} baseRecord
+ * @returns {string[]}
+ */
+export function changedFields(record, baseRecord) {
+  if (!record || !baseRecord) return [];
+  const keys = new Set([...Object.keys(record), ...Object.keys(baseRecord)]);
+  return [...keys].filter(key => !sameValue(record[key], baseRecord[key]));
+}
+
+export function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function mergeFields(b, l, r) {
+  const record = { ...l };
+  const base = { ...r };
+  const fields = [];
+  const keys = new Set([...Object.keys(l), ...Object.keys(r)]);
+
+  for (const key of keys) {
+    const bv = b[key];
+    const lv = l[key];
+    const rv = r[key];
+
+    if (Array.isArray(lv) || Array.isArray(rv)) {
+      record[key] = mergeSets(bv || [], lv || [], rv || []);
+    } else if (sameValue(lv, bv)) {
+      record[key] = rv;
+    } else if (sameValue(rv, bv) || sameValue(lv, rv)) {
+      record[key] = lv;
+    } else {
+      fields.push({ field: key, base: bv, local: lv, remote: rv });
+      base[key] = bv;
+    }
+  }
+
+  return { record, base, fields };
+}
+
+/**
+ * Union of both sides, minus anything either side removed since the base.
+ * Items compare by value, so object items (out-of-office ranges) match
+ * their copies from an earlier fetch.
+ */
+function mergeSets(b, l, r) {
+  const lKeys = new Set(l.map(itemKey));
+  const rKeys = new Set(r.map(itemKey));
+  const removed = new Set(b.map(itemKey).filter(k => !lKeys.has(k) || !rKeys.has(k)));
+  const merged = new Map();
+  for (const v of [...l, ...r]) {
+    const key = itemKey(v);
+    if (!removed.has(key) && !merged.has(key)) merged.set(key, v);
+  }
+  return [...merged.values()];
+}
+
+function itemKey(v) {
+  return JSON.stringify(v);
+}
+
+function conflict(entity, record, kind, fields, local, remote) {
+  return {
+    id: `${entity}:${record.id}`,
+    entity,
+    entityId: record.id,
+    name: record.name,
+    kind,
+    fields,
+    local,
+    remote,
+  };
+}
+
+function byId(records) {
+  return new Map(records.map(r => [r.id, r]));
+}
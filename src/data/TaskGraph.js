@@ -0,0 +1,39 @@
+/**
+ * Task dependency helpers. A task's `dependsOn` lists the IDs of tasks that
+ * must reach 100% before units will gather it. IDs that no longer match a
+ * task (deleted prerequisites) are ignored.
+ */
+
+/** Prerequisite tasks of `task` that still exist. */
+export function getPrerequisites(task, allTasks) {
+  const ids = task.dependsOn || [];
+  return allTasks.filter(t => ids.includes(t.id));
+}
+
+/** Prerequisites of `task` that aren't complete yet. */
+export function getBlockingTasks(task, allTasks) {
+  return getPrerequisites(task, allTasks).filter(t => t.percentComplete < 100);
+}
+
+export function isTaskBlocked(task, allTasks) {
+  return getBlockingTasks(task, allTasks).length > 0;
+}
+
+/**
+ * IDs of every task that depends on `taskId`, directly or through a chain.
+ * Picking any of these as a prerequisite of `taskId` would form a cycle.
+ * @returns {Set<string>}
+ */
+export function getDependentIds(taskId, allTasks) {
+  const dependents = new Set();
+  const queue = [taskId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    for (const t of allTasks) {
+      if (dependents.has(t.id) || !(t.dependsOn || []).includes(id)) continue;
+      dependents.add(t.id);
+      queue.push(t.id);
+    }
+  }
+  return dependents;
+}
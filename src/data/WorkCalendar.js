@@ -0,0 +1,220 @@
+import { CONFIG } from '../utils/Config.js';
+import { getCapacity, getOutOfOffice } from './Availability.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const MAX_SEARCH_DAYS = 3650 * 2; // give up looking for working days past this
+
+const formatters = new Map(); // timeZone -> Intl.DateTimeFormat
+
+/**
+ * The team's working calendar: which dates count as working days (not a
+ * weekend, holiday or — for one person — out of office) and arithmetic in
+ * working days between 'YYYY-MM-DD' dates.
+ *
+ * Dates are calendar days in the team's time zone, so a task due
+ * "2026-10-20" is due on that day wherever the viewer's browser is. "Now"
+ * is turned into a date (and a fraction of that day) in the same zone.
+ *
+ * A person's view (forPerson) also skips their out-of-office days, so their
+ * overdue penalties stop growing while they're away — stamina freezes
+ * rather than drains — and carries their `capacity`, the fraction of each
+ * working day they give the team (1 on the team calendar).
+ */
+export class WorkCalendar {
+  /**
+   * @param {object} [opts]
+   * @param {number[]} [opts.weekendDays] — Date.getDay() numbers (0 = Sunday)
+   * @param {string[]} [opts.holidays] — 'YYYY-MM-DD'
+   * @param {string} [opts.timeZone] — IANA zone, e.g. 'Asia/Kolkata'; '' for the browser's own
+   * @param {Object<string, Array<{start:string, end:string}>>} [opts.outOfOffice] —
+   *   per person id, inclusive date ranges
+   * @param {Object<string, number>} [opts.capacity] — per person id, 0..1 (missing = 1)
+   */
+  constructor({ weekendDays = [0, 6], holidays = [], timeZone = '', outOfOffice = {}, capacity = {} } = {}) {
+    this._weekendDays = new Set(weekendDays);
+    this._holidays = new Set(holidays.map(dayNumber).filter(n => n !== null));
+    this._timeZone = timeZone;
+    this._outOfOffice = outOfOffice;
+    this._capacities = capacity;
+    this._personId = null;
+    this._away = []; // this person's ranges as [startDay, endDay]
+    this._config = null; // CONFIG values fromConfig() read, for matchesConfig()
+    this.capacity = 1;
+  }
+
+  /**
+   * The calendar from CONFIG (WEEKEND_DAYS, HOLIDAYS, TIME_ZONE), plus
+   * everyone's availability when given (see Availability.js).
+   * @param {Array<{id:string, capacity?:number, outOfOffice?:Array<{start:string, end:string}>}>} [people]
+   */
+  static fromConfig(people = []) {
+    const outOfOffice = {};
+    const capacity = {};
+    for (const person of people) {
+      const ranges = getOutOfOffice(person);
+      if (ranges.length > 0) outOfOffice[person.id] = ranges;
+      capacity[person.id] = getCapacity(person);
+    }
+    const calendar = new WorkCalendar({
+      weekendDays: CONFIG.WEEKEND_DAYS,
+      holidays: CONFIG.HOLIDAYS,
+      timeZone: CONFIG.TIME_ZONE,
+      outOfOffice,
+      capacity,
+    });
+    calendar._config = [CONFIG.WEEKEND_DAYS, CONFIG.HOLIDAYS, CONFIG.TIME_ZONE];
+    return calendar;
+  }
+
+  /**
+   * Whether CONFIG still holds the settings this calendar was built from —
+   * false once WEEKEND_DAYS, HOLIDAYS or TIME_ZONE is replaced.
+   */
+  matchesConfig() {
+    const current = [CONFIG.WEEKEND_DAYS, CONFIG.HOLIDAYS, CONFIG.TIME_ZONE];
+    return !!this._config && current.every((value, i) => value === this._config[i]);
+  }
+
+  /** The same calendar as seen by one person — their out-of-office days aren't working days. */
+  forPerson(personId) {
+    const view = Object.create(WorkCalendar.prototype);
+    Object.assign(view, this);
+    view._personId = personId;
+    view.capacity = this._capacities[personId] ?? 1;
+    view._away = (this._outOfOffice[personId] || [])
+      .map(range => [dayNumber(range.start), dayNumber(range.end)])
+      .filter(([start, end]) => start !== null && end !== null);
+    return view;
+  }
+
+  /** 'YYYY-MM-DD' of `date` in the team's time zone. */
+  dateKey(date) {
+    return dayKey(this._today(date).day);
+  }
+
+  /** @param {string} key — 'YYYY-MM-DD' */
+  isWorkingDay(key) {
+    const day = dayNumber(key);
+    return day !== null && this._isWorking(day);
+  }
+
+  /** True if `personId` is out of office on `date` (a Date or 'YYYY-MM-DD'). */
+  isOutOfOffice(personId, date) {
+    const day = typeof date === 'string' ? dayNumber(date) : this._today(date).day;
+    return (this._outOfOffice[personId] || []).some(range => {
+      const start = dayNumber(range.start);
+      const end = dayNumber(range.end);
+      return start !== null && end !== null && day >= start && day <= end;
+    });
+  }
+
+  /**
+   * Working days from the start of `key` until `now`, counting today's
+   * elapsed fraction if today is a working day. 0 when `key` is still ahead.
+   * @returns {number|null} null for an unreadable date
+   */
+  workingDaysElapsed(key, now) {
+    const start = dayNumber(key);
+    if (start === null) return null;
+    const { day: today, fraction } = this._today(now);
+    if (start > today) return 0;
+    return this._count(start, today) + (this._isWorking(today) ? fraction : 0);
+  }
+
+  /**
+   * Whole working days until `key`: after today up to and including `key`,
+   * 0 on the day itself, and negative (working days since) once it's passed.
+   * @returns {number|null} null for an unreadable date
+   */
+  workingDaysUntil(key, now) {
+    const target = dayNumber(key);
+    if (target === null) return null;
+    const today = this._today(now).day;
+    if (target >= today) return this._count(today + 1, target + 1);
+    return -this._count(target + 1, today + 1);
+  }
+
+  /**
+   * Working days from `fromKey` to `toKey`: those after `fromKey` up to and
+   * including `toKey` (negative when `toKey` comes first).
+   */
+  workingDaysBetween(fromKey, toKey) {
+    const from = dayNumber(fromKey);
+    const to = dayNumber(toKey);
+    if (from === null || to === null) return null;
+    return to >= from ? this._count(from + 1, to + 1) : -this._count(to + 1, from + 1);
+  }
+
+  /**
+   * The date on which `days` working days from `now` run out. What's left
+   * of today counts first when today is a working day, so on a calendar
+   * without days off this is simply `now` plus `days`.
+   * @returns {string|null} 'YYYY-MM-DD', or null if there aren't enough working days in sight
+   */
+  addWorkingDays(now, days) {
+    const today = this._today(now);
+    let day = today.day;
+    let remaining = this._isWorking(day) ? days - (1 - today.fraction) : days;
+    for (let i = 0; remaining > 1e-9; i++) {
+      if (i >= MAX_SEARCH_DAYS) return null;
+      day++;
+      if (this._isWorking(day)) remaining--;
+    }
+    return dayKey(day);
+  }
+
+  // Working days in [start, end) as day numbers
+  _count(start, end) {
+    let count = 0;
+    for (let day = start; day < end; day++) {
+      if (this._isWorking(day)) count++;
+    }
+    return count;
+  }
+
+  _isWorking(day) {
+    if (this._weekendDays.has(weekday(day)) || this._holidays.has(day)) return false;
+    return !this._away.some(([start, end]) => day >= start && day <= end);
+  }
+
+  // Today's day number in the team's zone, and how much of it has passed
+  _today(now) {
+    if (!this._timeZone) {
+      const day = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()) / MS_PER_DAY;
+      const seconds = now.getHours() * 3600 + now.getMinutes() * 60 + now.getSeconds();
+      return { day, fraction: seconds / 86400 };
+    }
+    const parts = {};
+    for (const part of formatterFor(this._timeZone).formatToParts(now)) parts[part.type] = Number(part.value);
+    const day = Date.UTC(parts.year, parts.month - 1, parts.day) / MS_PER_DAY;
+    return { day, fraction: (parts.hour * 3600 + parts.minute * 60 + parts.second) / 86400 };
+  }
+}
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Days since 1970-01-01 for a 'YYYY-MM-DD' date (anything after the date is ignored)
+function dayNumber(key) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(key || '');
+  if (!match) return null;
+  return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / MS_PER_DAY;
+}
+
+function dayKey(day) {
+  return new Date(day * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+// 1970-01-01 was a Thursday
+function weekday(day) {
+  return (((day + 4) % 7) + 7) % 7;
+}
@@ -0,0 +1,119 @@
+import { computeStaminaBreakdown, IDEAL_DISCOVERY } from './ResourceCalculator.js';
+import { isAssignedTo, reassign } from './Assignees.js';
+import { WorkCalendar } from './WorkCalendar.js';
+
+const MIN_GAIN = 0.005; // smaller improvements aren't worth a reassignment
+const EPSILON = 1e-9;
+
+/**
+ * Workload rebalancing: proposes moving tasks between people so the team's
+ * lowest stamina goes up, and — when that's level — each person's scout /
+ * gather mix sits closer to IDEAL_DISCOVERY.
+ *
+ * Greedy search: every open task is tried on every person at least as fresh
+ * as its assignee, the best move is kept, and the search runs again on the
+ * result. Suggestions build on each other in order; none lowers the team
+ * minimum.
+ *
+ * @typedef {Object} ReassignSuggestion
+ * @property {string} taskId
+ * @property {string} taskName
+ * @property {string} fromId
+ * @property {string} toId
+ * @property {{before:number, after:number}} from       — giver's stamina
+ * @property {{before:number, after:number}} to         — receiver's stamina
+ * @property {{before:number, after:number}} teamMin    — lowest stamina on the team
+ */
+
+/**
+ * @param {object[]} people
+ * @param {object[]} tasks
+ * @param {Date} [now]
+ * @param {{limit?: number, calendar?: WorkCalendar}} [options] — `calendar`
+ *   carries everyone's days off (store.getCalendar())
+ * @returns {ReassignSuggestion[]}
+ */
+export function suggestReassignments(people, tasks, now = new Date(), { limit = 5, calendar = WorkCalendar.fromConfig(people) } = {}) {
+  const workloads = new Map(people.map(p => [p.id, tasks.filter(t => isAssignedTo(t, p.id))]));
+  const calendars = new Map(people.map(p => [p.id, calendar.forPerson(p.id)]));
+  const evaluate = (id, list) => evaluateWorkload(list, now, calendars.get(id));
+  const state = new Map([...workloads].map(([id, list]) => [id, evaluate(id, list)]));
+  const suggestions = [];
+
+  while (suggestions.length < limit) {
+    const current = score(state);
+    let best = null;
+
+    for (const [fromId, fromTasks] of workloads) {
+      for (const task of fromTasks) {
+        if (task.percentComplete >= 100) continue;
+        const fromAfter = evaluate(fromId, fromTasks.filter(t => t !== task));
+
+        for (const [toId, toTasks] of workloads) {
+          // Work only flows to someone at least as fresh. Stamina averages
+          // over tasks, so handing a tired person an easy task would "help"
+          // them on paper while adding to their load.
+          if (toId === fromId || state.get(toId).stamina < state.get(fromId).stamina) continue;
+          if (isAssignedTo(task, toId)) continue; // already sharing it
+          const toAfter = evaluate(toId, [...toTasks, task]);
+          const result = score(state, { [fromId]: fromAfter, [toId]: toAfter });
+          if (!improves(result, current)) continue;
+          if (best && compare(result, best.result) <= 0) continue;
+          best = { task, fromId, toId, fromAfter, toAfter, result };
+        }
+      }
+    }
+    if (!best) break;
+
+    const { task, fromId, toId, fromAfter, toAfter, result } = best;
+    suggestions.push({
+      taskId: task.id,
+      taskName: task.name,
+      fromId,
+      toId,
+      from: { before: state.get(fromId).stamina, after: fromAfter.stamina },
+      to: { before: state.get(toId).stamina, after: toAfter.stamina },
+      teamMin: { before: current.min, after: result.min },
+    });
+
+    const moved = reassign(task, fromId, toId);
+    workloads.set(fromId, workloads.get(fromId).filter(t => t !== task));
+    workloads.set(toId, [...workloads.get(toId), moved]);
+    state.set(fromId, fromAfter);
+    state.set(toId, toAfter);
+  }
+
+  return suggestions;
+}
+
+function evaluateWorkload(tasks, now, calendar) {
+  const breakdown = computeStaminaBreakdown(tasks, now, calendar);
+  return {
+    stamina: tasks.length === 0 ? 1 : breakdown.total,
+    // Nobody is unbalanced with nothing on their plate
+    deviation: tasks.length === 0 ? 0 : Math.abs(breakdown.discoveryRatio - IDEAL_DISCOVERY),
+  };
+}
+
+/** Team minimum stamina and total discovery deviation, with some people swapped out. */
+function score(state, overrides = {}) {
+  let min = 1;
+  let deviation = 0;
+  for (const [id, entry] of state) {
+    const { stamina, deviation: d } = overrides[id] || entry;
+    min = Math.min(min, stamina);
+    deviation += d;
+  }
+  return { min, deviation };
+}
+
+// Worth suggesting: never lowers the minimum, and raises it or evens out phases
+function improves(result, current) {
+  if (result.min < current.min - EPSILON) return false;
+  return result.min >= current.min + MIN_GAIN || result.deviation <= current.deviation - MIN_GAIN;
+}
+
+function compare(a, b) {
+  if (Math.abs(a.min - b.min) > EPSILON) return a.min - b.min;
+  return b.deviation - a.deviation;
+}
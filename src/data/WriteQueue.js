@@ -0,0 +1,144 @@
+import { generateUUID } from '../utils/Math.js';
+
+const QUEUE_KEY = 'workrpg-write-queue';
+
+/**
+ * Local edits waiting to be pushed back to a writable data source.
+ *
+ * Each op records one create / update / delete of a person, task or
+ * milestone, with snapshots of the record before and after the edit
+ * (sources like Google Sheets find rows by their old values).
+ *
+ * Edits to the same record coalesce while they wait — e.g. create + update
+ * is still one create, create + delete cancels out. Ops persist in
+ * localStorage so changes made offline survive a reload.
+ *
+ * @typedef {Object} WriteOp
+ * @property {string} id
+ * @property {'person'|'task'|'milestone'} entity
+ * @property {'create'|'update'|'delete'} action
+ * @property {string} entityId
+ * @property {object|null} before — record before the first queued edit (null for create)
+ * @property {object|null} after  — record after the latest edit (null for delete)
+ * @property {'pending'|'sending'|'failed'} status
+ * @property {string} error — reason the source rejected the op, when failed
+ */
+export class WriteQueue {
+  constructor() {
+    /** @type {WriteOp[]} */
+    this._ops = [];
+    this._load();
+  }
+
+  _load() {
+    try {
+      const raw = localStorage.getItem(QUEUE_KEY);
+      if (raw) {
+        const parsed = JSON.parse(raw);
+        if (Array.isArray(parsed)) this._ops = parsed;
+        // A push interrupted by a reload never got its results
+        for (const op of this._ops) {
+          if (op.status === 'sending') op.status = 'pending';
+        }
+      }
+    } catch { /* ignore corrupt data */ }
+  }
+
+  _save() {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(this._ops));
+  }
+
+  /**
+   * Queue an edit, merging it into any waiting op for the same record.
+   * @param {{entity:string, action:string, entityId:string, before:object|null, after:object|null}} edit
+   */
+  enqueue(edit) {
+    // Ops already on their way can't change — later edits get their own op
+    const existing = this._ops.find(op =>
+      op.entity === edit.entity && op.entityId === edit.entityId && op.status !== 'sending');
+
+    if (!existing) {
+      this._ops.push({
+        id: generateUUID(),
+        entity: edit.entity,
+        action: edit.action,
+        entityId: edit.entityId,
+        before: edit.before ? { ...edit.before } : null,
+        after: edit.after ? { ...edit.after } : null,
+        status: 'pending',
+        error: '',
+      });
+    } else if (existing.action === 'create' && edit.action === 'delete') {
+      // Never reached the source — nothing to send
+      this._ops = this._ops.filter(op => op !== existing);
+    } else {
+      if (edit.action === 'delete') existing.action = 'delete';
+      existing.after = edit.after ? { ...edit.after } : null;
+      existing.status = 'pending';
+      existing.error = '';
+    }
+
+    this._save();
+  }
+
+  /** @returns {WriteOp[]} every queued op, oldest first */
+  getOps() { return this._ops; }
+
+  /** @returns {WriteOp[]} ops waiting to be sent */
+  getPending() { return this._ops.filter(op => op.status === 'pending'); }
+
+  /** @returns {WriteOp[]} ops the source rejected */
+  getFailed() { return this._ops.filter(op => op.status === 'failed'); }
+
+  /** Mark ops as handed to the source; they no longer absorb new edits. */
+  markSending(ops) {
+    for (const op of ops) op.status = 'sending';
+    this._save();
+  }
+
+  /** Return ops to pending after the source couldn't be reached. */
+  release(ops) {
+    for (const op of ops) {
+      if (op.status === 'sending') op.status = 'pending';
+    }
+    this._save();
+  }
+
+  /**
+   * Apply per-op results from the source: accepted ops leave the queue,
+   * rejected ones stay as failed until retried or discarded.
+   * @param {Array<{id:string, ok:boolean, error?:string}>} results
+   */
+  applyResults(results) {
+    for (const result of results) {
+      const op = this._ops.find(o => o.id === result.id);
+      if (!op) continue;
+      if (result.ok) {
+        this._ops = this._ops.filter(o => o !== op);
+      } else {
+        op.status = 'failed';
+        op.error = result.error || 'Rejected by the data source';
+      }
+    }
+    // Ops the source didn't answer for are tried again next flush
+    this.release(this._ops);
+  }
+
+  retry(opId) {
+    const op = this._ops.find(o => o.id === opId);
+    if (!op) return;
+    op.status = 'pending';
+    op.error = '';
+    this._save();
+  }
+
+  discard(opId) {
+    this._ops = this._ops.filter(o => o.id !== opId);
+    this._save();
+  }
+
+  clear() {
+    this._ops = [];
+    this._save();
+  }
+}
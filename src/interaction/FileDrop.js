@@ -0,0 +1,51 @@
+/**
+ * Accepts CSV / JSON files dragged onto the map.
+ * Shows a hint overlay while a file is held over the target.
+ */
+export class FileDrop {
+  /**
+   * @param {HTMLElement} target — element that receives drops (the canvas)
+   * @param {HTMLElement} container — where the overlay is shown
+   */
+  constructor(target, container) {
+    this._dropCallbacks = [];
+    this._depth = 0;
+
+    this.el = document.createElement('div');
+    this.el.className = 'file-drop-overlay';
+    this.el.textContent = 'Drop CSV or JSON to import';
+    container.appendChild(this.el);
+
+    target.addEventListener('dragenter', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      this._depth++;
+      this.el.classList.add('visible');
+    });
+    target.addEventListener('dragover', (e) => {
+      if (hasFiles(e)) e.preventDefault();
+    });
+    target.addEventListener('dragleave', () => {
+      this._depth = Math.max(0, this._depth - 1);
+      if (this._depth === 0) this.el.classList.remove('visible');
+    });
+    target.addEventListener('drop', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      this._depth = 0;
+      this.el.classList.remove('visible');
+
+      const files = [...e.dataTransfer.files].filter(f => /\.(csv|json)$/i.test(f.name));
+      if (files.length === 0) return;
+      for (const cb of this._dropCallbacks) cb(files);
+    });
+  }
+
+  onDrop(cb) {
+    this._dropCallbacks.push(cb);
+  }
+}
+
+function hasFiles(e) {
+  return e.dataTransfer && [...e.dataTransfer.types].includes('Files');
+}
@@ -0,0 +1,65 @@
+/**
+ * Global keyboard shortcuts. Single keys are ignored while typing in a form
+ * field; combos with Ctrl / Cmd ("mod") and Escape work everywhere.
+ * Bindings carry a description so the help overlay can list them.
+ */
+export class KeyboardShortcuts {
+  constructor() {
+    this._bindings = []; // { combo, keys, description, handler }
+    window.addEventListener('keydown', (e) => this._onKeyDown(e));
+  }
+
+  /**
+   * @param {string} combo — a key as in KeyboardEvent.key ('q', 'escape', '?'),
+   *   optionally prefixed with 'mod+' for Ctrl on Windows / Linux and Cmd on Mac
+   * @param {string} description — shown in the help overlay
+   * @param {(e: KeyboardEvent) => void} handler
+   */
+  bind(combo, description, handler) {
+    this._bindings.push({ combo: combo.toLowerCase(), keys: keyLabel(combo), description, handler });
+  }
+
+  /** List keys handled elsewhere (e.g. camera panning) in the help overlay. */
+  describe(keys, description) {
+    this._bindings.push({ combo: null, keys, description, handler: null });
+  }
+
+  /** @returns {Array<{keys:string, description:string}>} in binding order */
+  getBindings() {
+    return this._bindings.map(({ keys, description }) => ({ keys, description }));
+  }
+
+  _onKeyDown(e) {
+    const key = e.key.toLowerCase();
+    const mod = e.ctrlKey || e.metaKey;
+    const typing = isTypingTarget(e.target);
+
+    for (const binding of this._bindings) {
+      if (!binding.combo) continue;
+      const wantsMod = binding.combo.startsWith('mod+');
+      const bindingKey = wantsMod ? binding.combo.slice(4) : binding.combo;
+      if (bindingKey !== key || wantsMod !== mod || e.altKey) continue;
+      if (typing && !wantsMod && key !== 'escape') continue;
+      e.preventDefault();
+      binding.handler(e);
+      return;
+    }
+  }
+}
+
+/** True while focus is somewhere keystrokes are text, not commands. */
+export function isTypingTarget(el) {
+  return !!el && (el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName));
+}
+
+function keyLabel(combo) {
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+  return combo
+    .split('+')
+    .map(part => {
+      if (part.toLowerCase() === 'mod') return isMac ? '⌘' : 'Ctrl';
+      if (part.toLowerCase() === 'escape') return 'Esc';
+      return part.length === 1 ? part.toUpperCase() : part;
+    })
+    .join(' + ');
+}
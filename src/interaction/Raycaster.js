@@ -15,6 +15,8 @@ export class Raycaster {
     this._structureClickCallbacks = [];
     this._hoveredId = null;
     this._hoveredType = null; // 'avatar' | 'resource' | 'structure'
+    this._hoverEnabled = true;
+    this._suppressClick = false;
 
     const canvas = renderer.domElement;
     canvas.addEventListener('click', (e) => this._onClick(e));
@@ -48,16 +50,38 @@ export class Raycaster {
     return null;
   }
 
-  _onClick(e) {
-    if (e.target !== this.renderer.domElement) return;
-
+  /**
+   * What's under the pointer — `{type, id}` for the nearest avatar,
+   * resource node or structure, or null.
+   */
+  pick(e) {
     this._getNDC(e);
     const hits = this._raycast();
+    return hits.length > 0 ? this._classifyHit(hits[0]) : null;
+  }
 
-    if (hits.length > 0) {
-      const info = this._classifyHit(hits[0]);
-      if (!info) return;
+  /** Pause hover highlighting (e.g. while something else owns the highlight). */
+  setHoverEnabled(enabled) {
+    this._hoverEnabled = enabled;
+    if (!enabled) this._clearHover();
+  }
 
+  /** Swallow the click that ends a drag gesture — call from its pointerup. */
+  suppressNextClick() {
+    this._suppressClick = true;
+    // The click follows pointerup in the same task; don't eat a later one
+    setTimeout(() => { this._suppressClick = false; }, 0);
+  }
+
+  _onClick(e) {
+    if (this._suppressClick) {
+      this._suppressClick = false;
+      return;
+    }
+    if (e.target !== this.renderer.domElement) return;
+
+    const info = this.pick(e);
+    if (info) {
       if (info.type === 'avatar') {
         for (const cb of this._avatarClickCallbacks) cb(info.id);
       } else if (info.type === 'resource') {
@@ -69,7 +93,7 @@ export class Raycaster {
   }
 
   _onMouseMove(e) {
-    if (e.target !== this.renderer.domElement) return;
+    if (e.target !== this.renderer.domElement || !this._hoverEnabled) return;
 
     this._getNDC(e);
     const hits = this._raycast();
@@ -0,0 +1,199 @@
+import { computeReassignImpact } from '../data/ResourceCalculator.js';
+import { isAssignedTo, reassign } from '../data/Assignees.js';
+import { renderStaminaChange } from '../ui/StaminaChange.js';
+import { esc } from '../utils/Html.js';
+
+const DRAG_THRESHOLD = 6; // px the pointer must travel before a press becomes a drag
+
+/**
+ * Reassigns a task by dragging it onto a unit. Press on a resource node, or
+ * on a task row marked `data-drag-task-id` in a panel, and drop it on another
+ * person's avatar. The avatar under the pointer lights up when it's a valid
+ * target; dropping asks for confirmation, showing both people's stamina
+ * before and after the move.
+ *
+ * On a shared task only one assignee is swapped out: the one whose panel the
+ * row came from (`data-drag-from-id`), otherwise the primary assignee.
+ */
+export class TaskDrag {
+  /**
+   * @param {HTMLElement} container — UI root; holds the task rows, ghost and confirm card
+   * @param {import('../data/Store.js').Store} store
+   * @param {import('./Raycaster.js').Raycaster} raycaster
+   * @param {import('../units/UnitManager.js').UnitManager} unitManager
+   */
+  constructor(container, store, raycaster, unitManager) {
+    this.store = store;
+    this.raycaster = raycaster;
+    this.unitManager = unitManager;
+    this._canvas = raycaster.renderer.domElement;
+    this._enabled = true;
+    this._press = null; // { taskId, fromId, x, y, fromMap } until the pointer is released
+    this._dragging = false;
+    this._targetId = null;
+
+    this.ghost = document.createElement('div');
+    this.ghost.className = 'task-drag-ghost';
+    container.appendChild(this.ghost);
+
+    this.confirmEl = document.createElement('div');
+    this.confirmEl.className = 'task-drag-confirm';
+    container.appendChild(this.confirmEl);
+
+    this._canvas.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || !this._enabled) return;
+      const info = this.raycaster.pick(e);
+      if (info && info.type === 'resource') this._startPress(info.id, null, e, true);
+    });
+    container.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0 || !this._enabled) return;
+      const row = e.target.closest('[data-drag-task-id]');
+      if (row && !e.target.closest('button, a, input, select')) {
+        this._startPress(row.dataset.dragTaskId, row.dataset.dragFromId || null, e, false);
+      }
+    });
+    window.addEventListener('pointermove', (e) => this._onPointerMove(e));
+    window.addEventListener('pointerup', (e) => this._onPointerUp(e));
+    window.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape') return;
+      this._cancel();
+      this.closeConfirm();
+    });
+  }
+
+  /** Turn dragging off (e.g. during timeline replay) or back on. */
+  setEnabled(enabled) {
+    this._enabled = enabled;
+    if (!enabled) {
+      this._cancel();
+      this.closeConfirm();
+    }
+  }
+
+  closeConfirm() {
+    this.confirmEl.classList.remove('open');
+  }
+
+  _startPress(taskId, fromId, e, fromMap) {
+    const task = this.store.getTask(taskId);
+    if (!task) return;
+    this._press = { taskId, fromId: fromId || task.assigneeId, x: e.clientX, y: e.clientY, fromMap };
+  }
+
+  _onPointerMove(e) {
+    if (!this._press) return;
+    if (!this.store.getTask(this._press.taskId)) {
+      this._cancel(); // deleted by a sync mid-drag
+      return;
+    }
+
+    if (!this._dragging) {
+      const moved = Math.hypot(e.clientX - this._press.x, e.clientY - this._press.y);
+      if (moved < DRAG_THRESHOLD) return;
+      this._beginDrag();
+    }
+
+    this.ghost.style.left = `${e.clientX}px`;
+    this.ghost.style.top = `${e.clientY}px`;
+    this._setTarget(this._validTargetAt(e));
+  }
+
+  _onPointerUp(e) {
+    if (!this._press) return;
+    const press = this._press;
+    const targetId = this._dragging ? this._validTargetAt(e) : null;
+
+    if (this._dragging && press.fromMap) this.raycaster.suppressNextClick();
+    this._cancel();
+    if (targetId) this._openConfirm(press.taskId, press.fromId, targetId, e.clientX, e.clientY);
+  }
+
+  _beginDrag() {
+    const task = this.store.getTask(this._press.taskId);
+    this._dragging = true;
+    this.closeConfirm();
+    this.raycaster.setHoverEnabled(false);
+    window.getSelection()?.removeAllRanges();
+    document.body.classList.add('task-dragging');
+    this.ghost.textContent = task.name;
+    this.ghost.classList.add('visible');
+  }
+
+  _cancel() {
+    if (this._dragging) {
+      this._setTarget(null);
+      this.ghost.classList.remove('visible');
+      document.body.classList.remove('task-dragging');
+      this.raycaster.setHoverEnabled(true);
+    }
+    this._dragging = false;
+    this._press = null;
+  }
+
+  /** Person id of the avatar under the pointer, if the task can go to them. */
+  _validTargetAt(e) {
+    // Panels sit over the canvas — only raycast where the map is showing
+    if (document.elementFromPoint(e.clientX, e.clientY) !== this._canvas) return null;
+    const info = this.raycaster.pick(e);
+    if (!info || info.type !== 'avatar') return null;
+    const task = this.store.getTask(this._press.taskId);
+    return task && !isAssignedTo(task, info.id) ? info.id : null;
+  }
+
+  _setTarget(personId) {
+    if (personId === this._targetId) return;
+    const avatars = this.unitManager.getAvatars();
+    if (this._targetId) avatars.get(this._targetId)?.unhighlight();
+    this._targetId = personId;
+    if (personId) avatars.get(personId)?.highlight();
+
+    const task = this.store.getTask(this._press.taskId);
+    const person = personId ? this.store.getPerson(personId) : null;
+    if (task) this.ghost.textContent = person ? `${task.name} → ${person.name.split(' ')[0]}` : task.name;
+    this.ghost.classList.toggle('over-target', !!person);
+  }
+
+  _openConfirm(taskId, fromId, toId, x, y) {
+    const task = this.store.getTask(taskId);
+    const from = fromId ? this.store.getPerson(fromId) : null;
+    const to = this.store.getPerson(toId);
+    if (!to) return;
+
+    const impact = computeReassignImpact(
+      task,
+      from ? this.store.getTasksForPerson(from.id) : null,
+      this.store.getTasksForPerson(to.id),
+      new Date(),
+      { from: from ? this.store.getCalendar(from.id) : null, to: this.store.getCalendar(to.id) },
+    );
+
+    this.confirmEl.innerHTML = `
+      <div class="task-drag-confirm-title">Reassign ${esc(task.name)}?</div>
+      ${from ? renderImpactRow(from, impact.from) : '<div class="task-drag-confirm-row"><span>Unassigned</span></div>'}
+      ${renderImpactRow(to, impact.to)}
+      <div class="task-drag-confirm-actions">
+        <button class="task-drag-cancel">Cancel</button>
+        <button class="task-drag-apply">Reassign</button>
+      </div>
+    `;
+    this.confirmEl.style.left = `${x}px`;
+    this.confirmEl.style.top = `${y}px`;
+    this.confirmEl.classList.add('open');
+
+    this.confirmEl.querySelector('.task-drag-cancel').addEventListener('click', () => this.closeConfirm());
+    this.confirmEl.querySelector('.task-drag-apply').addEventListener('click', () => {
+      this.closeConfirm();
+      this.store.updateTask(taskId, { assigneeIds: reassign(task, fromId, toId).assigneeIds });
+    });
+  }
+}
+
+function renderImpactRow(person, change) {
+  return `
+    <div class="task-drag-confirm-row">
+      <span class="contributor-swatch" style="background:${person.color};"></span>
+      <span class="task-drag-confirm-name">${esc(person.name)}</span>
+      ${renderStaminaChange(change)}
+    </div>
+  `;
+}
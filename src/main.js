@@ -1,26 +1,48 @@
 import { SceneManager } from './scene/SceneManager.js';
 import { CameraControls } from './scene/CameraControls.js';
+import { CameraTour, buildTourStops } from './scene/CameraTour.js';
 import { Store } from './data/Store.js';
 import { SeedAdapter } from './data/SeedAdapter.js';
 import { GoogleSheetsAdapter } from './data/GoogleSheetsAdapter.js';
+import { JiraAdapter } from './data/JiraAdapter.js';
+import { GitHubAdapter } from './data/GitHubAdapter.js';
+import { FileAdapter } from './data/FileAdapter.js';
+import { WorkCalendar } from './data/WorkCalendar.js';
 import { GameGrid } from './map/GameGrid.js';
 import { TerrainGenerator } from './map/TerrainGenerator.js';
+import { MapPlacements } from './map/MapPlacements.js';
+import { RoadPlanner } from './map/RoadPlanner.js';
 import { GameMap } from './map/GameMap.js';
 import { FogOfWar } from './map/FogOfWar.js';
+import { MapOverlay } from './map/MapOverlay.js';
 import { Base } from './map/Base.js';
 import { UnitManager } from './units/UnitManager.js';
+import { SIM_SECONDS_PER_HOUR } from './units/UnitSimulation.js';
 import { AnimalManager } from './units/AnimalManager.js';
 import { Raycaster } from './interaction/Raycaster.js';
 import { Tooltip } from './interaction/Tooltip.js';
+import { FileDrop } from './interaction/FileDrop.js';
+import { TaskDrag } from './interaction/TaskDrag.js';
+import { KeyboardShortcuts } from './interaction/KeyboardShortcuts.js';
 import { Toolbar } from './ui/Toolbar.js';
 import { EditorPanel } from './ui/EditorPanel.js';
 import { SettingsPanel } from './ui/SettingsPanel.js';
 import { DetailPanel } from './ui/DetailPanel.js';
 import { StructurePopup } from './ui/StructurePopup.js';
+import { ResourcePopup } from './ui/ResourcePopup.js';
+import { ImportReport } from './ui/ImportReport.js';
+import { WriteQueuePanel } from './ui/WriteQueuePanel.js';
+import { ConflictPanel } from './ui/ConflictPanel.js';
+import { Minimap } from './ui/Minimap.js';
+import { AdvisorPanel } from './ui/AdvisorPanel.js';
+import { CommandPalette } from './ui/CommandPalette.js';
+import { ShortcutHelp } from './ui/ShortcutHelp.js';
 import { CONFIG } from './utils/Config.js';
 import { resourceColorForCategory } from './utils/Colors.js';
-import { computeStructureProgress } from './data/ResourceCalculator.js';
 import { THEME, THEME_NIGHT } from './utils/Theme.js';
+import { parseUrlParams, applyUrlParams } from './utils/UrlParams.js';
+import { SyncLoop } from './data/SyncLoop.js';
+import { WorkClock } from './utils/WorkClock.js';
 
 // ─── Spawn Sequencer ─────────────────────────────────────────────────────────
 // Drives the "characters emerging from the base" intro sequence.
@@ -158,8 +180,22 @@ class SpawnSequencer {
   }
 }
 
+// ─── Data source ─────────────────────────────────────────────────────────────
+
+function createAdapter(dataSource) {
+  switch (dataSource) {
+    case 'google-sheets': return new GoogleSheetsAdapter();
+    case 'jira': return new JiraAdapter();
+    case 'github': return new GitHubAdapter();
+    case 'file': return new FileAdapter();
+    default: return new SeedAdapter();
+  }
+}
+
 // ─── Boot ────────────────────────────────────────────────────────────────────
 
+const EXPLORATION_SAVE_MS = 2000;  // how often newly explored fog is persisted
+
 async function boot() {
   const canvas = document.getElementById('scene');
   const uiRoot = document.getElementById('ui-root');
@@ -173,14 +209,25 @@ async function boot() {
 
   // --- Data (load saved settings before creating adapter) ---
   const savedSettings = SettingsPanel.loadSettings();
-  if (savedSettings.dataSource) CONFIG.DATA_SOURCE = savedSettings.dataSource;
-  if (savedSettings.sheetId) CONFIG.GOOGLE_SHEET_ID = savedSettings.sheetId;
+  SettingsPanel.applyToConfig(savedSettings);
+
+  // URL parameters (wall screens, kiosk mode) win over saved settings
+  const urlParams = parseUrlParams(window.location.search);
+  for (const warning of urlParams.warnings) console.warn('[url]', warning);
+  applyUrlParams(urlParams);
+  document.body.classList.toggle('kiosk', urlParams.kiosk);
+  document.body.classList.toggle('hide-ui', urlParams.hideUI);
 
-  let adapter = CONFIG.DATA_SOURCE === 'google-sheets'
-    ? new GoogleSheetsAdapter()
-    : new SeedAdapter();
+  const adapter = createAdapter(CONFIG.DATA_SOURCE);
   const store = new Store(adapter);
-  await store.syncFromAdapter();
+  let bootSyncFailed = false;
+  try {
+    await store.syncFromAdapter();
+  } catch (err) {
+    // Show what was saved last time; the sync loop below keeps retrying
+    console.error('[sync] Initial sync failed, showing saved data:', err);
+    bootSyncFailed = true;
+  }
 
   // --- Grid + Terrain ---
   const mapSize = CONFIG.MAP_SIZE;
@@ -188,13 +235,12 @@ async function boot() {
   const terrainGen = new TerrainGenerator();
   terrainGen.generate(grid);
 
-  // Place resource nodes from tasks
-  const tasks = store.getTasks();
-  const resourceNodePositions = terrainGen.placeResourceNodes(grid, tasks);
-
-  // Place structures from milestones
-  const milestones = store.getMilestones();
-  const structurePositions = terrainGen.placeStructures(grid, milestones);
+  // Place resource nodes from tasks and structures from milestones; later
+  // store changes add, remove and move them incrementally
+  const placements = new MapPlacements(grid, terrainGen);
+  placements.sync(store.getTasks(), store.getMilestones());
+  const resourceNodePositions = placements.getResourceNodePositions();
+  const structurePositions = placements.getStructurePositions();
 
   // --- Map renderer (no textures — flat matte colors) ---
   const gameMap = new GameMap(grid, null);
@@ -202,70 +248,57 @@ async function boot() {
   gameMap.getGroup().position.set(offset.x, 0, offset.z);
   scene.add(gameMap.getGroup());
 
-  // Add resource node visuals
+  // Add resource node visuals. Nodes and structures render from simulated
+  // progress (owned by UnitManager), which starts at each task's real
+  // percentComplete on load and climbs toward it as units work after that.
   for (const node of resourceNodePositions) {
     const color = resourceColorForCategory(node.resourceType);
     gameMap.addResourceNode(node.taskId, node.col, node.row, color);
-    if (node.depleted) gameMap.setResourceNodeDepleted(node.taskId);
   }
 
   // Add structure visuals
   for (const sp of structurePositions) {
-    const ms = store.getMilestone(sp.milestoneId);
     gameMap.addStructure(sp.milestoneId, sp.col, sp.row);
-    if (ms) {
-      const progress = computeStructureProgress(ms, store.getTasks());
-      gameMap.setStructureProgress(sp.milestoneId, progress);
-    }
   }
 
+  // Task dependencies as roads between nodes
+  const roadPlanner = new RoadPlanner(grid);
+  const updateRoads = () => {
+    gameMap.setRoads(roadPlanner.plan(placements.getResourceNodePositions(), store.getTasks()));
+  };
+
   // --- Fog of War ---
   const fog = new FogOfWar(grid);
   fog.getGroup().position.set(offset.x, 0, offset.z);
   scene.add(fog.getGroup());
 
-  // Reveal base area
+  // Data overlay layers sit just under the fog
+  const overlay = new MapOverlay(grid);
+  overlay.getGroup().position.set(offset.x, 0, offset.z);
+  scene.add(overlay.getGroup());
+
+  // Reveal base area, then whatever units explored in earlier sessions
   const center = Math.floor(mapSize / 2);
   fog.revealRadius(center, center, CONFIG.BASE_RADIUS + 8);
+  fog.restoreExplorationState(store.getExplorationState());
+
+  // Persist newly explored tiles in batches rather than every frame
+  const saveExploration = () => {
+    if (fog.consumeExplorationChange()) store.saveExplorationState(fog.getExplorationState());
+  };
+  setInterval(saveExploration, EXPLORATION_SAVE_MS);
+  window.addEventListener('beforeunload', saveExploration);
 
   // --- Base ---
   const base = new Base(grid, center, center, CONFIG.BASE_RADIUS);
   base.getGroup().position.set(offset.x, 0, offset.z);
   scene.add(base.getGroup());
 
-  // Block castle wall tiles — square layout matching Base.js geometry
-  // Walls are straight segments at wallOffset from center, not a circular ring
-  const wo = CONFIG.BASE_RADIUS * 0.7; // wallOffset from Base.js
-  const wallTileInner = Math.floor(wo);  // inner tile line
-  const wallTileOuter = Math.ceil(wo);   // outer tile line
-  const wallExtent = wallTileOuter;      // wall runs ±wallExtent from center
-  const gateHalf = 1;                    // gate corridor: 1 tile wide
-
-  // Block tiles along the 4 wall lines (2 tiles thick where fractional)
-  const wallLines = [wallTileInner];
-  if (wallTileOuter !== wallTileInner) wallLines.push(wallTileOuter);
-
-  for (const w of wallLines) {
-    for (let i = -wallExtent; i <= wallExtent; i++) {
-      // N/S walls (horizontal): skip gate at dx=0
-      if (Math.abs(i) >= gateHalf) {
-        grid.setTile(center + i, center + w, { blocked: true });
-        grid.setTile(center + i, center - w, { blocked: true });
-      }
-      // E/W walls (vertical): skip gate at dz=0
-      if (Math.abs(i) >= gateHalf) {
-        grid.setTile(center + w, center + i, { blocked: true });
-        grid.setTile(center - w, center + i, { blocked: true });
-      }
-    }
-  }
+  // Block castle wall and keep tiles
+  base.blockTiles();
 
-  // Block central keep (2×2 footprint → 3×3 tile area)
-  for (let dr = -1; dr <= 1; dr++) {
-    for (let dc = -1; dc <= 1; dc++) {
-      grid.setTile(center + dc, center + dr, { blocked: true });
-    }
-  }
+  // Route roads once the castle walls are blocked off
+  updateRoads();
 
   // --- Camera controls ---
   const bounds = gameMap.getBounds();
@@ -278,6 +311,7 @@ async function boot() {
     centerZ: bounds.centerZ + offset.z,
   };
   const cameraControls = new CameraControls(camera, renderer, adjustedBounds);
+  const cameraTour = new CameraTour();
 
   // --- Units (all start hidden — spawn sequencer reveals them) ---
   const unitManager = new UnitManager(scene, grid, gameMap, fog, store, base);
@@ -286,6 +320,12 @@ async function boot() {
   unitManager.setResourceNodePositions(resourceNodePositions);
   unitManager.setStructurePositions(structurePositions);
   unitManager.refresh();
+  // Open on the team's real progress; tasks added later start empty and
+  // are gathered up by the units
+  unitManager.catchUp();
+  for (const sp of structurePositions) {
+    unitManager.updateStructureProgress(sp.milestoneId);
+  }
 
   // --- Animals (all start hidden — spawn sequencer reveals them) ---
   const animalManager = new AnimalManager(scene, grid, offset);
@@ -311,9 +351,16 @@ async function boot() {
   }
 
   // --- Day/Night continuous 24-hour cycle ---
-  // 5 real seconds = 1 sim hour, full cycle = 24 hours = 120 seconds = 2 minutes
-  let simHour = 6;                       // start at 6:00 AM
-  const HOUR_RATE = 1 / 5;              // 1 sim hour per 5 real seconds
+  // Accelerated: 5 real seconds = 1 sim hour, full cycle = 24 hours = 120 seconds
+  // = 2 minutes, from 6:00 AM. Real / workday: the local clock, and units go
+  // home outside office hours and on rest days.
+  const workClock = new WorkClock({
+    mode: CONFIG.TIME_OF_DAY,
+    hourRate: 1 / SIM_SECONDS_PER_HOUR,
+    workDayStart: CONFIG.WORK_DAY_START,
+    workDayEnd: CONFIG.WORK_DAY_END,
+    calendar: WorkCalendar.fromConfig(),
+  });
 
   /**
    * Convert 24-hour sim clock to lighting t (0 = full day, 1 = full night).
@@ -324,7 +371,7 @@ async function boot() {
     return (1 - Math.cos(((hour - 12) / 12) * Math.PI)) / 2;
   }
 
-  function applyTimeOfDay(t, hour) {
+  function applyTimeOfDay(t, hour, sunHour) {
     sceneManager.setTimeOfDay(t);
     unitManager.setTimeOfDay(t);
     base.setTimeOfDay(t);
@@ -338,7 +385,14 @@ async function boot() {
     const fogB = Math.round(dFog.b + (nFog.b - dFog.b) * t);
     fog.setFogColor(fogR, fogG, fogB);
 
-    if (toolbar) toolbar.setTimeDisplay(hour);
+    if (toolbar) toolbar.setTimeDisplay(hour, sunHour);
+  }
+
+  function applyWorkCalendar() {
+    const restDay = workClock.isRestDay();
+    sceneManager.setRestDay(restDay);
+    unitManager.setOffDuty(workClock.isOffDuty());
+    if (toolbar) toolbar.setRestDay(restDay);
   }
 
   // --- Render loop (start early so scene is always live) ---
@@ -349,11 +403,14 @@ async function boot() {
     const dt = Math.min((now - lastTime) / 1000, 0.1);
     lastTime = now;
 
+    cameraTour.update(dt);
     cameraControls.update(dt);
 
     // Continuous 24-hour cycle (wraps at 24 → 0)
-    simHour = (simHour + HOUR_RATE * dt) % 24;
-    applyTimeOfDay(hourToLightingT(simHour), simHour);
+    workClock.update(dt);
+    const sunHour = workClock.getSunHour();
+    applyTimeOfDay(hourToLightingT(sunHour), workClock.getHour(), sunHour);
+    applyWorkCalendar();
 
     // Drive the spawn intro sequence
     if (!spawnSequencer.isDone()) {
@@ -364,14 +421,16 @@ async function boot() {
     animalManager.update(dt, unitManager.getScenePositions());
     gameMap.update(dt);
     fog.update(dt);
+    if (minimap) minimap.update(dt);
     if (structurePopup) structurePopup.updatePosition();
+    if (resourcePopup) resourcePopup.updatePosition();
     sceneManager.render();
   }
 
   requestAnimationFrame(animate);
 
   // --- Interaction ---
-  let raycaster, tooltip, detailPanel, structurePopup, toolbar, editorPanel;
+  let raycaster, tooltip, detailPanel, structurePopup, resourcePopup, taskDrag, toolbar, editorPanel, conflictPanel, minimap;
   try {
     raycaster = new Raycaster(camera, renderer, unitManager, gameMap);
     tooltip = new Tooltip(uiRoot);
@@ -381,41 +440,124 @@ async function boot() {
     detailPanel.setUnitManager(unitManager);
     structurePopup = new StructurePopup(uiRoot, store);
     structurePopup.setCamera(camera);
+    resourcePopup = new ResourcePopup(uiRoot, store);
+    resourcePopup.setCamera(camera);
+    resourcePopup.setGameMap(gameMap);
+    // Drag a node or task row onto a unit to reassign it
+    taskDrag = new TaskDrag(uiRoot, store, raycaster, unitManager);
     toolbar = new Toolbar(uiRoot);
     editorPanel = new EditorPanel(uiRoot, store);
-
-    // Wire events — jump 12 hours forward
+    const advisorPanel = new AdvisorPanel(uiRoot, store);
+    minimap = new Minimap(uiRoot, grid, fog);
+    minimap.setUnitManager(unitManager);
+    minimap.setCamera(camera, cameraControls, offset);
+    minimap.setResourceNodes(placements.getResourceNodePositions());
+    minimap.setStructures(placements.getStructurePositions());
+
+    // Wire events — jump 12 hours forward (fast clock only)
     toolbar.onToggleDayNight(() => {
-      simHour = (simHour + 12) % 24;
+      if (!workClock.isRealTime()) workClock.skip(12);
+    });
+    toolbar.setClockMode(workClock.getMode());
+    toolbar.onSelectClockMode((mode) => {
+      workClock.setMode(mode);
+      SettingsPanel.saveSettings({ clockMode: mode });
     });
 
+    // Timeline replay — scrub the map back through logged progress
+    toolbar.onToggleTimeline(async (open) => {
+      if (!open) return;
+      const history = store.getHistory();
+      await history.ready();
+      const range = history.getRange();
+      toolbar.setTimelineRange(range ? range.start : Date.now(), Date.now());
+    });
+    toolbar.onScrubTimeline((time) => {
+      replayTime = time;
+      applyReplay();
+    });
+
+    const importReport = new ImportReport(uiRoot);
+    new WriteQueuePanel(uiRoot, store);
+    conflictPanel = new ConflictPanel(uiRoot, store);
+    store.on('conflict', () => conflictPanel.open());
+    if (store.getConflicts().length > 0) conflictPanel.open();
+
     const settingsPanel = new SettingsPanel(uiRoot, {
-      onSave: async (settings) => {
-        const newAdapter = settings.dataSource === 'google-sheets'
-          ? new GoogleSheetsAdapter()
-          : new SeedAdapter();
+      onResetExploration: () => {
+        fog.resetExploration();
+        fog.revealRadius(center, center, CONFIG.BASE_RADIUS + 8);
+        store.resetExploration();
+      },
+      onSave: async (settings, { files }) => {
+        workClock.setCalendar(WorkCalendar.fromConfig());
+        const newAdapter = createAdapter(settings.dataSource);
         store.setAdapter(newAdapter);
         try {
+          if (newAdapter instanceof FileAdapter && files.length > 0) {
+            await newAdapter.loadFiles(files);
+          }
           await store.syncFromAdapter();
           settingsPanel.showSyncResult(true);
+          if (newAdapter instanceof FileAdapter) importReport.show(newAdapter.getReport());
         } catch {
           settingsPanel.showSyncResult(false);
         }
       },
     });
 
+    // Dropping files on the map switches to the local file source
+    const fileDrop = new FileDrop(canvas, uiRoot);
+    fileDrop.onDrop(async (files) => {
+      const fileAdapter = new FileAdapter();
+      try {
+        await fileAdapter.loadFiles(files);
+        SettingsPanel.saveSettings({ dataSource: 'file' });
+        CONFIG.DATA_SOURCE = 'file';
+        store.setAdapter(fileAdapter);
+        await store.syncFromAdapter();
+        importReport.show(fileAdapter.getReport());
+      } catch (err) {
+        console.error('[import] File import failed:', err);
+      }
+    });
+
     toolbar.onToggleSettings(() => settingsPanel.toggle());
     toolbar.onToggleEditor(() => editorPanel.toggle());
+    toolbar.onToggleAdvisor(() => advisorPanel.toggle());
+    toolbar.onSelectOverlay((layerId) => {
+      overlay.setLayer(layerId);
+      refreshOverlay();
+    });
+
+    const openStructurePopup = (milestoneId) => {
+      const pos = gameMap.getStructureWorldPosition(milestoneId);
+      if (pos) structurePopup.open(milestoneId, pos.x + offset.x, pos.z + offset.z);
+    };
+    const openResourcePopup = (taskId) => {
+      const pos = gameMap.getResourceNodeWorldPosition(taskId);
+      if (!pos) return;
+      structurePopup.close();
+      resourcePopup.open(taskId, pos.x + offset.x, pos.z + offset.z);
+    };
 
     raycaster.onAvatarClick((personId) => {
       if (structurePopup) structurePopup.close();
+      resourcePopup.close();
       detailPanel.open(personId);
     });
     raycaster.onStructureClick((milestoneId) => {
-      const pos = gameMap.getStructureWorldPosition(milestoneId);
-      if (pos && structurePopup) {
-        structurePopup.open(milestoneId, pos.x + offset.x, pos.z + offset.z);
-      }
+      resourcePopup.close();
+      openStructurePopup(milestoneId);
+    });
+    raycaster.onResourceClick((taskId) => openResourcePopup(taskId));
+    resourcePopup.onPersonClick((pid) => {
+      resourcePopup.close();
+      detailPanel.open(pid);
+    });
+    resourcePopup.onMilestoneClick((milestoneId) => {
+      resourcePopup.close();
+      openStructurePopup(milestoneId);
     });
     structurePopup.onPersonClick((pid) => {
       structurePopup.close();
@@ -430,30 +572,244 @@ async function boot() {
         tooltip.hide();
       }
     });
+
+    // --- Command palette and keyboard shortcuts ---
+    const avatarPosition = (personId) => {
+      const avatar = personId ? unitManager.getAvatars().get(personId) : null;
+      return avatar ? { x: avatar.group.position.x, z: avatar.group.position.z } : null;
+    };
+    const focusPerson = (personId) => {
+      const pos = avatarPosition(personId);
+      if (pos) cameraControls.setTarget(pos.x, pos.z);
+    };
+    const focusMilestone = (milestoneId) => {
+      const pos = gameMap.getStructureWorldPosition(milestoneId);
+      if (pos) cameraControls.setTarget(pos.x + offset.x, pos.z + offset.z);
+    };
+    const openPanel = (panel, action) => {
+      if (!panel.isOpen) toolbar.press(action);
+    };
+
+    const palette = new CommandPalette(uiRoot);
+    palette.setProvider(() => [
+      { kind: 'Action', label: 'Open settings', run: () => openPanel(settingsPanel, 'settings') },
+      { kind: 'Action', label: 'Open team editor', run: () => openPanel(editorPanel, 'editor') },
+      { kind: 'Action', label: 'Open advisor', run: () => openPanel(advisorPanel, 'advisor') },
+      { kind: 'Action', label: 'Toggle day/night', run: () => toolbar.press('daynight') },
+      {
+        kind: 'Action',
+        label: 'Sync now',
+        run: () => store.syncFromAdapter().catch(err => console.error('[sync] Sync failed:', err)),
+      },
+      { kind: 'Action', label: cameraTour.isRunning() ? 'Stop tour' : 'Start tour', run: () => toggleTour() },
+      { kind: 'Action', label: 'Show keyboard shortcuts', run: () => shortcutHelp.open() },
+      ...store.getPeople().map(p => ({
+        kind: 'Person',
+        label: p.name,
+        hint: p.role,
+        run: () => {
+          focusPerson(p.id);
+          structurePopup.close();
+          resourcePopup.close();
+          detailPanel.open(p.id);
+        },
+      })),
+      ...store.getTasks().map(t => ({
+        kind: 'Task',
+        label: t.name,
+        hint: t.category,
+        run: () => {
+          const pos = gameMap.getResourceNodeWorldPosition(t.id);
+          if (pos) cameraControls.setTarget(pos.x + offset.x, pos.z + offset.z);
+          openResourcePopup(t.id);
+        },
+      })),
+      ...store.getMilestones().map(m => ({
+        kind: 'Milestone',
+        label: m.name,
+        run: () => {
+          focusMilestone(m.id);
+          resourcePopup.close();
+          openStructurePopup(m.id);
+        },
+      })),
+      ...store.getPeople().map(p => ({ kind: 'Camera', label: `Focus camera on ${p.name}`, run: () => focusPerson(p.id) })),
+      ...store.getMilestones().map(m => ({ kind: 'Camera', label: `Focus camera on ${m.name}`, run: () => focusMilestone(m.id) })),
+    ]);
+
+    const shortcuts = new KeyboardShortcuts();
+    const shortcutHelp = new ShortcutHelp(uiRoot, shortcuts);
+    shortcuts.bind('mod+k', 'Command palette', () => palette.toggle());
+    shortcuts.describe('W A S D / arrows', 'Pan the map');
+    shortcuts.bind('q', 'Rotate the view left', () => cameraControls.rotate(-1));
+    shortcuts.bind('e', 'Rotate the view right', () => cameraControls.rotate(1));
+    shortcuts.bind('f', 'Follow the selected unit (again to stop)', () => {
+      if (cameraControls.isFollowing()) cameraControls.follow(null);
+      else if (detailPanel.personId) cameraControls.follow(() => avatarPosition(detailPanel.personId));
+    });
+    shortcuts.bind('t', 'Start or stop the standup tour', () => toggleTour());
+    shortcuts.bind('escape', 'Close panels and popups', () => {
+      cameraTour.stop();
+      palette.close();
+      shortcutHelp.close();
+      detailPanel.close();
+      structurePopup.close();
+      resourcePopup.close();
+      conflictPanel.close();
+      if (settingsPanel.isOpen) toolbar.press('settings');
+      if (editorPanel.isOpen) toolbar.press('editor');
+      if (advisorPanel.isOpen) toolbar.press('advisor');
+    });
+    shortcuts.bind('?', 'Show these shortcuts', () => shortcutHelp.toggle());
+
+    // --- Follow cam and standup tour ---
+    const followPerson = (personId) => cameraControls.follow(() => avatarPosition(personId));
+    detailPanel.onFollow(followPerson);
+
+    const toggleTour = () => {
+      if (cameraTour.isRunning()) cameraTour.stop();
+      else cameraTour.start(() => buildTourStops(store.getPeople(), store.getMilestones()));
+      toolbar.setTourActive(cameraTour.isRunning());
+    };
+    cameraTour.onVisit((stop) => {
+      resourcePopup.close();
+      if (stop.kind === 'person') {
+        structurePopup.close();
+        detailPanel.open(stop.id);
+        followPerson(stop.id);
+      } else {
+        detailPanel.close();
+        focusMilestone(stop.id);
+        openStructurePopup(stop.id);
+      }
+    });
+    cameraTour.onEnd(() => {
+      cameraControls.follow(null);
+      toolbar.setTourActive(false);
+    });
+    // Grabbing the map hands control back to whoever is at the screen
+    cameraControls.onUserPan(() => cameraTour.stop());
+    toolbar.onToggleTour(toggleTour);
+
+    // ?tour=1 — start once everyone has walked out of the base
+    if (urlParams.tour) {
+      const startTourWhenSpawned = () => {
+        if (spawnSequencer.isDone()) toggleTour();
+        else setTimeout(startTourWhenSpawned, 500);
+      };
+      startTourWhenSpawned();
+    }
   } catch (err) {
     console.error('[boot] UI init error:', err);
   }
 
-  store.on('change', () => {
+  // Map, energy and detail panel as of the scrubbed date (null = live)
+  let replayTime = null;
+  function applyReplay() {
+    const replay = replayTime === null ? null : {
+      time: new Date(replayTime),
+      tasks: store.getHistory().applyAt(store.getTasks(), replayTime),
+    };
+    unitManager.setReplay(replay);
+    if (detailPanel) detailPanel.setReplay(replay);
+    if (taskDrag) taskDrag.setEnabled(replay === null);
+    refreshOverlay();
+  }
+
+  // Overlay tint from the same data the map shows — replayed or live
+  function refreshOverlay() {
+    if (overlay.getLayer() === null) {
+      if (toolbar) toolbar.setOverlayLegend([]);
+      return;
+    }
+    overlay.refresh({
+      nodes: placements.getResourceNodePositions(),
+      tasks: replayTime === null ? store.getTasks() : store.getHistory().applyAt(store.getTasks(), replayTime),
+      people: store.getPeople(),
+      now: replayTime === null ? new Date() : new Date(replayTime),
+      calendar: store.getCalendar(),
+    });
+    if (toolbar) toolbar.setOverlayLegend(overlay.getLegend());
+  }
+
+  // Tasks / milestones added, deleted or re-weighted since the last change
+  function applyPlacementChanges() {
+    const changes = placements.sync(store.getTasks(), store.getMilestones());
+    for (const node of changes.nodesRemoved) {
+      gameMap.removeResourceNode(node.taskId);
+      if (resourcePopup && resourcePopup.taskId === node.taskId) resourcePopup.close();
+    }
+    for (const { to } of changes.nodesMoved) {
+      gameMap.removeResourceNode(to.taskId);
+      gameMap.addResourceNode(to.taskId, to.col, to.row, resourceColorForCategory(to.resourceType), { animate: true });
+      if (resourcePopup && resourcePopup.taskId === to.taskId) resourcePopup.close();
+    }
+    for (const node of changes.nodesAdded) {
+      gameMap.addResourceNode(node.taskId, node.col, node.row, resourceColorForCategory(node.resourceType), { animate: true });
+    }
+    for (const sp of changes.structuresRemoved) {
+      gameMap.removeStructure(sp.milestoneId);
+      if (structurePopup && structurePopup.milestoneId === sp.milestoneId) structurePopup.close();
+    }
+    for (const sp of changes.structuresAdded) {
+      gameMap.addStructure(sp.milestoneId, sp.col, sp.row, { animate: true });
+    }
+    unitManager.applyPlacementChanges(changes);
+    if (minimap) {
+      minimap.setResourceNodes(placements.getResourceNodePositions());
+      minimap.setStructures(placements.getStructurePositions());
+    }
+
+    // Routes may cross tiles that just changed
+    if (Object.values(changes).some(list => list.length > 0)) roadPlanner.clear();
+    updateRoads();
+  }
+
+  // Nodes and structures only move when tasks or milestones come and go,
+  // or a task's category or discovery share changes (see MapPlacements)
+  const PLACEMENT_FIELDS = ['category', 'discoveryPercent'];
+  let placementsStale = false;
+  const markPlacementsStale = () => { placementsStale = true; };
+  for (const event of ['taskAdded', 'taskRemoved', 'milestoneAdded', 'milestoneRemoved']) {
+    store.on(event, markPlacementsStale);
+  }
+  store.on('taskChanged', ({ fields }) => {
+    if (fields.some(field => PLACEMENT_FIELDS.includes(field))) placementsStale = true;
+  });
+
+  store.onDataChange(() => {
+    if (placementsStale) {
+      placementsStale = false;
+      applyPlacementChanges();
+    }
     unitManager.refresh();
     if (detailPanel) detailPanel.refresh();
     if (structurePopup) structurePopup.refresh();
+    if (resourcePopup) resourcePopup.refresh();
+    if (conflictPanel) conflictPanel.refresh();
 
-    // Update structure progress
-    for (const sp of structurePositions) {
-      const ms = store.getMilestone(sp.milestoneId);
-      if (ms) {
-        const progress = computeStructureProgress(ms, store.getTasks());
-        gameMap.setStructureProgress(sp.milestoneId, progress);
-      }
+    // Real values may have dropped below the simulated ones — re-render
+    for (const sp of placements.getStructurePositions()) {
+      unitManager.updateStructureProgress(sp.milestoneId);
     }
+
+    // Nodes added while replaying still need their state as of that date
+    if (replayTime !== null) applyReplay();
+    else refreshOverlay();
   });
 
-  // Periodic sync from external data source
-  if (CONFIG.DATA_SOURCE !== 'seed' && CONFIG.SYNC_INTERVAL_MS > 0) {
-    setInterval(async () => {
-      await store.syncFromAdapter();
-    }, CONFIG.SYNC_INTERVAL_MS);
+  // Edits made offline go out as soon as the connection is back
+  window.addEventListener('online', () => store.flushWrites());
+  window.addEventListener('offline', () => store.emit('writes'));
+
+  // Periodic sync from external data source (local files don't change);
+  // failures retry sooner so a wall screen recovers on its own
+  if (CONFIG.DATA_SOURCE !== 'seed' && CONFIG.DATA_SOURCE !== 'file' && CONFIG.SYNC_INTERVAL_MS > 0) {
+    const syncLoop = new SyncLoop(store, { intervalMs: CONFIG.SYNC_INTERVAL_MS, retryMs: CONFIG.SYNC_RETRY_MS });
+    syncLoop.onError((err, failures) => {
+      console.error(`[sync] Sync failed (${failures} in a row), retrying in ${syncLoop.retryDelay() / 1000}s:`, err);
+    });
+    syncLoop.start({ now: bootSyncFailed });
   }
 }
 
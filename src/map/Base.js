@@ -1,27 +1,12 @@
 import * as THREE from 'three';
 import { THEME } from '../utils/Theme.js';
+import { BaseLayout, GATE_DIRS, NUM_GATES } from './BaseLayout.js';
 
-// Gate directions: N (+z), E (+x), S (-z), W (-x)
-const GATE_DIRS = [
-  { dx: 0, dz: 1 },   // North (front, +z)
-  { dx: 1, dz: 0 },   // East (+x)
-  { dx: 0, dz: -1 },  // South (-z)
-  { dx: -1, dz: 0 },  // West (-x)
-];
-const NUM_GATES = 4;
-
-export class Base {
+export class Base extends BaseLayout {
   constructor(gameGrid, centerCol, centerRow, radius) {
-    this.grid = gameGrid;
-    this.centerCol = centerCol;
-    this.centerRow = centerRow;
-    this.radius = radius;
+    super(gameGrid, centerCol, centerRow, radius);
     this.group = new THREE.Group();
 
-    const world = gameGrid.tileToWorld(centerCol, centerRow);
-    this.worldX = world.x;
-    this.worldZ = world.z;
-
     // Per-gate animation state
     this._gates = [];
     for (let i = 0; i < NUM_GATES; i++) {
@@ -378,10 +363,6 @@ export class Base {
     return Math.abs(gate.currentAngle) < 0.05;
   }
 
-  getGateCount() {
-    return NUM_GATES;
-  }
-
   // ─── Backward-compatible single-door API (delegates to gate 0) ─
 
   openDoor(dt) { this.openGate(dt, 0); }
@@ -389,43 +370,5 @@ export class Base {
   isDoorOpen() { return this.isGateOpen(0); }
   isDoorClosed() { return this.isGateClosed(0); }
 
-  /**
-   * Returns grid-world coords just outside the front (north) gate.
-   * Kept for backward compatibility.
-   */
-  getDoorExitPosition() {
-    return this.getDoorExitPositions()[0];
-  }
-
-  /**
-   * Returns exit positions for all 4 gates.
-   * @returns {Array<{x:number, z:number, gateIndex:number}>}
-   */
-  getDoorExitPositions() {
-    const wallOffset = this.radius * 0.7;
-    const exitDist = 0.8; // how far outside the wall the exit point is
-    return GATE_DIRS.map((dir, i) => ({
-      x: this.worldX + dir.dx * (wallOffset + exitDist),
-      z: this.worldZ + dir.dz * (wallOffset + exitDist),
-      gateIndex: i,
-    }));
-  }
-
-  getDepositPosition() {
-    return { x: this.worldX, z: this.worldZ + this.radius * 0.5 };
-  }
-
-  /**
-   * Distribute spawn positions around the full 360 arc outside the castle.
-   */
-  getSpawnPosition(index, total) {
-    const angle = (index / Math.max(1, total)) * Math.PI * 2;
-    const r = this.radius + 1;
-    return {
-      x: this.worldX + Math.cos(angle) * r,
-      z: this.worldZ + Math.sin(angle) * r,
-    };
-  }
-
   getGroup() { return this.group; }
 }
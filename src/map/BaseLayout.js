@@ -0,0 +1,107 @@
+// Gate directions: N (+z), E (+x), S (-z), W (-x)
+export const GATE_DIRS = [
+  { dx: 0, dz: 1 },   // North (front, +z)
+  { dx: 1, dz: 0 },   // East (+x)
+  { dx: 0, dz: -1 },  // South (-z)
+  { dx: -1, dz: 0 },  // West (-x)
+];
+export const NUM_GATES = 4;
+
+/**
+ * Where the town center sits and the spots units use around it — gate
+ * exits, the deposit point, spawn positions — plus the tiles its walls
+ * and keep block. Base.js builds the castle mesh on top of this.
+ *
+ * Pure data — no Three.js dependency, so the headless unit simulation can
+ * use it.
+ */
+export class BaseLayout {
+  constructor(gameGrid, centerCol, centerRow, radius) {
+    this.grid = gameGrid;
+    this.centerCol = centerCol;
+    this.centerRow = centerRow;
+    this.radius = radius;
+
+    const world = gameGrid.tileToWorld(centerCol, centerRow);
+    this.worldX = world.x;
+    this.worldZ = world.z;
+  }
+
+  /**
+   * Block castle wall and keep tiles — square layout matching the Base.js
+   * geometry. Walls are straight segments at wallOffset from center, not a
+   * circular ring; each wall has a one-tile gate in its middle.
+   */
+  blockTiles() {
+    const center = { col: this.centerCol, row: this.centerRow };
+    const wo = this.radius * 0.7;          // wallOffset from Base.js
+    const wallTileInner = Math.floor(wo);  // inner tile line
+    const wallTileOuter = Math.ceil(wo);   // outer tile line
+    const wallExtent = wallTileOuter;      // wall runs ±wallExtent from center
+    const gateHalf = 1;                    // gate corridor: 1 tile wide
+
+    // Block tiles along the 4 wall lines (2 tiles thick where fractional)
+    const wallLines = [wallTileInner];
+    if (wallTileOuter !== wallTileInner) wallLines.push(wallTileOuter);
+
+    for (const w of wallLines) {
+      for (let i = -wallExtent; i <= wallExtent; i++) {
+        if (Math.abs(i) < gateHalf) continue;
+        // N/S walls (horizontal) and E/W walls (vertical), gate at 0
+        this.grid.setTile(center.col + i, center.row + w, { blocked: true });
+        this.grid.setTile(center.col + i, center.row - w, { blocked: true });
+        this.grid.setTile(center.col + w, center.row + i, { blocked: true });
+        this.grid.setTile(center.col - w, center.row + i, { blocked: true });
+      }
+    }
+
+    // Block central keep (2×2 footprint → 3×3 tile area)
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        this.grid.setTile(center.col + dc, center.row + dr, { blocked: true });
+      }
+    }
+  }
+
+  getGateCount() {
+    return NUM_GATES;
+  }
+
+  /**
+   * Returns grid-world coords just outside the front (north) gate.
+   * Kept for backward compatibility.
+   */
+  getDoorExitPosition() {
+    return this.getDoorExitPositions()[0];
+  }
+
+  /**
+   * Returns exit positions for all 4 gates.
+   * @returns {Array<{x:number, z:number, gateIndex:number}>}
+   */
+  getDoorExitPositions() {
+    const wallOffset = this.radius * 0.7;
+    const exitDist = 0.8; // how far outside the wall the exit point is
+    return GATE_DIRS.map((dir, i) => ({
+      x: this.worldX + dir.dx * (wallOffset + exitDist),
+      z: this.worldZ + dir.dz * (wallOffset + exitDist),
+      gateIndex: i,
+    }));
+  }
+
+  getDepositPosition() {
+    return { x: this.worldX, z: this.worldZ + this.radius * 0.5 };
+  }
+
+  /**
+   * Distribute spawn positions around the full 360 arc outside the castle.
+   */
+  getSpawnPosition(index, total) {
+    const angle = (index / Math.max(1, total)) * Math.PI * 2;
+    const r = this.radius + 1;
+    return {
+      x: this.worldX + Math.cos(angle) * r,
+      z: this.worldZ + Math.sin(angle) * r,
+    };
+  }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import { FogState } from './GameGrid.js';
 import { THEME } from '../utils/Theme.js';
+import { encodeBitset, decodeBitset } from '../utils/Bitset.js';
 
 export class FogOfWar {
   constructor(gameGrid) {
@@ -23,6 +24,9 @@ export class FogOfWar {
     // Current alpha: smoothly interpolates toward targetAlpha.
     this._currentAlpha = new Float32Array(total);
 
+    // Set when units explore new ground, so callers know to persist it
+    this._explorationChanged = false;
+
     // Initialize all tiles as fully fogged (white, opaque)
     // VOID tiles get alpha=0 so fog plane is invisible over void areas.
     const fogR = THEME.fog.color.r;
@@ -95,52 +99,108 @@ export class FogOfWar {
    * Never-explored tiles → fully opaque (1.0).
    */
   updateVisibility(unitPositions) {
-    // Phase 1: Reset every tile's target to its reveal floor.
+    this.applySight(this.grid.updateSight(unitPositions));
+  }
+
+  /**
+   * Render a sight pass already applied to the grid (GameGrid.updateSight)
+   * — the unit simulation owns the grid's fog state.
+   * @param {{visible: Array<{col:number, row:number}>, revealed: Array<{col:number, row:number}>}} sight
+   */
+  applySight({ visible, revealed }) {
+    // Every tile's target falls back to its reveal floor:
     //   hidden → 1.0, revealed → 0.25, permanently visible → 0.0
+    this._targetAlpha.set(this._revealFloor);
+
+    // Tiles in sight → fully transparent, and permanently cleared
+    for (const { col, row } of visible) {
+      const idx = row * this._texWidth + col;
+      this._targetAlpha[idx] = 0.0;
+      if (this._revealFloor[idx] > 0) this._explorationChanged = true;
+      this._revealFloor[idx] = 0.0;
+    }
+
+    // Outer ring: revealed but semi-transparent
+    for (const { col, row } of revealed) {
+      const idx = row * this._texWidth + col;
+      this._revealFloor[idx] = Math.min(this._revealFloor[idx], this._smokyAlpha(col, row));
+      this._explorationChanged = true;
+    }
+
+    this._texture.needsUpdate = true;
+  }
+
+  // --- Persistence ---
+
+  /**
+   * Compact snapshot of explored ground: one bitset for revealed tiles
+   * (smoky fog) and one for tiles a unit has walked through (clear).
+   * @returns {{ width:number, height:number, revealed:string, cleared:string }}
+   */
+  getExplorationState() {
     const total = this._texWidth * this._texHeight;
+    const revealed = new Uint8Array(total);
+    const cleared = new Uint8Array(total);
     for (let i = 0; i < total; i++) {
-      this._targetAlpha[i] = this._revealFloor[i];
-    }
-    // Also reset grid fogState for revealed tiles
-    for (let row = 0; row < this.grid.height; row++) {
-      for (let col = 0; col < this.grid.width; col++) {
-        const tile = this.grid.getTile(col, row);
-        if (tile.fogState === FogState.VISIBLE) {
-          tile.fogState = FogState.REVEALED;
-        }
-      }
+      const tile = this.grid.tiles[i];
+      if (tile.type === 'void') continue;
+      revealed[i] = tile.fogState !== FogState.HIDDEN ? 1 : 0;
+      cleared[i] = this._revealFloor[i] === 0 ? 1 : 0;
     }
+    return {
+      width: this._texWidth,
+      height: this._texHeight,
+      revealed: encodeBitset(revealed),
+      cleared: encodeBitset(cleared),
+    };
+  }
 
-    // Phase 2: Tiles near units → fully transparent.
-    for (const { col, row, sightRadius } of unitPositions) {
-      // Inner sight circle: fully visible
-      const tiles = this.grid.getTilesInRadius(col, row, sightRadius);
-      for (const { col: tc, row: tr, tile } of tiles) {
-        if (tile.fogState === FogState.HIDDEN) {
-          tile.fogState = FogState.REVEALED;
-        }
-        tile.fogState = FogState.VISIBLE;
-
-        const idx = tr * this._texWidth + tc;
-        this._targetAlpha[idx] = 0.0;
-        // Permanently clear fog once a unit has walked through
-        this._revealFloor[idx] = 0.0;
-      }
+  /**
+   * Re-apply a snapshot from getExplorationState(), without the fade-in.
+   * @returns {boolean} false if the snapshot is for a different map size
+   */
+  restoreExplorationState(state) {
+    if (!state || state.width !== this._texWidth || state.height !== this._texHeight) return false;
 
-      // Outer ring: reveal but semi-transparent
-      const outerTiles = this.grid.getTilesInRadius(col, row, sightRadius + 1);
-      for (const { col: tc, row: tr, tile } of outerTiles) {
-        if (tile.fogState === FogState.HIDDEN) {
-          tile.fogState = FogState.REVEALED;
-          const idx = tr * this._texWidth + tc;
-          this._revealFloor[idx] = Math.min(this._revealFloor[idx], this._smokyAlpha(tc, tr));
-        }
-      }
+    const total = this._texWidth * this._texHeight;
+    const revealed = decodeBitset(state.revealed, total);
+    const cleared = decodeBitset(state.cleared, total);
+    for (let i = 0; i < total; i++) {
+      const tile = this.grid.tiles[i];
+      if (tile.type === 'void' || !revealed[i]) continue;
+      if (tile.fogState === FogState.HIDDEN) tile.fogState = FogState.REVEALED;
+
+      const col = i % this._texWidth;
+      const row = Math.floor(i / this._texWidth);
+      this._setRevealFloor(col, row, cleared[i] ? 0.0 : this._smokyAlpha(col, row));
+      this._currentAlpha[i] = this._revealFloor[i];
+      this._texData[i * 4 + 3] = Math.round(this._revealFloor[i] * 255);
     }
+    this._texture.needsUpdate = true;
+    return true;
+  }
 
+  /** Fog the whole map again (callers re-reveal the base area). */
+  resetExploration() {
+    const total = this._texWidth * this._texHeight;
+    for (let i = 0; i < total; i++) {
+      const tile = this.grid.tiles[i];
+      if (tile.type === 'void') continue;
+      tile.fogState = FogState.HIDDEN;
+      this._revealFloor[i] = 1.0;
+      this._targetAlpha[i] = 1.0;
+    }
+    this._explorationChanged = false;
     this._texture.needsUpdate = true;
   }
 
+  /** True once per batch of newly explored tiles since the last call. */
+  consumeExplorationChange() {
+    const changed = this._explorationChanged;
+    this._explorationChanged = false;
+    return changed;
+  }
+
   /**
    * Lower the permanent reveal floor for a tile (only goes down, never up).
    */
@@ -189,14 +249,17 @@ export class FogOfWar {
     }
   }
 
+  /** Fog opacity a tile currently renders with (0 clear – 1 opaque), mid-fade included. */
+  getAlpha(col, row) {
+    return this._currentAlpha[row * this._texWidth + col];
+  }
+
   isRevealed(col, row) {
-    const tile = this.grid.getTile(col, row);
-    return tile && tile.fogState !== FogState.HIDDEN;
+    return this.grid.isRevealed(col, row);
   }
 
   isVisible(col, row) {
-    const tile = this.grid.getTile(col, row);
-    return tile && tile.fogState === FogState.VISIBLE;
+    return this.grid.isVisible(col, row);
   }
 
   /**
@@ -125,6 +125,41 @@ export class GameGrid {
     return revealed;
   }
 
+  /**
+   * One pass of unit sight: tiles no unit sees any more drop from VISIBLE
+   * to REVEALED, tiles within each unit's radius become VISIBLE and the
+   * ring just beyond is revealed.
+   * @param {Array<{col:number, row:number, sightRadius:number}>} unitPositions
+   * @returns {{visible: Array<{col:number, row:number}>, revealed: Array<{col:number, row:number}>}}
+   *   tiles in sight now, and outer-ring tiles revealed by this pass
+   */
+  updateSight(unitPositions) {
+    for (const tile of this.tiles) {
+      if (tile.fogState === FogState.VISIBLE) tile.fogState = FogState.REVEALED;
+    }
+
+    const visible = [];
+    const revealed = [];
+    for (const { col, row, sightRadius } of unitPositions) {
+      for (const { col: tc, row: tr, tile } of this.getTilesInRadius(col, row, sightRadius)) {
+        tile.fogState = FogState.VISIBLE;
+        visible.push({ col: tc, row: tr });
+      }
+      revealed.push(...this.revealTilesInRadius(col, row, sightRadius + 1));
+    }
+    return { visible, revealed };
+  }
+
+  isRevealed(col, row) {
+    const tile = this.getTile(col, row);
+    return Boolean(tile) && tile.fogState !== FogState.HIDDEN;
+  }
+
+  isVisible(col, row) {
+    const tile = this.getTile(col, row);
+    return Boolean(tile) && tile.fogState === FogState.VISIBLE;
+  }
+
   setVisible(col, row) {
     const tile = this.getTile(col, row);
     if (tile) tile.fogState = FogState.VISIBLE;
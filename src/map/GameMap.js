@@ -15,6 +15,10 @@ const DEPLETE_DURATION = 0.5;   // seconds to shrink away
 const REGROW_DELAY = 60;        // seconds before regrowing starts (very slow)
 const REGROW_DURATION = 15;     // seconds to scale back up
 
+// Runtime placement animations (tasks / milestones added or removed after boot)
+const SPAWN_DURATION = 0.8;     // seconds to pop up out of the ground
+const CRUMBLE_DURATION = 1.2;   // seconds to collapse and sink away
+
 export class GameMap {
   constructor(gameGrid, textures = null) {
     this.grid = gameGrid;
@@ -25,6 +29,9 @@ export class GameMap {
     this._structureLanterns = new Map(); // milestoneId → { light, mesh }
     this._structureProgress = new Map(); // milestoneId → progress (0-1)
     this._nodeAnimState = new Map(); // taskId → { phase, timer, permanent }
+    this._structureSpawns = new Map(); // milestoneId → spawn timer
+    this._roadMesh = null;
+    this._crumbling = [];            // removed groups animating out: { group, timer, scale }
     this._textures = textures;
     this._waterMaterial = null;
     this._time = 0;
@@ -112,9 +119,17 @@ export class GameMap {
     this.group.add(crown);
   }
 
-  addResourceNode(taskId, col, row, color) {
+  /**
+   * @param {string} taskId
+   * @param {number} col
+   * @param {number} row
+   * @param {*} color
+   * @param {{animate?: boolean}} [opts] — animate: pop up instead of appearing (runtime additions)
+   */
+  addResourceNode(taskId, col, row, color, { animate = false } = {}) {
     const world = this.grid.tileToWorld(col, row);
     const nodeGroup = new THREE.Group();
+    nodeGroup.userData = { _wx: world.x, _wz: world.z };
 
     // Abstract geometric marker — icosahedron on pedestal
     const markerGeo = new THREE.IcosahedronGeometry(0.18, 0);
@@ -146,9 +161,23 @@ export class GameMap {
     nodeGroup.visible = false;
     this.group.add(nodeGroup);
     this._resourceNodeGroups.set(taskId, nodeGroup);
+
+    if (animate) {
+      scaleInPlace(nodeGroup, 0.01, 0.01);
+      this._nodeAnimState.set(taskId, { phase: 'spawning', timer: 0, permanent: false });
+    }
     return nodeGroup;
   }
 
+  /** Crumble a resource node away (its task was deleted or moved). */
+  removeResourceNode(taskId) {
+    const group = this._resourceNodeGroups.get(taskId);
+    if (!group) return;
+    this._resourceNodeGroups.delete(taskId);
+    this._nodeAnimState.delete(taskId);
+    this._crumble(group);
+  }
+
   setResourceNodeVisible(taskId, visible) {
     const group = this._resourceNodeGroups.get(taskId);
     if (group) group.visible = visible;
@@ -181,6 +210,25 @@ export class GameMap {
     this._nodeAnimState.set(taskId, { phase: 'depleting', timer: 0, permanent });
   }
 
+  /**
+   * Show a node as worked out (permanently depleted) or regrow it, whatever
+   * its animation is doing — timeline replay scrubs back and forth across
+   * task completion.
+   */
+  setNodeDepleted(taskId, depleted) {
+    if (!this._resourceNodeGroups.has(taskId)) return;
+    const state = this._nodeAnimState.get(taskId);
+    const shrinking = state && (state.phase === 'depleting' || state.phase === 'depleted');
+
+    if (depleted) {
+      if (shrinking) state.permanent = true;
+      else this._nodeAnimState.set(taskId, { phase: 'depleting', timer: 0, permanent: true });
+    } else if (shrinking && state.permanent) {
+      this._nodeAnimState.set(taskId, { phase: 'regrowing', timer: 0, permanent: false });
+      this._restoreNodeAppearance(taskId);
+    }
+  }
+
   /**
    * Returns true if the resource node is available for gathering.
    */
@@ -190,6 +238,19 @@ export class GameMap {
     return state.phase === 'available';
   }
 
+  /**
+   * Where a node is in its gather cycle: 'spawning', 'available',
+   * 'depleting', 'depleted' (waiting to regrow, or for good once its task
+   * is done) or 'regrowing'. Null for an unknown task.
+   * @returns {{phase:string, permanent:boolean}|null}
+   */
+  getNodePhase(taskId) {
+    if (!this._resourceNodeGroups.has(taskId)) return null;
+    const state = this._nodeAnimState.get(taskId);
+    if (!state) return { phase: 'available', permanent: false };
+    return { phase: state.phase, permanent: state.permanent };
+  }
+
   /**
    * Restore node appearance after regrowth (reset materials to original colors).
    */
@@ -213,7 +274,13 @@ export class GameMap {
     });
   }
 
-  addStructure(milestoneId, col, row) {
+  /**
+   * @param {string} milestoneId
+   * @param {number} col
+   * @param {number} row
+   * @param {{animate?: boolean}} [opts] — animate: rise out of the ground (runtime additions)
+   */
+  addStructure(milestoneId, col, row, { animate = false } = {}) {
     const world = this.grid.tileToWorld(col, row);
     const structGroup = new THREE.Group();
     const S = THEME.structures.stages;
@@ -351,9 +418,35 @@ export class GameMap {
 
     this.group.add(structGroup);
     this._structureGroups.set(milestoneId, structGroup);
+
+    if (animate) {
+      scaleInPlace(structGroup, 0.01, 0.01);
+      this._structureSpawns.set(milestoneId, 0);
+    }
     return structGroup;
   }
 
+  /** Crumble a structure away (its milestone was deleted). */
+  removeStructure(milestoneId) {
+    const group = this._structureGroups.get(milestoneId);
+    if (!group) return;
+    const lantern = this._structureLanterns.get(milestoneId);
+    if (lantern) {
+      lantern.light.intensity = 0;
+      lantern.mesh.visible = false;
+    }
+    this._structureGroups.delete(milestoneId);
+    this._structureLanterns.delete(milestoneId);
+    this._structureProgress.delete(milestoneId);
+    this._structureSpawns.delete(milestoneId);
+    this._crumble(group);
+  }
+
+  _crumble(group) {
+    // Start from the current size — a depleted node stays invisible
+    this._crumbling.push({ group, timer: 0, scale: group.scale.y });
+  }
+
   setStructureProgress(milestoneId, progress) {
     this._structureProgress.set(milestoneId, progress);
     const group = this._structureGroups.get(milestoneId);
@@ -424,6 +517,55 @@ export class GameMap {
     }
   }
 
+  /**
+   * Draw task dependencies as dirt roads, replacing the previous set.
+   * @param {import('./RoadPlanner.js').Road[]} roads
+   */
+  setRoads(roads) {
+    if (this._roadMesh) {
+      this.group.remove(this._roadMesh);
+      this._roadMesh.geometry.dispose();
+      this._roadMesh.material.dispose();
+      this._roadMesh = null;
+    }
+
+    const segments = [];
+    for (const road of roads) {
+      for (let i = 1; i < road.tiles.length; i++) {
+        segments.push({ a: road.tiles[i - 1], b: road.tiles[i], open: road.open });
+      }
+    }
+    if (segments.length === 0) return;
+
+    const R = THEME.roads;
+    const geo = new THREE.BoxGeometry(1, 0.01, R.width);
+    const mat = new THREE.MeshStandardMaterial({ roughness: R.roughness, metalness: 0 });
+    const mesh = new THREE.InstancedMesh(geo, mat, segments.length);
+    mesh.receiveShadow = true;
+
+    // Each segment spans two tile centres; the road width overlaps at the joins
+    const dummy = new THREE.Object3D();
+    const open = new THREE.Color(R.open);
+    const blocked = new THREE.Color(R.blocked);
+    segments.forEach(({ a, b, open: isOpen }, i) => {
+      const wa = this.grid.tileToWorld(a.col, a.row);
+      const wb = this.grid.tileToWorld(b.col, b.row);
+      const dx = wb.x - wa.x;
+      const dz = wb.z - wa.z;
+      dummy.position.set((wa.x + wb.x) / 2, 0.006, (wa.z + wb.z) / 2);
+      dummy.rotation.set(0, -Math.atan2(dz, dx), 0);
+      dummy.scale.set(Math.sqrt(dx * dx + dz * dz) + R.width, 1, 1);
+      dummy.updateMatrix();
+      mesh.setMatrixAt(i, dummy.matrix);
+      mesh.setColorAt(i, isOpen ? open : blocked);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    mesh.instanceColor.needsUpdate = true;
+
+    this.group.add(mesh);
+    this._roadMesh = mesh;
+  }
+
   getResourceNodePickables() {
     const pickables = [];
     for (const group of this._resourceNodeGroups.values()) {
@@ -437,6 +579,12 @@ export class GameMap {
     return pickables;
   }
 
+  getResourceNodeWorldPosition(taskId) {
+    const group = this._resourceNodeGroups.get(taskId);
+    if (!group) return null;
+    return { x: group.userData._wx, z: group.userData._wz };
+  }
+
   getStructureWorldPosition(milestoneId) {
     const group = this._structureGroups.get(milestoneId);
     if (!group) return null;
@@ -494,6 +642,17 @@ export class GameMap {
       if (!group) continue;
 
       switch (state.phase) {
+        case 'spawning': {
+          state.timer += dt;
+          const t = Math.min(1, state.timer / SPAWN_DURATION);
+          scaleInPlace(group, easeOutBack(t));
+          if (t >= 1) {
+            state.phase = 'available';
+            state.timer = 0;
+            scaleInPlace(group, 1);
+          }
+          break;
+        }
         case 'depleting': {
           state.timer += dt;
           const t = Math.min(1, state.timer / DEPLETE_DURATION);
@@ -535,6 +694,29 @@ export class GameMap {
       }
     }
 
+    // Structures added at runtime rise out of the ground
+    for (const [milestoneId, timer] of this._structureSpawns) {
+      const group = this._structureGroups.get(milestoneId);
+      const t = Math.min(1, (timer + dt) / SPAWN_DURATION);
+      scaleInPlace(group, easeOutBack(t));
+      if (t >= 1) this._structureSpawns.delete(milestoneId);
+      else this._structureSpawns.set(milestoneId, timer + dt);
+    }
+
+    // Removed nodes / structures collapse, sink and are disposed
+    for (const entry of this._crumbling) {
+      entry.timer += dt;
+      const t = Math.min(1, entry.timer / CRUMBLE_DURATION);
+      scaleInPlace(entry.group, entry.scale * (1 + t * 0.3), entry.scale * Math.max(0.01, 1 - t * t));
+      entry.group.position.y = -0.15 * t;
+    }
+    this._crumbling = this._crumbling.filter(entry => {
+      if (entry.timer < CRUMBLE_DURATION) return true;
+      this.group.remove(entry.group);
+      disposeGroup(entry.group);
+      return false;
+    });
+
     // Gently scroll water texture
     if (this._waterMaterial && this._waterMaterial.map) {
       this._waterMaterial.map.offset.x += dt * 0.02;
@@ -559,3 +741,31 @@ export class GameMap {
     return { x: -this.grid.width / 2, z: -this.grid.height / 2 };
   }
 }
+
+/**
+ * Scale a node / structure group about its own tile. Their meshes sit at
+ * world positions inside a group at the origin, so the group is shifted to
+ * keep the tile centre fixed.
+ * @param {THREE.Group} group — with userData._wx / _wz
+ * @param {number} sxz — horizontal scale
+ * @param {number} [sy] — vertical scale (defaults to sxz)
+ */
+function scaleInPlace(group, sxz, sy = sxz) {
+  const { _wx: wx, _wz: wz } = group.userData;
+  group.scale.set(sxz, sy, sxz);
+  group.position.set(wx * (1 - sxz), 0, wz * (1 - sxz));
+}
+
+/** Ease-out with a small overshoot, for things popping into place. */
+function easeOutBack(t) {
+  const c = 1.70158;
+  const u = t - 1;
+  return 1 + (c + 1) * u * u * u + c * u * u;
+}
+
+function disposeGroup(group) {
+  group.traverse(child => {
+    if (child.geometry) child.geometry.dispose();
+    if (child.material) child.material.dispose();
+  });
+}
@@ -0,0 +1,74 @@
+import * as THREE from 'three';
+import { buildOverlay } from './OverlayLayers.js';
+import { THEME } from '../utils/Theme.js';
+
+/**
+ * Data-driven tint over the terrain — one DataTexture plane like the fog,
+ * just under it, so unexplored ground stays hidden. Shows one layer from
+ * OverlayLayers at a time, or nothing.
+ */
+export class MapOverlay {
+  constructor(gameGrid) {
+    this.grid = gameGrid;
+    this.group = new THREE.Group();
+    this._layerId = null;
+    this._legend = [];
+
+    this._texData = new Uint8Array(gameGrid.width * gameGrid.height * 4);
+    this._texture = new THREE.DataTexture(
+      this._texData,
+      gameGrid.width,
+      gameGrid.height,
+      THREE.RGBAFormat
+    );
+    this._texture.minFilter = THREE.LinearFilter;
+    this._texture.magFilter = THREE.LinearFilter;
+    this._texture.flipY = true; // same orientation as the fog texture
+    this._texture.needsUpdate = true;
+
+    const geo = new THREE.PlaneGeometry(gameGrid.width, gameGrid.height);
+    geo.rotateX(-Math.PI / 2);
+    const mat = new THREE.MeshBasicMaterial({
+      map: this._texture,
+      transparent: true,
+      opacity: THEME.overlay.opacity,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    });
+    this._mesh = new THREE.Mesh(geo, mat);
+    this._mesh.position.set(gameGrid.width / 2, 1.45, gameGrid.height / 2);
+    this._mesh.renderOrder = 9; // under the fog (10)
+    this._mesh.visible = false;
+    this.group.add(this._mesh);
+  }
+
+  /** @param {string|null} layerId — an OVERLAY_LAYERS id, or null to hide */
+  setLayer(layerId) {
+    this._layerId = layerId;
+    this._mesh.visible = layerId !== null;
+    if (layerId === null) this._legend = [];
+  }
+
+  getLayer() {
+    return this._layerId;
+  }
+
+  /**
+   * Recompute the active layer from current data (see buildOverlay).
+   * @param {{nodes:object[], tasks:object[], people:object[], now?:Date, calendar?:object}} data
+   */
+  refresh(data) {
+    if (this._layerId === null) return;
+    const { pixels, legend } = buildOverlay(this._layerId, this.grid, data);
+    this._texData.set(pixels);
+    this._texture.needsUpdate = true;
+    this._legend = legend;
+  }
+
+  /** @returns {Array<{label:string, color:string}>} */
+  getLegend() {
+    return this._legend;
+  }
+
+  getGroup() { return this.group; }
+}
@@ -0,0 +1,104 @@
+/**
+ * Keeps resource nodes (tasks) and structures (milestones) on the grid in
+ * step with the store while the app runs.
+ *
+ * sync() diffs the current tasks and milestones against what's placed and
+ * returns the changes for the renderer and units to animate:
+ *   - new task / milestone        → placed, listed under nodesAdded / structuresAdded
+ *   - deleted task / milestone    → tile freed, listed under nodesRemoved / structuresRemoved
+ *   - task discoveryPercent moved → node re-placed for its new distance ring,
+ *     listed under nodesMoved (only when it actually lands on another tile)
+ *
+ * Pure data — no Three.js dependency.
+ */
+export class MapPlacements {
+  /**
+   * @param {import('./GameGrid.js').GameGrid} grid
+   * @param {import('./TerrainGenerator.js').TerrainGenerator} terrainGen
+   */
+  constructor(grid, terrainGen) {
+    this.grid = grid;
+    this.terrainGen = terrainGen;
+    this._nodes = new Map();      // taskId -> { col, row, resourceType, taskId, depleted, discoveryPercent }
+    this._structures = new Map(); // milestoneId -> { col, row, milestoneId, footprint }
+  }
+
+  /**
+   * @param {object[]} tasks
+   * @param {object[]} milestones
+   * @returns {{
+   *   nodesAdded: object[], nodesRemoved: object[], nodesMoved: Array<{from:object, to:object}>,
+   *   structuresAdded: object[], structuresRemoved: object[]
+   * }}
+   */
+  sync(tasks, milestones) {
+    const changes = {
+      nodesAdded: [],
+      nodesRemoved: [],
+      nodesMoved: [],
+      structuresAdded: [],
+      structuresRemoved: [],
+    };
+
+    // Free removed tiles first so new placements can reuse them
+    const taskIds = new Set(tasks.map(t => t.id));
+    for (const [taskId, node] of this._nodes) {
+      if (taskIds.has(taskId)) continue;
+      this.terrainGen.removeResourceNode(this.grid, node);
+      this._nodes.delete(taskId);
+      changes.nodesRemoved.push(node);
+    }
+
+    const milestoneIds = new Set(milestones.map(m => m.id));
+    for (const [milestoneId, structure] of this._structures) {
+      if (milestoneIds.has(milestoneId)) continue;
+      this.terrainGen.removeStructure(this.grid, structure);
+      this._structures.delete(milestoneId);
+      changes.structuresRemoved.push(structure);
+    }
+
+    // Nodes before structures, the order the map was always laid out in
+    for (const task of tasks) {
+      const existing = this._nodes.get(task.id);
+      if (!existing) {
+        const node = this._placeNode(task);
+        changes.nodesAdded.push(node);
+        continue;
+      }
+
+      existing.resourceType = task.category || 'Unknown';
+      if (existing.discoveryPercent === task.discoveryPercent) continue;
+
+      this.terrainGen.removeResourceNode(this.grid, existing);
+      const node = this._placeNode(task);
+      if (node.col !== existing.col || node.row !== existing.row) {
+        changes.nodesMoved.push({ from: existing, to: node });
+      }
+    }
+
+    for (const milestone of milestones) {
+      if (this._structures.has(milestone.id)) continue;
+      const structure = this.terrainGen.placeStructure(this.grid, milestone);
+      this._structures.set(milestone.id, structure);
+      changes.structuresAdded.push(structure);
+    }
+
+    return changes;
+  }
+
+  _placeNode(task) {
+    const node = this.terrainGen.placeResourceNode(this.grid, task);
+    node.discoveryPercent = task.discoveryPercent;
+    this._nodes.set(task.id, node);
+    return node;
+  }
+
+  getResourceNodePositions() {
+    return [...this._nodes.values()];
+  }
+
+  getStructurePositions() {
+    return [...this._structures.values()];
+  }
+}
+
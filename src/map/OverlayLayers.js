@@ -0,0 +1,203 @@
+import { computeUnitStamina } from '../data/ResourceCalculator.js';
+import { getAssigneeIds, isAssignedTo } from '../data/Assignees.js';
+import { resourceColorForCategory } from '../utils/Colors.js';
+import { THEME } from '../utils/Theme.js';
+import { WorkCalendar } from '../data/WorkCalendar.js';
+
+const HEAT_RADIUS = 6;        // tiles an overdue node warms around it
+const HEAT_FULL_DAYS = 20;    // working days overdue for full heat
+const TERRITORY_RADIUS = 8;   // tiles a person's nodes claim around them
+const BIOME_RADIUS = 7;       // tiles a node's category spreads
+
+/** Layers the toolbar offers, in picker order. */
+export const OVERLAY_LAYERS = [
+  { id: 'overdue', label: 'Overdue heat' },
+  { id: 'territory', label: 'Stamina territory' },
+  { id: 'categories', label: 'Category biomes' },
+];
+
+/**
+ * Per-tile tint for one overlay layer, as RGBA bytes in grid order (row-major,
+ * same layout as the fog texture), plus the legend that explains it.
+ *
+ * - overdue    — heat around nodes whose task is past due, hotter the longer
+ *                it's overdue and the closer to the node
+ * - territory  — each tile belongs to whoever owns the nearest node, tinted
+ *                by that person's stamina, with borders between owners
+ * - categories — the task category that dominates nearby nodes
+ *
+ * @param {'overdue'|'territory'|'categories'} layerId
+ * @param {import('./GameGrid.js').GameGrid} grid
+ * @param {Object} data
+ * @param {Array<{taskId:string, col:number, row:number, resourceType:string}>} data.nodes
+ * @param {object[]} data.tasks
+ * @param {object[]} data.people
+ * @param {Date} [data.now]
+ * @param {WorkCalendar} [data.calendar] — counts overdue days; defaults to CONFIG's
+ * @returns {{pixels: Uint8Array, legend: Array<{label:string, color:string}>}}
+ */
+export function buildOverlay(layerId, grid, { nodes, tasks, people, now = new Date(), calendar = WorkCalendar.fromConfig(people) }) {
+  const pixels = new Uint8Array(grid.width * grid.height * 4);
+  let legend;
+  switch (layerId) {
+    case 'overdue': legend = paintOverdue(pixels, grid, nodes, tasks, now, calendar); break;
+    case 'territory': legend = paintTerritory(pixels, grid, nodes, tasks, people, now, calendar); break;
+    case 'categories': legend = paintCategories(pixels, grid, nodes); break;
+    default: throw new Error(`Unknown overlay layer "${layerId}"`);
+  }
+
+  // Nothing shows over the void around the island
+  for (let i = 0; i < grid.tiles.length; i++) {
+    if (grid.tiles[i].type === 'void') pixels[i * 4 + 3] = 0;
+  }
+  return { pixels, legend };
+}
+
+function paintOverdue(pixels, grid, nodes, tasks, now, calendar) {
+  const heat = new Float32Array(grid.width * grid.height);
+  const byId = new Map(tasks.map(t => [t.id, t]));
+
+  for (const node of nodes) {
+    const task = byId.get(node.taskId);
+    if (!task || !task.expectedDate || task.percentComplete >= 100) continue;
+    const daysOverdue = calendar.workingDaysElapsed(task.expectedDate, now);
+    if (!(daysOverdue > 0)) continue;
+    const intensity = Math.min(1, daysOverdue / HEAT_FULL_DAYS);
+    forTilesAround(grid, node, HEAT_RADIUS, (i, falloff) => {
+      heat[i] = Math.max(heat[i], intensity * falloff);
+    });
+  }
+
+  const { low, high } = THEME.overlay.heat;
+  for (let i = 0; i < heat.length; i++) {
+    if (heat[i] === 0) continue;
+    setPixel(pixels, i, mix(low, high, heat[i]), heat[i]);
+  }
+
+  return [
+    { label: 'A few days overdue', color: toCss(mix(low, high, 0.15)) },
+    { label: 'Two weeks overdue', color: toCss(mix(low, high, 0.5)) },
+    { label: `${HEAT_FULL_DAYS}+ working days overdue`, color: toCss(high) },
+  ];
+}
+
+function paintTerritory(pixels, grid, nodes, tasks, people, now, calendar) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const stamina = new Map(people.map(p => [
+    p.id,
+    computeUnitStamina(tasks.filter(t => isAssignedTo(t, p.id)), now, calendar.forPerson(p.id)),
+  ]));
+  const sites = nodes
+    // A shared node claims ground for its first assignee
+    .map(node => ({ ...node, personId: byId.has(node.taskId) ? getAssigneeIds(byId.get(node.taskId))[0] : undefined }))
+    .filter(site => stamina.has(site.personId));
+
+  // Nearest site wins the tile — a Voronoi diagram cut off at the radius
+  const owner = new Array(grid.width * grid.height).fill(null);
+  const best = new Float32Array(grid.width * grid.height).fill(Infinity);
+  for (const site of sites) {
+    forTilesAround(grid, site, TERRITORY_RADIUS, (i, falloff, distSq) => {
+      if (distSq < best[i]) {
+        best[i] = distSq;
+        owner[i] = site.personId;
+      }
+    });
+  }
+
+  for (let row = 0; row < grid.height; row++) {
+    for (let col = 0; col < grid.width; col++) {
+      const i = row * grid.width + col;
+      if (!owner[i]) continue;
+      const color = staminaColor(stamina.get(owner[i]));
+      const border = [[1, 0], [-1, 0], [0, 1], [0, -1]].some(([dc, dr]) => {
+        const c = col + dc;
+        const r = row + dr;
+        return c >= 0 && r >= 0 && c < grid.width && r < grid.height && owner[r * grid.width + c] !== owner[i];
+      });
+      if (border) setPixel(pixels, i, darken(color, THEME.overlay.borderDarken), 1);
+      else setPixel(pixels, i, color, 0.6);
+    }
+  }
+
+  // Legend lists whoever holds ground, most tired first
+  const holders = people.filter(p => owner.includes(p.id));
+  holders.sort((a, b) => stamina.get(a.id) - stamina.get(b.id));
+  return holders.map(p => ({
+    label: `${p.name.split(' ')[0]} · ${Math.round(stamina.get(p.id) * 100)}%`,
+    color: toCss(staminaColor(stamina.get(p.id))),
+  }));
+}
+
+function paintCategories(pixels, grid, nodes) {
+  const total = grid.width * grid.height;
+  const weights = new Map(); // category -> Float32Array of per-tile weight
+
+  for (const node of nodes) {
+    const category = node.resourceType || 'Unknown';
+    if (!weights.has(category)) weights.set(category, new Float32Array(total));
+    const w = weights.get(category);
+    forTilesAround(grid, node, BIOME_RADIUS, (i, falloff) => {
+      w[i] += falloff;
+    });
+  }
+
+  const tileCounts = new Map();
+  for (let i = 0; i < total; i++) {
+    let top = null;
+    let topWeight = 0;
+    for (const [category, w] of weights) {
+      if (w[i] > topWeight) {
+        top = category;
+        topWeight = w[i];
+      }
+    }
+    if (!top) continue;
+    setPixel(pixels, i, resourceColorForCategory(top), Math.min(1, topWeight) * 0.8);
+    tileCounts.set(top, (tileCounts.get(top) || 0) + 1);
+  }
+
+  return [...tileCounts]
+    .sort((a, b) => b[1] - a[1])
+    .map(([category]) => ({ label: category, color: toCss(resourceColorForCategory(category)) }));
+}
+
+/** Calls fn(index, falloff 1→0, squared distance) for tiles within radius of a node. */
+function forTilesAround(grid, { col, row }, radius, fn) {
+  const r = Math.ceil(radius);
+  for (let dr = -r; dr <= r; dr++) {
+    for (let dc = -r; dc <= r; dc++) {
+      const c = col + dc;
+      const rr = row + dr;
+      if (c < 0 || rr < 0 || c >= grid.width || rr >= grid.height) continue;
+      const distSq = dc * dc + dr * dr;
+      const dist = Math.sqrt(distSq);
+      if (dist > radius) continue;
+      fn(rr * grid.width + c, 1 - dist / (radius + 1), distSq);
+    }
+  }
+}
+
+function staminaColor(value) {
+  const { low, mid, high } = THEME.overlay.stamina;
+  return value < 0.5 ? mix(low, mid, value / 0.5) : mix(mid, high, (value - 0.5) / 0.5);
+}
+
+function setPixel(pixels, i, hex, alpha) {
+  pixels[i * 4 + 0] = (hex >> 16) & 255;
+  pixels[i * 4 + 1] = (hex >> 8) & 255;
+  pixels[i * 4 + 2] = hex & 255;
+  pixels[i * 4 + 3] = Math.round(Math.max(0, Math.min(1, alpha)) * 255);
+}
+
+function mix(a, b, t) {
+  const channel = (shift) => Math.round(((a >> shift) & 255) * (1 - t) + ((b >> shift) & 255) * t);
+  return (channel(16) << 16) | (channel(8) << 8) | channel(0);
+}
+
+function darken(hex, amount) {
+  return mix(hex, 0x000000, amount);
+}
+
+function toCss(hex) {
+  return `#${hex.toString(16).padStart(6, '0')}`;
+}
@@ -0,0 +1,88 @@
+/**
+ * Routes task dependencies across the grid as roads between resource
+ * nodes — prerequisite node → dependent node — so chains of work show up
+ * on the terrain.
+ *
+ * Routes follow A* over walkable tiles; when none exists (water in the
+ * way) the road runs straight between the two nodes. Routes are cached by
+ * endpoint; call clear() after nodes or structures move.
+ *
+ * Pure data — no Three.js dependency.
+ *
+ * @typedef {Object} Road
+ * @property {string} id          — "<fromTaskId>><toTaskId>"
+ * @property {string} fromTaskId  — prerequisite
+ * @property {string} toTaskId    — dependent task
+ * @property {Array<{col:number, row:number}>} tiles — node to node, inclusive
+ * @property {boolean} open       — prerequisite is complete
+ */
+export class RoadPlanner {
+  /** @param {import('./GameGrid.js').GameGrid} grid */
+  constructor(grid) {
+    this.grid = grid;
+    this._routes = new Map(); // "c,r>c,r" -> tiles
+  }
+
+  clear() {
+    this._routes.clear();
+  }
+
+  /**
+   * @param {Array<{taskId:string, col:number, row:number}>} nodes — placed resource nodes
+   * @param {object[]} tasks
+   * @returns {Road[]}
+   */
+  plan(nodes, tasks) {
+    const nodeById = new Map(nodes.map(n => [n.taskId, n]));
+    const taskById = new Map(tasks.map(t => [t.id, t]));
+    const roads = [];
+
+    for (const task of tasks) {
+      const to = nodeById.get(task.id);
+      if (!to) continue;
+      for (const depId of task.dependsOn || []) {
+        const from = nodeById.get(depId);
+        const prerequisite = taskById.get(depId);
+        if (!from || !prerequisite) continue;
+        roads.push({
+          id: `${depId}>${task.id}`,
+          fromTaskId: depId,
+          toTaskId: task.id,
+          tiles: this._route(from, to),
+          open: prerequisite.percentComplete >= 100,
+        });
+      }
+    }
+    return roads;
+  }
+
+  _route(from, to) {
+    const key = `${from.col},${from.row}>${to.col},${to.row}`;
+    let tiles = this._routes.get(key);
+    if (!tiles) {
+      tiles = this._findRoute(from, to);
+      this._routes.set(key, tiles);
+    }
+    return tiles;
+  }
+
+  _findRoute(from, to) {
+    const start = { col: from.col, row: from.row };
+    const end = { col: to.col, row: to.row };
+
+    // Node tiles are blocked, so aim for the free tile beside the target
+    // that's closest to where the road comes from
+    const [approach] = this.grid.getNeighbors(to.col, to.row)
+      .filter(n => this.grid.isWalkable(n.col, n.row))
+      .sort((a, b) => dist2(a, from) - dist2(b, from));
+
+    const path = approach && this.grid.findPath(from.col, from.row, approach.col, approach.row);
+    return path ? [...path, end] : [start, end];
+  }
+}
+
+function dist2(a, b) {
+  const dc = a.col - b.col;
+  const dr = a.row - b.row;
+  return dc * dc + dr * dr;
+}
@@ -1,17 +1,16 @@
 import { TileType } from './GameGrid.js';
 import { CONFIG } from '../utils/Config.js';
+import { seededRandom } from '../utils/Math.js';
 
 /**
- * Simple seeded PRNG (mulberry32) for deterministic terrain.
+ * Deterministic non-negative hash of an entity ID, used to seed placement.
  */
-function seededRandom(seed) {
-  let s = seed | 0;
-  return function () {
-    s = (s + 0x6d2b79f5) | 0;
-    let t = Math.imul(s ^ (s >>> 15), 1 | s);
-    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
+function hashId(id) {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) {
+    hash = ((hash << 5) - hash + id.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
 }
 
 /**
@@ -110,53 +109,57 @@ export class TerrainGenerator {
    * Higher discovery % tasks are placed farther from center.
    */
   placeResourceNodes(grid, tasks) {
+    return tasks.map(task => this.placeResourceNode(grid, task));
+  }
+
+  /**
+   * Place a single task's resource node. Tiles already taken by other nodes
+   * or structures are blocked, so the node nudges to the nearest free tile.
+   */
+  placeResourceNode(grid, task) {
     const cx = grid.width / 2;
     const cz = grid.height / 2;
-    const nodes = [];
-
-    for (const task of tasks) {
-      // Hash task ID to get a deterministic seed
-      let hash = 0;
-      for (let i = 0; i < task.id.length; i++) {
-        hash = ((hash << 5) - hash + task.id.charCodeAt(i)) | 0;
-      }
-      const rand = seededRandom(Math.abs(hash));
-
-      // Place farther from center if more discovery-heavy
-      const discoveryWeight = task.discoveryPercent / 100;
-      const minRadius = (CONFIG.BASE_RADIUS + 3) + discoveryWeight * 4;
-      const maxRadius = (CONFIG.BASE_RADIUS + 6) + discoveryWeight * 8;
-      const radius = minRadius + rand() * (maxRadius - minRadius);
-      const angle = rand() * Math.PI * 2;
-
-      let col = Math.round(cx + Math.cos(angle) * radius);
-      let row = Math.round(cz + Math.sin(angle) * radius);
-
-      // Clamp to grid and ensure walkable
-      col = Math.max(1, Math.min(grid.width - 2, col));
-      row = Math.max(1, Math.min(grid.height - 2, row));
-
-      // If tile is water, nudge to nearest walkable
-      if (!grid.isWalkable(col, row)) {
-        const found = this._findNearestWalkable(grid, col, row);
-        if (found) {
-          col = found.col;
-          row = found.row;
-        }
+    const rand = seededRandom(hashId(task.id));
+
+    // Place farther from center if more discovery-heavy
+    const discoveryWeight = (task.discoveryPercent || 0) / 100;
+    const minRadius = (CONFIG.BASE_RADIUS + 3) + discoveryWeight * 4;
+    const maxRadius = (CONFIG.BASE_RADIUS + 6) + discoveryWeight * 8;
+    const radius = minRadius + rand() * (maxRadius - minRadius);
+    const angle = rand() * Math.PI * 2;
+
+    let col = Math.round(cx + Math.cos(angle) * radius);
+    let row = Math.round(cz + Math.sin(angle) * radius);
+
+    // Clamp to grid and ensure walkable
+    col = Math.max(1, Math.min(grid.width - 2, col));
+    row = Math.max(1, Math.min(grid.height - 2, row));
+
+    // If tile is water, nudge to nearest walkable
+    if (!grid.isWalkable(col, row)) {
+      const found = this._findNearestWalkable(grid, col, row);
+      if (found) {
+        col = found.col;
+        row = found.row;
       }
+    }
 
-      grid.setTile(col, row, { resourceNodeId: task.id, type: TileType.GRASS, blocked: true });
+    grid.setTile(col, row, { resourceNodeId: task.id, type: TileType.GRASS, blocked: true });
 
-      nodes.push({
-        col,
-        row,
-        resourceType: task.category || 'Unknown',
-        taskId: task.id,
-        depleted: task.percentComplete >= 100,
-      });
-    }
+    return {
+      col,
+      row,
+      resourceType: task.category || 'Unknown',
+      taskId: task.id,
+      depleted: task.percentComplete >= 100,
+    };
+  }
 
-    return nodes;
+  /** Free the tile taken by placeResourceNode(). */
+  removeResourceNode(grid, node) {
+    const tile = grid.getTile(node.col, node.row);
+    if (!tile || tile.resourceNodeId !== node.taskId) return;
+    grid.setTile(node.col, node.row, { resourceNodeId: null, blocked: false });
   }
 
   /**
@@ -164,53 +167,62 @@ export class TerrainGenerator {
    * Positions are deterministic based on milestone ID hash.
    */
   placeStructures(grid, milestones) {
+    return milestones.map(milestone => this.placeStructure(grid, milestone));
+  }
+
+  /**
+   * Place a single milestone's structure. `footprint` lists every tile it
+   * blocked so removeStructure() can free exactly those.
+   */
+  placeStructure(grid, milestone) {
     const cx = grid.width / 2;
     const cz = grid.height / 2;
-    const positions = [];
-
-    for (const milestone of milestones) {
-      // Hash milestone ID for deterministic placement
-      let hash = 0;
-      for (let i = 0; i < milestone.id.length; i++) {
-        hash = ((hash << 5) - hash + milestone.id.charCodeAt(i)) | 0;
-      }
-      const rand = seededRandom(Math.abs(hash) + 9999); // offset to avoid overlap with resource seeds
-
-      // Place at radii outside base, within walkable area
-      const minRadius = CONFIG.BASE_RADIUS + 6;
-      const maxRadius = CONFIG.BASE_RADIUS + 14;
-      const radius = minRadius + rand() * (maxRadius - minRadius);
-      const angle = rand() * Math.PI * 2;
-
-      let col = Math.round(cx + Math.cos(angle) * radius);
-      let row = Math.round(cz + Math.sin(angle) * radius);
-
-      // Clamp to grid and ensure walkable
-      col = Math.max(2, Math.min(grid.width - 3, col));
-      row = Math.max(2, Math.min(grid.height - 3, row));
-
-      if (!grid.isWalkable(col, row)) {
-        const found = this._findNearestWalkable(grid, col, row);
-        if (found) {
-          col = found.col;
-          row = found.row;
-        }
+    const rand = seededRandom(hashId(milestone.id) + 9999); // offset to avoid overlap with resource seeds
+
+    // Place at radii outside base, within walkable area
+    const minRadius = CONFIG.BASE_RADIUS + 6;
+    const maxRadius = CONFIG.BASE_RADIUS + 14;
+    const radius = minRadius + rand() * (maxRadius - minRadius);
+    const angle = rand() * Math.PI * 2;
+
+    let col = Math.round(cx + Math.cos(angle) * radius);
+    let row = Math.round(cz + Math.sin(angle) * radius);
+
+    // Clamp to grid and ensure walkable
+    col = Math.max(2, Math.min(grid.width - 3, col));
+    row = Math.max(2, Math.min(grid.height - 3, row));
+
+    if (!grid.isWalkable(col, row)) {
+      const found = this._findNearestWalkable(grid, col, row);
+      if (found) {
+        col = found.col;
+        row = found.row;
       }
+    }
 
-      grid.setTile(col, row, { structureId: milestone.id, type: TileType.DIRT, blocked: true });
-      // Block cross pattern around structure (structures are ~2 tiles wide)
-      const crossDirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
-      for (const [dc, dr] of crossDirs) {
-        const nc = col + dc;
-        const nr = row + dr;
-        if (grid.inBounds(nc, nr) && grid.isWalkable(nc, nr)) {
-          grid.setTile(nc, nr, { blocked: true });
-        }
+    grid.setTile(col, row, { structureId: milestone.id, type: TileType.DIRT, blocked: true });
+    const footprint = [{ col, row }];
+    // Block cross pattern around structure (structures are ~2 tiles wide)
+    const crossDirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+    for (const [dc, dr] of crossDirs) {
+      const nc = col + dc;
+      const nr = row + dr;
+      if (grid.inBounds(nc, nr) && grid.isWalkable(nc, nr)) {
+        grid.setTile(nc, nr, { blocked: true });
+        footprint.push({ col: nc, row: nr });
       }
-      positions.push({ col, row, milestoneId: milestone.id });
     }
+    return { col, row, milestoneId: milestone.id, footprint };
+  }
 
-    return positions;
+  /** Free the tiles taken by placeStructure(). */
+  removeStructure(grid, structure) {
+    const tile = grid.getTile(structure.col, structure.row);
+    if (!tile || tile.structureId !== structure.milestoneId) return;
+    grid.setTile(structure.col, structure.row, { structureId: null });
+    for (const { col, row } of structure.footprint || []) {
+      grid.setTile(col, row, { blocked: false });
+    }
   }
 
   _findNearestWalkable(grid, col, row) {
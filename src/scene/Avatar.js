@@ -27,6 +27,9 @@ export class Avatar {
     this.nameSprite = createTextSprite(personData.name, ns.fontSize, ns.textColor, ns.bgColor);
     this.nameSprite.position.y = 2.1;
     this.group.add(this.nameSprite);
+    this.skillSprite = null;
+    this._skillLabel = null;
+    this._awayLabel = null;
 
     this._shadowDisc = createShadowDisc(0.4);
     this.group.add(this._shadowDisc);
@@ -232,6 +235,44 @@ export class Avatar {
     }
   }
 
+  /**
+   * Top-skill badge above the name label, e.g. "Research Lv 4".
+   * @param {string|null} label — null removes the badge
+   */
+  setSkillBadge(label) {
+    if (label === this._skillLabel) return;
+    this._skillLabel = label;
+    this._updateBadge();
+  }
+
+  /**
+   * Out-of-office badge, e.g. "Away until Oct 23" — shown in place of the
+   * skill badge while set.
+   * @param {string|null} label — null goes back to the skill badge
+   */
+  setAwayBadge(label) {
+    if (label === this._awayLabel) return;
+    this._awayLabel = label;
+    this._updateBadge();
+  }
+
+  _updateBadge() {
+    if (this.skillSprite) {
+      this.group.remove(this.skillSprite);
+      this.skillSprite.material.map.dispose();
+      this.skillSprite.material.dispose();
+      this.skillSprite = null;
+    }
+    const label = this._awayLabel || this._skillLabel;
+    if (!label) return;
+
+    const sb = this._awayLabel ? THEME.avatar.awayBadge : THEME.avatar.skillBadge;
+    this.skillSprite = createTextSprite(label, sb.fontSize, sb.textColor, sb.bgColor);
+    this.skillSprite.scale.multiplyScalar(0.8);
+    this.skillSprite.position.y = 2.55;
+    this.group.add(this.skillSprite);
+  }
+
   highlight() {
     this.bodyMat.emissive.set(THEME.avatar.highlight.emissiveColor);
     this.bodyMat.emissiveIntensity = THEME.avatar.highlight.emissiveIntensity;
@@ -1,4 +1,7 @@
 import { lerp, clamp } from '../utils/Math.js';
+import { isTypingTarget } from '../interaction/KeyboardShortcuts.js';
+
+const ROTATE_STEP = Math.PI / 2; // Q / E turn the view a quarter at a time
 
 export class CameraControls {
   constructor(camera, renderer, bounds) {
@@ -12,6 +15,14 @@ export class CameraControls {
     this.currentX = this.targetX;
     this.currentZ = this.targetZ;
 
+    // Orbit angle around the target — π/4 looks from the +X +Z corner
+    this.yaw = Math.PI / 4;
+    this.targetYaw = this.yaw;
+
+    // Follow mode — a function returning the scene point to keep centered
+    this._follow = null;
+    this._userPanCallbacks = [];
+
     // Zoom
     this.zoom = 1;
     this.targetZoom = 1;
@@ -34,8 +45,13 @@ export class CameraControls {
 
     // Keyboard
     this._keys = new Set();
-    window.addEventListener('keydown', (e) => this._keys.add(e.key));
-    window.addEventListener('keyup', (e) => this._keys.delete(e.key));
+    window.addEventListener('keydown', (e) => {
+      // Typing "w" in a form or the command palette shouldn't pan the map
+      if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || e.altKey) return;
+      this._keys.add(e.key.toLowerCase());
+    });
+    window.addEventListener('keyup', (e) => this._keys.delete(e.key.toLowerCase()));
+    window.addEventListener('blur', () => this._keys.clear());
   }
 
   _onPointerDown(e) {
@@ -54,13 +70,9 @@ export class CameraControls {
     const dy = e.clientY - this._lastMouse.y;
     this._lastMouse = { x: e.clientX, y: e.clientY };
 
-    // Convert screen movement to world-space pan
-    // In isometric view, screen X maps to world X-Z diagonal, screen Y maps to the other diagonal
-    const panSpeed = 0.05 / this.zoom;
-    this.targetX -= (dx + dy) * panSpeed * 0.7;
-    this.targetZ -= (-dx + dy) * panSpeed * 0.7;
-
-    this._clampTarget();
+    // Convert screen movement to world-space pan along the view's axes
+    const panSpeed = 0.05 / this.zoom * 0.7 * Math.SQRT2;
+    this._pan(-dx * panSpeed, dy * panSpeed);
   }
 
   _onPointerUp() {
@@ -73,6 +85,48 @@ export class CameraControls {
     this.targetZoom = clamp(this.targetZoom * (1 + zoomDelta * 3), this.minZoom, this.maxZoom);
   }
 
+  /** Glide the camera to look at scene point (x, z). Stops following. */
+  setTarget(x, z) {
+    this._follow = null;
+    this.targetX = x;
+    this.targetZ = z;
+    this._clampTarget();
+  }
+
+  /** Turn the view around its target by `steps` quarter turns (negative = the other way). */
+  rotate(steps) {
+    this.targetYaw += steps * ROTATE_STEP;
+  }
+
+  /**
+   * Keep a moving point centered until the user pans or picks another target.
+   * @param {(() => {x:number, z:number}|null)|null} getPosition — scene point,
+   *   or null once there's nothing left to follow
+   */
+  follow(getPosition) {
+    this._follow = getPosition;
+  }
+
+  isFollowing() {
+    return this._follow !== null;
+  }
+
+  /** Called when the user drags or key-pans the map (e.g. to end a tour). */
+  onUserPan(cb) {
+    this._userPanCallbacks.push(cb);
+  }
+
+  /** Move the target by screen-relative amounts: right and forward (up the screen). */
+  _pan(right, forward) {
+    this._follow = null;
+    for (const cb of this._userPanCallbacks) cb();
+    const sin = Math.sin(this.yaw);
+    const cos = Math.cos(this.yaw);
+    this.targetX += right * cos - forward * sin;
+    this.targetZ += -right * sin - forward * cos;
+    this._clampTarget();
+  }
+
   _clampTarget() {
     const margin = 5;
     this.targetX = clamp(this.targetX, this.bounds.minX - margin, this.bounds.maxX + margin);
@@ -80,29 +134,44 @@ export class CameraControls {
   }
 
   update(dt) {
-    // Keyboard pan
+    // Keyboard pan, relative to the way the view faces
     const panSpeed = 15 * dt / this.zoom;
-    if (this._keys.has('ArrowLeft') || this._keys.has('a')) this.targetX -= panSpeed;
-    if (this._keys.has('ArrowRight') || this._keys.has('d')) this.targetX += panSpeed;
-    if (this._keys.has('ArrowUp') || this._keys.has('w')) this.targetZ -= panSpeed;
-    if (this._keys.has('ArrowDown') || this._keys.has('s')) this.targetZ += panSpeed;
-    this._clampTarget();
+    let right = 0;
+    let forward = 0;
+    if (this._keys.has('arrowleft') || this._keys.has('a')) right -= panSpeed;
+    if (this._keys.has('arrowright') || this._keys.has('d')) right += panSpeed;
+    if (this._keys.has('arrowup') || this._keys.has('w')) forward += panSpeed;
+    if (this._keys.has('arrowdown') || this._keys.has('s')) forward -= panSpeed;
+    if (right !== 0 || forward !== 0) this._pan(right, forward);
+
+    if (this._follow) {
+      const p = this._follow();
+      if (p) {
+        this.targetX = p.x;
+        this.targetZ = p.z;
+        this._clampTarget();
+      } else {
+        this._follow = null;
+      }
+    }
 
     // Smooth interpolation
     const smoothing = 1 - Math.pow(0.001, dt);
     this.currentX = lerp(this.currentX, this.targetX, smoothing);
     this.currentZ = lerp(this.currentZ, this.targetZ, smoothing);
     this.zoom = lerp(this.zoom, this.targetZoom, smoothing);
+    this.yaw = lerp(this.yaw, this.targetYaw, smoothing);
 
     this._updateCamera();
   }
 
   _updateCamera() {
     const dist = 50;
+    const reach = dist * Math.SQRT2; // horizontal distance, so height stays `dist`
     this.camera.position.set(
-      this.currentX + dist,
+      this.currentX + Math.sin(this.yaw) * reach,
       dist,
-      this.currentZ + dist
+      this.currentZ + Math.cos(this.yaw) * reach
     );
     this.camera.lookAt(this.currentX, 0, this.currentZ);
 
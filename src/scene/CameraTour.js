@@ -0,0 +1,95 @@
+const PERSON_SECONDS = 6;     // how long the tour lingers on each person
+const MILESTONE_SECONDS = 8;  // and on each milestone structure
+
+/**
+ * The stops of a standup tour: everyone on the team in order, then each
+ * milestone structure.
+ * @param {Array<{id:string}>} people
+ * @param {Array<{id:string}>} milestones
+ * @returns {Array<{kind:'person'|'milestone', id:string, seconds:number}>}
+ */
+export function buildTourStops(people, milestones) {
+  return [
+    ...people.map(p => ({ kind: 'person', id: p.id, seconds: PERSON_SECONDS })),
+    ...milestones.map(m => ({ kind: 'milestone', id: m.id, seconds: MILESTONE_SECONDS })),
+  ];
+}
+
+/**
+ * Hands-free walk through a list of stops for a wall screen. Holds each stop
+ * for its `seconds` and tells listeners where to go; moving the camera and
+ * opening panels is up to them. Loops until stopped.
+ */
+export class CameraTour {
+  constructor() {
+    this._stops = [];
+    this._index = -1;
+    this._timer = 0;
+    this._visitCallbacks = [];
+    this._endCallbacks = [];
+  }
+
+  /**
+   * Start at the first stop. Fetches stops afresh each lap so people and
+   * milestones added mid-tour are picked up.
+   * @param {() => Array<{kind:string, id:string, seconds:number}>} getStops
+   */
+  start(getStops) {
+    this._getStops = getStops;
+    this._stops = getStops();
+    if (this._stops.length === 0) return;
+    this._index = 0;
+    this._timer = 0;
+    this._visit();
+  }
+
+  stop() {
+    if (!this.isRunning()) return;
+    this._index = -1;
+    this._stops = [];
+    for (const cb of this._endCallbacks) cb();
+  }
+
+  isRunning() {
+    return this._index >= 0;
+  }
+
+  /** @returns {{kind:string, id:string, seconds:number}|null} */
+  getCurrentStop() {
+    return this.isRunning() ? this._stops[this._index] : null;
+  }
+
+  update(dt) {
+    if (!this.isRunning()) return;
+    this._timer += dt;
+    if (this._timer < this._stops[this._index].seconds) return;
+
+    this._timer = 0;
+    this._index++;
+    if (this._index >= this._stops.length) {
+      this._stops = this._getStops();
+      this._index = 0;
+      if (this._stops.length === 0) {
+        this._index = -1;
+        for (const cb of this._endCallbacks) cb();
+        return;
+      }
+    }
+    this._visit();
+  }
+
+  _visit() {
+    const stop = this._stops[this._index];
+    for (const cb of this._visitCallbacks) cb(stop);
+  }
+
+  /** @param {(stop: {kind:string, id:string, seconds:number}) => void} cb */
+  onVisit(cb) {
+    this._visitCallbacks.push(cb);
+  }
+
+  /** Called when the tour stops, by request or because nothing is left to visit. */
+  onEnd(cb) {
+    this._endCallbacks.push(cb);
+  }
+}
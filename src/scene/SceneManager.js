@@ -34,6 +34,9 @@ export class SceneManager {
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
     this.renderer.toneMappingExposure = THEME.scene.toneMappingExposure;
 
+    this._restDay = false;
+    this._timeOfDay = 0;
+
     this._setupLights();
     this._cacheDayNightColors();
 
@@ -101,6 +104,8 @@ export class SceneManager {
     this._dayHemiGround  = new THREE.Color(D.hemisphere.groundColor);
     this._nightHemiGround = new THREE.Color(N.hemisphere.groundColor);
 
+    this._restTint = new THREE.Color(THEME.restDay.tint);
+
     // Temp colors for lerping (avoid allocations in hot path)
     this._tmpColor = new THREE.Color();
     this._tmpColor2 = new THREE.Color();
@@ -110,6 +115,7 @@ export class SceneManager {
    * Smoothly transition all lighting between day (t=0) and night (t=1).
    */
   setTimeOfDay(t) {
+    this._timeOfDay = t;
     const D = THEME.lighting;
     const N = THEME_NIGHT.lighting;
 
@@ -137,6 +143,21 @@ export class SceneManager {
     this._hemi.color.copy(this._dayHemiSky).lerp(this._nightHemiSky, t);
     this._hemi.groundColor.copy(this._dayHemiGround).lerp(this._nightHemiGround, t);
     this._hemi.intensity = D.hemisphere.intensity + (N.hemisphere.intensity - D.hemisphere.intensity) * t;
+
+    if (this._restDay) {
+      const R = THEME.restDay;
+      this.scene.background.lerp(this._restTint, R.strength);
+      this._ambient.color.lerp(this._restTint, R.strength);
+      this._hemi.color.lerp(this._restTint, R.strength);
+      this.renderer.toneMappingExposure *= R.exposure;
+    }
+  }
+
+  /** Weekends and holidays get a distinct, warmer ambience on top of the time of day. */
+  setRestDay(restDay) {
+    if (restDay === this._restDay) return;
+    this._restDay = restDay;
+    this.setTimeOfDay(this._timeOfDay);
   }
 
   _onResize() {
@@ -0,0 +1,95 @@
+import { suggestReassignments } from '../data/WorkloadAdvisor.js';
+import { reassign } from '../data/Assignees.js';
+import { renderStaminaChange } from './StaminaChange.js';
+import { esc } from '../utils/Html.js';
+
+/**
+ * Workload advisor — lists reassignments that would lift the team's lowest
+ * stamina, each with a one-click Apply.
+ */
+export class AdvisorPanel {
+  constructor(container, store) {
+    this.store = store;
+    this.isOpen = false;
+
+    this.el = document.createElement('div');
+    this.el.className = 'advisor-panel';
+    container.appendChild(this.el);
+
+    this.store.onDataChange(() => {
+      if (this.isOpen) this._render();
+    });
+  }
+
+  toggle() {
+    this.isOpen = !this.isOpen;
+    if (this.isOpen) {
+      this._render();
+      this.el.classList.add('open');
+    } else {
+      this.el.classList.remove('open');
+    }
+  }
+
+  _render() {
+    const suggestions = suggestReassignments(this.store.getPeople(), this.store.getTasks(), new Date(), {
+      calendar: this.store.getCalendar(),
+    });
+
+    this.el.innerHTML = `
+      <div class="editor-header">
+        <h2>Advisor</h2>
+      </div>
+      <div class="advisor-content">
+        <div class="settings-hint">
+          Reassignments that raise the team's lowest stamina and even out
+          scout / gather mixes. Each assumes the ones above it are applied.
+        </div>
+        ${suggestions.map((s, i) => this._renderSuggestion(s, i)).join('')}
+        ${suggestions.length === 0 ? '<div class="advisor-empty">The workload is as balanced as reassigning can make it.</div>' : ''}
+      </div>
+    `;
+
+    this.el.querySelectorAll('[data-apply]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const s = suggestions[Number(btn.dataset.apply)];
+        const task = this.store.getTask(s.taskId);
+        if (task) this.store.updateTask(s.taskId, { assigneeIds: reassign(task, s.fromId, s.toId).assigneeIds });
+      });
+    });
+  }
+
+  _renderSuggestion(s, index) {
+    const from = this.store.getPerson(s.fromId);
+    const to = this.store.getPerson(s.toId);
+
+    return `
+      <div class="advisor-item">
+        <div class="advisor-move">
+          Move <strong>${esc(s.taskName)}</strong> from ${personLabel(from)} to ${personLabel(to)}
+        </div>
+        <div class="advisor-impact">
+          ${impactRow(firstName(from), s.from)}
+          ${impactRow(firstName(to), s.to)}
+          ${impactRow('Team lowest', s.teamMin)}
+        </div>
+        <button class="btn btn-primary btn-small" data-apply="${index}">Apply</button>
+      </div>
+    `;
+  }
+}
+
+function personLabel(person) {
+  return `<span class="advisor-person"><span class="contributor-swatch" style="background:${person.color};"></span>${esc(firstName(person))}</span>`;
+}
+
+function firstName(person) {
+  return person.name.split(' ')[0];
+}
+
+function impactRow(label, change) {
+  return `
+    <span>${esc(label)}</span>
+    ${renderStaminaChange(change)}
+  `;
+}
@@ -0,0 +1,112 @@
+import { fuzzyFilter } from '../utils/Fuzzy.js';
+import { esc } from '../utils/Html.js';
+
+const MAX_RESULTS = 12;
+
+/**
+ * Ctrl/Cmd+K palette over the map — fuzzy-searches whatever the provider
+ * returns (people, tasks, milestones, actions) and runs the picked entry.
+ *
+ * @typedef {Object} PaletteCommand
+ * @property {string} label
+ * @property {string} kind   — badge text, e.g. 'Person' or 'Action'
+ * @property {string} [hint] — secondary text, also searched
+ * @property {() => void} run
+ */
+export class CommandPalette {
+  constructor(container) {
+    this.isOpen = false;
+    this._provider = () => [];
+    this._results = [];
+    this._active = 0;
+
+    this.el = document.createElement('div');
+    this.el.className = 'command-palette';
+    this.el.innerHTML = `
+      <div class="command-palette-box">
+        <input class="command-palette-input" type="text" placeholder="Search people, tasks, milestones and actions…" />
+        <div class="command-palette-list"></div>
+      </div>
+    `;
+    container.appendChild(this.el);
+
+    this._input = this.el.querySelector('.command-palette-input');
+    this._list = this.el.querySelector('.command-palette-list');
+
+    this._input.addEventListener('input', () => {
+      this._active = 0;
+      this._render();
+    });
+    this._input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const step = e.key === 'ArrowDown' ? 1 : -1;
+        this._active = (this._active + step + this._results.length) % Math.max(1, this._results.length);
+        this._render();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this._run(this._active);
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.close();
+      }
+    });
+    this._list.addEventListener('click', (e) => {
+      const row = e.target.closest('[data-index]');
+      if (row) this._run(Number(row.dataset.index));
+    });
+    // Clicking the dimmed backdrop closes the palette
+    this.el.addEventListener('pointerdown', (e) => {
+      if (e.target === this.el) this.close();
+    });
+  }
+
+  /** @param {() => PaletteCommand[]} provider — called each time the palette opens */
+  setProvider(provider) {
+    this._provider = provider;
+  }
+
+  open() {
+    this.isOpen = true;
+    this._commands = this._provider();
+    this._input.value = '';
+    this._active = 0;
+    this._render();
+    this.el.classList.add('open');
+    this._input.focus();
+  }
+
+  close() {
+    this.isOpen = false;
+    this.el.classList.remove('open');
+    this._input.blur();
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  _run(index) {
+    const command = this._results[index];
+    if (!command) return;
+    this.close();
+    command.run();
+  }
+
+  _render() {
+    const query = this._input.value.trim();
+    this._results = fuzzyFilter(query, this._commands, c => `${c.label} ${c.hint || ''}`).slice(0, MAX_RESULTS);
+
+    this._list.innerHTML = this._results.map((c, i) => `
+      <div class="command-palette-item${i === this._active ? ' active' : ''}" data-index="${i}">
+        <span class="command-palette-kind">${esc(c.kind)}</span>
+        <span class="command-palette-label">${esc(c.label)}</span>
+        ${c.hint ? `<span class="command-palette-hint">${esc(c.hint)}</span>` : ''}
+      </div>
+    `).join('') || '<div class="command-palette-empty">Nothing matches</div>';
+
+    const active = this._list.querySelector('.command-palette-item.active');
+    if (active) active.scrollIntoView({ block: 'nearest' });
+  }
+}
@@ -0,0 +1,174 @@
+import { formatOutOfOffice } from '../data/Availability.js';
+import { esc } from '../utils/Html.js';
+
+const ENTITY_LABELS = { person: 'Person', task: 'Task', milestone: 'Milestone' };
+
+const FIELD_LABELS = {
+  name: 'Name',
+  role: 'Role',
+  color: 'Color',
+  capacity: 'Capacity %',
+  outOfOffice: 'Out of Office',
+  description: 'Description',
+  assigneeId: 'Assignee',
+  assigneeIds: 'Assignees',
+  category: 'Category',
+  discoveryPercent: 'Discovery %',
+  executionPercent: 'Execution %',
+  percentComplete: '% Complete',
+  expectedDate: 'Due Date',
+  milestoneId: 'Milestone',
+  dueDate: 'Due Date',
+};
+
+/**
+ * Lists sync conflicts — records edited here and in the data source since
+ * the last sync — and lets the user pick a side per field.
+ */
+export class ConflictPanel {
+  constructor(container, store) {
+    this.store = store;
+    this.isOpen = false;
+
+    this.el = document.createElement('div');
+    this.el.className = 'conflict-panel';
+    container.appendChild(this.el);
+  }
+
+  open() {
+    this.isOpen = true;
+    this._render();
+    this.el.classList.add('open');
+  }
+
+  close() {
+    this.isOpen = false;
+    this.el.classList.remove('open');
+  }
+
+  refresh() {
+    if (this.isOpen) this._render();
+  }
+
+  _render() {
+    const conflicts = this.store.getConflicts();
+    if (conflicts.length === 0) {
+      this.close();
+      return;
+    }
+
+    this.el.innerHTML = `
+      <div class="conflict-header">
+        <h2>Sync Conflicts</h2>
+        <button class="detail-panel-close" data-action="close">&times;</button>
+      </div>
+      <div class="conflict-content">
+        <div class="settings-hint">
+          These changed both here and in the data source since the last sync.
+          Until you choose, your version is kept.
+        </div>
+        ${conflicts.map(c => this._renderConflict(c)).join('')}
+      </div>
+    `;
+
+    this.el.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+
+    this.el.querySelectorAll('.conflict-item').forEach(item => {
+      const id = item.dataset.conflictId;
+      item.querySelectorAll('[data-resolve]').forEach(btn => {
+        btn.addEventListener('click', () => {
+          let resolution = btn.dataset.resolve;
+          if (resolution === 'fields') {
+            resolution = {};
+            item.querySelectorAll('input[type="radio"]:checked').forEach(radio => {
+              resolution[radio.dataset.field] = radio.value;
+            });
+          }
+          this.store.resolveConflict(id, resolution);
+          this._render();
+        });
+      });
+    });
+  }
+
+  _renderConflict(conflict) {
+    const title = `${ENTITY_LABELS[conflict.entity]} · ${esc(conflict.name)}`;
+
+    if (conflict.kind !== 'changed') {
+      const message = conflict.kind === 'deletedRemote'
+        ? 'Deleted in the data source, but edited here.'
+        : 'Deleted here, but edited in the data source.';
+      return `
+        <div class="conflict-item" data-conflict-id="${esc(conflict.id)}">
+          <div class="conflict-title">${title}</div>
+          <div class="conflict-message">${message}</div>
+          <div class="btn-row">
+            <button class="btn btn-small btn-primary" data-resolve="local">
+              ${conflict.kind === 'deletedRemote' ? 'Keep it' : 'Keep deleted'}
+            </button>
+            <button class="btn btn-small btn-ghost" data-resolve="remote">
+              ${conflict.kind === 'deletedRemote' ? 'Delete it' : 'Restore it'}
+            </button>
+          </div>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="conflict-item" data-conflict-id="${esc(conflict.id)}">
+        <div class="conflict-title">${title}</div>
+        <table class="conflict-fields">
+          <tr><th></th><th>Mine</th><th>Source</th></tr>
+          ${visibleFields(conflict).map(f => `
+            <tr>
+              <td class="conflict-field-name">${FIELD_LABELS[f.field] || esc(f.field)}</td>
+              <td>
+                <label class="settings-radio">
+                  <input type="radio" name="${esc(conflict.id)}:${esc(f.field)}" data-field="${esc(f.field)}" value="local" checked />
+                  <span>${this._formatValue(f.field, f.local)}</span>
+                </label>
+              </td>
+              <td>
+                <label class="settings-radio">
+                  <input type="radio" name="${esc(conflict.id)}:${esc(f.field)}" data-field="${esc(f.field)}" value="remote" />
+                  <span>${this._formatValue(f.field, f.remote)}</span>
+                </label>
+              </td>
+            </tr>
+          `).join('')}
+        </table>
+        <div class="btn-row">
+          <button class="btn btn-small btn-primary" data-resolve="fields">Apply</button>
+          <button class="btn btn-small btn-ghost" data-resolve="local">Keep all mine</button>
+          <button class="btn btn-small btn-ghost" data-resolve="remote">Use all source</button>
+        </div>
+      </div>
+    `;
+  }
+
+  _formatValue(field, value) {
+    if (value === undefined || value === null || value === '') return '<em>empty</em>';
+    if (field === 'assigneeId') {
+      const person = this.store.getPerson(value);
+      return esc(person ? person.name : value);
+    }
+    if (field === 'assigneeIds') {
+      if (value.length === 0) return '<em>empty</em>';
+      return value.map(id => this._formatValue('assigneeId', id)).join(', ');
+    }
+    if (field === 'outOfOffice') {
+      return value.length === 0 ? '<em>empty</em>' : esc(formatOutOfOffice(value));
+    }
+    if (field === 'milestoneId') {
+      const ms = this.store.getMilestone(value);
+      return esc(ms ? ms.name : value);
+    }
+    return esc(value);
+  }
+}
+
+// assigneeId follows assigneeIds (see Store.resolveConflict), so only one row is shown
+function visibleFields(conflict) {
+  const hasList = conflict.fields.some(f => f.field === 'assigneeIds');
+  return hasList ? conflict.fields.filter(f => f.field !== 'assigneeId') : conflict.fields;
+}
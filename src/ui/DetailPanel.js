@@ -1,6 +1,9 @@
 import { computeStaminaBreakdown } from '../data/ResourceCalculator.js';
-import { UnitStateLabels } from '../units/UnitState.js';
+import { getBlockingTasks } from '../data/TaskGraph.js';
+import { UnitStateLabels, UnitStates } from '../units/UnitState.js';
 import { CONFIG } from '../utils/Config.js';
+import { isAssignedTo } from '../data/Assignees.js';
+import { getCapacity, getOutOfOffice } from '../data/Availability.js';
 
 function deriveEmail(name, domain) {
   return name.trim().toLowerCase().replace(/\s+/g, '.') + '@' + domain;
@@ -11,6 +14,8 @@ export class DetailPanel {
     this.store = store;
     this.personId = null;
     this._unitManagerRef = null;
+    this._replay = null;
+    this._followCallbacks = [];
 
     this.el = document.createElement('div');
     this.el.className = 'detail-panel';
@@ -21,6 +26,21 @@ export class DetailPanel {
     this._unitManagerRef = unitManager;
   }
 
+  /**
+   * Show stamina and task progress as of a past date (timeline replay), or
+   * live data again with null.
+   * @param {{time:Date, tasks:object[]}|null} replay
+   */
+  setReplay(replay) {
+    this._replay = replay;
+    this.refresh();
+  }
+
+  /** @param {(personId: string) => void} cb — "Follow on Map" clicked */
+  onFollow(cb) {
+    this._followCallbacks.push(cb);
+  }
+
   open(personId) {
     this.personId = personId;
     this._render();
@@ -46,20 +66,36 @@ export class DetailPanel {
       return;
     }
 
-    const tasks = this.store.getTasksForPerson(this.personId);
-    const breakdown = computeStaminaBreakdown(tasks);
+    const replay = this._replay;
+    const tasks = replay
+      ? replay.tasks.filter(t => isAssignedTo(t, this.personId))
+      : this.store.getTasksForPerson(this.personId);
+    const calendar = this.store.getCalendar(this.personId);
+    const breakdown = computeStaminaBreakdown(tasks, replay ? replay.time : new Date(), calendar);
     const staminaPct = Math.round(breakdown.total * 100);
     const timePct = Math.round(breakdown.timeFactor * 100);
     const phasePct = Math.round(breakdown.phaseFactor * 100);
     const discoveryPct = Math.round(breakdown.discoveryRatio * 100);
+    const skills = this.store.getSkills(this.personId);
 
     // Unit state
     let activityLabel = 'Idle';
     if (this._unitManagerRef) {
       const sm = this._unitManagerRef.getUnitState(this.personId);
       if (sm) activityLabel = sm.getLabel();
+      if (sm && sm.state === UnitStates.VACATION) activityLabel += ` through ${shortDate(sm.lastDayAway)}`;
     }
 
+    // Capacity and absences from today on
+    const today = calendar.dateKey(new Date());
+    const capacityPct = Math.round(getCapacity(person) * 100);
+    const availabilityLabel = [
+      capacityPct < 100 ? `${capacityPct}% capacity` : '',
+      ...getOutOfOffice(person)
+        .filter(r => r.end >= today)
+        .map(r => (r.start === r.end ? `Off ${shortDate(r.start)}` : `Off ${shortDate(r.start)} – ${shortDate(r.end)}`)),
+    ].filter(Boolean).join(' &middot; ');
+
     // Action button data
     const email = deriveEmail(person.name, CONFIG.EMAIL_DOMAIN);
     const calendarUrl = `https://calendar.google.com/calendar/render?action=TEMPLATE`
@@ -85,6 +121,7 @@ export class DetailPanel {
         <div style="padding:8px 12px;background:rgba(255,255,255,0.04);border-radius:6px;font-size:13px;color:#E8E4DC;">
           ${activityLabel}
         </div>
+        ${availabilityLabel ? `<div style="margin-top:6px;font-size:12px;color:#888;">${availabilityLabel}</div>` : ''}
       </div>
 
       <div class="detail-section">
@@ -111,11 +148,16 @@ export class DetailPanel {
             <span class="detail-action-icon">&#128203;</span>
             View Tasks
           </a>
+
+          <button class="detail-action-btn" data-action="follow">
+            <span class="detail-action-icon">&#127909;</span>
+            Follow on Map
+          </button>
         </div>
       </div>
 
       <div class="detail-section">
-        <div class="detail-section-title">Stamina</div>
+        <div class="detail-section-title">Stamina${replay ? ` <span class="detail-replay-date">as of ${replay.time.toLocaleDateString()}</span>` : ''}</div>
         <div class="energy-bar-container">
           <div class="energy-bar-fill" style="width:${staminaPct}%;background:${staminaBarColor(breakdown.total)};"></div>
           <div class="energy-bar-label">${staminaPct}%</div>
@@ -152,6 +194,22 @@ export class DetailPanel {
         </div>
       </div>
 
+      <div class="detail-section">
+        <div class="detail-section-title">Skills</div>
+        ${skills.map(skill => `
+          <div class="skill-row">
+            <div class="skill-row-label">
+              <span class="skill-badge">${skill.category} Lv ${skill.level}</span>
+              <span class="skill-row-bonus">${skill.multiplier > 1 ? `${skill.multiplier.toFixed(2)}× speed` : ''}</span>
+            </div>
+            <div class="energy-factor-bar" title="${Math.round(skill.xp)} XP">
+              <div class="energy-factor-fill skill-xp-fill" style="width:${Math.round(skill.progress * 100)}%;"></div>
+            </div>
+          </div>
+        `).join('')}
+        ${skills.length === 0 ? '<div style="color:#666;font-size:12px;">No experience yet — progress on tasks earns XP in their category</div>' : ''}
+      </div>
+
       <div class="detail-section">
         <div class="detail-section-title">Resources (${tasks.length})</div>
         ${tasks.map(task => this._renderTask(task, breakdown)).join('')}
@@ -162,6 +220,10 @@ export class DetailPanel {
     // Close button
     this.el.querySelector('.detail-panel-close').addEventListener('click', () => this.close());
 
+    this.el.querySelector('[data-action="follow"]').addEventListener('click', () => {
+      for (const cb of this._followCallbacks) cb(this.personId);
+    });
+
     // Email chips toggle
     const emailBtn = this.el.querySelector('[data-action="email"]');
     const emailChips = this.el.querySelector('[data-chips="email"]');
@@ -179,22 +241,25 @@ export class DetailPanel {
     const dateLabel = daysUntilDue === null
       ? 'No due date'
       : isOverdue
-        ? `${Math.abs(daysUntilDue)} days overdue`
+        ? `${Math.abs(daysUntilDue)} working days overdue`
         : daysUntilDue === 0
           ? 'Due today'
-          : `${daysUntilDue} days remaining`;
+          : `${daysUntilDue} working days remaining`;
 
     const categoryBadge = task.category
       ? `<span style="background:rgba(160,170,184,0.12);color:#A0AAB8;padding:2px 6px;border-radius:4px;font-size:10px;">${task.category}</span>`
       : '';
 
+    const blocking = getBlockingTasks(task, this._replay ? this._replay.tasks : this.store.getTasks());
+
     return `
-      <div class="task-item">
+      <div class="task-item"${this._replay ? '' : ` data-drag-task-id="${task.id}" data-drag-from-id="${this.personId}"`}>
         <div style="display:flex;align-items:center;gap:6px;">
           <div class="task-name">${task.name}</div>
           ${categoryBadge}
         </div>
         ${task.description ? `<div class="task-desc">${task.description}</div>` : ''}
+        ${blocking.length > 0 ? `<div class="task-blocked">Waiting on ${blocking.map(t => t.name).join(', ')}</div>` : ''}
         <div class="task-phase-bar">
           <div class="task-phase-discovery" style="width:${task.discoveryPercent}%;"></div>
           <div class="task-phase-execution" style="width:${task.executionPercent}%;"></div>
@@ -216,3 +281,7 @@ function staminaBarColor(value) {
   if (value > 0.35) return '#C8C0A0';
   return '#C0A090';
 }
+
+function shortDate(isoDate) {
+  return new Date(isoDate + 'T00:00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
@@ -1,6 +1,9 @@
 import { TaskForm } from './TaskForm.js';
 import { PALETTE } from '../utils/Colors.js';
 import { computeUnitStamina } from '../data/ResourceCalculator.js';
+import { getAssigneeIds } from '../data/Assignees.js';
+import { absenceOn, formatOutOfOffice, getCapacity, parseOutOfOffice } from '../data/Availability.js';
+import { esc } from '../utils/Html.js';
 
 export class EditorPanel {
   constructor(container, store) {
@@ -13,7 +16,7 @@ export class EditorPanel {
     this.el.className = 'editor-panel';
     container.appendChild(this.el);
 
-    this.store.on('change', () => {
+    this.store.onDataChange(() => {
       if (this.isOpen) this._render();
     });
   }
@@ -30,6 +33,7 @@ export class EditorPanel {
 
   _render() {
     const people = this.store.getPeople();
+    const milestones = this.store.getMilestones();
 
     this.el.innerHTML = `
       <div class="editor-header">
@@ -39,6 +43,11 @@ export class EditorPanel {
       <div class="editor-content">
         ${people.map(p => this._renderPerson(p)).join('')}
         ${people.length === 0 ? '<p style="color:#666;text-align:center;padding:20px;">No team members yet. Add someone!</p>' : ''}
+        <div class="editor-section-header">
+          <h3>Milestones</h3>
+          <button class="btn btn-ghost btn-small" data-action="add-milestone">+ Add Milestone</button>
+        </div>
+        ${milestones.map(ms => this._renderMilestoneRow(ms)).join('')}
       </div>
     `;
 
@@ -87,13 +96,29 @@ export class EditorPanel {
         this.store.removeTask(btn.dataset.taskId);
       });
     });
+
+    this.el.querySelector('[data-action="add-milestone"]').addEventListener('click', () => {
+      this._showMilestoneForm();
+    });
+
+    this.el.querySelectorAll('[data-action="edit-milestone"]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this._showMilestoneForm(btn.dataset.milestoneId);
+      });
+    });
   }
 
   _renderPerson(person) {
     const tasks = this.store.getTasksForPerson(person.id);
-    const stamina = computeUnitStamina(tasks);
+    const stamina = computeUnitStamina(tasks, new Date(), this.store.getCalendar(person.id));
     const staminaPct = Math.round(stamina * 100);
     const isExpanded = this.expandedPersonId === person.id;
+    const capacityPct = Math.round(getCapacity(person) * 100);
+    const absence = absenceOn(person, this.store.getCalendar().dateKey(new Date()));
+    const availability = [
+      capacityPct < 100 ? `${capacityPct}% capacity` : '',
+      absence ? `away until ${shortDate(absence.end)}` : '',
+    ].filter(Boolean).map(s => ` &middot; ${s}`).join('');
 
     return `
       <div class="person-row">
@@ -101,7 +126,7 @@ export class EditorPanel {
           <div class="person-color-swatch" style="background:${person.color};"></div>
           <div class="person-info">
             <div class="person-info-name">${person.name}</div>
-            <div class="person-info-role">${person.role} &middot; ${tasks.length} task${tasks.length !== 1 ? 's' : ''} &middot; ${staminaPct}% stamina</div>
+            <div class="person-info-role">${person.role} &middot; ${tasks.length} task${tasks.length !== 1 ? 's' : ''} &middot; ${staminaPct}% stamina${availability}</div>
           </div>
           <button class="btn btn-ghost btn-small" data-action="edit-person" data-person-id="${person.id}">Edit</button>
           <button class="btn btn-danger btn-small" data-action="delete-person" data-person-id="${person.id}">&times;</button>
@@ -119,6 +144,10 @@ export class EditorPanel {
     const categoryBadge = task.category
       ? `<span style="background:rgba(160,170,184,0.12);color:#A0AAB8;padding:1px 5px;border-radius:3px;font-size:10px;">${task.category}</span>`
       : '';
+    const coAssignees = getAssigneeIds(task)
+      .filter(id => id !== personId)
+      .map(id => this.store.getPerson(id)?.name.split(' ')[0])
+      .filter(Boolean);
 
     return `
       <div class="task-item" style="display:flex;align-items:center;gap:8px;">
@@ -132,6 +161,7 @@ export class EditorPanel {
             <span style="color:#A0AAB8;">D:${task.discoveryPercent}%</span>
             <span style="color:#C0B090;">E:${task.executionPercent}%</span>
             <span>${task.expectedDate || 'No date'}</span>
+            ${coAssignees.length > 0 ? `<span>with ${coAssignees.join(', ')}</span>` : ''}
           </div>
         </div>
         <button class="btn btn-ghost btn-small" data-action="edit-task" data-person-id="${personId}" data-task-id="${task.id}">Edit</button>
@@ -140,6 +170,23 @@ export class EditorPanel {
     `;
   }
 
+  _renderMilestoneRow(milestone) {
+    const taskCount = this.store.getTasksForMilestone(milestone.id).length;
+
+    return `
+      <div class="task-item" style="display:flex;align-items:center;gap:8px;">
+        <div style="flex:1;">
+          <div class="task-name" style="font-size:13px;">${esc(milestone.name)}</div>
+          <div style="display:flex;gap:12px;font-size:11px;color:#666;">
+            <span>${taskCount} task${taskCount !== 1 ? 's' : ''}</span>
+            <span>${milestone.dueDate ? `Due ${milestone.dueDate}` : 'No due date'}</span>
+          </div>
+        </div>
+        <button class="btn btn-ghost btn-small" data-action="edit-milestone" data-milestone-id="${milestone.id}">Edit</button>
+      </div>
+    `;
+  }
+
   _showPersonForm(personId = null) {
     const person = personId ? this.store.getPerson(personId) : null;
     const isEdit = !!person;
@@ -163,6 +210,15 @@ export class EditorPanel {
         <label>Avatar Color</label>
         <input type="color" name="color" value="${person?.color || PALETTE.AVATAR_COLORS[Math.floor(Math.random() * PALETTE.AVATAR_COLORS.length)]}" />
       </div>
+      <div class="form-group">
+        <label>Capacity %</label>
+        <input type="number" name="capacity" min="0" max="100" step="5" value="${Math.round(getCapacity(person) * 100)}" />
+      </div>
+      <div class="form-group">
+        <label>Out of Office</label>
+        <input type="text" name="outOfOffice" value="${formatOutOfOffice(person?.outOfOffice)}" placeholder="2026-12-21 to 2027-01-01; 2027-02-12" />
+        <div class="settings-hint">Dates or ranges, separated by semicolons. Overdue time stops counting while away.</div>
+      </div>
       <div class="btn-row">
         <button class="btn btn-primary" data-action="save">${isEdit ? 'Update' : 'Add'}</button>
         <button class="btn btn-ghost" data-action="cancel">Cancel</button>
@@ -176,16 +232,28 @@ export class EditorPanel {
       const name = form.querySelector('[name="name"]').value.trim();
       const role = form.querySelector('[name="role"]').value.trim();
       const color = form.querySelector('[name="color"]').value;
+      const capacityInput = form.querySelector('[name="capacity"]');
+      const capacity = Number(capacityInput.value);
+      const outOfOfficeInput = form.querySelector('[name="outOfOffice"]');
+      const { ranges: outOfOffice, invalid } = parseOutOfOffice(outOfOfficeInput.value);
 
       if (!name) {
         form.querySelector('[name="name"]').style.borderColor = '#C0A090';
         return;
       }
+      if (capacityInput.value === '' || !(capacity >= 0 && capacity <= 100)) {
+        capacityInput.style.borderColor = '#C0A090';
+        return;
+      }
+      if (invalid.length > 0) {
+        outOfOfficeInput.style.borderColor = '#C0A090';
+        return;
+      }
 
       if (isEdit) {
-        this.store.updatePerson(personId, { name, role, color });
+        this.store.updatePerson(personId, { name, role, color, capacity, outOfOffice });
       } else {
-        const newPerson = this.store.addPerson({ name, role, color });
+        const newPerson = this.store.addPerson({ name, role, color, capacity, outOfOffice });
         this.expandedPersonId = newPerson.id;
       }
       overlay.remove();
@@ -195,6 +263,56 @@ export class EditorPanel {
     overlay.addEventListener('click', (e) => { if (e.target === overlay) overlay.remove(); });
   }
 
+  _showMilestoneForm(milestoneId = null) {
+    const milestone = milestoneId ? this.store.getMilestone(milestoneId) : null;
+    const isEdit = !!milestone;
+
+    const overlay = document.createElement('div');
+    overlay.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.5);z-index:100;display:flex;align-items:center;justify-content:center;pointer-events:auto;';
+
+    const form = document.createElement('div');
+    form.style.cssText = 'background:#1A1A1A;border-radius:12px;padding:24px;width:380px;box-shadow:0 8px 32px rgba(0,0,0,0.3);color:#E8E4DC;border:1px solid rgba(255,255,255,0.08);';
+    form.innerHTML = `
+      <h3 style="margin-bottom:16px;color:#F0EBE3;">${isEdit ? 'Edit' : 'Add'} Milestone</h3>
+      <div class="form-group">
+        <label>Name</label>
+        <input type="text" name="name" value="${esc(milestone?.name)}" placeholder="Milestone name" />
+      </div>
+      <div class="form-group">
+        <label>Due Date</label>
+        <input type="date" name="dueDate" value="${milestone?.dueDate || ''}" />
+        <div class="settings-hint">The structure's forecast turns amber or red when it lands after this date.</div>
+      </div>
+      <div class="btn-row">
+        <button class="btn btn-primary" data-action="save">${isEdit ? 'Update' : 'Add'}</button>
+        <button class="btn btn-ghost" data-action="cancel">Cancel</button>
+      </div>
+    `;
+
+    overlay.appendChild(form);
+    this.container.appendChild(overlay);
+
+    form.querySelector('[data-action="save"]').addEventListener('click', () => {
+      const name = form.querySelector('[name="name"]').value.trim();
+      const dueDate = form.querySelector('[name="dueDate"]').value;
+
+      if (!name) {
+        form.querySelector('[name="name"]').style.borderColor = '#C0A090';
+        return;
+      }
+
+      if (isEdit) {
+        this.store.updateMilestone(milestoneId, { name, dueDate });
+      } else {
+        this.store.addMilestone({ name, dueDate });
+      }
+      overlay.remove();
+    });
+
+    form.querySelector('[data-action="cancel"]').addEventListener('click', () => overlay.remove());
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) overlay.remove(); });
+  }
+
   _showTaskForm(personId, taskId = null) {
     const task = taskId ? this.store.getTask(taskId) : null;
 
@@ -213,13 +331,20 @@ export class EditorPanel {
         if (taskId) {
           this.store.updateTask(taskId, data);
         } else {
-          this.store.addTask({ ...data, assigneeId: personId });
+          this.store.addTask(data);
         }
         container.innerHTML = '';
       },
-      () => { container.innerHTML = ''; }
+      () => { container.innerHTML = ''; },
+      this.store.getTasks(),
+      this.store.getPeople(),
+      [personId]
     );
 
     container.appendChild(form.getElement());
   }
 }
+
+function shortDate(isoDate) {
+  return new Date(isoDate + 'T00:00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
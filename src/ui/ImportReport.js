@@ -0,0 +1,70 @@
+import { esc } from '../utils/Html.js';
+
+/**
+ * Summary shown after a local file import: what was loaded, and every row
+ * that was skipped (error) or loaded with a fallback value (warning).
+ */
+export class ImportReport {
+  constructor(container) {
+    this.isOpen = false;
+
+    this.el = document.createElement('div');
+    this.el.className = 'import-report';
+    container.appendChild(this.el);
+  }
+
+  /**
+   * @param {ReturnType<import('../data/FileAdapter.js').FileAdapter['getReport']>} report
+   */
+  show(report) {
+    const { files, issues, counts } = report;
+    const errors = issues.filter(i => i.level === 'error');
+    const warnings = issues.filter(i => i.level === 'warning');
+
+    let summary = 'Imported without problems.';
+    if (errors.length > 0 || warnings.length > 0) {
+      const parts = [];
+      if (errors.length > 0) parts.push(`${errors.length} row${errors.length === 1 ? '' : 's'} skipped`);
+      if (warnings.length > 0) parts.push(`${warnings.length} warning${warnings.length === 1 ? '' : 's'}`);
+      summary = parts.join(', ') + '.';
+    }
+
+    this.el.innerHTML = `
+      <button class="import-report-close">&times;</button>
+      <div class="import-report-title">Import</div>
+      <div class="import-report-files">${files.map(esc).join(', ')}</div>
+      <div class="import-report-counts">
+        <span><strong>${counts.people}</strong> people</span>
+        <span><strong>${counts.tasks}</strong> tasks</span>
+        <span><strong>${counts.milestones}</strong> milestones</span>
+      </div>
+      <div class="import-report-summary ${errors.length > 0 ? 'error' : ''}">${summary}</div>
+      ${issues.length > 0 ? `
+        <ul class="import-report-issues">
+          ${[...errors, ...warnings].map(i => `
+            <li class="import-report-issue ${i.level}">
+              <span class="import-report-where">${esc(location(i))}</span>
+              <span>${esc(i.message)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+    `;
+
+    this.el.querySelector('.import-report-close').addEventListener('click', () => this.close());
+    this.el.classList.add('open');
+    this.isOpen = true;
+  }
+
+  close() {
+    this.el.classList.remove('open');
+    this.isOpen = false;
+  }
+}
+
+function location(issue) {
+  const parts = [issue.file];
+  if (issue.sheet) parts.push(issue.sheet);
+  if (issue.row !== null && issue.row !== undefined) parts.push(`row ${issue.row}`);
+  return parts.join(' · ');
+}
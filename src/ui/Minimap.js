@@ -0,0 +1,209 @@
+import * as THREE from 'three';
+import { THEME } from '../utils/Theme.js';
+import { resourceColorForCategory } from '../utils/Colors.js';
+
+const SIZE = 200;             // canvas pixels
+const REDRAW_INTERVAL = 0.1;  // seconds between redraws
+const NDC_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+/**
+ * Overview of the whole map in the corner of the screen: terrain under the
+ * fog as it currently renders, resource nodes and structures on explored
+ * ground, unit dots and the camera's viewport. Click or drag to move the
+ * camera there.
+ *
+ * The map is drawn as a diamond turned to match the isometric camera, so
+ * "up" on the minimap is "up" on screen.
+ */
+export class Minimap {
+  constructor(container, grid, fog) {
+    this.grid = grid;
+    this.fog = fog;
+    this._unitManager = null;
+    this._camera = null;
+    this._cameraControls = null;
+    this._worldOffset = { x: 0, z: 0 };
+    this._nodes = [];
+    this._structures = [];
+    this._timer = REDRAW_INTERVAL;
+    this._dragging = false;
+
+    // Grid-world (x, z) → canvas: u = s(x − z) + originX, v = s(x + z)
+    this._scale = SIZE / (grid.width + grid.height);
+    this._originX = SIZE / 2 - this._scale * (grid.width - grid.height) / 2;
+
+    this.el = document.createElement('canvas');
+    this.el.className = 'minimap';
+    this.el.width = SIZE;
+    this.el.height = SIZE;
+    container.appendChild(this.el);
+    this._ctx = this.el.getContext('2d');
+
+    // One pixel per tile, scaled up under the diamond transform
+    this._tiles = document.createElement('canvas');
+    this._tiles.width = grid.width;
+    this._tiles.height = grid.height;
+    this._tilesCtx = this._tiles.getContext('2d');
+    this._image = this._tilesCtx.createImageData(grid.width, grid.height);
+    this._tileColors = grid.tiles.map(tile => {
+      if (tile.type === 'void') return null;
+      return new THREE.Color(THEME.terrain.tiles[tile.type] ?? THEME.terrain.fallbackColor);
+    });
+
+    this.el.addEventListener('pointerdown', (e) => {
+      this._dragging = true;
+      this.el.setPointerCapture(e.pointerId);
+      this._jumpTo(e);
+    });
+    this.el.addEventListener('pointermove', (e) => {
+      if (this._dragging) this._jumpTo(e);
+    });
+    this.el.addEventListener('pointerup', () => { this._dragging = false; });
+    this.el.addEventListener('pointercancel', () => { this._dragging = false; });
+  }
+
+  setUnitManager(unitManager) {
+    this._unitManager = unitManager;
+  }
+
+  setCamera(camera, cameraControls, worldOffset) {
+    this._camera = camera;
+    this._cameraControls = cameraControls;
+    this._worldOffset = worldOffset;
+  }
+
+  /** @param {Array<{taskId:string, col:number, row:number, resourceType:string}>} nodes */
+  setResourceNodes(nodes) {
+    this._nodes = nodes.map(n => ({ ...n, color: `#${new THREE.Color(resourceColorForCategory(n.resourceType)).getHexString()}` }));
+  }
+
+  /** @param {Array<{milestoneId:string, col:number, row:number}>} structures */
+  setStructures(structures) {
+    this._structures = structures;
+  }
+
+  update(dt) {
+    this._timer += dt;
+    if (this._timer < REDRAW_INTERVAL) return;
+    this._timer = 0;
+    this._draw();
+  }
+
+  _draw() {
+    const ctx = this._ctx;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, SIZE, SIZE);
+
+    this._drawTiles();
+    const s = this._scale;
+    ctx.imageSmoothingEnabled = false;
+    ctx.setTransform(s, s, -s, s, this._originX, 0);
+    ctx.drawImage(this._tiles, 0, 0);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+    // Outline the map diamond
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = 1;
+    this._tracePolygon([[0, 0], [this.grid.width, 0], [this.grid.width, this.grid.height], [0, this.grid.height]]);
+    ctx.stroke();
+
+    for (const structure of this._structures) {
+      if (!this.grid.isRevealed(structure.col, structure.row)) continue;
+      this._drawMarker(structure.col + 0.5, structure.row + 0.5, 4, THEME.palette.STRUCTURE_GOLD);
+    }
+    for (const n of this._nodes) {
+      if (!this.grid.isRevealed(n.col, n.row)) continue;
+      this._drawMarker(n.col + 0.5, n.row + 0.5, 2.5, n.color);
+    }
+    if (this._unitManager) {
+      for (const unit of this._unitManager.getUnitPositions()) {
+        const { u, v } = this._toCanvas(unit.x, unit.z);
+        ctx.beginPath();
+        ctx.arc(u, v, 3, 0, Math.PI * 2);
+        ctx.fillStyle = unit.color;
+        ctx.fill();
+        ctx.strokeStyle = 'rgba(20, 20, 20, 0.9)';
+        ctx.stroke();
+      }
+    }
+
+    this._drawViewport();
+  }
+
+  /** Tile colors blended with fog at its current (animated) opacity. */
+  _drawTiles() {
+    const data = this._image.data;
+    const fogColor = THEME.fog.color;
+    for (let row = 0; row < this.grid.height; row++) {
+      for (let col = 0; col < this.grid.width; col++) {
+        const i = row * this.grid.width + col;
+        const color = this._tileColors[i];
+        if (!color) {
+          data[i * 4 + 3] = 0;
+          continue;
+        }
+        const a = this.fog.getAlpha(col, row);
+        data[i * 4 + 0] = color.r * 255 * (1 - a) + fogColor.r * a;
+        data[i * 4 + 1] = color.g * 255 * (1 - a) + fogColor.g * a;
+        data[i * 4 + 2] = color.b * 255 * (1 - a) + fogColor.b * a;
+        data[i * 4 + 3] = 255;
+      }
+    }
+    this._tilesCtx.putImageData(this._image, 0, 0);
+  }
+
+  _drawMarker(x, z, size, color) {
+    const { u, v } = this._toCanvas(x, z);
+    this._ctx.fillStyle = color;
+    this._ctx.fillRect(u - size / 2, v - size / 2, size, size);
+  }
+
+  /** The ground the camera sees — its frustum corners projected onto y = 0. */
+  _drawViewport() {
+    if (!this._camera) return;
+    const dir = new THREE.Vector3();
+    this._camera.getWorldDirection(dir);
+    if (Math.abs(dir.y) < 1e-6) return;
+
+    const corners = NDC_CORNERS.map(([nx, ny]) => {
+      const p = new THREE.Vector3(nx, ny, 0).unproject(this._camera);
+      const t = -p.y / dir.y;
+      return [p.x + dir.x * t - this._worldOffset.x, p.z + dir.z * t - this._worldOffset.z];
+    });
+
+    this._ctx.strokeStyle = THEME.palette.WHITE;
+    this._ctx.lineWidth = 1.5;
+    this._tracePolygon(corners);
+    this._ctx.stroke();
+  }
+
+  _tracePolygon(points) {
+    this._ctx.beginPath();
+    points.forEach(([x, z], i) => {
+      const { u, v } = this._toCanvas(x, z);
+      if (i === 0) this._ctx.moveTo(u, v);
+      else this._ctx.lineTo(u, v);
+    });
+    this._ctx.closePath();
+  }
+
+  _toCanvas(x, z) {
+    return { u: this._scale * (x - z) + this._originX, v: this._scale * (x + z) };
+  }
+
+  _fromCanvas(u, v) {
+    const p = (u - this._originX) / this._scale;
+    const q = v / this._scale;
+    return { x: (p + q) / 2, z: (q - p) / 2 };
+  }
+
+  _jumpTo(e) {
+    if (!this._cameraControls) return;
+    const rect = this.el.getBoundingClientRect();
+    const u = (e.clientX - rect.left) * (SIZE / rect.width);
+    const v = (e.clientY - rect.top) * (SIZE / rect.height);
+    const { x, z } = this._fromCanvas(u, v);
+    this._cameraControls.setTarget(x + this._worldOffset.x, z + this._worldOffset.z);
+    this._draw();
+  }
+}
@@ -0,0 +1,231 @@
+import * as THREE from 'three';
+import { computeStaminaBreakdown } from '../data/ResourceCalculator.js';
+import { getAssigneeIds, reassign } from '../data/Assignees.js';
+import { esc } from '../utils/Html.js';
+
+const PHASE_LABELS = {
+  spawning: 'Appearing',
+  available: 'Available',
+  depleting: 'Depleting',
+  depleted: 'Regrowing soon',
+  regrowing: 'Regrowing',
+};
+
+export class ResourcePopup {
+  constructor(container, store) {
+    this.store = store;
+    this.taskId = null;
+    this._worldPos = new THREE.Vector3();
+    this._camera = null;
+    this._gameMap = null;
+    this._phaseLabel = null;
+    this._personClickCallbacks = [];
+    this._milestoneClickCallbacks = [];
+
+    this.el = document.createElement('div');
+    this.el.className = 'structure-popup resource-popup';
+    container.appendChild(this.el);
+  }
+
+  setCamera(camera) {
+    this._camera = camera;
+  }
+
+  /** Source of the node's gather phase (GameMap). */
+  setGameMap(gameMap) {
+    this._gameMap = gameMap;
+  }
+
+  open(taskId, sceneX, sceneZ) {
+    this.taskId = taskId;
+    this._worldPos.set(sceneX, 1, sceneZ);
+    this._render();
+    this.el.classList.add('open');
+    this.updatePosition();
+  }
+
+  close() {
+    this.el.classList.remove('open');
+    this.taskId = null;
+  }
+
+  isOpen() {
+    return this.taskId !== null;
+  }
+
+  refresh() {
+    if (!this.isOpen()) return;
+    // Don't re-render under the user's cursor mid-edit
+    if (this.el.contains(document.activeElement) && document.activeElement.matches('input, select')) return;
+    this._render();
+  }
+
+  updatePosition() {
+    if (!this.isOpen() || !this._camera) return;
+
+    const vec = this._worldPos.clone();
+    vec.project(this._camera);
+
+    // Behind camera — hide
+    if (vec.z > 1) {
+      this.el.style.opacity = '0';
+      this.el.style.pointerEvents = 'none';
+      return;
+    }
+
+    const x = (vec.x * 0.5 + 0.5) * window.innerWidth;
+    const y = (-vec.y * 0.5 + 0.5) * window.innerHeight;
+
+    this.el.style.left = `${x}px`;
+    this.el.style.top = `${y}px`;
+    this.el.style.opacity = '';
+    this.el.style.pointerEvents = '';
+
+    // The node animates through its phases while the popup is open
+    const label = this._phaseText();
+    if (label !== this._phaseLabel) {
+      this._phaseLabel = label;
+      const phaseEl = this.el.querySelector('.resource-popup-phase');
+      if (phaseEl) phaseEl.textContent = label;
+    }
+  }
+
+  onPersonClick(cb) {
+    this._personClickCallbacks.push(cb);
+  }
+
+  onMilestoneClick(cb) {
+    this._milestoneClickCallbacks.push(cb);
+  }
+
+  _render() {
+    const task = this.store.getTask(this.taskId);
+    if (!task) {
+      this.close();
+      return;
+    }
+
+    const assignees = getAssigneeIds(task).map(id => this.store.getPerson(id)).filter(Boolean);
+    const assignee = assignees[0] || null;
+    const milestone = task.milestoneId ? this.store.getMilestone(task.milestoneId) : null;
+    const pct = Math.round(task.percentComplete);
+    const disc = Math.round(task.discoveryPercent);
+
+    // Time energy is per assignee workload, so read it from their breakdown
+    const workload = assignee ? this.store.getTasksForPerson(assignee.id) : [task];
+    const taskBreakdown = computeStaminaBreakdown(workload, new Date(), this.store.getCalendar(assignee?.id)).perTask.find(t => t.taskId === task.id);
+    const energyPct = Math.round(taskBreakdown.timeEnergy * 100);
+    const daysUntilDue = taskBreakdown.daysUntilDue;
+    const dueLabel = daysUntilDue === null
+      ? 'No due date'
+      : daysUntilDue < 0
+        ? `${shortDate(task.expectedDate)} · ${Math.abs(daysUntilDue)} working days overdue`
+        : `${shortDate(task.expectedDate)} · ${daysUntilDue === 0 ? 'today' : `in ${daysUntilDue} working days`}`;
+
+    this._phaseLabel = this._phaseText();
+    const people = this.store.getPeople();
+
+    this.el.innerHTML = `
+      <button class="structure-popup-close">&times;</button>
+      <div class="structure-popup-header">
+        <div class="structure-popup-name">${esc(task.name)}</div>
+        <div class="structure-popup-pct">${pct}%</div>
+      </div>
+      ${task.description ? `<div class="resource-popup-description">${esc(task.description)}</div>` : ''}
+      <div class="resource-popup-rows">
+        <div class="resource-popup-row">
+          <span>${assignees.length > 1 ? 'Assignees' : 'Assignee'}</span>
+          ${assignees.length > 0 ? `<span class="resource-popup-chips">${assignees.map(p => `
+            <button class="contributor-chip" data-person-id="${p.id}">
+              <span class="contributor-swatch" style="background:${p.color};"></span>
+              <span>${esc(p.name.split(' ')[0])}</span>
+            </button>
+          `).join('')}</span>` : '<span class="resource-popup-muted">Unassigned</span>'}
+        </div>
+        <div class="resource-popup-row${daysUntilDue !== null && daysUntilDue < 0 ? ' overdue' : ''}">
+          <span>Due</span>
+          <span>${dueLabel}</span>
+        </div>
+        <div class="resource-popup-row">
+          <span>Time energy</span>
+          <span>${energyPct}%</span>
+        </div>
+        <div class="resource-popup-row">
+          <span>Milestone</span>
+          ${milestone
+            ? `<button class="resource-popup-link" data-milestone-id="${milestone.id}">${esc(milestone.name)}</button>`
+            : '<span class="resource-popup-muted">None</span>'}
+        </div>
+        <div class="resource-popup-row">
+          <span>Node</span>
+          <span class="resource-popup-phase">${this._phaseLabel}</span>
+        </div>
+      </div>
+      <div class="task-phase-bar" style="height:6px;border-radius:3px;">
+        <div class="task-phase-discovery" style="width:${disc}%;"></div>
+        <div class="task-phase-execution" style="width:${100 - disc}%;"></div>
+      </div>
+      <div class="resource-popup-split">
+        <span style="color:#A0AAB8;">Scout ${disc}%</span>
+        <span style="color:#C0B090;">Gather ${100 - disc}%</span>
+      </div>
+      <div class="resource-popup-edit">
+        <label>
+          <span>% Complete (<span class="resource-popup-pct-value">${pct}</span>%)</span>
+          <input type="range" name="percentComplete" min="0" max="100" value="${pct}" />
+        </label>
+        <label>
+          <span>Reassign</span>
+          <select name="assigneeId">
+            <option value="">Unassigned</option>
+            ${people.map(p => `<option value="${p.id}" ${p.id === task.assigneeId ? 'selected' : ''}>${esc(p.name)}</option>`).join('')}
+          </select>
+        </label>
+      </div>
+    `;
+
+    // Close button
+    this.el.querySelector('.structure-popup-close').addEventListener('click', () => this.close());
+
+    // Assignee chips and milestone link
+    this.el.querySelectorAll('.contributor-chip').forEach(chip => {
+      chip.addEventListener('click', () => {
+        for (const cb of this._personClickCallbacks) cb(chip.dataset.personId);
+      });
+    });
+    const link = this.el.querySelector('.resource-popup-link');
+    if (link) {
+      link.addEventListener('click', () => {
+        for (const cb of this._milestoneClickCallbacks) cb(link.dataset.milestoneId);
+      });
+    }
+
+    // Inline edits — progress commits on release, assignee on change
+    const slider = this.el.querySelector('[name="percentComplete"]');
+    slider.addEventListener('input', () => {
+      this.el.querySelector('.resource-popup-pct-value').textContent = slider.value;
+    });
+    slider.addEventListener('change', () => {
+      slider.blur();
+      this.store.updateTask(this.taskId, { percentComplete: parseInt(slider.value) });
+    });
+    const select = this.el.querySelector('[name="assigneeId"]');
+    select.addEventListener('change', () => {
+      select.blur();
+      // Swaps the primary assignee; co-assignees of a shared task stay on it
+      const ids = select.value ? reassign(task, task.assigneeId, select.value).assigneeIds : [];
+      this.store.updateTask(this.taskId, { assigneeIds: ids });
+    });
+  }
+
+  _phaseText() {
+    const state = this._gameMap ? this._gameMap.getNodePhase(this.taskId) : null;
+    if (!state) return '—';
+    if (state.phase === 'depleted' && state.permanent) return 'Worked out';
+    return PHASE_LABELS[state.phase] || state.phase;
+  }
+}
+
+function shortDate(isoDate) {
+  return new Date(isoDate + 'T00:00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
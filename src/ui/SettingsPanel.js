@@ -1,16 +1,23 @@
 import { CONFIG } from '../utils/Config.js';
+import { FileAdapter } from '../data/FileAdapter.js';
+import { esc } from '../utils/Html.js';
 
 const SETTINGS_KEY = 'workrpg-settings';
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 const TEMPLATE_URL = 'https://docs.google.com/spreadsheets/d/1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgVE2upms/edit';
 
 export class SettingsPanel {
   /**
    * @param {HTMLElement} container
    * @param {object} opts
-   * @param {Function} opts.onSave — called with { dataSource, sheetId } when user saves
+   * @param {Function} opts.onSave — called with ({ dataSource, sheetId, sheetWriteUrl, jira, github, calendar }, { files }) when user saves;
+   *   `files` holds any newly picked local files
+   * @param {Function} [opts.onResetExploration] — called when user resets explored fog
    */
   constructor(container, opts) {
     this._onSave = opts.onSave;
+    this._onResetExploration = opts.onResetExploration;
     this.isOpen = false;
 
     this.el = document.createElement('div');
@@ -32,7 +39,12 @@ export class SettingsPanel {
     const saved = SettingsPanel.loadSettings();
     const dataSource = saved.dataSource || CONFIG.DATA_SOURCE;
     const sheetId = saved.sheetId || CONFIG.GOOGLE_SHEET_ID;
-    const isSheet = dataSource === 'google-sheets';
+    const sheetWriteUrl = saved.sheetWriteUrl ?? CONFIG.GOOGLE_SHEET_WRITE_URL;
+    const jira = { ...jiraFromConfig(), ...(saved.jira || {}) };
+    const isCloud = jira.deployment !== 'server';
+    const github = { ...githubFromConfig(), ...(saved.github || {}) };
+    const calendar = { ...calendarFromConfig(), ...(saved.calendar || {}) };
+    const importedFiles = FileAdapter.loadSavedFiles();
 
     this.el.innerHTML = `
       <div class="settings-header">
@@ -43,17 +55,29 @@ export class SettingsPanel {
           <label>Data Source</label>
           <div class="settings-radio-group">
             <label class="settings-radio">
-              <input type="radio" name="dataSource" value="seed" ${!isSheet ? 'checked' : ''} />
+              <input type="radio" name="dataSource" value="seed" ${dataSource === 'seed' ? 'checked' : ''} />
               <span>Demo Data</span>
             </label>
             <label class="settings-radio">
-              <input type="radio" name="dataSource" value="google-sheets" ${isSheet ? 'checked' : ''} />
+              <input type="radio" name="dataSource" value="google-sheets" ${dataSource === 'google-sheets' ? 'checked' : ''} />
               <span>Google Sheet</span>
             </label>
+            <label class="settings-radio">
+              <input type="radio" name="dataSource" value="jira" ${dataSource === 'jira' ? 'checked' : ''} />
+              <span>Jira</span>
+            </label>
+            <label class="settings-radio">
+              <input type="radio" name="dataSource" value="github" ${dataSource === 'github' ? 'checked' : ''} />
+              <span>GitHub</span>
+            </label>
+            <label class="settings-radio">
+              <input type="radio" name="dataSource" value="file" ${dataSource === 'file' ? 'checked' : ''} />
+              <span>Local File</span>
+            </label>
           </div>
         </div>
 
-        <div class="settings-sheet-fields" style="${isSheet ? '' : 'display:none;'}">
+        <div class="settings-source-fields" data-source="google-sheets">
           <div class="form-group">
             <label>Google Sheet ID</label>
             <input type="text" name="sheetId" value="${sheetId}" placeholder="Paste sheet ID from URL" />
@@ -69,6 +93,149 @@ export class SettingsPanel {
               Copy this sheet, publish it (File &rarr; Share &rarr; Publish to web), then paste the sheet ID above.
             </div>
           </div>
+          <div class="form-group">
+            <label>Write-back URL (optional)</label>
+            <input type="text" name="sheetWriteUrl" value="${esc(sheetWriteUrl)}" placeholder="https://script.google.com/macros/s/…/exec" />
+            <div class="settings-hint">
+              Deploy the Apps Script from the README as a web app to save Team Editor changes back to the sheet.
+            </div>
+          </div>
+        </div>
+
+        <div class="settings-source-fields" data-source="jira">
+          <div class="form-row">
+            <div class="form-group">
+              <label>Deployment</label>
+              <select name="jiraDeployment">
+                <option value="cloud" ${isCloud ? 'selected' : ''}>Jira Cloud</option>
+                <option value="server" ${!isCloud ? 'selected' : ''}>Jira Server / Data Center</option>
+              </select>
+            </div>
+          </div>
+          <div class="form-group">
+            <label>Base URL</label>
+            <input type="text" name="jiraBaseUrl" value="${esc(jira.baseUrl)}" placeholder="https://your-team.atlassian.net" />
+          </div>
+          <div class="form-group settings-jira-cloud-only" style="${isCloud ? '' : 'display:none;'}">
+            <label>Account Email</label>
+            <input type="text" name="jiraEmail" value="${esc(jira.email)}" placeholder="you@company.com" />
+          </div>
+          <div class="form-group">
+            <label>${isCloud ? 'API Token' : 'Personal Access Token'}</label>
+            <input type="password" name="jiraApiToken" value="${esc(jira.apiToken)}" placeholder="Token" />
+            <div class="settings-hint">
+              Stored in this browser only. Jira Cloud blocks cross-origin requests, so point the base URL at a CORS proxy if syncing fails.
+            </div>
+          </div>
+          <div class="form-group">
+            <label>JQL Query</label>
+            <textarea name="jiraJql" rows="2" placeholder="project = ABC ORDER BY duedate">${esc(jira.jql)}</textarea>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label>Category From</label>
+              <select name="jiraCategoryField">
+                <option value="issuetype" ${jira.categoryField !== 'component' ? 'selected' : ''}>Issue type</option>
+                <option value="component" ${jira.categoryField === 'component' ? 'selected' : ''}>Component</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label>Milestones From</label>
+              <select name="jiraMilestoneField">
+                <option value="fixVersion" ${jira.milestoneField !== 'epic' ? 'selected' : ''}>Fix version</option>
+                <option value="epic" ${jira.milestoneField === 'epic' ? 'selected' : ''}>Epic</option>
+              </select>
+            </div>
+          </div>
+          <div class="form-group">
+            <label>Epic Link Field (Server)</label>
+            <input type="text" name="jiraEpicLinkField" value="${esc(jira.epicLinkField)}" placeholder="customfield_10014" />
+          </div>
+        </div>
+
+        <div class="settings-source-fields" data-source="github">
+          <div class="form-group">
+            <label>Repository</label>
+            <input type="text" name="githubRepo" value="${esc(github.repo)}" placeholder="owner/name" />
+          </div>
+          <div class="form-group">
+            <label>Project Board (optional)</label>
+            <input type="text" name="githubProject" value="${esc(github.project)}" placeholder="https://github.com/orgs/acme/projects/7" />
+            <div class="settings-hint">
+              When set, issues are read from this Projects board instead of the repository.
+            </div>
+          </div>
+          <div class="form-group">
+            <label>Personal Access Token</label>
+            <input type="password" name="githubToken" value="${esc(github.token)}" placeholder="ghp_…" />
+            <div class="settings-hint">
+              Stored in this browser only. Needs <strong>repo</strong> read access, plus <strong>read:project</strong> for boards.
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label>Progress Field</label>
+              <input type="text" name="githubProgressField" value="${esc(github.progressField)}" placeholder="Progress" />
+            </div>
+            <div class="form-group">
+              <label>Progress When Done</label>
+              <input type="number" name="githubProgressScale" min="0" step="any" value="${esc(github.progressScale)}" placeholder="100" />
+              <div class="settings-hint">100 for percentages, 1 for fractions.</div>
+            </div>
+          </div>
+          <div class="form-group">
+            <label>Due Date Field</label>
+            <input type="text" name="githubDueDateField" value="${esc(github.dueDateField)}" placeholder="Due" />
+          </div>
+        </div>
+
+        <div class="settings-source-fields" data-source="file">
+          <div class="form-group">
+            <label>CSV or JSON Files</label>
+            <input type="file" name="importFiles" accept=".csv,.json" multiple />
+            <div class="settings-hint">
+              ${importedFiles.length > 0
+                ? `Currently loaded: <strong>${importedFiles.map(f => esc(f.name)).join(', ')}</strong>. Pick new files to replace them.`
+                : 'People, Tasks and Milestones CSVs in the Google Sheet layout, or one JSON file.'}
+              You can also drop files onto the map.
+            </div>
+          </div>
+        </div>
+
+        <div class="settings-calendar">
+          <div class="form-group">
+            <label>Weekend Days</label>
+            <div class="settings-radio-group">
+              ${DAY_NAMES.map((day, i) => `
+                <label class="settings-radio">
+                  <input type="checkbox" name="weekendDay" value="${i}" ${calendar.weekendDays.includes(i) ? 'checked' : ''} />
+                  <span>${day}</span>
+                </label>
+              `).join('')}
+            </div>
+          </div>
+          <div class="form-group">
+            <label>Holidays</label>
+            <input type="text" name="holidays" value="${esc(calendar.holidays.join(', '))}" placeholder="2026-12-25, 2027-01-01" />
+            <div class="settings-hint">
+              YYYY-MM-DD dates, separated by commas. Nobody works on weekends and holidays, and deadlines skip them.
+            </div>
+          </div>
+          <div class="form-group">
+            <label>Time Zone</label>
+            <input type="text" name="timeZone" value="${esc(calendar.timeZone)}" placeholder="This browser's (e.g. Europe/Berlin)" />
+            <div class="settings-hint">
+              The IANA zone due dates are in, so a distributed team agrees on when a day ends.
+            </div>
+          </div>
+        </div>
+
+        <div class="form-group settings-map">
+          <label>Map</label>
+          <button class="btn btn-small btn-danger" data-action="reset-exploration">Reset exploration</button>
+          <div class="settings-hint">
+            Fogs the whole map again so units scout from the base.
+          </div>
         </div>
 
         <div class="settings-status" style="display:none;"></div>
@@ -80,39 +247,119 @@ export class SettingsPanel {
       </div>
     `;
 
-    // Toggle sheet fields visibility on radio change
+    // Show only the fields for the selected data source
     const radios = this.el.querySelectorAll('[name="dataSource"]');
-    const sheetFields = this.el.querySelector('.settings-sheet-fields');
+    const showSourceFields = (source) => {
+      this.el.querySelectorAll('.settings-source-fields').forEach(section => {
+        section.style.display = section.dataset.source === source ? '' : 'none';
+      });
+    };
+    showSourceFields(dataSource);
     radios.forEach(r => {
       r.addEventListener('change', () => {
-        sheetFields.style.display = r.value === 'google-sheets' && r.checked ? '' : 'none';
+        if (r.checked) showSourceFields(r.value);
       });
     });
 
+    // Email only applies to Jira Cloud
+    const deploymentSelect = this.el.querySelector('[name="jiraDeployment"]');
+    deploymentSelect.addEventListener('change', () => {
+      const cloud = deploymentSelect.value === 'cloud';
+      this.el.querySelector('.settings-jira-cloud-only').style.display = cloud ? '' : 'none';
+      this.el.querySelector('[name="jiraApiToken"]').parentElement.querySelector('label').textContent =
+        cloud ? 'API Token' : 'Personal Access Token';
+    });
+
     // Save
     this.el.querySelector('[data-action="save"]').addEventListener('click', () => {
       const selected = this.el.querySelector('[name="dataSource"]:checked').value;
       const id = this.el.querySelector('[name="sheetId"]').value.trim();
+      const writeUrl = this.el.querySelector('[name="sheetWriteUrl"]').value.trim();
+      const value = (name) => this.el.querySelector(`[name="${name}"]`).value.trim();
+      const jiraSettings = {
+        deployment: value('jiraDeployment'),
+        baseUrl: value('jiraBaseUrl'),
+        email: value('jiraEmail'),
+        apiToken: value('jiraApiToken'),
+        jql: value('jiraJql'),
+        categoryField: value('jiraCategoryField'),
+        milestoneField: value('jiraMilestoneField'),
+        epicLinkField: value('jiraEpicLinkField'),
+      };
+      const githubSettings = {
+        repo: value('githubRepo'),
+        project: value('githubProject'),
+        token: value('githubToken'),
+        progressField: value('githubProgressField'),
+        progressScale: Number(value('githubProgressScale')) || 100,
+        dueDateField: value('githubDueDateField'),
+      };
+      const holidayText = value('holidays');
+      const holidays = holidayText.split(/[\s,;]+/).filter(Boolean);
+      const calendarSettings = {
+        weekendDays: [...this.el.querySelectorAll('[name="weekendDay"]:checked')].map(box => Number(box.value)),
+        holidays,
+        timeZone: value('timeZone'),
+      };
 
       // Validate
+      if (!holidays.every(date => DATE_RE.test(date))) {
+        this.el.querySelector('[name="holidays"]').style.borderColor = '#C0A090';
+        this._showStatus('Holidays should be YYYY-MM-DD dates.', 'error');
+        return;
+      }
+      if (calendarSettings.timeZone && !isTimeZone(calendarSettings.timeZone)) {
+        this.el.querySelector('[name="timeZone"]').style.borderColor = '#C0A090';
+        this._showStatus('Unknown time zone — use an IANA name like Europe/Berlin.', 'error');
+        return;
+      }
       if (selected === 'google-sheets' && !id) {
         this.el.querySelector('[name="sheetId"]').style.borderColor = '#C0A090';
         this._showStatus('Please enter a Sheet ID.', 'error');
         return;
       }
+      if (selected === 'google-sheets' && writeUrl && !/^https?:\/\//.test(writeUrl)) {
+        this.el.querySelector('[name="sheetWriteUrl"]').style.borderColor = '#C0A090';
+        this._showStatus('The write-back URL should start with https://', 'error');
+        return;
+      }
+      if (selected === 'jira' && (!jiraSettings.baseUrl || !jiraSettings.jql)) {
+        const missing = !jiraSettings.baseUrl ? 'jiraBaseUrl' : 'jiraJql';
+        this.el.querySelector(`[name="${missing}"]`).style.borderColor = '#C0A090';
+        this._showStatus('Please enter a Jira base URL and JQL query.', 'error');
+        return;
+      }
+
+      if (selected === 'github' && !githubSettings.repo && !githubSettings.project) {
+        this.el.querySelector('[name="githubRepo"]').style.borderColor = '#C0A090';
+        this._showStatus('Please enter a repository or project board URL.', 'error');
+        return;
+      }
+      if (selected === 'github' && githubSettings.project && !githubSettings.token) {
+        this.el.querySelector('[name="githubToken"]').style.borderColor = '#C0A090';
+        this._showStatus('Project boards need a personal access token.', 'error');
+        return;
+      }
+
+      const files = [...this.el.querySelector('[name="importFiles"]').files];
+      if (selected === 'file' && files.length === 0 && importedFiles.length === 0) {
+        this._showStatus('Please choose a CSV or JSON file.', 'error');
+        return;
+      }
 
       // Persist
-      const settings = { dataSource: selected, sheetId: id };
-      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+      const settings = {
+        dataSource: selected, sheetId: id, sheetWriteUrl: writeUrl, jira: jiraSettings, github: githubSettings, calendar: calendarSettings,
+      };
+      SettingsPanel.saveSettings(settings);
 
       // Update runtime config
-      CONFIG.DATA_SOURCE = selected;
-      CONFIG.GOOGLE_SHEET_ID = id;
+      SettingsPanel.applyToConfig(settings);
 
       this._showStatus('Syncing...', 'loading');
 
       if (this._onSave) {
-        this._onSave(settings);
+        this._onSave(settings, { files });
       }
 
       // Close after brief delay
@@ -122,6 +369,12 @@ export class SettingsPanel {
       }, 600);
     });
 
+    // Reset exploration
+    this.el.querySelector('[data-action="reset-exploration"]').addEventListener('click', () => {
+      if (this._onResetExploration) this._onResetExploration();
+      this._showStatus('Exploration reset.', 'success');
+    });
+
     // Cancel
     this.el.querySelector('[data-action="cancel"]').addEventListener('click', () => {
       this.isOpen = false;
@@ -141,10 +394,57 @@ export class SettingsPanel {
     if (success) {
       this._showStatus('Synced successfully!', 'success');
     } else {
-      this._showStatus('Sync failed — check Sheet ID and publish settings.', 'error');
+      this._showStatus('Sync failed — check your data source settings.', 'error');
+    }
+  }
+
+  /**
+   * Copy saved settings onto the runtime CONFIG.
+   * @param {object} settings — as returned by loadSettings()
+   */
+  static applyToConfig(settings) {
+    if (settings.dataSource) CONFIG.DATA_SOURCE = settings.dataSource;
+    if (settings.sheetId) CONFIG.GOOGLE_SHEET_ID = settings.sheetId;
+    if (settings.sheetWriteUrl !== undefined) CONFIG.GOOGLE_SHEET_WRITE_URL = settings.sheetWriteUrl;
+    if (settings.clockMode) CONFIG.TIME_OF_DAY = settings.clockMode;
+    if (settings.jira) {
+      const j = settings.jira;
+      if (j.baseUrl !== undefined) CONFIG.JIRA_BASE_URL = j.baseUrl;
+      if (j.deployment) CONFIG.JIRA_DEPLOYMENT = j.deployment;
+      if (j.email !== undefined) CONFIG.JIRA_EMAIL = j.email;
+      if (j.apiToken !== undefined) CONFIG.JIRA_API_TOKEN = j.apiToken;
+      if (j.jql) CONFIG.JIRA_JQL = j.jql;
+      if (j.categoryField) CONFIG.JIRA_CATEGORY_FIELD = j.categoryField;
+      if (j.milestoneField) CONFIG.JIRA_MILESTONE_FIELD = j.milestoneField;
+      if (j.epicLinkField !== undefined) CONFIG.JIRA_EPIC_LINK_FIELD = j.epicLinkField;
+    }
+    if (settings.github) {
+      const g = settings.github;
+      if (g.repo !== undefined) CONFIG.GITHUB_REPO = g.repo;
+      if (g.project !== undefined) CONFIG.GITHUB_PROJECT = g.project;
+      if (g.token !== undefined) CONFIG.GITHUB_TOKEN = g.token;
+      if (g.progressField) CONFIG.GITHUB_PROGRESS_FIELD = g.progressField;
+      if (g.progressScale > 0) CONFIG.GITHUB_PROGRESS_SCALE = g.progressScale;
+      if (g.dueDateField) CONFIG.GITHUB_DUE_DATE_FIELD = g.dueDateField;
+    }
+    if (settings.calendar) {
+      // New arrays, so cached calendars see the change (WorkCalendar.matchesConfig)
+      const c = settings.calendar;
+      if (Array.isArray(c.weekendDays)) CONFIG.WEEKEND_DAYS = [...c.weekendDays];
+      if (Array.isArray(c.holidays)) CONFIG.HOLIDAYS = [...c.holidays];
+      if (c.timeZone !== undefined) CONFIG.TIME_ZONE = c.timeZone;
     }
   }
 
+  /**
+   * Merge into the saved settings (e.g. switching source after a file drop).
+   * @param {object} settings
+   */
+  static saveSettings(settings) {
+    const merged = { ...SettingsPanel.loadSettings(), ...settings };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(merged));
+  }
+
   static loadSettings() {
     try {
       const raw = localStorage.getItem(SETTINGS_KEY);
@@ -153,3 +453,44 @@ export class SettingsPanel {
     return {};
   }
 }
+
+function jiraFromConfig() {
+  return {
+    deployment: CONFIG.JIRA_DEPLOYMENT,
+    baseUrl: CONFIG.JIRA_BASE_URL,
+    email: CONFIG.JIRA_EMAIL,
+    apiToken: CONFIG.JIRA_API_TOKEN,
+    jql: CONFIG.JIRA_JQL,
+    categoryField: CONFIG.JIRA_CATEGORY_FIELD,
+    milestoneField: CONFIG.JIRA_MILESTONE_FIELD,
+    epicLinkField: CONFIG.JIRA_EPIC_LINK_FIELD,
+  };
+}
+
+function githubFromConfig() {
+  return {
+    repo: CONFIG.GITHUB_REPO,
+    project: CONFIG.GITHUB_PROJECT,
+    token: CONFIG.GITHUB_TOKEN,
+    progressField: CONFIG.GITHUB_PROGRESS_FIELD,
+    progressScale: CONFIG.GITHUB_PROGRESS_SCALE,
+    dueDateField: CONFIG.GITHUB_DUE_DATE_FIELD,
+  };
+}
+
+function calendarFromConfig() {
+  return {
+    weekendDays: CONFIG.WEEKEND_DAYS,
+    holidays: CONFIG.HOLIDAYS,
+    timeZone: CONFIG.TIME_ZONE,
+  };
+}
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
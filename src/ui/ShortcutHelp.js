@@ -0,0 +1,58 @@
+/**
+ * "?" overlay listing the keyboard shortcuts, read from KeyboardShortcuts
+ * each time it opens.
+ */
+export class ShortcutHelp {
+  /**
+   * @param {HTMLElement} container
+   * @param {import('../interaction/KeyboardShortcuts.js').KeyboardShortcuts} shortcuts
+   */
+  constructor(container, shortcuts) {
+    this.shortcuts = shortcuts;
+    this.isOpen = false;
+
+    this.el = document.createElement('div');
+    this.el.className = 'shortcut-help';
+    container.appendChild(this.el);
+
+    this.el.addEventListener('pointerdown', (e) => {
+      if (e.target === this.el) this.close();
+    });
+  }
+
+  open() {
+    this.isOpen = true;
+    this._render();
+    this.el.classList.add('open');
+  }
+
+  close() {
+    this.isOpen = false;
+    this.el.classList.remove('open');
+  }
+
+  toggle() {
+    if (this.isOpen) this.close();
+    else this.open();
+  }
+
+  _render() {
+    this.el.innerHTML = `
+      <div class="shortcut-help-box">
+        <div class="editor-header">
+          <h2>Keyboard shortcuts</h2>
+          <button class="btn btn-ghost btn-small" data-action="close">&times;</button>
+        </div>
+        <table class="shortcut-help-table">
+          ${this.shortcuts.getBindings().map(b => `
+            <tr>
+              <td><kbd>${b.keys}</kbd></td>
+              <td>${b.description}</td>
+            </tr>
+          `).join('')}
+        </table>
+      </div>
+    `;
+    this.el.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+  }
+}
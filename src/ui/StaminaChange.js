@@ -0,0 +1,13 @@
+/**
+ * A stamina change as "72% → 58%", tinted by whether it gets worse or
+ * better — used wherever a reassignment is previewed (drag-to-reassign,
+ * workload advisor).
+ * @param {{before:number, after:number}} change — stamina, 0..1
+ * @returns {string} HTML
+ */
+export function renderStaminaChange({ before, after }) {
+  const beforePct = Math.round(before * 100);
+  const afterPct = Math.round(after * 100);
+  const trend = afterPct < beforePct ? 'worse' : afterPct > beforePct ? 'better' : '';
+  return `<span class="stamina-change ${trend}">${beforePct}% → ${afterPct}%</span>`;
+}
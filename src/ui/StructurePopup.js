@@ -1,5 +1,7 @@
 import * as THREE from 'three';
-import { computeStructureProgress } from '../data/ResourceCalculator.js';
+import { computeStructureProgress, computeMilestoneForecast } from '../data/ResourceCalculator.js';
+import { getAssigneeIds } from '../data/Assignees.js';
+import { awayOnDueDate } from '../data/Availability.js';
 
 export class StructurePopup {
   constructor(container, store) {
@@ -76,12 +78,16 @@ export class StructurePopup {
     const tasks = this.store.getTasksForMilestone(this.milestoneId);
     const progress = computeStructureProgress(ms, this.store.getTasks());
     const progressPct = Math.round(progress * 100);
+    const now = new Date();
+    const calendar = this.store.getCalendar();
+    const samples = this.store.getHistory().dailySamples(date => calendar.dateKey(date), now);
+    const forecast = computeMilestoneForecast(ms, this.store.getTasks(), samples, now, calendar);
 
     // Collect unique contributors
     const contributors = new Map();
     for (const task of tasks) {
-      if (task.assigneeId) {
-        const person = this.store.getPerson(task.assigneeId);
+      for (const personId of getAssigneeIds(task)) {
+        const person = this.store.getPerson(personId);
         if (person && !contributors.has(person.id)) {
           contributors.set(person.id, person);
         }
@@ -94,9 +100,10 @@ export class StructurePopup {
         <div class="structure-popup-name">${ms.name}</div>
         <div class="structure-popup-pct">${progressPct}%</div>
       </div>
-      <div class="energy-bar-container" style="margin-bottom:10px;">
+      <div class="energy-bar-container" style="margin-bottom:4px;">
         <div class="energy-bar-fill" style="width:${progressPct}%;background:${progressBarColor(progress)};"></div>
       </div>
+      ${this._renderForecast(forecast)}
       <div class="structure-popup-tasks">
         ${tasks.map(task => this._renderTask(task)).join('')}
         ${tasks.length === 0 ? '<div style="color:#666;font-size:11px;">No tasks</div>' : ''}
@@ -127,14 +134,47 @@ export class StructurePopup {
     });
   }
 
+  _renderForecast(forecast) {
+    const due = forecast.dueDate ? `<span>Due ${shortDate(forecast.dueDate)}</span>` : '';
+    let eta;
+    if (forecast.status === 'complete') {
+      eta = 'Complete';
+    } else if (forecast.status === 'stalled') {
+      eta = 'Stalled — no recent progress';
+    } else if (forecast.status === 'unknown') {
+      eta = forecast.remaining > 0 ? 'ETA after more progress' : 'No ETA';
+    } else {
+      const range = `${shortDate(forecast.earliest)} – ${forecast.latest ? shortDate(forecast.latest) : '?'}`;
+      eta = `ETA ${shortDate(forecast.date)} <span class="structure-popup-forecast-range">(${range})</span>`;
+    }
+
+    const state = forecast.late ? ' late' : forecast.atRisk ? ' at-risk' : '';
+    return `
+      <div class="structure-popup-forecast${state}">
+        <span>${eta}</span>
+        ${due}
+      </div>
+    `;
+  }
+
   _renderTask(task) {
-    const assignee = task.assigneeId ? this.store.getPerson(task.assigneeId) : null;
+    const assigneeNames = getAssigneeIds(task)
+      .map(id => this.store.getPerson(id))
+      .filter(Boolean)
+      .map(p => p.name.split(' ')[0]);
     const categoryBadge = task.category
       ? `<span class="structure-popup-badge">${task.category}</span>`
       : '';
+    // Due while an assignee is out of office
+    const away = awayOnDueDate(task, this.store.getPeople());
+    const risk = away.length > 0
+      ? `<div class="structure-popup-task-risk">Due ${shortDate(task.expectedDate)} — ${away
+        .map(({ person, absence }) => `${person.name.split(' ')[0]} away until ${shortDate(absence.end)}`)
+        .join(', ')}</div>`
+      : '';
 
     return `
-      <div class="structure-popup-task">
+      <div class="structure-popup-task${away.length > 0 ? ' at-risk' : ''}" data-drag-task-id="${task.id}">
         <div style="display:flex;align-items:center;gap:4px;">
           <span class="structure-popup-task-name">${task.name}</span>
           ${categoryBadge}
@@ -144,8 +184,9 @@ export class StructurePopup {
         </div>
         <div style="display:flex;justify-content:space-between;font-size:10px;color:#888;">
           <span>${Math.round(task.percentComplete)}%</span>
-          ${assignee ? `<span>${assignee.name.split(' ')[0]}</span>` : ''}
+          ${assigneeNames.length > 0 ? `<span>${assigneeNames.join(', ')}</span>` : ''}
         </div>
+        ${risk}
       </div>
     `;
   }
@@ -157,3 +198,7 @@ function progressBarColor(value) {
   if (value > 0.25) return '#C8C0A0';
   return '#A0AAB8';
 }
+
+function shortDate(isoDate) {
+  return new Date(isoDate + 'T00:00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
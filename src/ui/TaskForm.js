@@ -1,5 +1,9 @@
+import { getDependentIds } from '../data/TaskGraph.js';
+import { getAssigneeIds } from '../data/Assignees.js';
+import { esc } from '../utils/Html.js';
+
 export class TaskForm {
-  constructor(task = null, milestones = [], resourceTypes = [], onSave, onCancel) {
+  constructor(task = null, milestones = [], resourceTypes = [], onSave, onCancel, allTasks = [], people = [], defaultAssigneeIds = []) {
     this.el = document.createElement('div');
     this.el.style.padding = '12px';
     this.el.style.background = 'rgba(255,255,255,0.03)';
@@ -14,23 +18,38 @@ export class TaskForm {
     const pctComplete = task?.percentComplete ?? 0;
     const category = task?.category || '';
     const milestoneId = task?.milestoneId || '';
+    const dependsOn = task?.dependsOn || [];
+    const assigneeIds = task ? getAssigneeIds(task) : defaultAssigneeIds;
 
     const categoryOptions = resourceTypes.map(rt =>
-      `<option value="${this._esc(rt)}" ${rt === category ? 'selected' : ''}>${this._esc(rt)}</option>`
+      `<option value="${esc(rt)}" ${rt === category ? 'selected' : ''}>${esc(rt)}</option>`
     ).join('');
 
     const milestoneOptions = milestones.map(ms =>
-      `<option value="${ms.id}" ${ms.id === milestoneId ? 'selected' : ''}>${this._esc(ms.name)}</option>`
+      `<option value="${ms.id}" ${ms.id === milestoneId ? 'selected' : ''}>${esc(ms.name)}</option>`
+    ).join('');
+
+    // Tasks that (indirectly) depend on this one can't be its prerequisites
+    const excluded = task ? getDependentIds(task.id, allTasks) : new Set();
+    const prerequisiteOptions = allTasks
+      .filter(t => t.id !== task?.id && !excluded.has(t.id))
+      .map(t =>
+        `<option value="${t.id}" ${dependsOn.includes(t.id) ? 'selected' : ''}>${esc(t.name)}</option>`
+      ).join('');
+
+    // Several people can share a task — ctrl/cmd-click to pick more than one
+    const assigneeOptions = people.map(p =>
+      `<option value="${p.id}" ${assigneeIds.includes(p.id) ? 'selected' : ''}>${esc(p.name)}</option>`
     ).join('');
 
     this.el.innerHTML = `
       <div class="form-group">
         <label>Task Name</label>
-        <input type="text" name="name" value="${this._esc(name)}" placeholder="Task name" />
+        <input type="text" name="name" value="${esc(name)}" placeholder="Task name" />
       </div>
       <div class="form-group">
         <label>Description</label>
-        <textarea name="description" rows="2" placeholder="Brief description">${this._esc(desc)}</textarea>
+        <textarea name="description" rows="2" placeholder="Brief description">${esc(desc)}</textarea>
       </div>
       <div class="form-row">
         <div class="form-group">
@@ -48,6 +67,19 @@ export class TaskForm {
           </select>
         </div>
       </div>
+      ${people.length > 0 ? `
+      <div class="form-group">
+        <label>Assignees</label>
+        <select name="assigneeIds" multiple size="${Math.min(4, people.length)}">
+          ${assigneeOptions}
+        </select>
+      </div>` : ''}
+      <div class="form-group">
+        <label>Depends On</label>
+        <select name="dependsOn" multiple size="4">
+          ${prerequisiteOptions}
+        </select>
+      </div>
       <div class="form-row">
         <div class="form-group">
           <label>Discovery / Execution Balance</label>
@@ -97,6 +129,7 @@ export class TaskForm {
         description: this.el.querySelector('[name="description"]').value.trim(),
         category: this.el.querySelector('[name="category"]').value,
         milestoneId: this.el.querySelector('[name="milestoneId"]').value || null,
+        dependsOn: [...this.el.querySelector('[name="dependsOn"]').selectedOptions].map(o => o.value),
         discoveryPercent: parseInt(this.el.querySelector('[name="discoveryPercent"]').value),
         executionPercent: 100 - parseInt(this.el.querySelector('[name="discoveryPercent"]').value),
         expectedDate: this.el.querySelector('[name="expectedDate"]').value,
@@ -106,15 +139,19 @@ export class TaskForm {
         this.el.querySelector('[name="name"]').style.borderColor = '#C0A090';
         return;
       }
+      const assigneeSelect = this.el.querySelector('[name="assigneeIds"]');
+      if (assigneeSelect) {
+        data.assigneeIds = [...assigneeSelect.selectedOptions].map(o => o.value);
+        if (data.assigneeIds.length === 0) {
+          assigneeSelect.style.borderColor = '#C0A090';
+          return;
+        }
+      }
       onSave(data);
     });
 
     this.el.querySelector('[data-action="cancel"]').addEventListener('click', () => onCancel());
   }
 
-  _esc(str) {
-    return str.replace(/"/g, '&quot;').replace(/</g, '&lt;');
-  }
-
   getElement() { return this.el; }
 }
@@ -1,8 +1,20 @@
+import { OVERLAY_LAYERS } from '../map/OverlayLayers.js';
+import { CLOCK_MODES } from '../utils/WorkClock.js';
+import { esc } from '../utils/Html.js';
+
+const SCRUB_STEP_MS = 60 * 60 * 1000; // slider moves an hour at a time
+
 export class Toolbar {
   constructor(container) {
     this._editorCallbacks = [];
+    this._advisorCallbacks = [];
+    this._overlayCallbacks = [];
     this._settingsCallbacks = [];
     this._dayNightCallbacks = [];
+    this._timelineCallbacks = [];
+    this._scrubCallbacks = [];
+    this._tourCallbacks = [];
+    this._clockModeCallbacks = [];
     this._isNight = false;
 
     this.el = document.createElement('div');
@@ -14,12 +26,78 @@ export class Toolbar {
         <span class="daynight-label">Day</span>
       </button>
       <span class="daynight-time">6:00 AM</span>
+      <select class="toolbar-btn toolbar-select toolbar-clock" data-action="clock" title="Day/night clock">
+        ${CLOCK_MODES.map(mode => `<option value="${mode.id}">${mode.label}</option>`).join('')}
+      </select>
+      <span class="toolbar-restday" title="Weekend or holiday — the team is off">Rest day</span>
       <div class="toolbar-spacer"></div>
+      <select class="toolbar-btn toolbar-select" data-action="overlay" title="Map overlay">
+        <option value="">No overlay</option>
+        ${OVERLAY_LAYERS.map(layer => `<option value="${layer.id}">${layer.label}</option>`).join('')}
+      </select>
+      <button class="toolbar-btn" data-action="timeline">Timeline</button>
+      <button class="toolbar-btn" data-action="tour" title="Walk through the team hands-free">Tour</button>
       <button class="toolbar-btn toolbar-btn-settings" data-action="settings">⚙</button>
+      <button class="toolbar-btn" data-action="advisor">Advisor</button>
       <button class="toolbar-btn" data-action="editor">Team Editor</button>
     `;
     container.appendChild(this.el);
 
+    // Timeline scrubber — a strip under the toolbar
+    this.timelineEl = document.createElement('div');
+    this.timelineEl.className = 'timeline-bar';
+    this.timelineEl.innerHTML = `
+      <input class="timeline-slider" type="range" min="0" max="0" step="${SCRUB_STEP_MS}" value="0" />
+      <span class="timeline-date">Live</span>
+      <button class="toolbar-btn timeline-live" data-action="live">Live</button>
+    `;
+    container.appendChild(this.timelineEl);
+    this._slider = this.timelineEl.querySelector('.timeline-slider');
+    this._timelineDateEl = this.timelineEl.querySelector('.timeline-date');
+    this._slider.addEventListener('input', () => this._scrub());
+    this.timelineEl.querySelector('[data-action="live"]').addEventListener('click', () => {
+      this._slider.value = this._slider.max;
+      this._scrub();
+    });
+
+    // Overlay layer picker, with its legend in the bottom-left next to the minimap
+    this.legendEl = document.createElement('div');
+    this.legendEl.className = 'overlay-legend';
+    container.appendChild(this.legendEl);
+    this._overlaySelect = this.el.querySelector('[data-action="overlay"]');
+    this._overlaySelect.addEventListener('change', () => {
+      this._overlaySelect.blur();
+      const layerId = this._overlaySelect.value || null;
+      this._overlaySelect.classList.toggle('active', layerId !== null);
+      for (const cb of this._overlayCallbacks) cb(layerId);
+    });
+
+    this._timelineBtn = this.el.querySelector('[data-action="timeline"]');
+    this._timelineBtn.addEventListener('click', () => {
+      const open = this._timelineBtn.classList.toggle('active');
+      this.timelineEl.classList.toggle('open', open);
+      if (!open) {
+        this._slider.value = this._slider.max;
+        this._scrub();
+      }
+      for (const cb of this._timelineCallbacks) cb(open);
+    });
+
+    // Standup tour — main.js owns the tour and reports back via setTourActive
+    this._tourBtn = this.el.querySelector('[data-action="tour"]');
+    this._tourBtn.addEventListener('click', () => {
+      for (const cb of this._tourCallbacks) cb();
+    });
+
+    // Clock mode — skipping ahead only makes sense on the fast clock
+    this._clockSelect = this.el.querySelector('[data-action="clock"]');
+    this._clockSelect.addEventListener('change', () => {
+      this._clockSelect.blur();
+      this._dayNightBtn.disabled = this._clockSelect.value !== 'accelerated';
+      for (const cb of this._clockModeCallbacks) cb(this._clockSelect.value);
+    });
+    this._restDayEl = this.el.querySelector('.toolbar-restday');
+
     // Day/Night toggle
     this._dayNightBtn = this.el.querySelector('[data-action="daynight"]');
     this._dayNightIcon = this._dayNightBtn.querySelector('.daynight-icon');
@@ -38,6 +116,13 @@ export class Toolbar {
       for (const cb of this._settingsCallbacks) cb();
     });
 
+    // Advisor toggle
+    this._advisorBtn = this.el.querySelector('[data-action="advisor"]');
+    this._advisorBtn.addEventListener('click', () => {
+      this._advisorBtn.classList.toggle('active');
+      for (const cb of this._advisorCallbacks) cb();
+    });
+
     // Editor toggle
     this.editorBtn = this.el.querySelector('[data-action="editor"]');
     this.editorBtn.addEventListener('click', () => {
@@ -46,6 +131,48 @@ export class Toolbar {
     });
   }
 
+  /**
+   * Set the span the scrubber covers and jump to its live end.
+   * @param {number} start — ms since epoch
+   * @param {number} end
+   */
+  setTimelineRange(start, end) {
+    // Values snap to whole steps from min — round max up so it's reachable
+    const steps = Math.max(1, Math.ceil((end - start) / SCRUB_STEP_MS));
+    this._slider.min = String(start);
+    this._slider.max = String(start + steps * SCRUB_STEP_MS);
+    this._slider.value = this._slider.max;
+    this._scrub();
+  }
+
+  /** The slider's right end is live data; anywhere left of it replays that moment. */
+  _scrub() {
+    const value = Number(this._slider.value);
+    const live = value >= Number(this._slider.max);
+    this._timelineDateEl.textContent = live
+      ? 'Live'
+      : new Date(value).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    this.timelineEl.classList.toggle('replaying', !live);
+    for (const cb of this._scrubCallbacks) cb(live ? null : value);
+  }
+
+  /** @param {Array<{label:string, color:string}>} entries — empty hides the legend */
+  setOverlayLegend(entries) {
+    const layer = OVERLAY_LAYERS.find(l => l.id === this._overlaySelect.value);
+    this.legendEl.classList.toggle('visible', !!layer);
+    if (!layer) return;
+    this.legendEl.innerHTML = `
+      <div class="overlay-legend-title">${layer.label}</div>
+      ${entries.map(e => `
+        <div class="overlay-legend-entry">
+          <span class="overlay-legend-swatch" style="background:${e.color};"></span>
+          <span>${esc(e.label)}</span>
+        </div>
+      `).join('')}
+      ${entries.length === 0 ? '<div class="overlay-legend-entry">Nothing to show yet</div>' : ''}
+    `;
+  }
+
   _updateDayNightDisplay() {
     if (this._isNight) {
       this._dayNightIcon.textContent = '🌙';
@@ -61,8 +188,10 @@ export class Toolbar {
   /**
    * Update toolbar display from the 24-hour sim clock.
    * @param {number} hour — 0..24 continuous (e.g. 14.5 = 2:30 PM)
+   * @param {number} [sunHour] — hour the lighting shows, when it differs
+   *   (workday clock mode); picks the day/night icon
    */
-  setTimeDisplay(hour) {
+  setTimeDisplay(hour, sunHour = hour) {
     const h = Math.floor(hour) % 24;
     const m = Math.round((hour - Math.floor(hour)) * 60) % 60;
     const isPM = h >= 12;
@@ -71,13 +200,13 @@ export class Toolbar {
     this._timeEl.textContent = `${h12}:${String(m).padStart(2, '0')} ${suffix}`;
 
     // Icon: sun (7-17), sunset/sunrise (5-7, 17-19), moon (19-5)
-    if (hour >= 7 && hour < 17) {
+    if (sunHour >= 7 && sunHour < 17) {
       this._dayNightIcon.textContent = '\u2600\uFE0F'; // sun
       this._dayNightLabel.textContent = 'Day';
       this._dayNightBtn.classList.remove('active');
-    } else if ((hour >= 5 && hour < 7) || (hour >= 17 && hour < 19)) {
+    } else if ((sunHour >= 5 && sunHour < 7) || (sunHour >= 17 && sunHour < 19)) {
       this._dayNightIcon.textContent = '\uD83C\uDF05'; // sunrise/sunset
-      this._dayNightLabel.textContent = hour < 12 ? 'Dawn' : 'Dusk';
+      this._dayNightLabel.textContent = sunHour < 12 ? 'Dawn' : 'Dusk';
       this._dayNightBtn.classList.remove('active');
     } else {
       this._dayNightIcon.textContent = '\uD83C\uDF19'; // moon
@@ -86,10 +215,58 @@ export class Toolbar {
     }
   }
 
+  /** Show the current clock mode without firing onSelectClockMode. */
+  setClockMode(mode) {
+    this._clockSelect.value = mode;
+    this._dayNightBtn.disabled = mode !== 'accelerated';
+  }
+
+  setRestDay(restDay) {
+    this._restDayEl.classList.toggle('visible', restDay);
+  }
+
+  /** Click a toolbar button from code (shortcuts, command palette) so its state stays in step. */
+  press(action) {
+    const btn = this.el.querySelector(`button[data-action="${action}"]`);
+    if (btn) btn.click();
+  }
+
+  /** @param {(mode: string) => void} cb — one of CLOCK_MODES' ids */
+  onSelectClockMode(cb) {
+    this._clockModeCallbacks.push(cb);
+  }
+
   onToggleDayNight(cb) {
     this._dayNightCallbacks.push(cb);
   }
 
+  onToggleTimeline(cb) {
+    this._timelineCallbacks.push(cb);
+  }
+
+  /** @param {(time: number|null) => void} cb — time to replay, or null for live */
+  onScrubTimeline(cb) {
+    this._scrubCallbacks.push(cb);
+  }
+
+  /** @param {(layerId: string|null) => void} cb */
+  onSelectOverlay(cb) {
+    this._overlayCallbacks.push(cb);
+  }
+
+  onToggleTour(cb) {
+    this._tourCallbacks.push(cb);
+  }
+
+  /** Light up the Tour button while a tour runs (it can also end on its own). */
+  setTourActive(active) {
+    this._tourBtn.classList.toggle('active', active);
+  }
+
+  onToggleAdvisor(cb) {
+    this._advisorCallbacks.push(cb);
+  }
+
   onToggleEditor(cb) {
     this._editorCallbacks.push(cb);
   }
@@ -0,0 +1,71 @@
+import { esc } from '../utils/Html.js';
+
+const ENTITY_LABELS = { person: 'Person', task: 'Task', milestone: 'Milestone' };
+const ACTION_LABELS = { create: 'add', update: 'edit', delete: 'delete' };
+
+/**
+ * Small status card for edits waiting to be written back to the data source.
+ * Hidden while the queue is empty; lists rejected rows with Retry / Discard.
+ */
+export class WriteQueuePanel {
+  constructor(container, store) {
+    this.store = store;
+
+    this.el = document.createElement('div');
+    this.el.className = 'write-queue-panel';
+    container.appendChild(this.el);
+
+    this.el.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-action]');
+      if (!btn) return;
+      if (btn.dataset.action === 'retry') {
+        this.store.retryWrite(btn.dataset.opId);
+      } else if (btn.dataset.action === 'discard') {
+        // Next sync pulls the source's version back in
+        this.store.discardWrite(btn.dataset.opId);
+      }
+    });
+
+    store.on('writes', () => this.refresh());
+    this.refresh();
+  }
+
+  refresh() {
+    const ops = this.store.getQueuedWrites();
+    if (ops.length === 0) {
+      this.el.classList.remove('open');
+      this.el.innerHTML = '';
+      return;
+    }
+
+    const failed = ops.filter(op => op.status === 'failed');
+    const waiting = ops.length - failed.length;
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+    let summary = '';
+    if (waiting > 0) {
+      summary = `${waiting} change${waiting === 1 ? '' : 's'} ${offline ? 'queued — offline' : 'syncing…'}`;
+    }
+
+    this.el.innerHTML = `
+      ${summary ? `<div class="write-queue-summary">${summary}</div>` : ''}
+      ${failed.length > 0 ? `
+        <div class="write-queue-title">Couldn't save ${failed.length} change${failed.length === 1 ? '' : 's'}</div>
+        ${failed.map(op => {
+          const record = op.after || op.before || {};
+          return `
+            <div class="write-queue-item">
+              <div class="write-queue-item-name">${ENTITY_LABELS[op.entity]} ${ACTION_LABELS[op.action]}: ${esc(record.name)}</div>
+              <div class="write-queue-item-error">${esc(op.error)}</div>
+              <div class="btn-row">
+                <button class="btn btn-small btn-primary" data-action="retry" data-op-id="${op.id}">Retry</button>
+                <button class="btn btn-small btn-ghost" data-action="discard" data-op-id="${op.id}">Discard</button>
+              </div>
+            </div>
+          `;
+        }).join('')}
+      ` : ''}
+    `;
+    this.el.classList.add('open');
+  }
+}
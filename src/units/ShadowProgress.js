@@ -0,0 +1,96 @@
+/**
+ * Simulated ("shadow") task progress for the unit simulation.
+ *
+ * Units gather and build against these values instead of writing to the
+ * Store. Each task's real percentComplete acts as a ceiling: the shadow
+ * value climbs toward it as units deposit resources, but never passes it.
+ * Real task data therefore only changes through adapters or the editor.
+ *
+ * Pure data — no Three.js dependency.
+ */
+export class ShadowProgress {
+  /**
+   * @param {number} [initialPercent=0] — starting shadow value for new tasks
+   */
+  constructor(initialPercent = 0) {
+    this._initialPercent = initialPercent;
+    this._progress = new Map(); // taskId -> shadow percent (0–100)
+    this._ceilings = new Map(); // taskId -> real percentComplete (0–100)
+  }
+
+  /**
+   * Reconcile with the current task list: track new tasks, drop removed
+   * ones, and pull shadow values down when a real value decreased.
+   * @param {Array<{id:string, percentComplete:number}>} tasks
+   */
+  sync(tasks) {
+    const currentIds = new Set();
+    for (const task of tasks) {
+      currentIds.add(task.id);
+      const ceiling = clampPercent(task.percentComplete);
+      this._ceilings.set(task.id, ceiling);
+
+      if (!this._progress.has(task.id)) {
+        this._progress.set(task.id, Math.min(this._initialPercent, ceiling));
+      } else if (this._progress.get(task.id) > ceiling) {
+        this._progress.set(task.id, ceiling);
+      }
+    }
+
+    for (const taskId of [...this._progress.keys()]) {
+      if (!currentIds.has(taskId)) {
+        this._progress.delete(taskId);
+        this._ceilings.delete(taskId);
+      }
+    }
+  }
+
+  /** Jump every tracked task to its real value, e.g. when the map loads. */
+  catchUp() {
+    for (const [taskId, ceiling] of this._ceilings) this._progress.set(taskId, ceiling);
+  }
+
+  /** @returns {number} shadow percent for a task (0 if unknown) */
+  get(taskId) {
+    return this._progress.get(taskId) ?? 0;
+  }
+
+  /** @returns {number} real percentComplete the shadow value is capped at */
+  getCeiling(taskId) {
+    return this._ceilings.get(taskId) ?? 0;
+  }
+
+  /** True while the simulation still has headroom below the real value. */
+  canAdvance(taskId) {
+    return this.get(taskId) < this.getCeiling(taskId);
+  }
+
+  /** True once the simulated progress has reached 100%. */
+  isComplete(taskId) {
+    return this.get(taskId) >= 100;
+  }
+
+  /**
+   * Advance a task's shadow progress, capped at its real value.
+   * @returns {number} the new shadow percent
+   */
+  advance(taskId, amount) {
+    if (!this._progress.has(taskId)) return 0;
+    const next = Math.min(this.getCeiling(taskId), this.get(taskId) + amount);
+    this._progress.set(taskId, next);
+    return next;
+  }
+
+  /**
+   * Return shallow task copies with percentComplete replaced by the
+   * shadow value — for feeding into ResourceCalculator when rendering.
+   */
+  applyTo(tasks) {
+    return tasks.map(t => ({ ...t, percentComplete: this.get(t.id) }));
+  }
+}
+
+function clampPercent(value) {
+  const n = Number(value) || 0;
+  return Math.max(0, Math.min(100, n));
+}
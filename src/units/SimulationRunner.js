@@ -0,0 +1,87 @@
+import { GameGrid } from '../map/GameGrid.js';
+import { TerrainGenerator } from '../map/TerrainGenerator.js';
+import { MapPlacements } from '../map/MapPlacements.js';
+import { BaseLayout } from '../map/BaseLayout.js';
+import { UnitSimulation, SIM_SECONDS_PER_HOUR, FIXED_DT } from './UnitSimulation.js';
+import { CONFIG } from '../utils/Config.js';
+
+const MS_PER_HOUR = 3600000;
+
+/**
+ * Run the unit simulation headless — same map layout as the app, every
+ * unit placed at its spawn point at once — and return a trace of unit
+ * states and simulated task progress. Backs `npm run simulate`.
+ *
+ * The clock starts at `start` and advances one sim hour every
+ * SIM_SECONDS_PER_HOUR simulated seconds, so deadlines and stamina move
+ * with the run.
+ *
+ * @param {Object} options
+ * @param {import('../data/Store.js').Store} options.store — already synced
+ * @param {number} [options.hours=24] — sim hours to run
+ * @param {number} [options.seed=1]
+ * @param {Date} [options.start] — clock time at hour 0
+ * @param {number} [options.sampleMinutes=60] — sim minutes between samples
+ * @returns {{seed:number, hours:number, start:string, samples:Array<{hour:number, time:string, units:Array<{personId:string, state:string, assignedTaskId:string|null, col:number|null, row:number|null}>, tasks:Object<string, number>}>}}
+ */
+export function runSimulation({ store, hours = 24, seed = 1, start = new Date(), sampleMinutes = 60 }) {
+  const mapSize = CONFIG.MAP_SIZE;
+  const grid = new GameGrid(mapSize, mapSize);
+  const terrainGen = new TerrainGenerator();
+  terrainGen.generate(grid);
+
+  const placements = new MapPlacements(grid, terrainGen);
+  placements.sync(store.getTasks(), store.getMilestones());
+
+  const center = Math.floor(mapSize / 2);
+  const base = new BaseLayout(grid, center, center, CONFIG.BASE_RADIUS);
+  base.blockTiles();
+  grid.revealTilesInRadius(center, center, CONFIG.BASE_RADIUS + 8);
+
+  let sim = null;
+  const clock = () => new Date(start.getTime() + Math.round((sim.getElapsed() / SIM_SECONDS_PER_HOUR) * MS_PER_HOUR));
+  sim = new UnitSimulation(grid, store, base, { seed, clock });
+  sim.setResourceNodePositions(placements.getResourceNodePositions());
+  sim.setStructurePositions(placements.getStructurePositions());
+  sim.refresh();
+
+  const people = store.getPeople();
+  people.forEach((person, i) => {
+    sim.markSpawned(person.id, base.getSpawnPosition(i, people.length));
+  });
+
+  const stepsPerSample = Math.max(1, Math.round((sampleMinutes / 60) * SIM_SECONDS_PER_HOUR / FIXED_DT));
+  const totalSteps = Math.round(hours * SIM_SECONDS_PER_HOUR / FIXED_DT);
+
+  const samples = [sample(sim, grid, store, clock)];
+  for (let step = 1; step <= totalSteps; step++) {
+    sim.step();
+    if (step % stepsPerSample === 0 || step === totalSteps) samples.push(sample(sim, grid, store, clock));
+  }
+
+  return { seed, hours, start: start.toISOString(), samples };
+}
+
+function sample(sim, grid, store, clock) {
+  const units = store.getPeople().map(person => {
+    const unit = sim.getUnit(person.id);
+    const tile = unit.position ? grid.worldToTile(unit.position.x, unit.position.z) : null;
+    return {
+      personId: person.id,
+      state: unit.sm.state,
+      assignedTaskId: unit.sm.assignedTaskId,
+      col: tile ? tile.col : null,
+      row: tile ? tile.row : null,
+    };
+  });
+
+  const tasks = {};
+  for (const task of store.getTasks()) tasks[task.id] = Math.round(sim.progress.get(task.id) * 100) / 100;
+
+  return {
+    hour: Math.round((sim.getElapsed() / SIM_SECONDS_PER_HOUR) * 1000) / 1000,
+    time: clock().toISOString(),
+    units,
+    tasks,
+  };
+}
@@ -1,21 +1,16 @@
 import { Avatar } from '../scene/Avatar.js';
-import { UnitStateMachine, UnitStates } from './UnitState.js';
-import { computeUnitStamina, computeScoutSpeed, computeGatherRate } from '../data/ResourceCalculator.js';
-import { FogState } from '../map/GameGrid.js';
+import { UnitSimulation } from './UnitSimulation.js';
+import { UnitStates } from './UnitState.js';
+import { computeUnitStamina, computeStructureProgress } from '../data/ResourceCalculator.js';
 import { THEME, THEME_NIGHT } from '../utils/Theme.js';
 import { lerp } from '../utils/Math.js';
+import { isAssignedTo } from '../data/Assignees.js';
 
-const SCOUT_SIGHT = 4;
-const GATHER_SIGHT = 1;
-const GATHER_TIME = 4;   // seconds to fully gather a resource
-const BUILD_TIME = 3;    // seconds to deposit / build
-const DEPOSIT_TIME = 1.5;
-const REST_TIME = 5;
-const IDLE_WANDER_RADIUS = 3;
-const SCOUT_FRONTIER_SEARCH = 200; // max tiles to check in BFS for frontier
-const SEPARATION_RADIUS = 0.8;     // tiles — distance at which units start pushing apart
-const SEPARATION_STRENGTH = 2.0;   // how strongly units repel each other
-
+/**
+ * Renders the unit simulation: one Avatar per person, moved and animated
+ * from UnitSimulation's state each frame, with fog, node and structure
+ * visuals following what the units do.
+ */
 export class UnitManager {
   constructor(scene, gameGrid, gameMap, fogOfWar, store, base) {
     this.scene = scene;
@@ -27,10 +22,27 @@ export class UnitManager {
     this._camera = null;
     this._worldOffset = { x: 0, z: 0 };
 
+    this.sim = new UnitSimulation(gameGrid, store, base, {
+      seed: Math.floor(Math.random() * 0x100000000),
+    });
+    this.sim.on('nodeDepleted', ({ taskId, permanent }) => {
+      if (permanent) this.map.setNodeDepleted(taskId, true);
+      else this.map.depleteNode(taskId);
+    });
+    this.sim.on('progress', ({ taskId }) => {
+      const task = this.store.getTask(taskId);
+      if (task && task.milestoneId) this.updateStructureProgress(task.milestoneId);
+    });
+
     this.units = new Map(); // personId -> { avatar, sm }
     this._resourceNodePositions = new Map(); // taskId -> { col, row }
-    this._spawned = new Set(); // personIds that have finished spawn sequence
-    this._discoveredNodes = new Set(); // taskIds that have been seen at VISIBLE fog
+    this._structurePositions = new Map(); // milestoneId -> { col, row }
+
+    // Simulated task progress — units never write percentComplete to the store
+    this.progress = this.sim.progress;
+
+    // Timeline replay — { time, tasks } as of a past date, or null when live
+    this._replay = null;
   }
 
   setWorldOffset(offset) {
@@ -51,6 +63,7 @@ export class UnitManager {
     for (const p of positions) {
       this._resourceNodePositions.set(p.taskId, { col: p.col, row: p.row });
     }
+    this.sim.setResourceNodePositions(positions);
   }
 
   setStructurePositions(positions) {
@@ -58,31 +71,43 @@ export class UnitManager {
     for (const p of positions) {
       this._structurePositions.set(p.milestoneId, { col: p.col, row: p.row });
     }
+    this.sim.setStructurePositions(positions);
+  }
+
+  /** Apply node / structure changes from MapPlacements.sync() — see UnitSimulation. */
+  applyPlacementChanges(changes) {
+    for (const node of changes.nodesRemoved) this._resourceNodePositions.delete(node.taskId);
+    for (const { to } of changes.nodesMoved) {
+      this._resourceNodePositions.set(to.taskId, { col: to.col, row: to.row });
+    }
+    for (const node of changes.nodesAdded) {
+      this._resourceNodePositions.set(node.taskId, { col: node.col, row: node.row });
+    }
+    for (const structure of changes.structuresRemoved) this._structurePositions.delete(structure.milestoneId);
+    for (const structure of changes.structuresAdded) {
+      this._structurePositions.set(structure.milestoneId, { col: structure.col, row: structure.row });
+    }
+    this.sim.applyPlacementChanges(changes);
   }
 
   refresh() {
-    const people = this.store.getPeople();
-    const currentIds = new Set(people.map(p => p.id));
+    this.sim.refresh();
 
     // Remove avatars for deleted people
     for (const [id, unit] of this.units) {
-      if (!currentIds.has(id)) {
+      if (!this.sim.getUnit(id)) {
         this.scene.remove(unit.avatar.group);
         unit.avatar.dispose();
         this.units.delete(id);
       }
     }
 
-    // Add/update units
-    const total = people.length;
-    for (let i = 0; i < people.length; i++) {
-      const person = people[i];
+    for (const person of this.store.getPeople()) {
       let unit = this.units.get(person.id);
 
       if (!unit) {
         const avatar = new Avatar(person);
-        const sm = new UnitStateMachine(person.id);
-        unit = { avatar, sm };
+        unit = { avatar, sm: this.sim.getUnitState(person.id) };
         this.units.set(person.id, unit);
         this.scene.add(avatar.group);
 
@@ -93,560 +118,163 @@ export class UnitManager {
         avatar.group.visible = false;
       }
 
-      // Update stamina
-      const tasks = this.store.getTasksForPerson(person.id);
-      const stamina = computeUnitStamina(tasks);
-      unit.avatar.setEnergy(stamina);
-
-      // Only assign behavior to units that have finished spawning
-      if (this._spawned.has(person.id) && unit.sm.state === UnitStates.IDLE) {
-        this._assignBehavior(unit, person);
-      }
+      // Update stamina and skill badge
+      unit.avatar.setEnergy(this._staminaFor(person.id));
+      unit.avatar.setSkillBadge(this._skillBadgeFor(person.id));
     }
   }
 
-  // ─── Behavior Assignment ──────────────────────────────────────────
-
-  _assignBehavior(unit, person) {
-    const tasks = this.store.getTasksForPerson(person.id);
-
-    if (tasks.length === 0) {
-      this._assignScoutMission(unit);
-      return;
-    }
-
-    const stamina = computeUnitStamina(tasks);
-    if (stamina < 0.15) {
-      unit.sm.transition(UnitStates.RESTING, { stateTimer: REST_TIME });
-      this._moveToBase(unit);
-      return;
-    }
-
-    // Find highest-priority incomplete task with an available resource node
-    const incompleteTasks = tasks.filter(t => {
-      if (t.percentComplete >= 100) return false;
-      // Skip tasks whose resource is currently depleted/regrowing
-      return this.map.isNodeAvailable(t.id);
-    });
-
-    if (incompleteTasks.length === 0) {
-      // All tasks done or all resources currently depleted — go scout
-      this._assignScoutMission(unit);
-      return;
-    }
-
-    // Sort by: overdue first, then most remaining work
-    incompleteTasks.sort((a, b) => {
-      const aDue = a.expectedDate ? new Date(a.expectedDate) : new Date('2099-01-01');
-      const bDue = b.expectedDate ? new Date(b.expectedDate) : new Date('2099-01-01');
-      return aDue - bDue;
-    });
-
-    const task = incompleteTasks[0];
-    const discoveryRatio = task.discoveryPercent / 100;
-    const nodePos = this._resourceNodePositions.get(task.id);
-
-    // If discovery-heavy and resource not yet revealed → scout toward it
-    if (discoveryRatio > 0.5 && nodePos && !this.fog.isRevealed(nodePos.col, nodePos.row)) {
-      unit.sm.transition(UnitStates.SCOUTING, {
-        assignedTaskId: task.id,
-        targetCol: nodePos.col,
-        targetRow: nodePos.row,
-      });
-      this._pathTo(unit, nodePos.col, nodePos.row);
-      return;
-    }
-
-    // Resource is discovered (or execution-heavy) → go gather
-    if (nodePos) {
-      unit.sm.transition(UnitStates.MOVING_TO_RESOURCE, {
-        assignedTaskId: task.id,
-        targetCol: nodePos.col,
-        targetRow: nodePos.row,
-        carryingResource: null,
-      });
-      this._pathTo(unit, nodePos.col, nodePos.row);
-      return;
-    }
-
-    // No node position — scout instead of just sitting idle
-    this._assignScoutMission(unit);
-  }
-
-  /**
-   * Send a unit to explore the nearest unexplored frontier.
-   * Uses BFS from the unit's current position to find the closest
-   * walkable HIDDEN tile, then paths toward it.
-   */
-  _assignScoutMission(unit) {
-    const avatarPos = unit.avatar.group.position;
-    const gridWorld = this._fromScene(avatarPos.x, avatarPos.z);
-    const startTile = this.grid.worldToTile(gridWorld.x, gridWorld.z);
-
-    const target = this._findFrontierTile(startTile.col, startTile.row);
-    if (target) {
-      unit.sm.transition(UnitStates.SCOUTING, {
-        assignedTaskId: null,
-        targetCol: target.col,
-        targetRow: target.row,
-      });
-      this._pathTo(unit, target.col, target.row);
-    } else {
-      // Entire map explored — wander near base
-      unit.sm.transition(UnitStates.IDLE);
-    }
-  }
-
-  /**
-   * BFS outward from (startCol, startRow) to find the nearest walkable
-   * tile that borders at least one HIDDEN tile (the "frontier").
-   * Returns {col, row} or null if fully explored.
-   */
-  _findFrontierTile(startCol, startRow) {
-    const visited = new Set();
-    const queue = [{ col: startCol, row: startRow }];
-    visited.add(`${startCol},${startRow}`);
-
-    const frontierCandidates = [];
-    let checked = 0;
-
-    while (queue.length > 0 && checked < SCOUT_FRONTIER_SEARCH) {
-      const { col, row } = queue.shift();
-      checked++;
-
-      const tile = this.grid.getTile(col, row);
-      if (!tile || !this.grid.isWalkable(col, row)) continue;
-
-      // Is this tile on the frontier? (revealed/visible tile adjacent to hidden tile)
-      if (tile.fogState !== FogState.HIDDEN) {
-        const neighbors = this.grid.getNeighbors(col, row);
-        for (const n of neighbors) {
-          const nTile = this.grid.getTile(n.col, n.row);
-          if (nTile && nTile.fogState === FogState.HIDDEN && this.grid.isWalkable(n.col, n.row)) {
-            frontierCandidates.push({ col, row });
-            break;
-          }
-        }
-      }
-
-      // Expand BFS
-      for (const n of this.grid.getNeighbors(col, row)) {
-        const key = `${n.col},${n.row}`;
-        if (!visited.has(key)) {
-          visited.add(key);
-          queue.push(n);
-        }
-      }
-    }
-
-    if (frontierCandidates.length === 0) return null;
-
-    // Pick a random frontier tile (not always the nearest — adds variety)
-    return frontierCandidates[Math.floor(Math.random() * frontierCandidates.length)];
-  }
-
-  // ─── Pathfinding ──────────────────────────────────────────────────
-
-  _pathTo(unit, col, row) {
-    const avatarPos = unit.avatar.group.position;
-    const gridWorld = this._fromScene(avatarPos.x, avatarPos.z);
-    const currentTile = this.grid.worldToTile(gridWorld.x, gridWorld.z);
-
-    // If target tile is blocked (resource/structure), path to nearest walkable neighbor
-    let targetCol = col;
-    let targetRow = row;
-    if (!this.grid.isWalkable(col, row)) {
-      const neighbors = this.grid.getNeighbors(col, row);
-      let bestDist = Infinity;
-      for (const n of neighbors) {
-        if (!this.grid.isWalkable(n.col, n.row)) continue;
-        const dc = n.col - currentTile.col;
-        const dr = n.row - currentTile.row;
-        const d = dc * dc + dr * dr;
-        if (d < bestDist) {
-          bestDist = d;
-          targetCol = n.col;
-          targetRow = n.row;
-        }
-      }
-    }
-
-    const path = this.grid.findPath(currentTile.col, currentTile.row, targetCol, targetRow);
-    unit.sm.path = path;
-    unit.sm.pathIndex = 0;
-  }
-
-  _moveToBase(unit) {
-    const deposit = this.base.getDepositPosition();
-    const tile = this.grid.worldToTile(deposit.x, deposit.z);
-    this._pathTo(unit, tile.col, tile.row);
+  _skillBadgeFor(personId) {
+    const [top] = this.store.getSkills(personId);
+    if (!top || top.level < THEME.avatar.skillBadge.minLevel) return null;
+    return `${top.category} Lv ${top.level}`;
   }
 
   // ─── Update Loop ──────────────────────────────────────────────────
 
   update(dt) {
-    const unitPositions = [];
+    // The simulation holds still while a past date is replayed
+    if (!this._replay) this.sim.update(dt);
 
-    // Collect all scene positions for separation steering
+    // Collect all scene positions for AnimalManager separation
     this._scenePositions = [];
-    for (const [, u] of this.units) {
-      const p = u.avatar.group.position;
-      this._scenePositions.push({ x: p.x, z: p.z });
-    }
 
-    let unitIdx = 0;
     for (const [personId, unit] of this.units) {
       const { avatar, sm } = unit;
-
-      switch (sm.state) {
-        case UnitStates.IDLE:
-          this._handleIdle(unit, dt);
-          break;
-        case UnitStates.SCOUTING:
-          this._handleScouting(unit, dt, personId, unitIdx);
-          break;
-        case UnitStates.MOVING_TO_RESOURCE:
-          this._handleMovement(unit, dt, 3.0, unitIdx);
-          break;
-        case UnitStates.GATHERING:
-          this._handleGathering(unit, dt);
-          break;
-        case UnitStates.RETURNING_TO_BASE:
-          this._handleMovement(unit, dt, 2.5, unitIdx);
-          break;
-        case UnitStates.DEPOSITING:
-          this._handleDepositing(unit, dt);
-          break;
-        case UnitStates.MOVING_TO_STRUCTURE:
-          this._handleMovement(unit, dt, 2.5, unitIdx);
-          break;
-        case UnitStates.BUILDING:
-          this._handleBuilding(unit, dt);
-          break;
-        case UnitStates.RESTING:
-          this._handleResting(unit, dt);
-          break;
+      const simUnit = this.sim.getUnit(personId);
+
+      // Unspawned avatars stay where the spawn sequencer puts them
+      if (simUnit && simUnit.position) {
+        const pos = this._toScene(simUnit.position.x, simUnit.position.z);
+        avatar.group.position.x = pos.x;
+        avatar.group.position.z = pos.z;
+        const wander = this._toScene(simUnit.wanderTarget.x, simUnit.wanderTarget.z);
+        avatar.wanderTarget.set(wander.x, 0, wander.z);
+
+        if (!this._replay) {
+          if (simUnit.moving) {
+            avatar._faceDirection(simUnit.heading.dx, simUnit.heading.dz, dt);
+            avatar._updateWalkAnimation(dt);
+          }
+          if (sm.state === UnitStates.GATHERING) avatar.playGatherAnimation(dt);
+          if (sm.state === UnitStates.BUILDING) avatar.playBuildAnimation(dt);
+          avatar.setCarrying(Boolean(sm.carryingResource));
+          avatar.setAwayBadge(sm.state === UnitStates.VACATION ? `Away through ${shortDate(sm.lastDayAway)}` : null);
+        }
       }
+      if (!this._replay) avatar.update(dt, this._camera);
 
-      unitIdx++;
-      avatar.update(dt, this._camera);
-
-      // Track unit position for fog updates (convert scene to grid coords)
-      const pos = avatar.group.position;
-      const gridWorld = this._fromScene(pos.x, pos.z);
-      const tile = this.grid.worldToTile(gridWorld.x, gridWorld.z);
-      const sightRadius = sm.state === UnitStates.SCOUTING ? SCOUT_SIGHT : GATHER_SIGHT;
-      unitPositions.push({ col: tile.col, row: tile.row, sightRadius });
+      const p = avatar.group.position;
+      this._scenePositions.push({ x: p.x, z: p.z });
     }
 
-    // Update fog visibility based on unit positions
-    this.fog.updateVisibility(unitPositions);
+    // Render the fog the simulation's units see
+    this.fog.applySight(this.sim.consumeSight());
 
-    // Update resource node visibility — only show when a unit is nearby
+    // Visually show resource nodes only when fog is fully clear (unit nearby)
     for (const [taskId, pos] of this._resourceNodePositions) {
-      // Track discovered nodes for AI behavior decisions
-      if (this.fog.isVisible(pos.col, pos.row)) {
-        this._discoveredNodes.add(taskId);
-      }
-      // Visually show only when fog is fully clear (unit nearby)
-      this.map.setResourceNodeVisible(taskId, this.fog.isVisible(pos.col, pos.row));
+      this.map.setResourceNodeVisible(taskId, this.grid.isVisible(pos.col, pos.row));
     }
   }
 
-  // ─── State Handlers ───────────────────────────────────────────────
-
-  _handleIdle(unit, dt) {
-    // Gentle wander near base while waiting for reassignment
-    unit.sm.stateTimer -= dt;
-
-    if (unit.sm.stateTimer <= 0) {
-      const basePos = this.base.getDepositPosition();
-      const angle = Math.random() * Math.PI * 2;
-      const r = 1 + Math.random() * IDLE_WANDER_RADIUS;
-      const tx = basePos.x + Math.cos(angle) * r;
-      const tz = basePos.z + Math.sin(angle) * r;
-      const scenePt = this._toScene(tx, tz);
-
-      unit.avatar.wanderTarget.set(scenePt.x, 0, scenePt.z);
-      unit.sm.stateTimer = 2 + Math.random() * 3;
-    }
-
-    // Re-evaluate behavior frequently so units don't stay idle long
-    if (Math.random() < dt * 0.5) {
-      const person = this.store.getPerson(unit.sm.personId);
-      if (person) this._assignBehavior(unit, person);
-    }
-  }
+  // ─── Public API ───────────────────────────────────────────────────
 
-  _handleScouting(unit, dt, personId, unitIdx) {
-    const speed = computeScoutSpeed(this.store.getTasksForPerson(personId)) * 3.0;
-    this._handleMovement(unit, dt, speed, unitIdx);
+  setCamera(camera) {
+    this._camera = camera;
   }
 
-  _handleMovement(unit, dt, speed, unitIdx) {
-    const { avatar, sm } = unit;
-
-    if (!sm.path || sm.pathIndex >= sm.path.length) {
-      this._onArrival(unit);
-      return;
-    }
-
-    const targetStep = sm.path[sm.pathIndex];
-    const targetWorld = this.grid.tileToWorld(targetStep.col, targetStep.row);
-    const target = this._toScene(targetWorld.x, targetWorld.z);
-
-    const dx = target.x - avatar.group.position.x;
-    const dz = target.z - avatar.group.position.z;
-    const dist = Math.sqrt(dx * dx + dz * dz);
-
-    if (dist < 0.15) {
-      sm.pathIndex++;
-    } else {
-      const step = Math.min(speed * dt, dist);
-      let moveX = (dx / dist) * step;
-      let moveZ = (dz / dist) * step;
-
-      // Separation steering — push away from nearby units
-      let sepX = 0;
-      let sepZ = 0;
-      if (unitIdx !== undefined) {
-        const myX = avatar.group.position.x;
-        const myZ = avatar.group.position.z;
-        for (let i = 0; i < this._scenePositions.length; i++) {
-          if (i === unitIdx) continue;
-          const other = this._scenePositions[i];
-          const ox = myX - other.x;
-          const oz = myZ - other.z;
-          const oDist = Math.sqrt(ox * ox + oz * oz);
-          if (oDist < SEPARATION_RADIUS && oDist > 0.01) {
-            const factor = (1 - oDist / SEPARATION_RADIUS) * SEPARATION_STRENGTH * dt;
-            sepX += (ox / oDist) * factor;
-            sepZ += (oz / oDist) * factor;
-          }
-        }
-      }
-
-      // Try combined movement; fall back to path-only if it hits an obstacle
-      const combinedX = avatar.group.position.x + moveX + sepX;
-      const combinedZ = avatar.group.position.z + moveZ + sepZ;
-      const gridCheck = this._fromScene(combinedX, combinedZ);
-      const checkTile = this.grid.worldToTile(gridCheck.x, gridCheck.z);
-
-      if (this.grid.isWalkable(checkTile.col, checkTile.row)) {
-        avatar.group.position.x = combinedX;
-        avatar.group.position.z = combinedZ;
-      } else {
-        // Separation would push into obstacle — apply path movement only
-        avatar.group.position.x += moveX;
-        avatar.group.position.z += moveZ;
+  getPickableObjects() {
+    const pickables = [];
+    for (const unit of this.units.values()) {
+      for (const mesh of unit.avatar.getPickables()) {
+        mesh.userData.personId = unit.avatar.personId;
+        pickables.push(mesh);
       }
-      avatar._faceDirection(dx, dz, dt);
-      avatar._updateWalkAnimation(dt);
     }
+    return pickables;
   }
 
-  _onArrival(unit) {
-    const { sm } = unit;
-
-    switch (sm.state) {
-      case UnitStates.SCOUTING:
-        if (sm.assignedTaskId) {
-          // Was scouting toward a task resource — now gather it
-          sm.transition(UnitStates.GATHERING, {
-            assignedTaskId: sm.assignedTaskId,
-            carryingResource: null,
-          });
-        } else {
-          // General exploration — pick another frontier target
-          const person = this.store.getPerson(sm.personId);
-          sm.transition(UnitStates.IDLE);
-          if (person) this._assignBehavior(unit, person);
-        }
-        break;
-
-      case UnitStates.MOVING_TO_RESOURCE:
-        sm.transition(UnitStates.GATHERING, {
-          assignedTaskId: sm.assignedTaskId,
-          carryingResource: null,
-        });
-        break;
-
-      case UnitStates.RETURNING_TO_BASE:
-        sm.transition(UnitStates.DEPOSITING, {
-          carryingResource: sm.carryingResource,
-          assignedTaskId: sm.assignedTaskId,
-        });
-        break;
-
-      case UnitStates.MOVING_TO_STRUCTURE:
-        sm.transition(UnitStates.BUILDING, {
-          assignedMilestoneId: sm.assignedMilestoneId,
-          assignedTaskId: sm.assignedTaskId,
-          carryingResource: sm.carryingResource,
-        });
-        break;
-
-      default:
-        sm.transition(UnitStates.IDLE);
-        break;
-    }
+  /** Start simulated progress at the real values — see UnitSimulation.catchUp(). */
+  catchUp() {
+    this.sim.catchUp();
   }
 
-  _handleGathering(unit, dt) {
-    const { sm } = unit;
-    const tasks = this.store.getTasksForPerson(sm.personId);
-    const gatherRate = computeGatherRate(tasks);
-
-    sm.stateTimer += dt * gatherRate;
-    sm.gatherProgress = Math.min(1, sm.stateTimer / GATHER_TIME);
-
-    unit.avatar.playGatherAnimation(dt);
-
-    if (sm.gatherProgress >= 1) {
-      const task = this.store.getTask(sm.assignedTaskId);
-      sm.carryingResource = {
-        type: task ? (task.category || 'Resource') : 'Resource',
-        taskId: sm.assignedTaskId,
-      };
-      unit.avatar.setCarrying(true);
-
-      // Deplete the resource node visually (will regrow later)
-      this.map.depleteNode(sm.assignedTaskId);
-
-      // Redirect to milestone structure if task has one, otherwise base
-      const milestoneId = task ? task.milestoneId : null;
-      const structPos = milestoneId && this._structurePositions
-        ? this._structurePositions.get(milestoneId)
-        : null;
-
-      if (structPos) {
-        sm.transition(UnitStates.MOVING_TO_STRUCTURE, {
-          carryingResource: sm.carryingResource,
-          assignedTaskId: sm.assignedTaskId,
-          assignedMilestoneId: milestoneId,
-          targetCol: structPos.col,
-          targetRow: structPos.row,
-        });
-        this._pathTo(unit, structPos.col, structPos.row);
-      } else {
-        sm.transition(UnitStates.RETURNING_TO_BASE, {
-          carryingResource: sm.carryingResource,
-          assignedTaskId: sm.assignedTaskId,
-        });
-        this._moveToBase(unit);
-      }
-    }
+  /** Simulated percent complete for a task (capped at the real value). */
+  getSimulatedProgress(taskId) {
+    return this.progress.get(taskId);
   }
 
-  _handleDepositing(unit, dt) {
-    const { sm } = unit;
-    sm.stateTimer += dt;
-
-    if (sm.stateTimer >= DEPOSIT_TIME) {
-      const task = this.store.getTask(sm.assignedTaskId);
-      if (task && task.percentComplete < 100) {
-        const advance = Math.min(100 - task.percentComplete, 15 + Math.random() * 10);
-        this.store.updateTask(sm.assignedTaskId, {
-          percentComplete: Math.min(100, task.percentComplete + advance),
-        });
-      }
-
-      unit.avatar.setCarrying(false);
-      sm.carryingResource = null;
-
-      const person = this.store.getPerson(sm.personId);
-      sm.transition(UnitStates.IDLE);
-      if (person) this._assignBehavior(unit, person);
-    }
+  /** Re-render a milestone structure from simulated (or replayed) task progress. */
+  updateStructureProgress(milestoneId) {
+    const ms = this.store.getMilestone(milestoneId);
+    if (!ms) return;
+    this.map.setStructureProgress(milestoneId, computeStructureProgress(ms, this._displayTasks()));
   }
 
-  _handleBuilding(unit, dt) {
-    const { sm } = unit;
-    sm.stateTimer += dt;
-    sm.buildProgress = Math.min(1, sm.stateTimer / BUILD_TIME);
-
-    unit.avatar.playBuildAnimation(dt);
-
-    if (sm.buildProgress >= 1) {
-      // Advance task progress (deposit resource into structure)
-      if (sm.assignedTaskId) {
-        const task = this.store.getTask(sm.assignedTaskId);
-        if (task && task.percentComplete < 100) {
-          const advance = Math.min(100 - task.percentComplete, 15 + Math.random() * 10);
-          this.store.updateTask(sm.assignedTaskId, {
-            percentComplete: Math.min(100, task.percentComplete + advance),
-          });
-        }
-
-        // If task reached 100%, permanently deplete its resource node
-        const updatedTask = this.store.getTask(sm.assignedTaskId);
-        if (updatedTask && updatedTask.percentComplete >= 100) {
-          this.map.depleteNode(sm.assignedTaskId, true);
-        }
+  /**
+   * Show the map as of a past date: nodes deplete, structures build and
+   * stamina reads from `replay.tasks` (percentComplete as of `replay.time`)
+   * while the simulation pauses. Pass null to resume the live simulation.
+   * @param {{time:Date, tasks:object[]}|null} replay
+   */
+  setReplay(replay) {
+    this._replay = replay;
+    this.sim.setPaused(replay !== null);
+    for (const task of this._displayTasks()) {
+      if (this._resourceNodePositions.has(task.id)) {
+        this.map.setNodeDepleted(task.id, task.percentComplete >= 100);
       }
-
-      unit.avatar.setCarrying(false);
-      sm.carryingResource = null;
-
-      sm.transition(UnitStates.IDLE);
-      const person = this.store.getPerson(sm.personId);
-      if (person) this._assignBehavior(unit, person);
+    }
+    for (const milestoneId of this._structurePositions.keys()) {
+      this.updateStructureProgress(milestoneId);
+    }
+    for (const [personId, unit] of this.units) {
+      unit.avatar.setEnergy(this._staminaFor(personId));
     }
   }
 
-  _handleResting(unit, dt) {
-    const { sm } = unit;
-    sm.stateTimer -= dt;
-
-    if (sm.stateTimer <= 0) {
-      sm.transition(UnitStates.IDLE);
-      const person = this.store.getPerson(sm.personId);
-      if (person) this._assignBehavior(unit, person);
-    }
+  /** Send everyone home to rest at the base (nights, weekends) or back to work. */
+  setOffDuty(offDuty) {
+    this.sim.setOffDuty(offDuty);
   }
 
-  // ─── Public API ───────────────────────────────────────────────────
+  isReplaying() {
+    return this._replay !== null;
+  }
 
-  setCamera(camera) {
-    this._camera = camera;
+  /** Tasks with the percentComplete the map should render. */
+  _displayTasks() {
+    return this._replay ? this._replay.tasks : this.progress.applyTo(this.store.getTasks());
   }
 
-  getPickableObjects() {
-    const pickables = [];
-    for (const unit of this.units.values()) {
-      for (const mesh of unit.avatar.getPickables()) {
-        mesh.userData.personId = unit.avatar.personId;
-        pickables.push(mesh);
-      }
-    }
-    return pickables;
+  _staminaFor(personId) {
+    const calendar = this.store.getCalendar(personId);
+    if (!this._replay) return computeUnitStamina(this.store.getTasksForPerson(personId), new Date(), calendar);
+    const tasks = this._replay.tasks.filter(t => isAssignedTo(t, personId));
+    return computeUnitStamina(tasks, this._replay.time, calendar);
   }
 
   getUnitState(personId) {
-    const unit = this.units.get(personId);
-    return unit ? unit.sm : null;
+    return this.sim.getUnitState(personId);
   }
 
   /**
-   * Mark a person as having completed the spawn sequence.
-   * Triggers immediate behavior assignment.
+   * Mark a person as having completed the spawn sequence — the simulation
+   * takes over from wherever the spawn sequencer left the avatar.
    */
   markSpawned(personId) {
-    this._spawned.add(personId);
     const unit = this.units.get(personId);
-    if (unit) {
-      // Set proper home position now that they're spawned
-      const person = this.store.getPerson(personId);
-      const people = this.store.getPeople();
-      const idx = people.findIndex(p => p.id === personId);
-      const spawn = this.base.getSpawnPosition(idx >= 0 ? idx : 0, people.length);
-      const sceneSpawn = this._toScene(spawn.x, spawn.z);
-      unit.avatar.homePosition.set(sceneSpawn.x, 0, sceneSpawn.z);
-
-      if (person && unit.sm.state === UnitStates.IDLE) {
-        this._assignBehavior(unit, person);
-      }
-    }
+    if (!unit) return;
+
+    // Set proper home position now that they're spawned
+    const people = this.store.getPeople();
+    const idx = people.findIndex(p => p.id === personId);
+    const spawn = this.base.getSpawnPosition(idx >= 0 ? idx : 0, people.length);
+    const sceneSpawn = this._toScene(spawn.x, spawn.z);
+    unit.avatar.homePosition.set(sceneSpawn.x, 0, sceneSpawn.z);
+
+    const pos = unit.avatar.group.position;
+    this.sim.markSpawned(personId, this._fromScene(pos.x, pos.z));
   }
 
   /**
@@ -679,8 +307,31 @@ export class UnitManager {
     return avatars;
   }
 
+  /**
+   * Grid-world positions of the units on the map, in their person's color.
+   * @returns {Array<{personId:string, x:number, z:number, color:string}>}
+   */
+  getUnitPositions() {
+    const positions = [];
+    for (const [personId, unit] of this.units) {
+      const simUnit = this.sim.getUnit(personId);
+      if (!simUnit || !simUnit.position) continue;
+      positions.push({
+        personId,
+        x: simUnit.position.x,
+        z: simUnit.position.z,
+        color: `#${unit.avatar.color.getHexString()}`,
+      });
+    }
+    return positions;
+  }
+
   /** Scene positions collected each frame — used by AnimalManager for separation. */
   getScenePositions() {
     return this._scenePositions || [];
   }
 }
+
+function shortDate(isoDate) {
+  return new Date(isoDate + 'T00:00:00').toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
@@ -0,0 +1,954 @@
+import { UnitStateMachine, UnitStates } from './UnitState.js';
+import { ShadowProgress } from './ShadowProgress.js';
+import { computeUnitStamina, computeScoutSpeed, computeGatherRate } from '../data/ResourceCalculator.js';
+import { isTaskBlocked } from '../data/TaskGraph.js';
+import { getAssigneeIds } from '../data/Assignees.js';
+import { absenceOn } from '../data/Availability.js';
+import { FogState } from '../map/GameGrid.js';
+import { seededRandom } from '../utils/Math.js';
+
+export const SIM_SECONDS_PER_HOUR = 5; // 1 sim hour per 5 real seconds
+export const FIXED_DT = 1 / 60;        // seconds per simulation step
+
+const SCOUT_SIGHT = 4;
+const GATHER_SIGHT = 1;
+const GATHER_TIME = 4;   // seconds to fully gather a resource
+const BUILD_TIME = 3;    // seconds to deposit / build
+const DEPOSIT_TIME = 1.5;
+const REST_TIME = 5;
+const AWAY_CHECK_STEPS = 60;       // steps between out-of-office checks (one second)
+const IDLE_WANDER_RADIUS = 3;
+const SCOUT_FRONTIER_SEARCH = 200; // max tiles to check in BFS for frontier
+const SEPARATION_RADIUS = 0.8;     // tiles — distance at which units start pushing apart
+const SEPARATION_STRENGTH = 2.0;   // how strongly units repel each other
+const GATHER_RING = 0.8;           // tiles from a node's center where a shared task's crew stands
+const GATHER_SHUFFLE_SPEED = 1.5;  // tiles/sec while stepping into place around a node
+// A gathered node is unavailable while it shrinks, waits and regrows —
+// matches GameMap's DEPLETE_DURATION + REGROW_DELAY + REGROW_DURATION
+const NODE_REGROW_TIME = 0.5 + 60 + 15;
+
+// Already resting, or still delivering a load (the rest follows the delivery)
+const STAY_ON_OFF_DUTY = new Set([
+  UnitStates.RESTING,
+  UnitStates.VACATION,
+  UnitStates.RETURNING_TO_BASE,
+  UnitStates.DEPOSITING,
+  UnitStates.MOVING_TO_STRUCTURE,
+  UnitStates.BUILDING,
+]);
+
+/**
+ * Unit behavior without rendering: state machines, pathfinding, gathering
+ * and simulated progress, stepped at a fixed timestep against a GameGrid
+ * and a Store. Randomness comes from a seeded RNG and "now" from an
+ * injected clock, so the same seed, data and clock give the same run —
+ * UnitManager renders it in the browser, SimulationRunner runs it headless.
+ *
+ * Positions are grid-world coordinates. Units have no position until
+ * markSpawned() places them.
+ *
+ * Co-assignees of a shared task join each other at its node: everyone
+ * gathering a node fills the same pile, so a crew gathers at the sum of
+ * its members' rates, stands spread around the node, and splits each
+ * load's progress between them.
+ *
+ * Off duty (setOffDuty) everyone heads home to the base and rests there
+ * until work starts again; units already carrying a load drop it off first.
+ * Someone out of office (Availability.js) goes on vacation the same way and
+ * stays at the base until their absence ends.
+ *
+ * Events: 'nodeDepleted' { taskId, permanent } when a node is gathered or
+ * worked out, 'progress' { taskId } after a deposit advances a task.
+ *
+ * Pure data — no Three.js dependency.
+ */
+export class UnitSimulation {
+  /**
+   * @param {import('../map/GameGrid.js').GameGrid} grid
+   * @param {import('../data/Store.js').Store} store
+   * @param {import('../map/BaseLayout.js').BaseLayout} base
+   * @param {{seed?:number, clock?:() => Date}} [options]
+   */
+  constructor(grid, store, base, { seed = 1, clock = () => new Date() } = {}) {
+    this.grid = grid;
+    this.store = store;
+    this.base = base;
+    this._rng = seededRandom(seed);
+    this._clock = clock;
+    this._listeners = {};
+
+    this.units = new Map(); // personId -> { sm, position, wanderTarget, heading, moving }
+    this._resourceNodePositions = new Map(); // taskId -> { col, row }
+    this._structurePositions = new Map(); // milestoneId -> { col, row }
+    this._spawned = new Set(); // personIds that have been placed on the map
+    this._discoveredNodes = new Set(); // taskIds that have been seen at VISIBLE fog
+    this._nodeCooldowns = new Map(); // taskId -> { remaining, permanent }
+    this._gatherWork = new Map(); // taskId -> seconds of gathering done on the node so far
+    this._paused = false;
+    this._offDuty = false;
+
+    this._steps = 0;
+    this._accumulator = 0;
+    this._visible = [];  // tiles in sight after the latest step
+    this._revealed = []; // tiles revealed since the last consumeSight()
+
+    // Simulated task progress — units never write percentComplete to the store
+    this.progress = new ShadowProgress();
+    this.progress.sync(store.getTasks());
+  }
+
+  on(event, cb) {
+    if (!this._listeners[event]) this._listeners[event] = [];
+    this._listeners[event].push(cb);
+  }
+
+  emit(event, data) {
+    if (!this._listeners[event]) return;
+    for (const cb of this._listeners[event]) cb(data);
+  }
+
+  setResourceNodePositions(positions) {
+    for (const p of positions) {
+      this._resourceNodePositions.set(p.taskId, { col: p.col, row: p.row });
+    }
+  }
+
+  setStructurePositions(positions) {
+    this._structurePositions = new Map();
+    for (const p of positions) {
+      this._structurePositions.set(p.milestoneId, { col: p.col, row: p.row });
+    }
+  }
+
+  /** While paused, refresh() and placement changes don't hand out new jobs. */
+  setPaused(paused) {
+    this._paused = paused;
+  }
+
+  /**
+   * Send everyone home to rest (nights, weekends) or back to work. Units
+   * carrying a load finish delivering it — to the base or a milestone's
+   * structure — before they rest.
+   */
+  setOffDuty(offDuty) {
+    if (offDuty === this._offDuty) return;
+    this._offDuty = offDuty;
+
+    for (const unit of this.units.values()) {
+      if (!unit.position) continue;
+      const { sm } = unit;
+      if (offDuty) {
+        if (!STAY_ON_OFF_DUTY.has(sm.state)) this._restAtBase(unit);
+      } else if (sm.state === UnitStates.RESTING) {
+        sm.stateTimer = 0; // wake up on the next step
+      }
+    }
+  }
+
+  isOffDuty() {
+    return this._offDuty;
+  }
+
+  /**
+   * Apply node / structure changes from MapPlacements.sync(). Units heading
+   * for or working a removed or moved node pick a new job; units carrying a
+   * load to a removed structure take it to base instead.
+   */
+  applyPlacementChanges({ nodesAdded, nodesRemoved, nodesMoved, structuresAdded, structuresRemoved }) {
+    for (const node of nodesRemoved) {
+      this._resourceNodePositions.delete(node.taskId);
+      this._discoveredNodes.delete(node.taskId);
+      this._nodeCooldowns.delete(node.taskId);
+      this._gatherWork.delete(node.taskId);
+    }
+    for (const { to } of nodesMoved) {
+      this._resourceNodePositions.set(to.taskId, { col: to.col, row: to.row });
+      this._discoveredNodes.delete(to.taskId);
+      this._gatherWork.delete(to.taskId);
+    }
+    this.setResourceNodePositions(nodesAdded);
+
+    for (const structure of structuresRemoved) {
+      this._structurePositions.delete(structure.milestoneId);
+    }
+    for (const structure of structuresAdded) {
+      this._structurePositions.set(structure.milestoneId, { col: structure.col, row: structure.row });
+    }
+
+    const lostTaskIds = new Set([
+      ...nodesRemoved.map(n => n.taskId),
+      ...nodesMoved.map(m => m.to.taskId),
+    ]);
+    const lostMilestoneIds = new Set(structuresRemoved.map(s => s.milestoneId));
+
+    for (const unit of this.units.values()) {
+      const { sm } = unit;
+      const toStructure = sm.state === UnitStates.MOVING_TO_STRUCTURE || sm.state === UnitStates.BUILDING;
+      const toNode = sm.state === UnitStates.SCOUTING
+        || sm.state === UnitStates.MOVING_TO_RESOURCE
+        || sm.state === UnitStates.GATHERING;
+
+      if (toStructure && lostMilestoneIds.has(sm.assignedMilestoneId)) {
+        sm.transition(UnitStates.RETURNING_TO_BASE, {
+          carryingResource: sm.carryingResource,
+          assignedTaskId: sm.assignedTaskId,
+          assignedMilestoneId: null,
+        });
+        if (unit.position) this._moveToBase(unit);
+      } else if (toNode && lostTaskIds.has(sm.assignedTaskId)) {
+        sm.transition(UnitStates.IDLE, { assignedTaskId: null });
+        const person = this.store.getPerson(sm.personId);
+        if (person && !this._paused && this._spawned.has(sm.personId)) this._assignBehavior(unit, person);
+      }
+    }
+  }
+
+  /** Reconcile units and simulated progress with the store's people and tasks. */
+  refresh() {
+    this.progress.sync(this.store.getTasks());
+    this._checkAvailability();
+
+    const people = this.store.getPeople();
+    const currentIds = new Set(people.map(p => p.id));
+
+    for (const id of [...this.units.keys()]) {
+      if (!currentIds.has(id)) {
+        this.units.delete(id);
+        this._spawned.delete(id);
+      }
+    }
+
+    for (const person of people) {
+      let unit = this.units.get(person.id);
+      if (!unit) {
+        unit = {
+          sm: new UnitStateMachine(person.id),
+          position: null,
+          wanderTarget: null,
+          heading: { dx: 0, dz: 1 },
+          moving: false,
+        };
+        this.units.set(person.id, unit);
+      }
+
+      // Only assign behavior to units that have been placed on the map
+      if (!this._paused && this._spawned.has(person.id) && unit.sm.state === UnitStates.IDLE) {
+        this._assignBehavior(unit, person);
+      }
+    }
+  }
+
+  /**
+   * Place a unit on the map at `position` (grid-world) and start it working.
+   */
+  markSpawned(personId, position) {
+    const unit = this.units.get(personId);
+    if (!unit) return;
+    this._spawned.add(personId);
+    unit.position = { x: position.x, z: position.z };
+    unit.wanderTarget = { x: position.x, z: position.z };
+
+    const person = this.store.getPerson(personId);
+    if (person && unit.sm.state === UnitStates.IDLE) {
+      this._assignBehavior(unit, person);
+    }
+  }
+
+  isSpawned(personId) {
+    return this._spawned.has(personId);
+  }
+
+  // ─── Behavior Assignment ──────────────────────────────────────────
+
+  _assignBehavior(unit, person) {
+    const absence = this._absenceFor(person);
+    if (absence) {
+      this._goOnVacation(unit, absence);
+      return;
+    }
+    if (this._offDuty) {
+      this._restAtBase(unit);
+      return;
+    }
+
+    const tasks = this.store.getTasksForPerson(person.id);
+
+    if (tasks.length === 0) {
+      this._assignScoutMission(unit);
+      return;
+    }
+
+    const stamina = computeUnitStamina(tasks, this._clock(), this.store.getCalendar(person.id));
+    if (stamina < 0.15) {
+      this._restAtBase(unit);
+      return;
+    }
+
+    // Find highest-priority task with simulated headroom, finished
+    // prerequisites and an available node
+    const allTasks = this.store.getTasks();
+    const incompleteTasks = tasks.filter(t => {
+      if (!this.progress.canAdvance(t.id)) return false;
+      if (isTaskBlocked(t, allTasks)) return false;
+      // Skip tasks whose resource is currently depleted/regrowing
+      return this.isNodeAvailable(t.id);
+    });
+
+    if (incompleteTasks.length === 0) {
+      // All tasks done, blocked or with depleted resources — go scout
+      this._assignScoutMission(unit);
+      return;
+    }
+
+    // Sort by: overdue first, then most remaining work
+    incompleteTasks.sort((a, b) => {
+      const aDue = a.expectedDate ? new Date(a.expectedDate) : new Date('2099-01-01');
+      const bDue = b.expectedDate ? new Date(b.expectedDate) : new Date('2099-01-01');
+      return aDue - bDue;
+    });
+
+    // Join a co-assignee already out on a shared task before starting alone
+    const task = this._crewTask(person.id, incompleteTasks) || incompleteTasks[0];
+    const discoveryRatio = task.discoveryPercent / 100;
+    const nodePos = this._resourceNodePositions.get(task.id);
+
+    // If discovery-heavy and resource not yet revealed → scout toward it
+    if (discoveryRatio > 0.5 && nodePos && !this.grid.isRevealed(nodePos.col, nodePos.row)) {
+      unit.sm.transition(UnitStates.SCOUTING, {
+        assignedTaskId: task.id,
+        targetCol: nodePos.col,
+        targetRow: nodePos.row,
+      });
+      this._pathTo(unit, nodePos.col, nodePos.row);
+      return;
+    }
+
+    // Resource is discovered (or execution-heavy) → go gather
+    if (nodePos) {
+      unit.sm.transition(UnitStates.MOVING_TO_RESOURCE, {
+        assignedTaskId: task.id,
+        targetCol: nodePos.col,
+        targetRow: nodePos.row,
+        carryingResource: null,
+      });
+      this._pathTo(unit, nodePos.col, nodePos.row);
+      return;
+    }
+
+    // No node position — scout instead of just sitting idle
+    this._assignScoutMission(unit);
+  }
+
+  /** The first of `tasks` that a co-assignee is heading to or gathering, if any. */
+  _crewTask(personId, tasks) {
+    for (const task of tasks) {
+      const ids = getAssigneeIds(task);
+      if (ids.length < 2) continue;
+      for (const id of ids) {
+        if (id === personId) continue;
+        const other = this.units.get(id);
+        if (!other || other.sm.assignedTaskId !== task.id) continue;
+        if (other.sm.state === UnitStates.MOVING_TO_RESOURCE
+          || other.sm.state === UnitStates.GATHERING
+          || other.sm.state === UnitStates.SCOUTING) return task;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Send a unit to explore the nearest unexplored frontier.
+   * Uses BFS from the unit's current position to find the closest
+   * walkable HIDDEN tile, then paths toward it.
+   */
+  _assignScoutMission(unit) {
+    const startTile = this.grid.worldToTile(unit.position.x, unit.position.z);
+
+    const target = this._findFrontierTile(startTile.col, startTile.row);
+    if (target) {
+      unit.sm.transition(UnitStates.SCOUTING, {
+        assignedTaskId: null,
+        targetCol: target.col,
+        targetRow: target.row,
+      });
+      this._pathTo(unit, target.col, target.row);
+    } else {
+      // Entire map explored — wander near base
+      unit.sm.transition(UnitStates.IDLE);
+    }
+  }
+
+  /**
+   * BFS outward from (startCol, startRow) to find the nearest walkable
+   * tile that borders at least one HIDDEN tile (the "frontier").
+   * Returns {col, row} or null if fully explored.
+   */
+  _findFrontierTile(startCol, startRow) {
+    const visited = new Set();
+    const queue = [{ col: startCol, row: startRow }];
+    visited.add(`${startCol},${startRow}`);
+
+    const frontierCandidates = [];
+    let checked = 0;
+
+    while (queue.length > 0 && checked < SCOUT_FRONTIER_SEARCH) {
+      const { col, row } = queue.shift();
+      checked++;
+
+      const tile = this.grid.getTile(col, row);
+      if (!tile || !this.grid.isWalkable(col, row)) continue;
+
+      // Is this tile on the frontier? (revealed/visible tile adjacent to hidden tile)
+      if (tile.fogState !== FogState.HIDDEN) {
+        const neighbors = this.grid.getNeighbors(col, row);
+        for (const n of neighbors) {
+          const nTile = this.grid.getTile(n.col, n.row);
+          if (nTile && nTile.fogState === FogState.HIDDEN && this.grid.isWalkable(n.col, n.row)) {
+            frontierCandidates.push({ col, row });
+            break;
+          }
+        }
+      }
+
+      // Expand BFS
+      for (const n of this.grid.getNeighbors(col, row)) {
+        const key = `${n.col},${n.row}`;
+        if (!visited.has(key)) {
+          visited.add(key);
+          queue.push(n);
+        }
+      }
+    }
+
+    if (frontierCandidates.length === 0) return null;
+
+    // Pick a random frontier tile (not always the nearest — adds variety)
+    return frontierCandidates[Math.floor(this._rng() * frontierCandidates.length)];
+  }
+
+  // ─── Pathfinding ──────────────────────────────────────────────────
+
+  _pathTo(unit, col, row) {
+    const currentTile = this.grid.worldToTile(unit.position.x, unit.position.z);
+
+    // If target tile is blocked (resource/structure), path to nearest walkable neighbor
+    let targetCol = col;
+    let targetRow = row;
+    if (!this.grid.isWalkable(col, row)) {
+      const neighbors = this.grid.getNeighbors(col, row);
+      let bestDist = Infinity;
+      for (const n of neighbors) {
+        if (!this.grid.isWalkable(n.col, n.row)) continue;
+        const dc = n.col - currentTile.col;
+        const dr = n.row - currentTile.row;
+        const d = dc * dc + dr * dr;
+        if (d < bestDist) {
+          bestDist = d;
+          targetCol = n.col;
+          targetRow = n.row;
+        }
+      }
+    }
+
+    const path = this.grid.findPath(currentTile.col, currentTile.row, targetCol, targetRow);
+    unit.sm.path = path;
+    unit.sm.pathIndex = 0;
+  }
+
+  /** Walk back to base, then rest there for REST_TIME (or until back on duty). */
+  _restAtBase(unit) {
+    unit.sm.transition(UnitStates.RESTING, {
+      stateTimer: REST_TIME,
+      assignedTaskId: null,
+      assignedMilestoneId: null,
+      carryingResource: null,
+    });
+    this._moveToBase(unit);
+  }
+
+  /** Walk back to base and stay there until `absence` is over. */
+  _goOnVacation(unit, absence) {
+    unit.sm.transition(UnitStates.VACATION, {
+      lastDayAway: absence.end,
+      assignedTaskId: null,
+      assignedMilestoneId: null,
+      carryingResource: null,
+    });
+    this._moveToBase(unit);
+  }
+
+  /** The person's absence covering today, or null. */
+  _absenceFor(person) {
+    return absenceOn(person, this.store.getCalendar().dateKey(this._clock()));
+  }
+
+  /**
+   * Send people who are out today on vacation and bring back those whose
+   * absence is over. Units carrying a load deliver it before they leave.
+   */
+  _checkAvailability() {
+    for (const person of this.store.getPeople()) {
+      const unit = this.units.get(person.id);
+      if (!unit || !unit.position) continue;
+      const { sm } = unit;
+      const absence = this._absenceFor(person);
+      if (absence) {
+        if (sm.state === UnitStates.VACATION) sm.lastDayAway = absence.end;
+        else if (sm.state !== UnitStates.RETURNING_TO_BASE && sm.state !== UnitStates.DEPOSITING) {
+          this._goOnVacation(unit, absence);
+        }
+      } else if (sm.state === UnitStates.VACATION) {
+        sm.transition(UnitStates.IDLE, { lastDayAway: null });
+        if (!this._paused) this._assignBehavior(unit, person);
+      }
+    }
+  }
+
+  _moveToBase(unit) {
+    const deposit = this.base.getDepositPosition();
+    const tile = this.grid.worldToTile(deposit.x, deposit.z);
+    this._pathTo(unit, tile.col, tile.row);
+  }
+
+  // ─── Update Loop ──────────────────────────────────────────────────
+
+  /**
+   * Advance by `dt` real seconds, in whole FIXED_DT steps; the remainder
+   * carries over to the next call.
+   */
+  update(dt) {
+    this._accumulator += dt;
+    while (this._accumulator >= FIXED_DT) {
+      this.step();
+      this._accumulator -= FIXED_DT;
+    }
+  }
+
+  /** Advance the simulation by one FIXED_DT step. */
+  step() {
+    const dt = FIXED_DT;
+    this._steps++;
+    if (this._steps % AWAY_CHECK_STEPS === 0) this._checkAvailability();
+
+    for (const [taskId, cooldown] of this._nodeCooldowns) {
+      if (cooldown.permanent) continue;
+      cooldown.remaining -= dt;
+      if (cooldown.remaining <= 0) this._nodeCooldowns.delete(taskId);
+    }
+
+    // Positions at the start of the step, for separation steering
+    const active = [...this.units.values()].filter(u => u.position);
+    this._positions = active.map(u => ({ x: u.position.x, z: u.position.z }));
+
+    const unitPositions = [];
+    active.forEach((unit, unitIdx) => {
+      const { sm } = unit;
+      unit.moving = false;
+
+      switch (sm.state) {
+        case UnitStates.IDLE:
+          this._handleIdle(unit, dt);
+          break;
+        case UnitStates.SCOUTING:
+          this._handleScouting(unit, dt, unitIdx);
+          break;
+        case UnitStates.MOVING_TO_RESOURCE:
+          this._handleMovement(unit, dt, 3.0, unitIdx);
+          break;
+        case UnitStates.GATHERING:
+          this._handleGathering(unit, dt);
+          break;
+        case UnitStates.RETURNING_TO_BASE:
+          this._handleMovement(unit, dt, 2.5, unitIdx);
+          break;
+        case UnitStates.DEPOSITING:
+          this._handleDepositing(unit, dt);
+          break;
+        case UnitStates.MOVING_TO_STRUCTURE:
+          this._handleMovement(unit, dt, 2.5, unitIdx);
+          break;
+        case UnitStates.BUILDING:
+          this._handleBuilding(unit, dt);
+          break;
+        case UnitStates.RESTING:
+          this._handleResting(unit, dt, unitIdx);
+          break;
+        case UnitStates.VACATION:
+          // Walk home, then wait there — _checkAvailability() brings them back
+          if (sm.path && sm.pathIndex < sm.path.length) this._handleMovement(unit, dt, 2.5, unitIdx);
+          break;
+      }
+
+      const tile = this.grid.worldToTile(unit.position.x, unit.position.z);
+      const sightRadius = sm.state === UnitStates.SCOUTING ? SCOUT_SIGHT : GATHER_SIGHT;
+      unitPositions.push({ col: tile.col, row: tile.row, sightRadius });
+    });
+
+    const sight = this.grid.updateSight(unitPositions);
+    this._visible = sight.visible;
+    this._revealed.push(...sight.revealed);
+
+    // Track discovered nodes for AI behavior decisions
+    for (const [taskId, pos] of this._resourceNodePositions) {
+      if (this.grid.isVisible(pos.col, pos.row)) this._discoveredNodes.add(taskId);
+    }
+  }
+
+  /**
+   * Tiles in sight after the latest step, and tiles revealed since the
+   * previous call — what FogOfWar.applySight() renders.
+   */
+  consumeSight() {
+    const sight = { visible: this._visible, revealed: this._revealed };
+    this._revealed = [];
+    return sight;
+  }
+
+  // ─── State Handlers ───────────────────────────────────────────────
+
+  _handleIdle(unit, dt) {
+    // Gentle wander near base while waiting for reassignment
+    unit.sm.stateTimer -= dt;
+
+    if (unit.sm.stateTimer <= 0) {
+      const basePos = this.base.getDepositPosition();
+      const angle = this._rng() * Math.PI * 2;
+      const r = 1 + this._rng() * IDLE_WANDER_RADIUS;
+      unit.wanderTarget = {
+        x: basePos.x + Math.cos(angle) * r,
+        z: basePos.z + Math.sin(angle) * r,
+      };
+      unit.sm.stateTimer = 2 + this._rng() * 3;
+    }
+
+    // Re-evaluate behavior frequently so units don't stay idle long
+    if (this._rng() < dt * 0.5) {
+      const person = this.store.getPerson(unit.sm.personId);
+      if (person) this._assignBehavior(unit, person);
+    }
+  }
+
+  _handleScouting(unit, dt, unitIdx) {
+    const tasks = this.store.getTasksForPerson(unit.sm.personId);
+    const speed = computeScoutSpeed(tasks, this._clock(), this._skillFor(unit.sm), this.store.getCalendar(unit.sm.personId)) * 3.0;
+    this._handleMovement(unit, dt, speed, unitIdx);
+  }
+
+  /** Skill multiplier for the category of the task the unit is working. */
+  _skillFor(sm) {
+    const task = sm.assignedTaskId ? this.store.getTask(sm.assignedTaskId) : null;
+    return task ? this.store.getSkillMultiplier(sm.personId, task.category) : 1;
+  }
+
+  _handleMovement(unit, dt, speed, unitIdx) {
+    const { sm, position } = unit;
+
+    if (!sm.path || sm.pathIndex >= sm.path.length) {
+      this._onArrival(unit);
+      return;
+    }
+
+    const targetStep = sm.path[sm.pathIndex];
+    const target = this.grid.tileToWorld(targetStep.col, targetStep.row);
+
+    const dx = target.x - position.x;
+    const dz = target.z - position.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+
+    if (dist < 0.15) {
+      sm.pathIndex++;
+      return;
+    }
+
+    const step = Math.min(speed * dt, dist);
+    const moveX = (dx / dist) * step;
+    const moveZ = (dz / dist) * step;
+
+    // Separation steering — push away from nearby units
+    let sepX = 0;
+    let sepZ = 0;
+    for (let i = 0; i < this._positions.length; i++) {
+      if (i === unitIdx) continue;
+      const other = this._positions[i];
+      const ox = position.x - other.x;
+      const oz = position.z - other.z;
+      const oDist = Math.sqrt(ox * ox + oz * oz);
+      if (oDist < SEPARATION_RADIUS && oDist > 0.01) {
+        const factor = (1 - oDist / SEPARATION_RADIUS) * SEPARATION_STRENGTH * dt;
+        sepX += (ox / oDist) * factor;
+        sepZ += (oz / oDist) * factor;
+      }
+    }
+
+    // Try combined movement; fall back to path-only if it hits an obstacle
+    const combinedX = position.x + moveX + sepX;
+    const combinedZ = position.z + moveZ + sepZ;
+    const checkTile = this.grid.worldToTile(combinedX, combinedZ);
+
+    if (this.grid.isWalkable(checkTile.col, checkTile.row)) {
+      position.x = combinedX;
+      position.z = combinedZ;
+    } else {
+      // Separation would push into obstacle — apply path movement only
+      position.x += moveX;
+      position.z += moveZ;
+    }
+    unit.heading = { dx, dz };
+    unit.moving = true;
+  }
+
+  _onArrival(unit) {
+    const { sm } = unit;
+
+    switch (sm.state) {
+      case UnitStates.SCOUTING:
+        if (sm.assignedTaskId && !this.isNodeAvailable(sm.assignedTaskId)) {
+          this._reassignAfterLostNode(unit);
+        } else if (sm.assignedTaskId) {
+          // Was scouting toward a task resource — now gather it
+          sm.transition(UnitStates.GATHERING, {
+            assignedTaskId: sm.assignedTaskId,
+            carryingResource: null,
+          });
+        } else {
+          // General exploration — pick another frontier target
+          const person = this.store.getPerson(sm.personId);
+          sm.transition(UnitStates.IDLE);
+          if (person) this._assignBehavior(unit, person);
+        }
+        break;
+
+      case UnitStates.MOVING_TO_RESOURCE:
+        // A crew can finish the node while a latecomer is still walking over
+        if (!this.isNodeAvailable(sm.assignedTaskId)) {
+          this._reassignAfterLostNode(unit);
+          break;
+        }
+        sm.transition(UnitStates.GATHERING, {
+          assignedTaskId: sm.assignedTaskId,
+          carryingResource: null,
+        });
+        break;
+
+      case UnitStates.RETURNING_TO_BASE:
+        sm.transition(UnitStates.DEPOSITING, {
+          carryingResource: sm.carryingResource,
+          assignedTaskId: sm.assignedTaskId,
+        });
+        break;
+
+      case UnitStates.MOVING_TO_STRUCTURE:
+        sm.transition(UnitStates.BUILDING, {
+          assignedMilestoneId: sm.assignedMilestoneId,
+          assignedTaskId: sm.assignedTaskId,
+          carryingResource: sm.carryingResource,
+        });
+        break;
+
+      default:
+        sm.transition(UnitStates.IDLE);
+        break;
+    }
+  }
+
+  _reassignAfterLostNode(unit) {
+    unit.sm.transition(UnitStates.IDLE, { assignedTaskId: null });
+    const person = this.store.getPerson(unit.sm.personId);
+    if (person) this._assignBehavior(unit, person);
+  }
+
+  _handleGathering(unit, dt) {
+    const { sm } = unit;
+    const taskId = sm.assignedTaskId;
+    const tasks = this.store.getTasksForPerson(sm.personId);
+    const gatherRate = computeGatherRate(tasks, this._clock(), this._skillFor(sm), this.store.getCalendar(sm.personId));
+
+    // Everyone at the node adds to one pile, so a crew's rates add up
+    const work = (this._gatherWork.get(taskId) || 0) + dt * gatherRate;
+    this._gatherWork.set(taskId, work);
+    this._standAroundNode(unit, dt);
+
+    const crew = [...this.units.values()]
+      .filter(u => u.sm.state === UnitStates.GATHERING && u.sm.assignedTaskId === taskId);
+    for (const member of crew) member.sm.gatherProgress = Math.min(1, work / GATHER_TIME);
+    if (work < GATHER_TIME) return;
+
+    // Deplete the resource node (will regrow later)
+    this._gatherWork.delete(taskId);
+    this._depleteNode(taskId, false);
+    for (const member of crew) this._carryLoad(member, 1 / crew.length);
+  }
+
+  /** Head off with a gathered load worth `share` of a full deposit. */
+  _carryLoad(unit, share) {
+    const { sm } = unit;
+    const task = this.store.getTask(sm.assignedTaskId);
+    sm.carryingResource = {
+      type: task ? (task.category || 'Resource') : 'Resource',
+      taskId: sm.assignedTaskId,
+    };
+    if (share < 1) sm.carryingResource.share = share; // a crew member's part of the load
+
+    // Redirect to milestone structure if task has one, otherwise base
+    const milestoneId = task ? task.milestoneId : null;
+    const structPos = milestoneId ? this._structurePositions.get(milestoneId) : null;
+
+    if (structPos) {
+      sm.transition(UnitStates.MOVING_TO_STRUCTURE, {
+        carryingResource: sm.carryingResource,
+        assignedTaskId: sm.assignedTaskId,
+        assignedMilestoneId: milestoneId,
+        targetCol: structPos.col,
+        targetRow: structPos.row,
+      });
+      this._pathTo(unit, structPos.col, structPos.row);
+    } else {
+      sm.transition(UnitStates.RETURNING_TO_BASE, {
+        carryingResource: sm.carryingResource,
+        assignedTaskId: sm.assignedTaskId,
+      });
+      this._moveToBase(unit);
+    }
+  }
+
+  /**
+   * Co-assignees of a shared task spread out evenly around its node, each at
+   * a fixed spot by their place in the assignee list, facing the node.
+   */
+  _standAroundNode(unit, dt) {
+    const { sm, position } = unit;
+    const task = this.store.getTask(sm.assignedTaskId);
+    const node = this._resourceNodePositions.get(sm.assignedTaskId);
+    if (!task || !node) return;
+    const ids = getAssigneeIds(task);
+    const index = ids.indexOf(sm.personId);
+    if (ids.length < 2 || index === -1) return;
+
+    const center = this.grid.tileToWorld(node.col, node.row);
+    const angle = (index / ids.length) * Math.PI * 2;
+    const spot = {
+      x: center.x + Math.cos(angle) * GATHER_RING,
+      z: center.z + Math.sin(angle) * GATHER_RING,
+    };
+    const spotTile = this.grid.worldToTile(spot.x, spot.z);
+    if (!this.grid.isWalkable(spotTile.col, spotTile.row)) return;
+
+    const dx = spot.x - position.x;
+    const dz = spot.z - position.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    if (dist > 0.05) {
+      const step = Math.min(GATHER_SHUFFLE_SPEED * dt, dist);
+      position.x += (dx / dist) * step;
+      position.z += (dz / dist) * step;
+      unit.moving = true;
+    }
+    unit.heading = { dx: center.x - position.x, dz: center.z - position.z };
+  }
+
+  _handleDepositing(unit, dt) {
+    const { sm } = unit;
+    sm.stateTimer += dt;
+
+    if (sm.stateTimer >= DEPOSIT_TIME) {
+      if (sm.assignedTaskId) {
+        this._advanceProgress(sm.assignedTaskId, sm.carryingResource?.share);
+      }
+      sm.carryingResource = null;
+
+      const person = this.store.getPerson(sm.personId);
+      sm.transition(UnitStates.IDLE);
+      if (person) this._assignBehavior(unit, person);
+    }
+  }
+
+  _handleBuilding(unit, dt) {
+    const { sm } = unit;
+    sm.stateTimer += dt;
+    sm.buildProgress = Math.min(1, sm.stateTimer / BUILD_TIME);
+
+    if (sm.buildProgress >= 1) {
+      // Advance simulated progress (deposit resource into structure)
+      if (sm.assignedTaskId) {
+        this._advanceProgress(sm.assignedTaskId, sm.carryingResource?.share);
+      }
+      sm.carryingResource = null;
+
+      sm.transition(UnitStates.IDLE);
+      const person = this.store.getPerson(sm.personId);
+      if (person) this._assignBehavior(unit, person);
+    }
+  }
+
+  _handleResting(unit, dt, unitIdx) {
+    const { sm } = unit;
+
+    // Walk home first; the rest starts at the base
+    if (sm.path && sm.pathIndex < sm.path.length) {
+      this._handleMovement(unit, dt, 2.5, unitIdx);
+      return;
+    }
+    if (this._offDuty) return;
+
+    sm.stateTimer -= dt;
+
+    if (sm.stateTimer <= 0) {
+      sm.transition(UnitStates.IDLE);
+      const person = this.store.getPerson(sm.personId);
+      if (person) this._assignBehavior(unit, person);
+    }
+  }
+
+  /**
+   * Add one deposit's worth of simulated progress to a task (capped at its
+   * real percentComplete) — or a crew member's `share` of one.
+   */
+  _advanceProgress(taskId, share = 1) {
+    this.progress.advance(taskId, (15 + this._rng() * 10) * share);
+
+    // Simulation reached 100% — the resource node is worked out for good
+    if (this.progress.isComplete(taskId)) this._depleteNode(taskId, true);
+
+    this.emit('progress', { taskId });
+  }
+
+  _depleteNode(taskId, permanent) {
+    const cooldown = this._nodeCooldowns.get(taskId);
+    if (cooldown && (cooldown.permanent || !permanent)) return;
+    this._nodeCooldowns.set(taskId, { remaining: NODE_REGROW_TIME, permanent });
+    this.emit('nodeDepleted', { taskId, permanent });
+  }
+
+  /**
+   * Start simulated progress at the real values, so the map opens as far
+   * along as the team really is and units only gather what's done from
+   * here on. Finished tasks' nodes are worked out.
+   */
+  catchUp() {
+    this.progress.catchUp();
+    for (const task of this.store.getTasks()) {
+      if (this.progress.isComplete(task.id)) this._depleteNode(task.id, true);
+    }
+  }
+
+  // ─── Queries ──────────────────────────────────────────────────────
+
+  /** True if a task's resource node can be gathered (not depleted or regrowing). */
+  isNodeAvailable(taskId) {
+    return !this._nodeCooldowns.has(taskId);
+  }
+
+  /** @returns {{sm:UnitStateMachine, position:{x:number, z:number}|null, wanderTarget:{x:number, z:number}|null, heading:{dx:number, dz:number}, moving:boolean}|undefined} */
+  getUnit(personId) {
+    return this.units.get(personId);
+  }
+
+  getUnitState(personId) {
+    const unit = this.units.get(personId);
+    return unit ? unit.sm : null;
+  }
+
+  /** Simulated seconds since the simulation started. */
+  getElapsed() {
+    return this._steps * FIXED_DT;
+  }
+}
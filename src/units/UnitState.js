@@ -8,6 +8,7 @@ export const UnitStates = {
   MOVING_TO_STRUCTURE: 'moving_to_structure',
   BUILDING: 'building',
   RESTING: 'resting',
+  VACATION: 'vacation',
 };
 
 // Human-readable labels for the UI
@@ -21,6 +22,7 @@ export const UnitStateLabels = {
   [UnitStates.MOVING_TO_STRUCTURE]: 'Moving to structure',
   [UnitStates.BUILDING]: 'Building',
   [UnitStates.RESTING]: 'Resting',
+  [UnitStates.VACATION]: 'On vacation',
 };
 
 export class UnitStateMachine {
@@ -38,6 +40,7 @@ export class UnitStateMachine {
     this.targetCol = 0;
     this.targetRow = 0;
     this.scoutTarget = null; // { col, row } current fog exploration target
+    this.lastDayAway = null; // 'YYYY-MM-DD' — the absence's last day, while on vacation
   }
 
   transition(newState, data = {}) {
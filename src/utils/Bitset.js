@@ -0,0 +1,36 @@
+/**
+ * Pack a list of flags into a base64 string, one bit per flag
+ * (the 80×80 map fits in 1,068 characters).
+ * @param {ArrayLike<boolean|number>} flags
+ * @returns {string}
+ */
+export function encodeBitset(flags) {
+  const bytes = new Uint8Array(Math.ceil(flags.length / 8));
+  for (let i = 0; i < flags.length; i++) {
+    if (flags[i]) bytes[i >> 3] |= 1 << (i & 7);
+  }
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
+
+/**
+ * Unpack a string from encodeBitset().
+ * @param {string} encoded
+ * @param {number} length — number of flags
+ * @returns {Uint8Array} 0 / 1 per flag; all zero if the string is malformed
+ */
+export function decodeBitset(encoded, length) {
+  const flags = new Uint8Array(length);
+  let binary;
+  try {
+    binary = atob(encoded || '');
+  } catch {
+    return flags;
+  }
+  for (let i = 0; i < length; i++) {
+    const byte = binary.charCodeAt(i >> 3) || 0;
+    flags[i] = (byte >> (i & 7)) & 1;
+  }
+  return flags;
+}
@@ -3,11 +3,43 @@ export const CONFIG = {
   EMAIL_DOMAIN: 'phonepe.com',
   GOOGLE_SHEET_URL: 'https://docs.google.com/spreadsheets/d/YOUR_SHEET_ID/edit',
   GOOGLE_SHEET_ID: '',  // Paste your sheet ID here
+  GOOGLE_SHEET_WRITE_URL: '',  // Apps Script web app URL — enables write-back (optional)
 
-  // Data source: 'seed' | 'google-sheets'
+  // Jira Cloud / Server (DATA_SOURCE: 'jira')
+  JIRA_BASE_URL: '',                  // e.g. https://your-team.atlassian.net
+  JIRA_DEPLOYMENT: 'cloud',           // 'cloud' | 'server'
+  JIRA_EMAIL: '',                     // Cloud only — paired with the API token
+  JIRA_API_TOKEN: '',                 // Cloud API token or Server personal access token
+  JIRA_JQL: 'assignee is not EMPTY ORDER BY duedate ASC',
+  JIRA_CATEGORY_FIELD: 'issuetype',   // 'issuetype' | 'component'
+  JIRA_MILESTONE_FIELD: 'fixVersion', // 'fixVersion' | 'epic'
+  JIRA_EPIC_LINK_FIELD: '',           // Server only, e.g. 'customfield_10014'
+
+  // GitHub Issues / Projects (DATA_SOURCE: 'github')
+  GITHUB_API_URL: 'https://api.github.com',
+  GITHUB_TOKEN: '',                   // Personal access token (required for Projects)
+  GITHUB_REPO: '',                    // 'owner/name' — read issues from this repo
+  GITHUB_PROJECT: '',                 // Projects (v2) board URL — overrides GITHUB_REPO when set
+  GITHUB_PROGRESS_FIELD: 'Progress',  // Project number field holding % complete
+  GITHUB_PROGRESS_SCALE: 100,         // That field's value when done — 1 if it holds fractions
+  GITHUB_DUE_DATE_FIELD: 'Due',       // Project date field holding the due date
+
+  // Data source: 'seed' | 'google-sheets' | 'jira' | 'github' | 'file'
   // Switch to 'google-sheets' once GOOGLE_SHEET_ID is set
   DATA_SOURCE: 'seed',
   SYNC_INTERVAL_MS: 60000,
+  SYNC_RETRY_MS: 5000,      // first retry after a failed sync; doubles up to SYNC_INTERVAL_MS
+
+  // Day/night clock: 'accelerated' (a day every two minutes) | 'real' (local time)
+  // | 'workday' (local time, office hours stretched over daylight)
+  TIME_OF_DAY: 'accelerated',
+
+  // Working calendar — units go home outside office hours in the real-time clock modes
+  WORK_DAY_START: 9,          // local hour office hours begin
+  WORK_DAY_END: 18,           // local hour they end
+  WEEKEND_DAYS: [0, 6],       // Date.getDay() numbers: Sunday, Saturday
+  HOLIDAYS: [],               // 'YYYY-MM-DD' dates in TIME_ZONE, e.g. ['2026-12-25']
+  TIME_ZONE: '',              // IANA zone due dates are in, e.g. 'Asia/Kolkata'; '' = this browser's
 
   // Map
   MAP_SIZE: 80,
@@ -0,0 +1,44 @@
+/**
+ * Fuzzy matching for the command palette: every query character must appear
+ * in the text in order, and matches that run together, start words or
+ * start the text score higher.
+ *
+ * @returns {number|null} higher is better; null when the text doesn't match
+ */
+export function fuzzyScore(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  const t = text.toLowerCase();
+  if (q.length === 0) return 0;
+
+  let score = 0;
+  let ti = 0;
+  let previous = -2;
+  for (const ch of q) {
+    const found = t.indexOf(ch, ti);
+    if (found === -1) return null;
+    score += 1;
+    if (found === previous + 1) score += 3;                        // run of matches
+    if (found === 0 || /[\s\-_./]/.test(t[found - 1])) score += 2; // start of a word
+    previous = found;
+    ti = found + 1;
+  }
+  if (t.startsWith(q)) score += 5;
+  // Between equal matches, the shorter text is the closer one
+  return score - t.length * 0.01;
+}
+
+/**
+ * Items matching `query`, best first (ties keep their original order).
+ * @template T
+ * @param {string} query
+ * @param {T[]} items
+ * @param {(item: T) => string} textOf
+ * @returns {T[]}
+ */
+export function fuzzyFilter(query, items, textOf) {
+  return items
+    .map((item, index) => ({ item, index, score: fuzzyScore(query, textOf(item)) }))
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.item);
+}
@@ -0,0 +1,4 @@
+/** Escape text for HTML — element content or a double-quoted attribute value. */
+export function esc(str) {
+  return String(str ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
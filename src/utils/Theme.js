@@ -125,6 +125,14 @@ export const THEME = {
     },
   },
 
+  // ─── Roads (task dependencies) ──────────────────────────────────
+  roads: {
+    open:    0xD8C090,   // prerequisite done — faded dirt
+    blocked: 0x9A7A48,   // prerequisite still in progress — the critical path
+    width: 0.3,
+    roughness: 0.95,
+  },
+
   // ─── Structures (Milestones) ────────────────────────────────────
   structures: {
     wireframe: {
@@ -189,6 +197,17 @@ export const THEME = {
       bgColor: 'rgba(0,0,0,0.55)',
       fontSize: 32,
     },
+    skillBadge: {
+      textColor: '#2C2418',
+      bgColor: 'rgba(224,192,154,0.9)',
+      fontSize: 26,
+      minLevel: 2, // beginners get no badge
+    },
+    awayBadge: {
+      textColor: '#E8E4DC',
+      bgColor: 'rgba(90,110,140,0.9)',
+      fontSize: 26,
+    },
     highlight: {
       emissiveColor: 0xFFEECC,
       emissiveIntensity: 0.12,
@@ -229,6 +248,14 @@ export const THEME = {
     fadeOutSpeed: 0.8,
   },
 
+  // ─── Data Overlays (toolbar layer picker) ───────────────────────
+  overlay: {
+    opacity: 0.55,
+    heat:    { low: 0xF0C060, high: 0xC8362A },
+    stamina: { low: 0xCC5544, mid: 0xD8B84A, high: 0x6DBE6D },
+    borderDarken: 0.5,
+  },
+
   // ─── Lanterns (night-time warm lighting) ─────────────────────────
   lantern: {
     gate:      { color: 0xFFAA44, intensity: 1.5, range: 8, decay: 2 },
@@ -239,6 +266,14 @@ export const THEME = {
     fadeStart: 0.4,
   },
 
+  // ─── Rest days (weekends, holidays — real-time clock modes) ──────
+  // A warm, hazy wash over whatever the time of day is
+  restDay: {
+    tint: 0xF2C894,
+    strength: 0.3,
+    exposure: 0.9,   // × the time-of-day exposure
+  },
+
   // ─── UI Palette (backward compat for EditorPanel, etc.) ─────────
   // NOTE: THEME_NIGHT below overrides select properties for nighttime.
   palette: {
@@ -0,0 +1,89 @@
+import { CONFIG } from './Config.js';
+import { CLOCK_MODES } from './WorkClock.js';
+
+const DATA_SOURCES = ['seed', 'google-sheets', 'jira', 'github', 'file'];
+const TIME_OF_DAY_MODES = CLOCK_MODES.map(m => m.id);
+
+/**
+ * Read display and data-source options from the page URL, so a wall screen
+ * can be set up with a bookmark instead of clicking through settings on it:
+ *
+ *   ?mode=kiosk&source=google-sheets&sheet=<id or URL>&tour=1&hideUI=1&timeOfDay=real
+ *
+ * `mode=kiosk` implies hideUI and turns off pointer input. Bad values are
+ * skipped with a warning rather than failing the boot.
+ *
+ * @param {string} search — e.g. window.location.search
+ * @returns {{
+ *   config: object,
+ *   kiosk: boolean, hideUI: boolean, tour: boolean,
+ *   warnings: string[],
+ * }} `config` holds CONFIG keys to override
+ */
+export function parseUrlParams(search) {
+  const params = new URLSearchParams(search);
+  const config = {};
+  const warnings = [];
+
+  const source = params.get('source');
+  if (source !== null) {
+    if (DATA_SOURCES.includes(source)) config.DATA_SOURCE = source;
+    else warnings.push(`Unknown source "${source}" — expected one of ${DATA_SOURCES.join(', ')}`);
+  }
+
+  const sheet = params.get('sheet');
+  if (sheet) config.GOOGLE_SHEET_ID = sheetIdFrom(sheet);
+
+  const jql = params.get('jql');
+  if (jql) config.JIRA_JQL = jql;
+
+  const repo = params.get('repo');
+  if (repo) config.GITHUB_REPO = repo;
+
+  const project = params.get('project');
+  if (project) config.GITHUB_PROJECT = project;
+
+  const sync = params.get('sync');
+  if (sync !== null) {
+    const seconds = Number(sync);
+    if (Number.isFinite(seconds) && seconds >= 0) config.SYNC_INTERVAL_MS = seconds * 1000;
+    else warnings.push(`Sync interval "${sync}" isn't a number of seconds`);
+  }
+
+  const timeOfDay = params.get('timeOfDay');
+  if (timeOfDay !== null) {
+    if (TIME_OF_DAY_MODES.includes(timeOfDay)) config.TIME_OF_DAY = timeOfDay;
+    else warnings.push(`Unknown timeOfDay "${timeOfDay}" — expected one of ${TIME_OF_DAY_MODES.join(', ')}`);
+  }
+
+  const mode = params.get('mode');
+  if (mode !== null && mode !== 'kiosk') warnings.push(`Unknown mode "${mode}"`);
+  const kiosk = mode === 'kiosk';
+
+  return {
+    config,
+    kiosk,
+    hideUI: kiosk || isOn(params.get('hideUI')),
+    tour: isOn(params.get('tour')),
+    warnings,
+  };
+}
+
+/**
+ * Copy URL overrides onto the runtime CONFIG. Call after saved settings are
+ * applied so the URL wins.
+ * @param {{config: object}} parsed — from parseUrlParams()
+ */
+export function applyUrlParams(parsed) {
+  Object.assign(CONFIG, parsed.config);
+}
+
+function isOn(value) {
+  return value !== null && !['0', 'false', 'no', 'off'].includes(value.toLowerCase());
+}
+
+/** Accept a bare sheet ID or a full docs.google.com URL. */
+function sheetIdFrom(value) {
+  const match = value.match(/\/spreadsheets\/d\/([^/?#]+)/);
+  return match ? match[1] : value;
+}
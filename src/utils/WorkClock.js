@@ -0,0 +1,104 @@
+/**
+ * Day/night clock modes:
+ *   accelerated — a full day every couple of minutes, unrelated to real time
+ *   real        — the local wall clock
+ *   workday     — the local wall clock, with office hours stretched over
+ *                 daylight and the rest of the day squeezed into night
+ */
+export const CLOCK_MODES = [
+  { id: 'accelerated', label: 'Fast clock' },
+  { id: 'real', label: 'Real time' },
+  { id: 'workday', label: 'Workday' },
+];
+
+const START_HOUR = 6;   // accelerated clock starts at 6:00 AM
+const SUNRISE = 6;      // workday mode puts the office-hours start here
+const SUNSET = 18;      // ... and the office-hours end here
+
+/**
+ * Map a wall-clock hour onto the lighting clock so office hours
+ * [start, end) span sunrise to sunset and the remaining hours span night.
+ * @returns {number} 0..24
+ */
+export function compressWorkday(hour, start, end) {
+  const workLength = end - start;
+  if (hour >= start && hour < end) {
+    return SUNRISE + ((hour - start) / workLength) * (SUNSET - SUNRISE);
+  }
+  const sinceEnd = (hour - end + 24) % 24;
+  return (SUNSET + (sinceEnd / (24 - workLength)) * (24 - SUNSET + SUNRISE)) % 24;
+}
+
+export class WorkClock {
+  /**
+   * @param {object} opts
+   * @param {string} [opts.mode] — one of CLOCK_MODES
+   * @param {number} opts.hourRate — accelerated hours per real second
+   * @param {number} opts.workDayStart — office hours, local 0..24
+   * @param {number} opts.workDayEnd
+   * @param {import('../data/WorkCalendar.js').WorkCalendar} opts.calendar — weekends and holidays
+   * @param {() => Date} [opts.now]
+   */
+  constructor({ mode = 'accelerated', hourRate, workDayStart, workDayEnd, calendar, now = () => new Date() }) {
+    this._mode = mode;
+    this._hourRate = hourRate;
+    this._start = workDayStart;
+    this._end = workDayEnd;
+    this._calendar = calendar;
+    this._now = now;
+    this._simHour = START_HOUR;
+  }
+
+  /** Swap in a rebuilt calendar, e.g. after the weekend days or holidays change. */
+  setCalendar(calendar) {
+    this._calendar = calendar;
+  }
+
+  setMode(mode) {
+    this._mode = mode;
+  }
+
+  getMode() {
+    return this._mode;
+  }
+
+  /** True in the modes that follow the wall clock. */
+  isRealTime() {
+    return this._mode !== 'accelerated';
+  }
+
+  update(dt) {
+    this._simHour = (this._simHour + this._hourRate * dt) % 24;
+  }
+
+  /** Jump the accelerated clock forward; real-time modes can't be skipped. */
+  skip(hours) {
+    this._simHour = (this._simHour + hours) % 24;
+  }
+
+  /** The time to show, 0..24 (e.g. 14.5 = 2:30 PM). */
+  getHour() {
+    if (!this.isRealTime()) return this._simHour;
+    const now = this._now();
+    return now.getHours() + now.getMinutes() / 60;
+  }
+
+  /** The hour the lighting follows — office hours are daylight in workday mode. */
+  getSunHour() {
+    const hour = this.getHour();
+    return this._mode === 'workday' ? compressWorkday(hour, this._start, this._end) : hour;
+  }
+
+  /** A weekend or holiday today (real-time modes only). */
+  isRestDay() {
+    if (!this.isRealTime()) return false;
+    return !this._calendar.isWorkingDay(this._calendar.dateKey(this._now()));
+  }
+
+  /** Outside office hours or on a rest day — units go home (real-time modes only). */
+  isOffDuty() {
+    if (!this.isRealTime()) return false;
+    const hour = this.getHour();
+    return this.isRestDay() || hour < this._start || hour >= this._end;
+  }
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getAssigneeIds,
+  isAssignedTo,
+  normalizeAssignees,
+  withAssignees,
+  reassign,
+} from '../src/data/Assignees.js';
+
+describe('getAssigneeIds', () => {
+  it('prefers assigneeIds and falls back to assigneeId', () => {
+    expect(getAssigneeIds({ assigneeId: 'p1', assigneeIds: ['p1', 'p2'] })).toEqual(['p1', 'p2']);
+    expect(getAssigneeIds({ assigneeId: 'p1' })).toEqual(['p1']);
+    expect(getAssigneeIds({ assigneeId: 'p1', assigneeIds: [] })).toEqual(['p1']);
+    expect(getAssigneeIds({ assigneeId: '' })).toEqual([]);
+  });
+
+  it('answers membership', () => {
+    const task = { assigneeIds: ['p1', 'p2'] };
+    expect(isAssignedTo(task, 'p2')).toBe(true);
+    expect(isAssignedTo(task, 'p3')).toBe(false);
+  });
+});
+
+describe('normalizeAssignees', () => {
+  it('keeps assigneeId in step with the first of assigneeIds', () => {
+    expect(normalizeAssignees({ id: 't1', assigneeId: 'p1' })).toEqual({ id: 't1', assigneeId: 'p1', assigneeIds: ['p1'] });
+    expect(normalizeAssignees({ id: 't1', assigneeId: '' })).toEqual({ id: 't1', assigneeId: '', assigneeIds: [] });
+    expect(withAssignees({ id: 't1' }, ['p2', '', 'p2', 'p1'])).toEqual({ id: 't1', assigneeId: 'p2', assigneeIds: ['p2', 'p1'] });
+  });
+});
+
+describe('reassign', () => {
+  it('swaps one assignee and keeps the others', () => {
+    const task = { id: 't1', assigneeId: 'p1', assigneeIds: ['p1', 'p2'] };
+    expect(reassign(task, 'p2', 'p3').assigneeIds).toEqual(['p1', 'p3']);
+    expect(reassign(task, 'p1', 'p2').assigneeIds).toEqual(['p2']);
+  });
+
+  it('hands an unassigned task to the new person alone', () => {
+    expect(reassign({ id: 't1', assigneeId: '' }, '', 'p3')).toMatchObject({ assigneeId: 'p3', assigneeIds: ['p3'] });
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getCapacity,
+  getOutOfOffice,
+  absenceOn,
+  parseOutOfOffice,
+  formatOutOfOffice,
+  awayOnDueDate,
+} from '../src/data/Availability.js';
+import { normalizeDate } from '../src/data/SheetParser.js';
+
+describe('getCapacity', () => {
+  it('is a fraction, full when missing', () => {
+    expect(getCapacity({ capacity: 60 })).toBe(0.6);
+    expect(getCapacity({ capacity: '40' })).toBe(0.4);
+    expect(getCapacity({ capacity: 250 })).toBe(1);
+    expect(getCapacity({ capacity: 0 })).toBe(0);
+    expect(getCapacity({})).toBe(1);
+    expect(getCapacity({ capacity: 'lots' })).toBe(1);
+  });
+});
+
+describe('getOutOfOffice', () => {
+  it('drops bad ranges, flips reversed ones and sorts', () => {
+    const person = {
+      outOfOffice: [
+        { start: '2026-12-31', end: '2026-12-24' },
+        { start: 'soon', end: '2026-10-01' },
+        { start: '2026-11-02' },
+      ],
+    };
+    expect(getOutOfOffice(person)).toEqual([
+      { start: '2026-11-02', end: '2026-11-02' },
+      { start: '2026-12-24', end: '2026-12-31' },
+    ]);
+    expect(getOutOfOffice({})).toEqual([]);
+  });
+
+  it('finds the absence covering a date', () => {
+    const person = { outOfOffice: [{ start: '2026-12-24', end: '2026-12-31' }] };
+    expect(absenceOn(person, '2026-12-31')).toEqual({ start: '2026-12-24', end: '2026-12-31' });
+    expect(absenceOn(person, '2027-01-01')).toBeNull();
+    expect(absenceOn(person, '')).toBeNull();
+  });
+});
+
+describe('parseOutOfOffice', () => {
+  it('reads single dates and ranges, and round-trips through formatOutOfOffice', () => {
+    const { ranges, invalid } = parseOutOfOffice('2026-12-24 to 2026-12-31; 2026-11-02; 2027-01-05..2027-01-06; someday');
+    expect(ranges).toEqual([
+      { start: '2026-11-02', end: '2026-11-02' },
+      { start: '2026-12-24', end: '2026-12-31' },
+      { start: '2027-01-05', end: '2027-01-06' },
+    ]);
+    expect(invalid).toEqual(['someday']);
+    expect(parseOutOfOffice(formatOutOfOffice(ranges)).ranges).toEqual(ranges);
+    expect(parseOutOfOffice('').ranges).toEqual([]);
+  });
+
+  it('keeps commas inside dates and reports text it cannot read', () => {
+    const { ranges, invalid } = parseOutOfOffice('Oct 3, 2026 - Oct 10, 2026; 2026-11-02, 2026-11-03', normalizeDate);
+    expect(ranges).toEqual([{ start: '2026-10-03', end: '2026-10-10' }]);
+    expect(invalid).toEqual(['2026-11-02, 2026-11-03']);
+  });
+});
+
+describe('awayOnDueDate', () => {
+  const people = [
+    { id: 'p1', name: 'Alice', outOfOffice: [{ start: '2026-12-21', end: '2027-01-01' }] },
+    { id: 'p2', name: 'Bob' },
+  ];
+
+  it('lists assignees out of office on an open task\'s due date', () => {
+    const task = { id: 't1', assigneeIds: ['p1', 'p2'], expectedDate: '2026-12-23', percentComplete: 40 };
+    expect(awayOnDueDate(task, people)).toEqual([
+      { person: people[0], absence: { start: '2026-12-21', end: '2027-01-01' } },
+    ]);
+    expect(awayOnDueDate({ ...task, expectedDate: '2027-01-04' }, people)).toEqual([]);
+    expect(awayOnDueDate({ ...task, percentComplete: 100 }, people)).toEqual([]);
+    expect(awayOnDueDate({ ...task, expectedDate: '' }, people)).toEqual([]);
+  });
+});
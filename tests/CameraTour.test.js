@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { CameraTour, buildTourStops } from '../src/scene/CameraTour.js';
+
+describe('buildTourStops', () => {
+  it('visits people first, then milestones', () => {
+    const stops = buildTourStops([{ id: 'p1' }, { id: 'p2' }], [{ id: 'm1' }]);
+    expect(stops.map(s => `${s.kind}:${s.id}`)).toEqual(['person:p1', 'person:p2', 'milestone:m1']);
+    expect(stops.every(s => s.seconds > 0)).toBe(true);
+  });
+});
+
+describe('CameraTour', () => {
+  const stops = () => [
+    { kind: 'person', id: 'p1', seconds: 2 },
+    { kind: 'milestone', id: 'm1', seconds: 3 },
+  ];
+
+  it('holds each stop for its seconds, then moves on and loops', () => {
+    const tour = new CameraTour();
+    const visited = [];
+    tour.onVisit(stop => visited.push(stop.id));
+
+    tour.start(stops);
+    expect(visited).toEqual(['p1']);
+    tour.update(1.5);
+    expect(visited).toEqual(['p1']);
+    tour.update(0.5);
+    expect(visited).toEqual(['p1', 'm1']);
+    tour.update(3);
+    expect(visited).toEqual(['p1', 'm1', 'p1']);
+    expect(tour.getCurrentStop().id).toBe('p1');
+  });
+
+  it('stops on request and reports the end once', () => {
+    const tour = new CameraTour();
+    let ended = 0;
+    tour.onEnd(() => ended++);
+
+    tour.start(stops);
+    expect(tour.isRunning()).toBe(true);
+    tour.stop();
+    tour.stop();
+    expect(tour.isRunning()).toBe(false);
+    expect(tour.getCurrentStop()).toBeNull();
+    expect(ended).toBe(1);
+  });
+
+  it('does not start without stops, and ends when a lap comes back empty', () => {
+    const tour = new CameraTour();
+    tour.start(() => []);
+    expect(tour.isRunning()).toBe(false);
+
+    let lap = 0;
+    let ended = false;
+    tour.onEnd(() => { ended = true; });
+    tour.start(() => (lap++ === 0 ? [{ kind: 'person', id: 'p1', seconds: 1 }] : []));
+    tour.update(1);
+    expect(tour.isRunning()).toBe(false);
+    expect(ended).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  accrueExperience,
+  levelForXp,
+  xpForLevel,
+  skillMultiplier,
+  getSkills,
+  skillMultiplierFor,
+  MAX_LEVEL,
+} from '../src/data/Experience.js';
+
+function task(id, percentComplete, overrides = {}) {
+  return { id, assigneeId: 'p1', category: 'Research', percentComplete, ...overrides };
+}
+
+// XP only — most cases start with no high-water marks
+function accrue(experience, before, after) {
+  return accrueExperience({ experience, marks: {} }, before, after).experience;
+}
+
+describe('accrueExperience', () => {
+  it('credits progress deltas to the assignee in the task category', () => {
+    const xp = accrue({}, [task('t1', 20)], [task('t1', 50), task('t2', 10, { category: 'Design' })]);
+    expect(xp).toEqual({ p1: { Research: 30, Design: 10 } });
+  });
+
+  it('adds to existing XP without mutating it', () => {
+    const before = { p1: { Research: 100 } };
+    const after = accrue(before, [task('t1', 0)], [task('t1', 25)]);
+    expect(after.p1.Research).toBe(125);
+    expect(before.p1.Research).toBe(100);
+  });
+
+  it('ignores setbacks and unassigned tasks', () => {
+    const xp = accrue({}, [task('t1', 50), task('t2', 0)], [task('t1', 30), task('t2', 40, { assigneeId: '' })]);
+    expect(xp).toEqual({});
+  });
+
+  it('files uncategorized work under General', () => {
+    expect(accrue({}, [], [task('t1', 10, { category: '' })])).toEqual({ p1: { General: 10 } });
+  });
+
+  it('pays once for progress that goes back and forth', () => {
+    let state = { experience: {}, marks: {} };
+    let previous = [];
+    for (const pct of [0, 100, 0, 100, 40, 100]) {
+      const tasks = [task('t1', pct)];
+      state = accrueExperience(state, previous, tasks);
+      previous = tasks;
+    }
+    expect(state.experience).toEqual({ p1: { Research: 100 } });
+    expect(state.marks).toEqual({ t1: { p1: 100 } });
+  });
+
+  it('does not pay again when a deleted task comes back', () => {
+    let state = accrueExperience({ experience: {}, marks: {} }, [], [task('t1', 60)]);
+    state = accrueExperience(state, [task('t1', 60)], []);
+    state = accrueExperience(state, [], [task('t1', 70)]);
+    expect(state.experience).toEqual({ p1: { Research: 70 } });
+  });
+
+  it('starts a new assignee from the progress before they joined', () => {
+    const state = accrueExperience({ experience: {}, marks: { t1: { p1: 40 } } }, [task('t1', 40)], [task('t1', 50, { assigneeIds: ['p1', 'p2'] })]);
+    expect(state.experience).toEqual({ p1: { Research: 10 }, p2: { Research: 10 } });
+  });
+});
+
+describe('levels', () => {
+  it('needs one more finished task per level', () => {
+    expect(levelForXp(0)).toBe(1);
+    expect(levelForXp(99)).toBe(1);
+    expect(levelForXp(100)).toBe(2);
+    expect(levelForXp(300)).toBe(3);
+    expect(levelForXp(600)).toBe(4);
+    expect(xpForLevel(4)).toBe(600);
+  });
+
+  it('caps at MAX_LEVEL', () => {
+    expect(levelForXp(1e9)).toBe(MAX_LEVEL);
+  });
+
+  it('speeds up 5% per level', () => {
+    expect(skillMultiplier(1)).toBe(1);
+    expect(skillMultiplier(4)).toBeCloseTo(1.15);
+  });
+});
+
+describe('getSkills', () => {
+  it('lists skills strongest first with progress to the next level', () => {
+    const skills = getSkills({ Design: 150, Research: 650 });
+    expect(skills.map(s => [s.category, s.level])).toEqual([['Research', 4], ['Design', 2]]);
+    expect(skills[1].progress).toBeCloseTo(0.25);
+  });
+
+  it('gives a beginner no bonus', () => {
+    expect(skillMultiplierFor({}, 'Research')).toBe(1);
+    expect(skillMultiplierFor({ General: 300 }, '')).toBeCloseTo(1.1);
+  });
+});
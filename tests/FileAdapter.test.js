@@ -0,0 +1,190 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { FileAdapter } from '../src/data/FileAdapter.js';
+
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn(key => store[key] ?? null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn(key => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+vi.stubGlobal('localStorage', localStorageMock);
+
+// Minimal stand-in for a browser File
+function file(name, text) {
+  return { name, text: async () => text };
+}
+
+async function importFiles(...files) {
+  const adapter = new FileAdapter();
+  await adapter.loadFiles(files);
+  await adapter.sync();
+  return adapter;
+}
+
+const PEOPLE_CSV = 'Name,Role,Color\nAlice,Engineer,#ff0000\nBob,Designer,\n';
+const MILESTONES_CSV = 'Name\nBeta\n';
+const TASKS_CSV = [
+  'Name,Description,Assignee,Category,Discovery%,Execution%,Complete%,Due Date,Milestone',
+  'Auth,Login flow,Alice,Backend,30,70,40,2026-11-14,Beta',
+  'Icons,,Bob,Design,,,,,',
+  ',missing name,Bob,,,,,,',
+].join('\n');
+
+beforeEach(() => {
+  localStorageMock.clear();
+});
+
+describe('FileAdapter — CSV', () => {
+  it('loads People, Tasks and Milestones CSVs regardless of order', async () => {
+    const adapter = await importFiles(
+      file('tasks.csv', TASKS_CSV),
+      file('milestones.csv', MILESTONES_CSV),
+      file('people.csv', PEOPLE_CSV),
+    );
+
+    const people = await adapter.fetchPeople();
+    const tasks = await adapter.fetchTasks();
+    const [beta] = await adapter.fetchMilestones();
+
+    expect(people.map(p => p.name)).toEqual(['Alice', 'Bob']);
+    expect(tasks.map(t => t.name)).toEqual(['Auth', 'Icons']);
+    expect(tasks[0].assigneeId).toBe(people[0].id);
+    expect(beta.taskIds).toEqual([tasks[0].id]);
+    expect(await adapter.fetchResourceTypes()).toEqual(['Backend', 'Design']);
+  });
+
+  it('infers people and milestones from a lone Tasks CSV', async () => {
+    const adapter = await importFiles(file('export.csv', TASKS_CSV));
+
+    expect((await adapter.fetchPeople()).map(p => p.name)).toEqual(['Alice', 'Bob']);
+    expect((await adapter.fetchMilestones()).map(m => m.name)).toEqual(['Beta']);
+    expect((await adapter.fetchTasks()).every(t => t.assigneeId)).toBe(true);
+  });
+
+  it('infers each person of a shared task from a lone Tasks CSV', async () => {
+    const csv = [
+      'Name,Description,Assignee,Category,Discovery%,Execution%,Complete%,Due Date,Milestone',
+      'Auth,Login flow,"Ann, Bob",Backend,30,70,40,,',
+      'Icons,,Bob,Design,,,,,',
+    ].join('\n');
+    const adapter = await importFiles(file('tasks.csv', csv));
+
+    const people = await adapter.fetchPeople();
+    expect(people.map(p => p.name)).toEqual(['Ann', 'Bob']);
+    const auth = (await adapter.fetchTasks()).find(t => t.name === 'Auth');
+    expect(auth.assigneeIds).toEqual(people.map(p => p.id));
+    expect(adapter.getReport().issues).toEqual([]);
+  });
+
+  it('reports skipped rows with file and row number', async () => {
+    const adapter = await importFiles(file('tasks.csv', TASKS_CSV), file('people.csv', PEOPLE_CSV));
+    const report = adapter.getReport();
+
+    expect(report.files).toEqual(['tasks.csv', 'people.csv']);
+    expect(report.counts).toEqual({ people: 2, tasks: 2, milestones: 1 });
+    expect(report.issues).toEqual([
+      { file: 'tasks.csv', sheet: 'Tasks', row: 4, level: 'error', message: 'Missing task name' },
+    ]);
+  });
+
+  it('rejects CSVs it cannot identify', async () => {
+    const adapter = await importFiles(file('notes.csv', 'Foo,Bar\n1,2\n'));
+    const [issue] = adapter.getReport().issues;
+
+    expect(issue).toMatchObject({ file: 'notes.csv', level: 'error' });
+    expect(await adapter.fetchTasks()).toEqual([]);
+  });
+});
+
+describe('FileAdapter — JSON', () => {
+  const data = {
+    people: [
+      { id: 'p1', name: 'Alice', role: 'Engineer', color: '#ff0000' },
+      { id: 'p2', name: 'Bob' },
+      { name: 'No id' },
+    ],
+    tasks: [
+      { id: 't1', name: 'Auth', assigneeId: 'p1', category: 'Backend', percentComplete: 40, milestoneId: 'm1', dependsOn: ['t2', 'ghost'] },
+      { id: 't2', name: 'Icons', assigneeId: 'p9', discoveryPercent: 'half', expectedDate: '2026-13-45' },
+      { id: 't1', name: 'Duplicate' },
+    ],
+    milestones: [
+      { id: 'm1', name: 'Beta', dueDate: '2026-12-01', taskIds: ['t2', 'ghost'] },
+    ],
+  };
+
+  it('mirrors the DataAdapter typedefs with defaults', async () => {
+    const adapter = await importFiles(file('team.json', JSON.stringify(data)));
+    const people = await adapter.fetchPeople();
+    const tasks = await adapter.fetchTasks();
+    const [beta] = await adapter.fetchMilestones();
+
+    expect(people.map(p => p.id)).toEqual(['p1', 'p2']);
+    expect(people[1].color).toBeTruthy();
+    expect(tasks[0]).toEqual({
+      id: 't1',
+      name: 'Auth',
+      description: '',
+      assigneeId: 'p1',
+      assigneeIds: ['p1'],
+      category: 'Backend',
+      discoveryPercent: 50,
+      executionPercent: 50,
+      percentComplete: 40,
+      expectedDate: '',
+      milestoneId: 'm1',
+      dependsOn: ['t2'],
+    });
+    expect(beta.taskIds).toEqual(['t2', 't1']);
+    expect(beta.dueDate).toBe('2026-12-01');
+  });
+
+  it('reports every problem instead of dropping rows silently', async () => {
+    const adapter = await importFiles(file('team.json', JSON.stringify(data)));
+    const issues = adapter.getReport().issues.map(i => `${i.sheet} ${i.row} ${i.level}`);
+
+    expect(issues).toEqual([
+      'people 3 error',      // missing id
+      'tasks 2 warning',     // unknown assignee
+      'tasks 2 warning',     // discoveryPercent not a number
+      'tasks 2 warning',     // bad date
+      'tasks 3 error',       // duplicate id
+      'tasks 1 warning',     // unknown prerequisite
+      'milestones 1 warning', // unknown task id
+    ]);
+    const [, icons] = await adapter.fetchTasks();
+    expect(icons.assigneeId).toBe('');
+  });
+
+  it('reports malformed JSON', async () => {
+    const adapter = await importFiles(file('team.json', '{ "people": ['));
+    const [issue] = adapter.getReport().issues;
+
+    expect(issue.level).toBe('error');
+    expect(issue.message).toMatch(/Invalid JSON/);
+    expect(await adapter.fetchPeople()).toEqual([]);
+  });
+});
+
+describe('FileAdapter — persistence', () => {
+  it('re-parses saved files in a fresh adapter', async () => {
+    await importFiles(file('tasks.csv', TASKS_CSV));
+
+    const adapter = new FileAdapter();
+    await adapter.sync();
+    expect(await adapter.fetchTasks()).toHaveLength(2);
+  });
+
+  it('does nothing when no files were imported', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const adapter = new FileAdapter();
+    await adapter.sync();
+
+    expect(await adapter.fetchTasks()).toEqual([]);
+    warnSpy.mockRestore();
+  });
+});
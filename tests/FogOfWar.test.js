@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { GameGrid, FogState } from '../src/map/GameGrid.js';
+import { FogOfWar } from '../src/map/FogOfWar.js';
+import { encodeBitset, decodeBitset } from '../src/utils/Bitset.js';
+
+describe('Bitset', () => {
+  it('round-trips flags through a compact string', () => {
+    const flags = [1, 0, 0, 1, 1, 0, 1, 0, 1, 1];
+    const encoded = encodeBitset(flags);
+    expect(encoded.length).toBeLessThanOrEqual(4);
+    expect([...decodeBitset(encoded, flags.length)]).toEqual(flags);
+  });
+
+  it('decodes malformed input as all zeros', () => {
+    expect([...decodeBitset('%%%', 3)]).toEqual([0, 0, 0]);
+  });
+});
+
+describe('FogOfWar exploration persistence', () => {
+  function explore() {
+    const grid = new GameGrid(16, 16);
+    const fog = new FogOfWar(grid);
+    fog.updateVisibility([{ col: 4, row: 4, sightRadius: 2 }]);
+    return { grid, fog };
+  }
+
+  it('flags newly explored ground once', () => {
+    const { fog } = explore();
+    expect(fog.consumeExplorationChange()).toBe(true);
+    expect(fog.consumeExplorationChange()).toBe(false);
+
+    fog.updateVisibility([{ col: 4, row: 4, sightRadius: 2 }]); // same spot
+    expect(fog.consumeExplorationChange()).toBe(false);
+  });
+
+  it('restores revealed and cleared tiles on a fresh map', () => {
+    const { fog } = explore();
+    const state = fog.getExplorationState();
+
+    const grid = new GameGrid(16, 16);
+    const restored = new FogOfWar(grid);
+    expect(restored.restoreExplorationState(state)).toBe(true);
+
+    expect(restored.isRevealed(4, 4)).toBe(true);
+    expect(restored.isRevealed(4, 7)).toBe(true);   // outer ring
+    expect(restored.isRevealed(12, 12)).toBe(false);
+    expect(restored._revealFloor[4 * 16 + 4]).toBe(0);
+    expect(restored._revealFloor[7 * 16 + 4]).toBeGreaterThan(0);
+    expect(restored.getAlpha(4, 4)).toBe(0);
+    expect(restored.getAlpha(12, 12)).toBe(1);
+    expect(restored.getExplorationState()).toEqual(state);
+  });
+
+  it('ignores state saved for a different map size', () => {
+    const { fog } = explore();
+    const other = new FogOfWar(new GameGrid(8, 8));
+    expect(other.restoreExplorationState(fog.getExplorationState())).toBe(false);
+  });
+
+  it('re-fogs everything on reset', () => {
+    const { grid, fog } = explore();
+    fog.resetExploration();
+    expect(grid.tiles.every(t => t.fogState === FogState.HIDDEN)).toBe(true);
+    expect(fog.getExplorationPercent()).toBe(0);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { fuzzyScore, fuzzyFilter } from '../src/utils/Fuzzy.js';
+
+describe('fuzzyScore', () => {
+  it('matches characters in order, ignoring case and spaces', () => {
+    expect(fuzzyScore('dsh', 'Dashboard Redesign')).not.toBeNull();
+    expect(fuzzyScore('open set', 'Open settings')).not.toBeNull();
+    expect(fuzzyScore('hsd', 'Dashboard')).toBeNull();
+  });
+
+  it('prefers prefixes, word starts and runs over scattered matches', () => {
+    expect(fuzzyScore('dash', 'Dashboard')).toBeGreaterThan(fuzzyScore('dash', 'Redesign a shell'));
+    expect(fuzzyScore('ur', 'UX Research')).toBeGreaterThan(fuzzyScore('ur', 'Tour guide'));
+  });
+
+  it('matches everything for an empty query', () => {
+    expect(fuzzyScore('', 'anything')).toBe(0);
+  });
+});
+
+describe('fuzzyFilter', () => {
+  it('drops non-matches and sorts best first, keeping ties in order', () => {
+    const items = ['Sync now', 'Open settings', 'Open editor', 'Toggle day/night'];
+    expect(fuzzyFilter('open', items, s => s)).toEqual(['Open editor', 'Open settings']);
+    expect(fuzzyFilter('', items, s => s)).toEqual(items);
+  });
+});
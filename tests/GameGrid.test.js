@@ -184,6 +184,19 @@ describe('GameGrid', () => {
       expect(grid.getTile(5, 5).fogState).toBe(FogState.REVEALED);
     });
 
+    it('updateSight shows tiles in range and fades the rest to revealed', () => {
+      const grid = new GameGrid(20, 20);
+      grid.updateSight([{ col: 5, row: 5, sightRadius: 1 }]);
+      expect(grid.isVisible(5, 5)).toBe(true);
+
+      const { visible, revealed } = grid.updateSight([{ col: 15, row: 15, sightRadius: 1 }]);
+      expect(visible).toContainEqual({ col: 15, row: 15 });
+      expect(revealed).toContainEqual({ col: 17, row: 15 }); // ring just past sight
+      expect(grid.isVisible(5, 5)).toBe(false);
+      expect(grid.isRevealed(5, 5)).toBe(true);
+      expect(grid.isRevealed(0, 0)).toBe(false);
+    });
+
     it('setRevealed only downgrades from VISIBLE', () => {
       const grid = new GameGrid(10, 10);
       // HIDDEN -> setRevealed should do nothing
@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { GitHubAdapter } from '../src/data/GitHubAdapter.js';
+import { CONFIG } from '../src/utils/Config.js';
+
+// Tests may swap a fixture's body for one run: { 'file.json': body => newBody }
+let fixtureEdits = {};
+
+function fixture(name) {
+  const body = readFileSync(new URL(`./fixtures/github/${name}`, import.meta.url), 'utf8');
+  return fixtureEdits[name] ? fixtureEdits[name](body) : body;
+}
+
+// Local stand-in for api.github.com: REST issues/milestones with Link
+// pagination, plus a GraphQL endpoint for Projects (v2) boards.
+let server;
+let baseUrl;
+let requests = [];
+let rateLimitResponses = [];
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, path: url.pathname, params: url.searchParams, headers: req.headers, body });
+
+      const limited = rateLimitResponses.shift();
+      if (limited) {
+        res.writeHead(limited.status, limited.headers);
+        res.end('{"message":"API rate limit exceeded"}');
+        return;
+      }
+
+      const json = { 'Content-Type': 'application/json' };
+      if (url.pathname === '/repos/acme/app/issues') {
+        if (url.searchParams.get('page') === '2') {
+          res.writeHead(200, json);
+          res.end(fixture('issues-page-2.json'));
+        } else {
+          res.writeHead(200, { ...json, Link: `<${baseUrl}/repos/acme/app/issues?state=all&per_page=100&page=2>; rel="next", <${baseUrl}/repos/acme/app/issues?state=all&per_page=100&page=2>; rel="last"` });
+          res.end(fixture('issues-page-1.json'));
+        }
+      } else if (url.pathname === '/repos/acme/app/milestones') {
+        res.writeHead(200, json);
+        res.end(fixture('milestones.json'));
+      } else if (url.pathname === '/graphql') {
+        const { variables } = JSON.parse(body);
+        res.writeHead(200, json);
+        res.end(fixture(variables.after ? 'project-page-2.json' : 'project-page-1.json'));
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const defaults = { ...CONFIG };
+
+beforeEach(() => {
+  Object.assign(CONFIG, defaults, {
+    GITHUB_API_URL: baseUrl,
+    GITHUB_REPO: 'acme/app',
+    GITHUB_PROJECT: '',
+    GITHUB_TOKEN: 'ghp_test',
+  });
+  requests = [];
+  rateLimitResponses = [];
+  fixtureEdits = {};
+});
+
+describe('GitHubAdapter — repository', () => {
+  it('follows Link pagination and skips pull requests', async () => {
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+    const tasks = await adapter.fetchTasks();
+
+    const issuePages = requests.filter(r => r.path === '/repos/acme/app/issues');
+    expect(issuePages).toHaveLength(2);
+    expect(tasks.map(t => t.name)).toEqual([
+      'Onboarding checklist redesign',
+      'Crash on empty workspace',
+      'Pricing page copy',
+    ]);
+  });
+
+  it('sends the personal access token', async () => {
+    await new GitHubAdapter().sync();
+    expect(requests[0].headers.authorization).toBe('Bearer ghp_test');
+  });
+
+  it('maps first label to category and first assignee to person', async () => {
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+    const people = await adapter.fetchPeople();
+    const task = (await adapter.fetchTasks())[0];
+
+    expect(task.category).toBe('design');
+    expect(people.map(p => p.name)).toEqual(['mira-k', 'devon']);
+    expect(task.assigneeId).toBe(people[0].id);
+    expect(await adapter.fetchResourceTypes()).toEqual(['design', 'bug', 'content']);
+  });
+
+  it('derives completion from closed state and checklists', async () => {
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+    const pct = Object.fromEntries((await adapter.fetchTasks()).map(t => [t.name, t.percentComplete]));
+
+    expect(pct['Onboarding checklist redesign']).toBe(50); // 2 of 4 boxes ticked
+    expect(pct['Crash on empty workspace']).toBe(100);     // closed
+    expect(pct['Pricing page copy']).toBe(0);              // no checklist
+  });
+
+  it('turns milestones into ExternalMilestones with real taskIds', async () => {
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+    const milestones = await adapter.fetchMilestones();
+    const tasks = await adapter.fetchTasks();
+    const beta = milestones.find(m => m.name === 'Beta launch');
+
+    expect(milestones.map(m => m.name)).toEqual(['Beta launch', 'GA']);
+    expect(beta.taskIds).toEqual([tasks[0].id, tasks[1].id]);
+    expect(tasks[0].milestoneId).toBe(beta.id);
+    expect(tasks[0].expectedDate).toBe('2026-11-14');
+    expect(beta.dueDate).toBe('2026-11-14');
+    expect(milestones.find(m => m.name === 'GA').dueDate).toBe('');
+  });
+
+  it('uses the issue body as description, minus the checklist', async () => {
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+    const [task] = await adapter.fetchTasks();
+    expect(task.description).toBe('Rethink the first-run checklist.');
+  });
+});
+
+describe('GitHubAdapter — Projects (v2)', () => {
+  beforeEach(() => {
+    CONFIG.GITHUB_PROJECT = 'https://github.com/orgs/acme/projects/7';
+  });
+
+  it('pages through project items over GraphQL', async () => {
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+
+    const calls = requests.filter(r => r.path === '/graphql');
+    expect(calls).toHaveLength(2);
+    const first = JSON.parse(calls[0].body);
+    expect(first.query).toContain('organization(login: $owner)');
+    expect(first.variables).toEqual({ owner: 'acme', number: 7, after: null });
+    expect(JSON.parse(calls[1].body).variables.after).toBe('Y3Vyc29yOjE=');
+
+    // Draft items without an issue are skipped
+    expect(await adapter.fetchTasks()).toHaveLength(2);
+  });
+
+  it('queries user-owned boards through user(login:)', async () => {
+    CONFIG.GITHUB_PROJECT = 'https://github.com/users/lin-h/projects/2';
+    await new GitHubAdapter().sync();
+    expect(JSON.parse(requests[0].body).query).toContain('user(login: $owner)');
+  });
+
+  it('prefers the custom progress and due date fields', async () => {
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+    const [ranking, index] = await adapter.fetchTasks();
+
+    expect(ranking.percentComplete).toBe(40);       // Progress field, not the 1/2 checklist
+    expect(ranking.expectedDate).toBe('2026-11-03');
+    expect(index.percentComplete).toBe(50);         // falls back to checklist
+    expect(ranking.id).not.toBe(index.id);
+  });
+
+  it('reads the progress field on the configured scale', async () => {
+    fixtureEdits['project-page-1.json'] = body => body.replace('"number": 40', '"number": 1');
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+    expect((await adapter.fetchTasks())[0].percentComplete).toBe(1); // 1 of 100, not done
+
+    CONFIG.GITHUB_PROGRESS_SCALE = 1;
+    fixtureEdits['project-page-1.json'] = body => body.replace('"number": 40', '"number": 0.4');
+    await adapter.sync();
+    expect((await adapter.fetchTasks())[0].percentComplete).toBe(40);
+  });
+
+  it('uses display names for people', async () => {
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+    expect((await adapter.fetchPeople()).map(p => p.name)).toEqual(['Lin Huang']);
+  });
+});
+
+describe('GitHubAdapter — rate limits', () => {
+  it('retries after a secondary rate limit', async () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    rateLimitResponses.push({ status: 429, headers: { 'Retry-After': '0' } });
+
+    const adapter = new GitHubAdapter();
+    await adapter.sync();
+
+    expect(warnSpy).toHaveBeenCalled();
+    expect(await adapter.fetchTasks()).toHaveLength(3);
+    warnSpy.mockRestore();
+  });
+
+  it('gives up when the primary limit resets too far in the future', async () => {
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    const limited = { status: 403, headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(reset) } };
+    rateLimitResponses.push(limited, limited);
+
+    const adapter = new GitHubAdapter();
+    await expect(adapter.sync()).rejects.toThrow(/rate limit/);
+
+    expect(errorSpy).toHaveBeenCalled();
+    expect(String(errorSpy.mock.calls[0][1])).toMatch(/rate limit/);
+    expect(await adapter.fetchTasks()).toEqual([]);
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { createServer } from 'node:http';
+import { GoogleSheetsAdapter } from '../src/data/GoogleSheetsAdapter.js';
+import { CONFIG } from '../src/utils/Config.js';
+
+// Local stand-in for the Apps Script web app that writes rows to the sheet
+let server;
+let baseUrl;
+let requests = [];
+let respond = () => ({ status: 200, body: { results: [] } });
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      requests.push({ headers: req.headers, payload });
+      const { status, body: out } = respond(payload);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(out));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const defaults = { ...CONFIG };
+
+beforeEach(() => {
+  Object.assign(CONFIG, defaults, {
+    GOOGLE_SHEET_ID: 'sheet-123',
+    GOOGLE_SHEET_WRITE_URL: `${baseUrl}/exec`,
+  });
+  requests = [];
+  respond = (payload) => ({ status: 200, body: { results: payload.ops.map(op => ({ id: op.id, ok: true })) } });
+});
+
+const context = {
+  people: [{ id: 'alice', name: 'Alice', role: 'Engineer', color: '#ff0000' }],
+  tasks: [{ id: 'docs-alice', name: 'Docs' }, { id: 'spec-alice', name: 'Spec' }],
+  milestones: [{ id: 'beta', name: 'Beta', taskIds: [] }],
+};
+
+const task = {
+  id: 'auth-alice', name: 'Auth', description: 'Login flow', assigneeId: 'alice', category: 'Backend',
+  discoveryPercent: 30, executionPercent: 70, percentComplete: 40, expectedDate: '2026-11-14', milestoneId: 'beta',
+};
+
+describe('GoogleSheetsAdapter — write-back', () => {
+  it('is read-only until a write URL is configured', () => {
+    expect(new GoogleSheetsAdapter().canWrite()).toBe(true);
+    CONFIG.GOOGLE_SHEET_WRITE_URL = '';
+    expect(new GoogleSheetsAdapter().canWrite()).toBe(false);
+  });
+
+  it('sends rows in sheet column order, matched by their old values', async () => {
+    const ops = [
+      { id: 'op1', entity: 'task', action: 'update', entityId: task.id, before: task, after: { ...task, name: 'Auth v2', percentComplete: 60, dependsOn: ['docs-alice', 'spec-alice'] } },
+      { id: 'op2', entity: 'person', action: 'create', entityId: 'p9', before: null, after: { id: 'p9', name: 'Bob', role: '', color: '#00ff00' } },
+      { id: 'op3', entity: 'milestone', action: 'delete', entityId: 'beta', before: context.milestones[0], after: null },
+      { id: 'op4', entity: 'milestone', action: 'create', entityId: 'ga', before: null, after: { id: 'ga', name: 'GA', dueDate: '2026-12-01', taskIds: [] } },
+    ];
+    await new GoogleSheetsAdapter().push(ops, context);
+
+    const { headers, payload } = requests[0];
+    expect(headers['content-type']).toBe('text/plain;charset=utf-8');
+    expect(payload.sheetId).toBe('sheet-123');
+    expect(payload.ops).toEqual([
+      {
+        id: 'op1', sheet: 'Tasks', action: 'update',
+        match: { Name: 'Auth', Assignee: 'Alice' },
+        values: ['Auth v2', 'Login flow', 'Alice', 'Backend', 30, 70, 60, '2026-11-14', 'Beta', 'Docs; Spec'],
+      },
+      { id: 'op2', sheet: 'People', action: 'append', match: null, values: ['Bob', '', '#00ff00', 100, ''] },
+      { id: 'op3', sheet: 'Milestones', action: 'delete', match: { Name: 'Beta' }, values: null },
+      { id: 'op4', sheet: 'Milestones', action: 'append', match: null, values: ['GA', '2026-12-01'] },
+    ]);
+  });
+
+  it('writes capacity and absences in the People columns', async () => {
+    const person = {
+      id: 'alice', name: 'Alice', role: 'Dev', color: '#f00', capacity: 80,
+      outOfOffice: [{ start: '2026-12-21', end: '2027-01-01' }, { start: '2026-11-02', end: '2026-11-02' }],
+    };
+    const ops = [{ id: 'op1', entity: 'person', action: 'update', entityId: 'alice', before: { ...person, capacity: 100 }, after: person }];
+    await new GoogleSheetsAdapter().push(ops, context);
+
+    expect(requests[0].payload.ops[0].values).toEqual(['Alice', 'Dev', '#f00', 80, '2026-11-02; 2026-12-21 to 2027-01-01']);
+  });
+
+  it('writes a shared task\'s assignees as a comma-separated list', async () => {
+    const shared = { ...task, assigneeIds: ['alice', 'p9'] };
+    const ops = [{ id: 'op1', entity: 'task', action: 'update', entityId: task.id, before: task, after: shared }];
+    await new GoogleSheetsAdapter().push(ops, {
+      ...context,
+      people: [...context.people, { id: 'p9', name: 'Bob', role: '', color: '#00ff00' }],
+    });
+
+    const [op] = requests[0].payload.ops;
+    expect(op.match).toEqual({ Name: 'Auth', Assignee: 'Alice' });
+    expect(op.values[2]).toBe('Alice, Bob');
+  });
+
+  it('returns per-row results, failing rows the script skipped', async () => {
+    respond = () => ({ status: 200, body: { results: [{ id: 'op1', ok: false, error: 'Row "Auth" not found' }] } });
+    const ops = [
+      { id: 'op1', entity: 'task', action: 'delete', entityId: task.id, before: task, after: null },
+      { id: 'op2', entity: 'task', action: 'create', entityId: 't2', before: null, after: { ...task, id: 't2' } },
+    ];
+
+    const results = await new GoogleSheetsAdapter().push(ops, context);
+    expect(results).toEqual([
+      { id: 'op1', ok: false, error: 'Row "Auth" not found' },
+      { id: 'op2', ok: false, error: 'No result returned for this row' },
+    ]);
+  });
+
+  it('throws when the script cannot be reached so edits stay queued', async () => {
+    respond = () => ({ status: 500, body: {} });
+    await expect(new GoogleSheetsAdapter().push([], context)).rejects.toThrow(/500/);
+  });
+});
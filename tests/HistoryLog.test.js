@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { HistoryLog } from '../src/data/HistoryLog.js';
+
+const task = (id, percentComplete) => ({ id, name: id, percentComplete });
+
+describe('HistoryLog', () => {
+  it('only appends tasks whose progress changed', async () => {
+    const log = new HistoryLog();
+    await log.record([task('t1', 10), task('t2', 0)], 1000);
+    await log.record([task('t1', 10), task('t2', 25)], 2000);
+    await log.record([task('t1', 40), task('t2', 25)], 3000);
+
+    expect(log.getSeries('t1').map(e => [e.time, e.percentComplete])).toEqual([[1000, 10], [3000, 40]]);
+    expect(log.getSeries('t2').map(e => [e.time, e.percentComplete])).toEqual([[1000, 0], [2000, 25]]);
+    expect(log.getRange()).toEqual({ start: 1000, end: 3000 });
+  });
+
+  it('reads progress as of any time', async () => {
+    const log = new HistoryLog();
+    await log.record([task('t1', 10)], 1000);
+    await log.record([task('t1', 60)], 3000);
+
+    expect(log.percentAt('t1', 500)).toBeNull();
+    expect(log.percentAt('t1', 1000)).toBe(10);
+    expect(log.percentAt('t1', 2999)).toBe(10);
+    expect(log.percentAt('t1', 5000)).toBe(60);
+  });
+
+  it('replays tasks, counting ones not logged yet as not started', async () => {
+    const log = new HistoryLog();
+    await log.record([task('t1', 30)], 1000);
+    await log.record([task('t1', 100), task('t2', 50)], 2000);
+
+    const replayed = log.applyAt([task('t1', 100), task('t2', 50)], 1500);
+    expect(replayed.map(t => t.percentComplete)).toEqual([30, 0]);
+    expect(replayed[0].name).toBe('t1');
+  });
+
+  it('records calls made before it is ready in order', async () => {
+    const log = new HistoryLog();
+    log.record([task('t1', 10)], 1000);
+    log.record([task('t1', 20)], 2000);
+    await log.ready();
+
+    expect(log.getSeries('t1').map(e => e.percentComplete)).toEqual([10, 20]);
+  });
+
+  it('has no range until something is logged', () => {
+    expect(new HistoryLog().getRange()).toBeNull();
+  });
+
+  describe('dailySamples', () => {
+    const dateKey = (date) => date.toISOString().slice(0, 10);
+    const at = (iso) => Date.parse(iso);
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    it('takes each day\'s last value and fills quiet days from the day before', async () => {
+      const log = new HistoryLog();
+      await log.record([task('t1', 10)], at('2026-10-15T09:00:00Z'));
+      await log.record([task('t1', 20), task('t2', 5)], at('2026-10-15T17:00:00Z'));
+      await log.record([task('t1', 50), task('t2', 5)], at('2026-10-17T10:00:00Z'));
+      await log.record([task('t1', 70), task('t2', 5)], at('2026-10-19T08:00:00Z')); // today — live data
+
+      expect(log.dailySamples(dateKey, now)).toEqual([
+        { date: '2026-10-15', tasks: { t1: 20, t2: 5 } },
+        { date: '2026-10-16', tasks: { t1: 20, t2: 5 } },
+        { date: '2026-10-17', tasks: { t1: 50, t2: 5 } },
+        { date: '2026-10-18', tasks: { t1: 50, t2: 5 } },
+      ]);
+    });
+
+    it('leaves out tasks not logged yet and caps the days', async () => {
+      const log = new HistoryLog();
+      await log.record([task('t1', 0)], at('2026-08-01T12:00:00Z'));
+      await log.record([task('t1', 0), task('t2', 30)], at('2026-10-18T12:00:00Z'));
+
+      const samples = log.dailySamples(dateKey, now, 10);
+      expect(samples).toHaveLength(10);
+      expect(samples[0]).toEqual({ date: '2026-10-09', tasks: { t1: 0 } });
+      expect(samples[9]).toEqual({ date: '2026-10-18', tasks: { t1: 0, t2: 30 } });
+    });
+
+    it('is empty before anything is logged', () => {
+      expect(new HistoryLog().dailySamples(dateKey, now)).toEqual([]);
+    });
+  });
+});
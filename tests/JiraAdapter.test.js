@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import { JiraAdapter } from '../src/data/JiraAdapter.js';
+import { CONFIG } from '../src/utils/Config.js';
+
+// Recorded /search responses, served by a local stand-in for the Jira API
+const PAGES = {
+  0: readFileSync(new URL('./fixtures/jira/search-page-1.json', import.meta.url), 'utf8'),
+  2: readFileSync(new URL('./fixtures/jira/search-page-2.json', import.meta.url), 'utf8'),
+};
+
+let server;
+let baseUrl;
+let requests = [];
+let failNext = false;
+
+beforeAll(async () => {
+  server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, params: url.searchParams, headers: req.headers });
+
+    if (failNext) {
+      failNext = false;
+      res.writeHead(401);
+      res.end();
+      return;
+    }
+
+    const body = PAGES[url.searchParams.get('startAt')];
+    if (!url.pathname.endsWith('/search') || !body) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(body);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+const defaults = { ...CONFIG };
+
+beforeEach(() => {
+  Object.assign(CONFIG, defaults, {
+    JIRA_BASE_URL: baseUrl,
+    JIRA_DEPLOYMENT: 'cloud',
+    JIRA_EMAIL: 'lead@example.com',
+    JIRA_API_TOKEN: 'secret',
+    JIRA_JQL: 'project = RPG',
+  });
+  requests = [];
+  failNext = false;
+});
+
+describe('JiraAdapter', () => {
+  it('pages through every search result', async () => {
+    const adapter = new JiraAdapter();
+    await adapter.sync();
+
+    expect(requests.map(r => r.params.get('startAt'))).toEqual(['0', '2']);
+    expect(await adapter.fetchTasks()).toHaveLength(3);
+  });
+
+  it('uses API v3 with Basic auth on Cloud', async () => {
+    await new JiraAdapter().sync();
+    expect(requests[0].path).toBe('/rest/api/3/search');
+    expect(requests[0].params.get('jql')).toBe('project = RPG');
+    expect(requests[0].headers.authorization).toBe(`Basic ${btoa('lead@example.com:secret')}`);
+  });
+
+  it('uses API v2 with Bearer auth on Server', async () => {
+    CONFIG.JIRA_DEPLOYMENT = 'server';
+    await new JiraAdapter().sync();
+    expect(requests[0].path).toBe('/rest/api/2/search');
+    expect(requests[0].headers.authorization).toBe('Bearer secret');
+  });
+
+  it('maps assignees to unique people', async () => {
+    const adapter = new JiraAdapter();
+    await adapter.sync();
+    const people = await adapter.fetchPeople();
+
+    expect(people.map(p => p.name)).toEqual(['Priya Nair', 'Tomás Ortega']);
+    for (const person of people) {
+      expect(person.id).toMatch(/^jira-/);
+      expect(person.color).toBeTruthy();
+    }
+  });
+
+  it('maps issue fields onto tasks', async () => {
+    const adapter = new JiraAdapter();
+    await adapter.sync();
+    const [people, tasks] = [await adapter.fetchPeople(), await adapter.fetchTasks()];
+    const task = tasks.find(t => t.id === 'RPG-101');
+
+    expect(task.name).toBe('Checkout redesign');
+    expect(task.description).toBe('Rework the checkout flow. Mobile first.');
+    expect(task.assigneeId).toBe(people[0].id);
+    expect(task.category).toBe('Story');
+    expect(task.expectedDate).toBe('2026-11-02');
+  });
+
+  it('maps status category to percentComplete', async () => {
+    const adapter = new JiraAdapter();
+    await adapter.sync();
+    const tasks = await adapter.fetchTasks();
+    const pct = Object.fromEntries(tasks.map(t => [t.id, t.percentComplete]));
+
+    expect(pct).toEqual({ 'RPG-101': 50, 'RPG-102': 0, 'RPG-103': 100 });
+  });
+
+  it('uses components as categories when configured', async () => {
+    CONFIG.JIRA_CATEGORY_FIELD = 'component';
+    const adapter = new JiraAdapter();
+    await adapter.sync();
+
+    expect(await adapter.fetchResourceTypes()).toEqual(['Web', 'Docs']);
+    const spike = (await adapter.fetchTasks()).find(t => t.id === 'RPG-102');
+    expect(spike.category).toBe('');
+  });
+
+  it('groups tasks into fix-version milestones', async () => {
+    const adapter = new JiraAdapter();
+    await adapter.sync();
+    const milestones = await adapter.fetchMilestones();
+
+    expect(milestones).toHaveLength(1);
+    expect(milestones[0].name).toBe('v2.4');
+    expect(milestones[0].taskIds).toEqual(['RPG-101', 'RPG-103']);
+    expect(milestones[0].dueDate).toBe('2026-12-01');
+  });
+
+  it('groups tasks into epic milestones when configured', async () => {
+    CONFIG.JIRA_MILESTONE_FIELD = 'epic';
+    const adapter = new JiraAdapter();
+    await adapter.sync();
+    const [milestone] = await adapter.fetchMilestones();
+    const tasks = await adapter.fetchTasks();
+
+    expect(milestone.name).toBe('Payments revamp');
+    expect(tasks.find(t => t.id === 'RPG-101').milestoneId).toBe(milestone.id);
+    expect(tasks.find(t => t.id === 'RPG-102').milestoneId).toBeNull();
+  });
+
+  it('keeps previous data when a sync fails', async () => {
+    const adapter = new JiraAdapter();
+    await adapter.sync();
+
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    failNext = true;
+    await expect(adapter.sync()).rejects.toThrow();
+
+    expect(errorSpy).toHaveBeenCalled();
+    expect(await adapter.fetchTasks()).toHaveLength(3);
+    errorSpy.mockRestore();
+  });
+
+  it('skips the request when not configured', async () => {
+    CONFIG.JIRA_BASE_URL = '';
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const adapter = new JiraAdapter();
+    await adapter.sync();
+
+    expect(requests).toHaveLength(0);
+    expect(await adapter.fetchTasks()).toEqual([]);
+    warnSpy.mockRestore();
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MapPlacements } from '../src/map/MapPlacements.js';
+import { TerrainGenerator } from '../src/map/TerrainGenerator.js';
+import { GameGrid } from '../src/map/GameGrid.js';
+
+function makeTask(id, discoveryPercent = 50) {
+  return { id, category: 'Design', discoveryPercent, percentComplete: 0 };
+}
+
+describe('MapPlacements', () => {
+  let grid;
+  let placements;
+
+  beforeEach(() => {
+    grid = new GameGrid(48, 48);
+    const gen = new TerrainGenerator();
+    gen.generate(grid);
+    placements = new MapPlacements(grid, gen);
+  });
+
+  it('places everything on the first sync', () => {
+    const changes = placements.sync([makeTask('t1'), makeTask('t2')], [{ id: 'ms-1', taskIds: [] }]);
+
+    expect(changes.nodesAdded.map(n => n.taskId)).toEqual(['t1', 't2']);
+    expect(changes.structuresAdded.map(s => s.milestoneId)).toEqual(['ms-1']);
+    expect(placements.getResourceNodePositions()).toHaveLength(2);
+  });
+
+  it('reports nothing when tasks and milestones are unchanged', () => {
+    const tasks = [makeTask('t1')];
+    const milestones = [{ id: 'ms-1', taskIds: [] }];
+    placements.sync(tasks, milestones);
+
+    const changes = placements.sync(tasks, milestones);
+    expect(Object.values(changes).every(list => list.length === 0)).toBe(true);
+  });
+
+  it('adds nodes for new tasks and frees tiles of deleted ones', () => {
+    placements.sync([makeTask('t1')], [{ id: 'ms-1', taskIds: [] }]);
+    const [old] = placements.getResourceNodePositions();
+    const [structure] = placements.getStructurePositions();
+
+    const changes = placements.sync([makeTask('t2')], []);
+
+    expect(changes.nodesAdded.map(n => n.taskId)).toEqual(['t2']);
+    expect(changes.nodesRemoved.map(n => n.taskId)).toEqual(['t1']);
+    expect(changes.structuresRemoved.map(s => s.milestoneId)).toEqual(['ms-1']);
+    expect(grid.getTile(old.col, old.row).resourceNodeId).not.toBe('t1');
+    expect(grid.getTile(structure.col, structure.row).structureId).toBe(null);
+  });
+
+  it('relocates a node when its discovery weight changes', () => {
+    placements.sync([makeTask('t1', 0)], []);
+    const [before] = placements.getResourceNodePositions();
+
+    const changes = placements.sync([makeTask('t1', 100)], []);
+    const [after] = placements.getResourceNodePositions();
+
+    expect(changes.nodesMoved).toEqual([{ from: before, to: after }]);
+    expect(grid.getTile(before.col, before.row).resourceNodeId).toBe(null);
+    expect(grid.getTile(after.col, after.row).resourceNodeId).toBe('t1');
+
+    // Discovery-heavy tasks sit farther from the base
+    const dist = (n) => Math.hypot(n.col - 24, n.row - 24);
+    expect(dist(after)).toBeGreaterThan(dist(before));
+  });
+
+  it('places runtime additions the same as a fresh map would', () => {
+    placements.sync([], []);
+    placements.sync([makeTask('t1')], []);
+
+    const fresh = new GameGrid(48, 48);
+    const gen = new TerrainGenerator();
+    gen.generate(fresh);
+    const [expected] = gen.placeResourceNodes(fresh, [makeTask('t1')]);
+
+    const [node] = placements.getResourceNodePositions();
+    expect({ col: node.col, row: node.row }).toEqual({ col: expected.col, row: expected.row });
+  });
+});
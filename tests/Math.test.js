@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { clamp, lerp, remap, smoothstep } from '../src/utils/Math.js';
+import { clamp, lerp, remap, smoothstep, seededRandom } from '../src/utils/Math.js';
 
 describe('clamp', () => {
   it('returns value when within range', () => {
@@ -95,3 +95,14 @@ describe('smoothstep', () => {
     expect(nearOne).toBeGreaterThan(0.99);
   });
 });
+
+describe('seededRandom', () => {
+  it('repeats the same sequence for the same seed', () => {
+    const a = seededRandom(42);
+    const b = seededRandom(42);
+    const values = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(values);
+    expect(values.every(v => v >= 0 && v < 1)).toBe(true);
+    expect(seededRandom(43)()).not.toBe(values[0]);
+  });
+});
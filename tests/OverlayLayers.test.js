@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { GameGrid, TileType } from '../src/map/GameGrid.js';
+import { buildOverlay, OVERLAY_LAYERS } from '../src/map/OverlayLayers.js';
+
+const now = new Date('2026-10-10T12:00:00');
+
+const people = [
+  { id: 'p1', name: 'Alice Smith' },
+  { id: 'p2', name: 'Bob Jones' },
+];
+
+function makeTask(id, overrides = {}) {
+  return {
+    id,
+    name: id,
+    assigneeId: 'p1',
+    category: 'Design',
+    discoveryPercent: 40,
+    percentComplete: 0,
+    expectedDate: '',
+    ...overrides,
+  };
+}
+
+function alphaAt(pixels, grid, col, row) {
+  return pixels[(row * grid.width + col) * 4 + 3];
+}
+
+function colorAt(pixels, grid, col, row) {
+  const i = (row * grid.width + col) * 4;
+  return [pixels[i], pixels[i + 1], pixels[i + 2]];
+}
+
+describe('buildOverlay', () => {
+  it('lists every layer id it can build', () => {
+    const grid = new GameGrid(8, 8);
+    for (const { id } of OVERLAY_LAYERS) {
+      const { pixels } = buildOverlay(id, grid, { nodes: [], tasks: [], people });
+      expect(pixels).toHaveLength(8 * 8 * 4);
+    }
+    expect(() => buildOverlay('nope', grid, { nodes: [], tasks: [], people })).toThrow();
+  });
+
+  it('heats tiles around overdue nodes, hottest at the node', () => {
+    const grid = new GameGrid(30, 30);
+    const tasks = [
+      makeTask('late', { expectedDate: '2026-09-01' }),
+      makeTask('on-time', { expectedDate: '2026-12-01' }),
+    ];
+    const nodes = [
+      { taskId: 'late', col: 5, row: 5, resourceType: 'Design' },
+      { taskId: 'on-time', col: 22, row: 22, resourceType: 'Design' },
+    ];
+    const { pixels } = buildOverlay('overdue', grid, { nodes, tasks, people, now });
+
+    expect(alphaAt(pixels, grid, 5, 5)).toBeGreaterThan(alphaAt(pixels, grid, 8, 5));
+    expect(alphaAt(pixels, grid, 8, 5)).toBeGreaterThan(0);
+    expect(alphaAt(pixels, grid, 22, 22)).toBe(0);
+    expect(alphaAt(pixels, grid, 15, 15)).toBe(0);
+  });
+
+  it('splits territory between owners with a border and stamina colors', () => {
+    const grid = new GameGrid(30, 10);
+    const tasks = [
+      makeTask('a', { expectedDate: '2026-08-01' }),
+      makeTask('b', { assigneeId: 'p2' }),
+    ];
+    const nodes = [
+      { taskId: 'a', col: 8, row: 5, resourceType: 'Design' },
+      { taskId: 'b', col: 16, row: 5, resourceType: 'Design' },
+    ];
+    const { pixels, legend } = buildOverlay('territory', grid, { nodes, tasks, people, now });
+
+    // Tired Alice is redder than fresh Bob
+    const [aliceR, aliceG] = colorAt(pixels, grid, 7, 5);
+    const [bobR, bobG] = colorAt(pixels, grid, 17, 5);
+    expect(aliceR - aliceG).toBeGreaterThan(bobR - bobG);
+
+    // The boundary falls midway and is drawn stronger than the interior
+    expect(alphaAt(pixels, grid, 12, 5)).toBeGreaterThan(alphaAt(pixels, grid, 9, 5));
+    expect(alphaAt(pixels, grid, 28, 5)).toBe(0);
+
+    expect(legend.map(e => e.label)).toEqual(['Alice · 0%', 'Bob · 100%']);
+  });
+
+  it('tints each area with the category that dominates it', () => {
+    const grid = new GameGrid(40, 10);
+    const nodes = [
+      { taskId: 'a', col: 5, row: 5, resourceType: 'Research' },
+      { taskId: 'b', col: 6, row: 5, resourceType: 'Research' },
+      { taskId: 'c', col: 30, row: 5, resourceType: 'Design' },
+    ];
+    const { pixels, legend } = buildOverlay('categories', grid, { nodes, tasks: [], people });
+
+    expect(colorAt(pixels, grid, 5, 5)).not.toEqual(colorAt(pixels, grid, 30, 5));
+    expect(alphaAt(pixels, grid, 18, 5)).toBe(0);
+    expect(legend.map(e => e.label)).toEqual(['Research', 'Design']);
+  });
+
+  it('leaves void tiles clear', () => {
+    const grid = new GameGrid(10, 10);
+    grid.tiles[5 * 10 + 5].type = TileType.VOID;
+    const nodes = [{ taskId: 'a', col: 5, row: 5, resourceType: 'Research' }];
+    const { pixels } = buildOverlay('categories', grid, { nodes, tasks: [], people });
+
+    expect(alphaAt(pixels, grid, 5, 5)).toBe(0);
+    expect(alphaAt(pixels, grid, 4, 5)).toBeGreaterThan(0);
+  });
+});
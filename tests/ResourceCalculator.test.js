@@ -6,7 +6,10 @@ import {
   computeGatherRate,
   computeScoutSpeed,
   computeStructureProgress,
+  computeMilestoneForecast,
+  computeReassignImpact,
 } from '../src/data/ResourceCalculator.js';
+import { WorkCalendar } from '../src/data/WorkCalendar.js';
 
 function makeTask(overrides = {}) {
   return {
@@ -63,6 +66,42 @@ describe('computeUnitStamina', () => {
     const complete = [makeTask({ expectedDate: daysFromNow(-20), percentComplete: 90 })];
     expect(computeUnitStamina(complete)).toBeGreaterThan(computeUnitStamina(incomplete));
   });
+
+  it('weights shared tasks by each assignee\'s share', () => {
+    const overdue = makeTask({ id: 'late', expectedDate: daysFromNow(-20) });
+    const fresh = makeTask({ id: 'fresh', expectedDate: daysFromNow(30) });
+    const solo = computeUnitStamina([overdue, fresh]);
+    const shared = computeUnitStamina([{ ...overdue, assigneeIds: ['p1', 'p2', 'p3'] }, fresh]);
+    expect(shared).toBeGreaterThan(solo);
+  });
+
+  it('only drains on working days', () => {
+    const calendar = new WorkCalendar({ weekendDays: [0, 6] });
+    const tasks = [makeTask({ expectedDate: '2026-10-16' })]; // a Friday
+    const saturday = computeUnitStamina(tasks, new Date(2026, 9, 17, 12), calendar);
+    expect(saturday).toBeLessThan(1);
+    expect(computeUnitStamina(tasks, new Date(2026, 9, 19, 0), calendar)).toBeCloseTo(saturday);
+    expect(computeUnitStamina(tasks, new Date(2026, 9, 19, 12), calendar)).toBeLessThan(saturday);
+  });
+
+  it('drains faster for someone on part time', () => {
+    const calendar = new WorkCalendar({ weekendDays: [], capacity: { p1: 0.5 } });
+    const tasks = [makeTask({ expectedDate: '2026-10-09' })];
+    const now = new Date(2026, 9, 19, 12);
+    expect(computeUnitStamina(tasks, now, calendar.forPerson('p1')))
+      .toBeLessThan(computeUnitStamina(tasks, now, calendar.forPerson('p2')));
+  });
+
+  it('freezes while the assignee is out of office', () => {
+    const calendar = new WorkCalendar({
+      weekendDays: [0, 6],
+      outOfOffice: { p1: [{ start: '2026-10-19', end: '2026-10-23' }] },
+    });
+    const tasks = [makeTask({ expectedDate: '2026-10-16' })];
+    const before = computeUnitStamina(tasks, new Date(2026, 9, 17, 12), calendar.forPerson('p1'));
+    expect(computeUnitStamina(tasks, new Date(2026, 9, 23, 12), calendar.forPerson('p1'))).toBeCloseTo(before);
+    expect(computeUnitStamina(tasks, new Date(2026, 9, 23, 12), calendar)).toBeLessThan(before);
+  });
 });
 
 describe('computePhaseBalance', () => {
@@ -103,6 +142,18 @@ describe('computeStaminaBreakdown', () => {
     expect(breakdown.perTask).toHaveLength(1);
     expect(breakdown.perTask[0]).toHaveProperty('taskId', 'task-1');
   });
+
+  it('counts days until due in working days', () => {
+    const calendar = new WorkCalendar({ weekendDays: [0, 6] });
+    const now = new Date(2026, 9, 16, 12); // Friday
+    const tasks = [
+      makeTask({ id: 'next', expectedDate: '2026-10-20' }),
+      makeTask({ id: 'late', expectedDate: '2026-10-09' }),
+    ];
+    const [next, late] = computeStaminaBreakdown(tasks, now, calendar).perTask;
+    expect(next.daysUntilDue).toBe(2);
+    expect(late.daysUntilDue).toBe(-5);
+  });
 });
 
 describe('computeGatherRate', () => {
@@ -117,6 +168,16 @@ describe('computeGatherRate', () => {
     expect(low).toBeGreaterThanOrEqual(0.5);
     expect(low).toBeLessThanOrEqual(1);
   });
+
+  it('scales with the category skill multiplier', () => {
+    expect(computeGatherRate([], new Date(), 1.15)).toBeCloseTo(1.15);
+  });
+
+  it('scales with capacity', () => {
+    const calendar = new WorkCalendar({ capacity: { p1: 0.6, p2: 0 } });
+    expect(computeGatherRate([], new Date(), 1, calendar.forPerson('p1'))).toBeCloseTo(0.6);
+    expect(computeGatherRate([], new Date(), 1, calendar.forPerson('p2'))).toBeGreaterThan(0);
+  });
 });
 
 describe('computeScoutSpeed', () => {
@@ -129,6 +190,31 @@ describe('computeScoutSpeed', () => {
     expect(low).toBeGreaterThanOrEqual(0.6);
     expect(low).toBeLessThanOrEqual(1);
   });
+
+  it('scales with the category skill multiplier', () => {
+    expect(computeScoutSpeed([], new Date(), 1.2)).toBeCloseTo(1.2);
+  });
+});
+
+describe('computeReassignImpact', () => {
+  const now = new Date('2026-10-10T12:00:00');
+  const overdue = makeTask({ id: 't1', expectedDate: '2026-09-20', percentComplete: 10 });
+  const easy = makeTask({ id: 't2', assigneeId: 'p2', expectedDate: '2026-12-31', percentComplete: 50 });
+
+  it('moves the task from one workload to the other', () => {
+    const impact = computeReassignImpact(overdue, [overdue], [easy], now);
+    expect(impact.from.before).toBe(computeUnitStamina([overdue], now));
+    expect(impact.from.after).toBe(1);
+    expect(impact.to.before).toBe(computeUnitStamina([easy], now));
+    expect(impact.to.after).toBe(computeUnitStamina([easy, overdue], now));
+    expect(impact.to.after).toBeLessThan(impact.to.before);
+  });
+
+  it('has no giving side for an unassigned task', () => {
+    const impact = computeReassignImpact(overdue, null, [], now);
+    expect(impact.from).toBeNull();
+    expect(impact.to.before).toBe(1);
+  });
 });
 
 describe('computeStructureProgress', () => {
@@ -164,3 +250,94 @@ describe('computeStructureProgress', () => {
     expect(computeStructureProgress(ms, allTasks)).toBe(0);
   });
 });
+
+describe('computeMilestoneForecast', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const ms = { id: 'ms-1', name: 'Test', taskIds: ['t1'], dueDate: '' };
+
+  // { daysAgo: percentComplete } for task t1
+  function history(samples) {
+    return Object.entries(samples).map(([daysAgo, pct]) => ({
+      date: new Date(now.getTime() - daysAgo * 86400000).toISOString().split('T')[0],
+      tasks: { t1: pct },
+    }));
+  }
+
+  it('is complete when every milestone task is at 100%', () => {
+    const tasks = [makeTask({ id: 't1', percentComplete: 100 })];
+    expect(computeMilestoneForecast(ms, tasks, [], now).status).toBe('complete');
+  });
+
+  it('is unknown without earlier samples', () => {
+    const tasks = [makeTask({ id: 't1', percentComplete: 40 })];
+    const forecast = computeMilestoneForecast(ms, tasks, history({ 0: 40 }), now);
+    expect(forecast.status).toBe('unknown');
+    expect(forecast.date).toBeNull();
+    expect(forecast.remaining).toBe(60);
+  });
+
+  it('projects remaining work at the recent velocity', () => {
+    const everyDay = new WorkCalendar({ weekendDays: [] });
+    const tasks = [makeTask({ id: 't1', percentComplete: 40 })];
+    const forecast = computeMilestoneForecast(ms, tasks, history({ 10: 0, 5: 20 }), now, everyDay);
+    expect(forecast.status).toBe('forecast');
+    // 4%/day, slightly slowed by stamina → ~15 days for the last 60%
+    expect(forecast.velocity).toBeGreaterThan(3.5);
+    expect(forecast.velocity).toBeLessThanOrEqual(4);
+    expect(forecast.date).toBe('2026-11-03');
+    // A perfectly straight line has no spread
+    expect(forecast.earliest).toBe(forecast.date);
+    expect(forecast.latest).toBe(forecast.date);
+  });
+
+  it('measures velocity and projects dates in working days', () => {
+    const tasks = [makeTask({ id: 't1', percentComplete: 40 })];
+    // Fri 9th → Wed 14th → Mon 19th: 20% every 3 working days
+    const forecast = computeMilestoneForecast(ms, tasks, history({ 10: 0, 5: 20 }), now, new WorkCalendar());
+    expect(forecast.velocity).toBeGreaterThan(6);
+    expect(forecast.velocity).toBeLessThanOrEqual(20 / 3);
+    // About nine working days for the last 60% from Monday midday,
+    // skipping the weekend in between
+    expect(forecast.date).toBe('2026-10-30');
+  });
+
+  it('widens the interval when progress is uneven', () => {
+    const tasks = [makeTask({ id: 't1', percentComplete: 40 })];
+    const forecast = computeMilestoneForecast(ms, tasks, history({ 12: 0, 9: 15, 6: 15, 3: 35 }), now);
+    expect(forecast.earliest < forecast.date).toBe(true);
+    expect(forecast.latest > forecast.date).toBe(true);
+  });
+
+  it('ignores samples older than three weeks', () => {
+    const tasks = [makeTask({ id: 't1', percentComplete: 40 })];
+    const withOld = computeMilestoneForecast(ms, tasks, history({ 60: 40, 10: 0, 5: 20 }), now);
+    const without = computeMilestoneForecast(ms, tasks, history({ 10: 0, 5: 20 }), now);
+    expect(withOld.date).toBe(without.date);
+  });
+
+  it('flags a forecast that lands after the due date', () => {
+    const tasks = [makeTask({ id: 't1', percentComplete: 40 })];
+    const samples = history({ 10: 0, 5: 20 });
+    expect(computeMilestoneForecast({ ...ms, dueDate: '2026-10-25' }, tasks, samples, now).late).toBe(true);
+    const onTime = computeMilestoneForecast({ ...ms, dueDate: '2026-12-31' }, tasks, samples, now);
+    expect(onTime.late).toBe(false);
+    expect(onTime.atRisk).toBe(false);
+  });
+
+  it('is stalled and late when progress has stopped', () => {
+    const tasks = [makeTask({ id: 't1', percentComplete: 40 })];
+    const forecast = computeMilestoneForecast({ ...ms, dueDate: '2026-12-31' }, tasks, history({ 10: 40, 5: 40 }), now);
+    expect(forecast.status).toBe('stalled');
+    expect(forecast.date).toBeNull();
+    expect(forecast.late).toBe(true);
+  });
+
+  it('pushes the date out when the assignee is exhausted', () => {
+    const samples = history({ 10: 0, 5: 20 });
+    const fresh = computeMilestoneForecast(ms, [makeTask({ id: 't1', percentComplete: 40 })], samples, now);
+    const overdue = makeTask({ id: 't1', percentComplete: 40, expectedDate: '2026-08-01' });
+    const tired = computeMilestoneForecast(ms, [overdue], samples, now);
+    expect(tired.velocity).toBeLessThan(fresh.velocity);
+    expect(tired.date > fresh.date).toBe(true);
+  });
+});
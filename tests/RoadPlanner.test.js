@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { RoadPlanner } from '../src/map/RoadPlanner.js';
+import { GameGrid, TileType } from '../src/map/GameGrid.js';
+
+function gridWithNodes(nodes) {
+  const grid = new GameGrid(12, 12);
+  for (const n of nodes) grid.setTile(n.col, n.row, { resourceNodeId: n.taskId, blocked: true });
+  return grid;
+}
+
+describe('RoadPlanner', () => {
+  const nodes = [
+    { taskId: 'spec', col: 2, row: 2 },
+    { taskId: 'api', col: 8, row: 2 },
+  ];
+
+  it('routes a road from each prerequisite to its dependent', () => {
+    const planner = new RoadPlanner(gridWithNodes(nodes));
+    const roads = planner.plan(nodes, [
+      { id: 'spec', percentComplete: 40 },
+      { id: 'api', percentComplete: 0, dependsOn: ['spec', 'missing'] },
+    ]);
+
+    expect(roads).toHaveLength(1);
+    const [road] = roads;
+    expect(road).toMatchObject({ id: 'spec>api', fromTaskId: 'spec', toTaskId: 'api', open: false });
+    expect(road.tiles[0]).toEqual({ col: 2, row: 2 });
+    expect(road.tiles[road.tiles.length - 1]).toEqual({ col: 8, row: 2 });
+    expect(road.tiles).toHaveLength(7); // straight along the row
+  });
+
+  it('opens the road once the prerequisite is complete', () => {
+    const planner = new RoadPlanner(gridWithNodes(nodes));
+    const [road] = planner.plan(nodes, [
+      { id: 'spec', percentComplete: 100 },
+      { id: 'api', percentComplete: 0, dependsOn: ['spec'] },
+    ]);
+    expect(road.open).toBe(true);
+  });
+
+  it('runs straight across when no walkable route exists', () => {
+    const grid = gridWithNodes(nodes);
+    for (let row = 0; row < 12; row++) grid.setTile(5, row, { type: TileType.WATER });
+
+    const [road] = new RoadPlanner(grid).plan(nodes, [
+      { id: 'spec', percentComplete: 0 },
+      { id: 'api', percentComplete: 0, dependsOn: ['spec'] },
+    ]);
+    expect(road.tiles).toEqual([{ col: 2, row: 2 }, { col: 8, row: 2 }]);
+  });
+});
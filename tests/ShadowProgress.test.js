@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { ShadowProgress } from '../src/units/ShadowProgress.js';
+
+function makeTask(id, percentComplete) {
+  return { id, name: id, percentComplete };
+}
+
+describe('ShadowProgress', () => {
+  it('starts new tasks at the initial value', () => {
+    const progress = new ShadowProgress();
+    progress.sync([makeTask('t1', 60)]);
+    expect(progress.get('t1')).toBe(0);
+    expect(progress.getCeiling('t1')).toBe(60);
+  });
+
+  it('never starts above the real value', () => {
+    const progress = new ShadowProgress(50);
+    progress.sync([makeTask('t1', 20)]);
+    expect(progress.get('t1')).toBe(20);
+  });
+
+  it('advance() is capped at the real percentComplete', () => {
+    const progress = new ShadowProgress();
+    progress.sync([makeTask('t1', 30)]);
+    expect(progress.advance('t1', 20)).toBe(20);
+    expect(progress.advance('t1', 20)).toBe(30);
+    expect(progress.canAdvance('t1')).toBe(false);
+  });
+
+  it('advance() ignores unknown tasks', () => {
+    const progress = new ShadowProgress();
+    expect(progress.advance('missing', 10)).toBe(0);
+    expect(progress.get('missing')).toBe(0);
+  });
+
+  it('isComplete() only when the simulation reaches 100%', () => {
+    const progress = new ShadowProgress();
+    progress.sync([makeTask('t1', 100)]);
+    expect(progress.isComplete('t1')).toBe(false);
+    progress.advance('t1', 100);
+    expect(progress.isComplete('t1')).toBe(true);
+  });
+
+  it('sync() keeps simulated progress when the real value rises', () => {
+    const progress = new ShadowProgress();
+    progress.sync([makeTask('t1', 40)]);
+    progress.advance('t1', 25);
+    progress.sync([makeTask('t1', 80)]);
+    expect(progress.get('t1')).toBe(25);
+    expect(progress.canAdvance('t1')).toBe(true);
+  });
+
+  it('sync() pulls simulated progress down when the real value drops', () => {
+    const progress = new ShadowProgress();
+    progress.sync([makeTask('t1', 80)]);
+    progress.advance('t1', 60);
+    progress.sync([makeTask('t1', 45)]);
+    expect(progress.get('t1')).toBe(45);
+  });
+
+  it('sync() forgets removed tasks', () => {
+    const progress = new ShadowProgress();
+    progress.sync([makeTask('t1', 50), makeTask('t2', 50)]);
+    progress.advance('t1', 10);
+    progress.sync([makeTask('t2', 50)]);
+    expect(progress.get('t1')).toBe(0);
+    expect(progress.getCeiling('t1')).toBe(0);
+  });
+
+  it('applyTo() returns copies with simulated percentComplete', () => {
+    const progress = new ShadowProgress();
+    const tasks = [makeTask('t1', 90)];
+    progress.sync(tasks);
+    progress.advance('t1', 15);
+
+    const shadowed = progress.applyTo(tasks);
+    expect(shadowed[0].percentComplete).toBe(15);
+    expect(tasks[0].percentComplete).toBe(90); // source untouched
+  });
+
+  it('catchUp() jumps tracked tasks to their real values', () => {
+    const progress = new ShadowProgress();
+    progress.sync([makeTask('t1', 100), makeTask('t2', 40)]);
+    progress.catchUp();
+    expect(progress.get('t1')).toBe(100);
+    expect(progress.get('t2')).toBe(40);
+    expect(progress.canAdvance('t2')).toBe(false);
+
+    // Later progress is left for the units
+    progress.sync([makeTask('t1', 100), makeTask('t2', 60), makeTask('t3', 30)]);
+    expect(progress.get('t2')).toBe(40);
+    expect(progress.get('t3')).toBe(0);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCSV, parsePeopleRows, parseMilestoneRows, parseTaskRows, normalizeDate,
+  PEOPLE_COLUMNS, TASK_COLUMNS, MILESTONE_COLUMNS,
+} from '../src/data/SheetParser.js';
+
+describe('parseCSV', () => {
+  it('handles quoted commas, escaped quotes and CRLF', () => {
+    const rows = parseCSV('Name,Description\r\n"Auth, v2","Say ""hi"""\r\n\r\nDocs,\n');
+    expect(rows).toEqual([
+      ['Name', 'Description'],
+      ['Auth, v2', 'Say "hi"'],
+      ['Docs', ''],
+    ]);
+  });
+});
+
+describe('parsePeopleRows', () => {
+  it('reports missing names and duplicates as errors', () => {
+    const { people, errors } = parsePeopleRows([
+      PEOPLE_COLUMNS,
+      ['Alice', 'Engineer', '#ff0000'],
+      ['', 'Designer', ''],
+      ['alice', '', ''],
+    ]);
+
+    expect(people.map(p => p.id)).toEqual(['alice']);
+    expect(errors).toEqual([
+      { sheet: 'People', row: 3, level: 'error', message: 'Missing name' },
+      { sheet: 'People', row: 4, level: 'error', message: 'Duplicate person "alice"' },
+    ]);
+  });
+
+  it('reads capacity and out-of-office ranges', () => {
+    const { people, errors } = parsePeopleRows([
+      PEOPLE_COLUMNS,
+      ['Alice', '', '', '60', '2026-12-21 to 2027-01-01; 2026-11-02'],
+      ['Bob', '', '', 'half', 'next week'],
+      ['Cara'],
+    ]);
+
+    expect(people.map(p => p.capacity)).toEqual([60, 100, 100]);
+    expect(people[0].outOfOffice).toEqual([
+      { start: '2026-11-02', end: '2026-11-02' },
+      { start: '2026-12-21', end: '2027-01-01' },
+    ]);
+    expect(people[1].outOfOffice).toEqual([]);
+    expect(errors).toEqual([
+      { sheet: 'People', row: 3, level: 'warning', message: 'Capacity% "half" is not a number — using 100' },
+      { sheet: 'People', row: 3, level: 'warning', message: 'Out of Office "next week" is not a date or range — ignored' },
+    ]);
+  });
+});
+
+describe('parseMilestoneRows', () => {
+  it('reads the optional due date and warns when it is not a date', () => {
+    const { milestones, errors } = parseMilestoneRows([
+      MILESTONE_COLUMNS,
+      ['Beta', '2026-12-01'],
+      ['GA', 'someday'],
+      ['Later'],
+    ]);
+
+    expect(milestones.map(m => m.dueDate)).toEqual(['2026-12-01', '', '']);
+    expect(errors).toEqual([
+      { sheet: 'Milestones', row: 3, level: 'warning', message: 'Due Date "someday" is not a date — ignored' },
+    ]);
+  });
+});
+
+describe('parseTaskRows', () => {
+  const people = parsePeopleRows([PEOPLE_COLUMNS, ['Alice']]).people;
+
+  function parse(...taskRows) {
+    const milestones = parseMilestoneRows([MILESTONE_COLUMNS, ['Beta']]).milestones;
+    return { milestones, ...parseTaskRows([TASK_COLUMNS, ...taskRows], people, milestones) };
+  }
+
+  it('maps the column layout onto tasks and links milestones', () => {
+    const { tasks, milestones, resourceTypes, errors } = parse(
+      ['Auth', 'Login flow', 'alice', 'Backend', '30', '70', '40', '2026-11-14', 'beta'],
+    );
+
+    expect(errors).toEqual([]);
+    expect(tasks[0]).toEqual({
+      id: 'auth-alice',
+      name: 'Auth',
+      description: 'Login flow',
+      assigneeId: 'alice',
+      assigneeIds: ['alice'],
+      category: 'Backend',
+      discoveryPercent: 30,
+      executionPercent: 70,
+      percentComplete: 40,
+      expectedDate: '2026-11-14',
+      milestoneId: 'beta',
+      dependsOn: [],
+    });
+    expect(milestones[0].taskIds).toEqual(['auth-alice']);
+    expect(resourceTypes).toEqual(['Backend']);
+  });
+
+  it('keeps rows with bad cells but warns', () => {
+    const { tasks, errors } = parse(['Auth', '', 'Bob', '', 'lots', '', '140', 'someday', 'Gamma']);
+
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0]).toMatchObject({
+      assigneeId: '',
+      discoveryPercent: 50,
+      executionPercent: 50,
+      percentComplete: 100,
+      expectedDate: '',
+      milestoneId: null,
+    });
+    expect(errors.map(e => e.level)).toEqual(['warning', 'warning', 'warning', 'warning', 'warning']);
+    expect(errors.every(e => e.row === 2)).toBe(true);
+  });
+
+  it('splits a comma-separated Assignee cell into a shared task', () => {
+    const people = parsePeopleRows([PEOPLE_COLUMNS, ['Alice'], ['Bob Jones']]).people;
+    const { tasks, errors } = parseTaskRows(
+      [TASK_COLUMNS, ['Auth', '', 'Bob Jones, alice, Carol']],
+      people,
+      [],
+    );
+
+    expect(tasks[0].assigneeIds).toEqual(['bob-jones', 'alice']);
+    expect(tasks[0].assigneeId).toBe('bob-jones');
+    expect(errors.map(e => e.message)).toEqual(['Unknown assignee "Carol" — left off the task']);
+  });
+
+  it('skips nameless and duplicate tasks', () => {
+    const { tasks, errors } = parse(
+      ['Auth', '', 'Alice'],
+      ['', 'orphan'],
+      ['Auth', 'again', 'Alice'],
+    );
+
+    expect(tasks).toHaveLength(1);
+    expect(errors.map(e => [e.row, e.level])).toEqual([[3, 'error'], [4, 'error']]);
+  });
+  it('resolves Depends On names against other rows, in any order', () => {
+    const { tasks, errors } = parse(
+      ['Deploy', '', 'Alice', '', '', '', '', '', '', 'Auth; QA, Docs'],
+      ['Auth', '', 'Alice'],
+      ['QA', '', 'Alice', '', '', '', '', '', '', 'qa'],
+    );
+
+    expect(tasks[0].dependsOn).toEqual(['auth-alice', 'qa-alice']);
+    expect(tasks[2].dependsOn).toEqual([]); // a task can't depend on itself
+    expect(errors).toEqual([
+      { sheet: 'Tasks', row: 2, level: 'warning', message: 'Unknown prerequisite "Docs" — ignored' },
+      { sheet: 'Tasks', row: 4, level: 'warning', message: 'Unknown prerequisite "qa" — ignored' },
+    ]);
+  });
+});
+
+describe('normalizeDate', () => {
+  it('accepts ISO and parseable dates only', () => {
+    expect(normalizeDate('2026-11-14')).toBe('2026-11-14');
+    expect(normalizeDate('11/14/2026')).toBe('2026-11-14');
+    expect(normalizeDate('next week')).toBe('');
+  });
+});
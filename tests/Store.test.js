@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { Store } from '../src/data/Store.js';
+import { Store, DATA_EVENTS } from '../src/data/Store.js';
+import { CONFIG } from '../src/utils/Config.js';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -76,6 +77,16 @@ describe('Store', () => {
       expect(store.getResourceTypes()).toEqual(['Design']);
     });
 
+    it('asks the adapter to pull fresh data before reading it', async () => {
+      const adapter = mockAdapter();
+      const store = new Store(adapter);
+      await store.syncFromAdapter();
+
+      expect(adapter.sync).toHaveBeenCalledTimes(1);
+      expect(adapter.sync.mock.invocationCallOrder[0])
+        .toBeLessThan(adapter.fetchPeople.mock.invocationCallOrder[0]);
+    });
+
     it('saves to localStorage after sync', async () => {
       const adapter = mockAdapter({
         people: [{ id: 'p1', name: 'Carol', role: 'Eng', color: '#abc' }],
@@ -87,14 +98,164 @@ describe('Store', () => {
       expect(localStorageMock.setItem).toHaveBeenCalled();
     });
 
-    it('emits change event after sync', async () => {
-      const adapter = mockAdapter({ people: [] });
+    it('calls data-change listeners once per sync', async () => {
+      const adapter = mockAdapter({
+        people: [{ id: 'p1', name: 'Alice' }],
+        tasks: [{ id: 't1', name: 'Auth', assigneeId: 'p1' }, { id: 't2', name: 'Docs', assigneeId: 'p1' }],
+      });
       const store = new Store(adapter);
       const listener = vi.fn();
-      store.on('change', listener);
+      store.onDataChange(listener);
 
       await store.syncFromAdapter();
       expect(listener).toHaveBeenCalledTimes(1);
+
+      await store.syncFromAdapter(); // nothing changed
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('merge sync', () => {
+    const alice = { id: 'p1', name: 'Alice', role: 'Dev', color: '#fff' };
+    const task = { id: 't1', name: 'Auth', assigneeId: 'p1', percentComplete: 20 };
+
+    async function syncedStore(data) {
+      const remote = { people: [alice], tasks: [task], milestones: [], ...data };
+      const adapter = mockAdapter(remote);
+      const store = new Store(adapter);
+      await store.syncFromAdapter();
+      return { store, adapter, remote };
+    }
+
+    function setRemote(adapter, data) {
+      adapter.fetchPeople.mockResolvedValue(data.people || []);
+      adapter.fetchTasks.mockResolvedValue(data.tasks || []);
+      adapter.fetchMilestones.mockResolvedValue(data.milestones || []);
+    }
+
+    it('keeps local edits that the source did not touch', async () => {
+      const { store, adapter } = await syncedStore();
+      store.updatePerson('p1', { role: 'Lead' });
+      setRemote(adapter, { people: [alice], tasks: [{ ...task, percentComplete: 50 }] });
+
+      await store.syncFromAdapter();
+
+      expect(store.getPerson('p1').role).toBe('Lead');
+      expect(store.getTask('t1').percentComplete).toBe(50);
+      expect(store.getDirtyFields('person', 'p1')).toEqual(['role']);
+      expect(store.getDirtyFields('task', 't1')).toEqual([]);
+    });
+
+    it('keeps local additions', async () => {
+      const { store } = await syncedStore();
+      const added = store.addTask({ name: 'Docs', assigneeId: 'p1' });
+
+      await store.syncFromAdapter();
+
+      expect(store.getTask(added.id)).toBeDefined();
+      expect(store.getDirtyFields('task', added.id)).toEqual(['*']);
+    });
+
+    it('emits granular task events instead of a blanket change', async () => {
+      const { store, adapter } = await syncedStore();
+      const events = [];
+      for (const name of ['change', 'taskAdded', 'taskRemoved', 'taskChanged']) {
+        store.on(name, (e) => events.push(e ? `${name} ${e.task.id}${e.fields ? ' ' + e.fields : ''}` : name));
+      }
+
+      await store.syncFromAdapter(); // nothing changed
+      expect(events).toEqual([]);
+
+      setRemote(adapter, {
+        people: [alice],
+        tasks: [{ ...task, percentComplete: 70 }, { id: 't2', name: 'Docs', assigneeId: 'p1' }],
+      });
+      await store.syncFromAdapter();
+      expect(events).toEqual(['taskChanged t1 percentComplete', 'taskAdded t2']);
+
+      events.length = 0;
+      setRemote(adapter, { people: [alice], tasks: [{ ...task, percentComplete: 70 }] });
+      await store.syncFromAdapter();
+      expect(events).toEqual(['taskRemoved t2']);
+    });
+
+    it('emits conflict once per new conflict and keeps the local value', async () => {
+      const { store, adapter } = await syncedStore();
+      const listener = vi.fn();
+      store.on('conflict', listener);
+
+      store.updateTask('t1', { percentComplete: 40 });
+      setRemote(adapter, { people: [alice], tasks: [{ ...task, percentComplete: 60 }] });
+      await store.syncFromAdapter();
+      await store.syncFromAdapter();
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      const [conflict] = listener.mock.calls[0][0];
+      expect(conflict.fields).toEqual([{ field: 'percentComplete', base: 20, local: 40, remote: 60 }]);
+      expect(store.getTask('t1').percentComplete).toBe(40);
+      expect(store.getConflicts()).toHaveLength(1);
+    });
+
+    it('resolves a conflict per field', async () => {
+      const { store, adapter } = await syncedStore();
+      store.updateTask('t1', { name: 'Auth (mine)', percentComplete: 40 });
+      setRemote(adapter, { people: [alice], tasks: [{ ...task, name: 'Auth (theirs)', percentComplete: 60 }] });
+      await store.syncFromAdapter();
+
+      const changed = vi.fn();
+      store.on('taskChanged', changed);
+      store.resolveConflict('task:t1', { name: 'local', percentComplete: 'remote' });
+
+      expect(store.getTask('t1')).toMatchObject({ name: 'Auth (mine)', percentComplete: 60 });
+      expect(changed.mock.calls[0][0].fields).toEqual(['percentComplete']);
+      expect(store.getConflicts()).toEqual([]);
+      expect(store.getDirtyFields('task', 't1')).toEqual(['name']);
+
+      // Kept local value wins from now on; no new conflict
+      await store.syncFromAdapter();
+      expect(store.getTask('t1').name).toBe('Auth (mine)');
+      expect(store.getConflicts()).toEqual([]);
+    });
+
+    it('resolves a remote delete of a locally edited task', async () => {
+      const { store, adapter } = await syncedStore();
+      store.updateTask('t1', { percentComplete: 90 });
+      setRemote(adapter, { people: [alice], tasks: [] });
+      await store.syncFromAdapter();
+      expect(store.getConflicts()[0].kind).toBe('deletedRemote');
+
+      const removed = vi.fn();
+      store.on('taskRemoved', removed);
+      store.resolveConflict('task:t1', 'remote');
+
+      expect(store.getTask('t1')).toBeUndefined();
+      expect(removed).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves out-of-office ranges alone when the source sends them again', async () => {
+      const away = { ...alice, outOfOffice: [{ start: '2026-10-19', end: '2026-10-23' }] };
+      // Each fetch returns fresh objects, like a real adapter
+      const people = () => [JSON.parse(JSON.stringify(away))];
+      const { store, adapter } = await syncedStore({ people: people() });
+      adapter.fetchPeople.mockImplementation(async () => people());
+      const changed = vi.fn();
+      store.on('personChanged', changed);
+
+      await store.syncFromAdapter();
+      await store.syncFromAdapter();
+
+      expect(store.getPerson('p1').outOfOffice).toEqual(away.outOfOffice);
+      expect(store.getDirtyFields('person', 'p1')).toEqual([]);
+      expect(changed).not.toHaveBeenCalled();
+    });
+
+    it('keeps resource node positions across syncs', async () => {
+      const { store, adapter } = await syncedStore();
+      store.addResourceNode({ col: 3, row: 4, resourceType: 'Backend', taskId: 't1', depleted: false });
+      setRemote(adapter, { people: [alice], tasks: [{ ...task, percentComplete: 50 }] });
+
+      await store.syncFromAdapter();
+      expect(store.getResourceNodes()).toHaveLength(1);
     });
   });
 
@@ -143,6 +304,42 @@ describe('Store', () => {
       expect(person.name).toBe('New Person');
       expect(person.role).toBe('');
       expect(person.color).toBe('#607D8B');
+      expect(person.capacity).toBe(100);
+      expect(person.outOfOffice).toEqual([]);
+    });
+
+    it('addPerson keeps availability and hands it to the calendar', () => {
+      const store = new Store(mockAdapter());
+      const person = store.addPerson({
+        name: 'Gil',
+        capacity: 50,
+        outOfOffice: [{ start: '2026-10-23', end: '2026-10-19' }],
+      });
+      expect(person.outOfOffice).toEqual([{ start: '2026-10-19', end: '2026-10-23' }]);
+      const calendar = store.getCalendar(person.id);
+      expect(calendar.capacity).toBe(0.5);
+      expect(calendar.isWorkingDay('2026-10-20')).toBe(false);
+      expect(store.getCalendar().isWorkingDay('2026-10-20')).toBe(true);
+    });
+
+    it('reuses the calendar until availability or the calendar config changes', () => {
+      const store = new Store(mockAdapter());
+      const person = store.addPerson({ name: 'Gil' });
+      const calendar = store.getCalendar(person.id);
+      expect(store.getCalendar(person.id)).toBe(calendar);
+
+      store.updatePerson(person.id, { outOfOffice: [{ start: '2026-10-20', end: '2026-10-20' }] });
+      expect(store.getCalendar(person.id)).not.toBe(calendar);
+      expect(store.getCalendar(person.id).isWorkingDay('2026-10-20')).toBe(false);
+
+      const holidays = CONFIG.HOLIDAYS;
+      CONFIG.HOLIDAYS = ['2026-10-21'];
+      try {
+        expect(store.getCalendar().isWorkingDay('2026-10-21')).toBe(false);
+      } finally {
+        CONFIG.HOLIDAYS = holidays;
+      }
+      expect(store.getCalendar().isWorkingDay('2026-10-21')).toBe(true);
     });
 
     it('updatePerson modifies existing person', () => {
@@ -162,6 +359,18 @@ describe('Store', () => {
       expect(store.getPeople()).toHaveLength(0);
       expect(store.getTasks()).toHaveLength(1); // only 'Other' remains
     });
+
+    it('removePerson keeps shared tasks with the other assignees', () => {
+      const store = new Store(mockAdapter());
+      const person = store.addPerson({ name: 'Frank' });
+      const shared = store.addTask({ name: 'Pair', assigneeIds: [person.id, 'p2'] });
+      const changed = vi.fn();
+      store.on('taskChanged', changed);
+
+      store.removePerson(person.id);
+      expect(store.getTask(shared.id)).toMatchObject({ assigneeId: 'p2', assigneeIds: ['p2'] });
+      expect(changed).toHaveBeenCalledWith({ task: store.getTask(shared.id), fields: ['assigneeId', 'assigneeIds'] });
+    });
   });
 
   describe('task mutations', () => {
@@ -172,6 +381,7 @@ describe('Store', () => {
       expect(task.discoveryPercent).toBe(50);
       expect(task.executionPercent).toBe(50);
       expect(task.percentComplete).toBe(0);
+      expect(task.dependsOn).toEqual([]);
     });
 
     it('updateTask modifies task fields', () => {
@@ -193,6 +403,18 @@ describe('Store', () => {
       expect(store.getMilestone('ms-1').taskIds).toEqual(['other']);
     });
 
+    it('removeTask drops the task from other tasks\' prerequisites', () => {
+      const store = new Store(mockAdapter());
+      const first = store.addTask({ name: 'T1', assigneeId: 'p1' });
+      const second = store.addTask({ name: 'T2', assigneeId: 'p1', dependsOn: [first.id, 'other'] });
+      const changed = vi.fn();
+      store.on('taskChanged', changed);
+
+      store.removeTask(first.id);
+      expect(store.getTask(second.id).dependsOn).toEqual(['other']);
+      expect(changed).toHaveBeenCalledWith({ task: store.getTask(second.id), fields: ['dependsOn'] });
+    });
+
     it('getTasksForPerson filters by assigneeId', () => {
       const store = new Store(mockAdapter());
       store.addTask({ name: 'A', assigneeId: 'p1' });
@@ -203,6 +425,27 @@ describe('Store', () => {
       expect(store.getTasksForPerson('p2')).toHaveLength(1);
       expect(store.getTasksForPerson('p3')).toHaveLength(0);
     });
+
+    it('shares a task between assigneeIds, keeping assigneeId as the first', () => {
+      const store = new Store(mockAdapter());
+      const task = store.addTask({ name: 'Pair', assigneeIds: ['p1', 'p2'] });
+
+      expect(task.assigneeId).toBe('p1');
+      expect(store.getTasksForPerson('p2')).toEqual([task]);
+
+      store.updateTask(task.id, { assigneeIds: ['p2', 'p3'] });
+      expect(store.getTask(task.id)).toMatchObject({ assigneeId: 'p2', assigneeIds: ['p2', 'p3'] });
+
+      // Setting assigneeId alone hands the task to that one person
+      store.updateTask(task.id, { assigneeId: 'p4' });
+      expect(store.getTask(task.id)).toMatchObject({ assigneeId: 'p4', assigneeIds: ['p4'] });
+    });
+
+    it('fills in assigneeIds for tasks that only have assigneeId', async () => {
+      const store = new Store(mockAdapter({ tasks: [{ id: 't1', name: 'Old', assigneeId: 'p1' }] }));
+      await store.syncFromAdapter();
+      expect(store.getTask('t1').assigneeIds).toEqual(['p1']);
+    });
   });
 
   describe('milestone mutations', () => {
@@ -212,6 +455,12 @@ describe('Store', () => {
       expect(ms.id).toBeDefined();
       expect(ms.name).toBe('Sprint 1');
       expect(ms.taskIds).toEqual(['t1', 't2']);
+      expect(ms.dueDate).toBe('');
+    });
+
+    it('addMilestone keeps a due date', () => {
+      const store = new Store(mockAdapter());
+      expect(store.addMilestone({ name: 'GA', dueDate: '2026-12-01' }).dueDate).toBe('2026-12-01');
     });
 
     it('removeMilestone deletes milestone', () => {
@@ -222,12 +471,121 @@ describe('Store', () => {
     });
   });
 
+  describe('data events', () => {
+    it('emits added, changed and removed events for people and milestones', () => {
+      const store = new Store(mockAdapter());
+      const events = [];
+      for (const name of DATA_EVENTS) {
+        store.on(name, (e) => events.push(`${name}${e.fields ? ' ' + e.fields : ''}`));
+      }
+
+      const person = store.addPerson({ name: 'Dave' });
+      store.updatePerson(person.id, { role: 'Designer' });
+      store.updatePerson(person.id, { role: 'Designer' }); // no change
+      const ms = store.addMilestone({ name: 'GA' });
+      store.updateMilestone(ms.id, { dueDate: '2026-12-01' });
+      store.removeMilestone(ms.id);
+      store.removePerson(person.id);
+
+      expect(events).toEqual([
+        'personAdded', 'personChanged role',
+        'milestoneAdded', 'milestoneChanged dueDate', 'milestoneRemoved',
+        'personRemoved',
+      ]);
+    });
+
+    it('batches a burst of events into one data-change call', async () => {
+      const store = new Store(mockAdapter());
+      const person = store.addPerson({ name: 'Dave' });
+      store.addTask({ name: 'A', assigneeId: person.id });
+      store.addTask({ name: 'B', assigneeId: person.id });
+      const listener = vi.fn();
+      store.onDataChange(listener);
+
+      store.removePerson(person.id); // two taskRemoved, one personRemoved
+      expect(listener).not.toHaveBeenCalled();
+      await Promise.resolve();
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('history log', () => {
+    it('logs progress on every edit and sync', async () => {
+      const adapter = mockAdapter({ tasks: [{ id: 't1', name: 'Auth', percentComplete: 20 }] });
+      const store = new Store(adapter);
+      await store.syncFromAdapter();
+      store.updateTask('t1', { percentComplete: 50 });
+
+      const history = store.getHistory();
+      await history.ready();
+      expect(history.getSeries('t1').map(e => e.percentComplete)).toEqual([20, 50]);
+    });
+  });
+
+  describe('experience', () => {
+    it('credits progress to the assignee by category and keeps it', async () => {
+      const adapter = mockAdapter({
+        people: [{ id: 'p1', name: 'Alice' }, { id: 'p2', name: 'Bob' }],
+        tasks: [{ id: 't1', name: 'Interviews', assigneeId: 'p1', category: 'Research', percentComplete: 20 }],
+      });
+      const store = new Store(adapter);
+      await store.syncFromAdapter();
+      store.updateTask('t1', { percentComplete: 50 });
+      store.updateTask('t1', { percentComplete: 40 }); // setbacks don't cost XP
+      store.updateTask('t1', { assigneeId: 'p2' });
+      store.updateTask('t1', { percentComplete: 60 });
+
+      expect(store.getExperience('p1')).toEqual({ Research: 50 });
+      expect(store.getExperience('p2')).toEqual({ Research: 20 });
+      expect(new Store(mockAdapter()).getExperience('p1')).toEqual({ Research: 50 });
+    });
+
+    it('credits every assignee of a shared task', () => {
+      const store = new Store(mockAdapter());
+      const task = store.addTask({ name: 'Pair', assigneeIds: ['p1', 'p2'], category: 'Design' });
+      store.updateTask(task.id, { percentComplete: 30 });
+
+      expect(store.getExperience('p1')).toEqual({ Design: 30 });
+      expect(store.getExperience('p2')).toEqual({ Design: 30 });
+    });
+
+    it('turns XP into skills and a speed multiplier', () => {
+      const store = new Store(mockAdapter());
+      for (let i = 0; i < 6; i++) {
+        store.addTask({ name: `Study ${i}`, assigneeId: 'p1', category: 'Research', percentComplete: 100 });
+      }
+
+      expect(store.getSkills('p1')).toMatchObject([{ category: 'Research', xp: 600, level: 4 }]);
+      expect(store.getSkillMultiplier('p1', 'Research')).toBeCloseTo(1.15);
+      expect(store.getSkillMultiplier('p1', 'Design')).toBe(1);
+    });
+  });
+
   describe('map state', () => {
-    it('setTileRevealed adds tile keys', () => {
+    it('persists exploration state without a data event', async () => {
+      const store = new Store(mockAdapter());
+      const listener = vi.fn();
+      store.onDataChange(listener);
+      const state = { width: 4, height: 4, revealed: 'AQA=', cleared: 'AAA=' };
+
+      store.saveExplorationState(state);
+      expect(new Store(mockAdapter()).getExplorationState()).toEqual(state);
+      expect(listener).not.toHaveBeenCalled();
+
+      store.resetExploration();
+      expect(new Store(mockAdapter()).getExplorationState()).toBeNull();
+      await Promise.resolve();
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('drops the legacy revealedTiles list on load', () => {
+      localStorageMock.setItem('workrpg-data-v3', JSON.stringify({
+        people: [], tasks: [], milestones: [], resourceTypes: [],
+        mapState: { revealedTiles: ['5,10'], resourceNodes: [] },
+      }));
       const store = new Store(mockAdapter());
-      store.setTileRevealed(5, 10);
-      store.setTileRevealed(5, 10); // duplicate
-      expect(store.getRevealedTiles()).toEqual(['5,10']);
+      expect(store.getExplorationState()).toBeNull();
+      expect(store._data.mapState.revealedTiles).toBeUndefined();
     });
 
     it('addResourceNode adds node, deduplicates by taskId', () => {
@@ -246,6 +604,87 @@ describe('Store', () => {
     });
   });
 
+  describe('write-back', () => {
+    function writableAdapter(data = {}, push = async ops => ops.map(op => ({ id: op.id, ok: true }))) {
+      return { ...mockAdapter(data), canWrite: () => true, push: vi.fn(push) };
+    }
+
+    it('does not queue edits for read-only adapters', () => {
+      const store = new Store(mockAdapter());
+      store.addPerson({ name: 'Alice' });
+      expect(store.getQueuedWrites()).toEqual([]);
+    });
+
+    it('pushes edits to a writable adapter', async () => {
+      const adapter = writableAdapter();
+      const store = new Store(adapter);
+      const person = store.addPerson({ name: 'Alice' });
+      await store.flushWrites();
+
+      expect(adapter.push).toHaveBeenCalledTimes(1);
+      const [ops, context] = adapter.push.mock.calls[0];
+      expect(ops[0]).toMatchObject({ entity: 'person', action: 'create', entityId: person.id });
+      expect(context.people).toContain(person);
+      expect(store.getQueuedWrites()).toEqual([]);
+    });
+
+    it('records the task deletes implied by removePerson', async () => {
+      const adapter = writableAdapter({
+        people: [{ id: 'p1', name: 'Alice' }],
+        tasks: [{ id: 't1', name: 'Auth', assigneeId: 'p1' }],
+      });
+      const store = new Store(adapter);
+      await store.syncFromAdapter();
+
+      store.removePerson('p1');
+      await store.flushWrites();
+
+      const sent = adapter.push.mock.calls.flatMap(([ops]) => ops.map(op => `${op.action} ${op.entity}`));
+      expect(sent).toEqual(['delete task', 'delete person']);
+    });
+
+    it('keeps edits queued and visible while the source is unreachable', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const adapter = writableAdapter(
+        { people: [{ id: 'p1', name: 'Alice' }] },
+        async () => { throw new Error('offline'); },
+      );
+      const store = new Store(adapter);
+      await store.syncFromAdapter();
+
+      store.updatePerson('p1', { name: 'Alicia' });
+      await store.syncFromAdapter();
+
+      expect(store.getQueuedWrites()[0].status).toBe('pending');
+      expect(store.getPerson('p1').name).toBe('Alicia'); // not overwritten by the pull
+      warnSpy.mockRestore();
+    });
+
+    it('reports rejected rows and lets them be retried or discarded', async () => {
+      let accept = false;
+      const adapter = writableAdapter({}, async ops => ops.map(op => (
+        accept ? { id: op.id, ok: true } : { id: op.id, ok: false, error: 'Row not found' }
+      )));
+      const store = new Store(adapter);
+      const listener = vi.fn();
+      store.on('writes', listener);
+
+      store.addMilestone({ name: 'Beta' });
+      await store.flushWrites();
+      const [failed] = store.getQueuedWrites();
+      expect(failed).toMatchObject({ status: 'failed', error: 'Row not found' });
+      expect(listener).toHaveBeenCalled();
+
+      // Failed ops aren't resent automatically
+      await store.flushWrites();
+      expect(adapter.push).toHaveBeenCalledTimes(1);
+
+      accept = true;
+      await store.retryWrite(failed.id);
+      expect(store.getQueuedWrites()).toEqual([]);
+    });
+  });
+
   describe('resetToSeed', () => {
     it('clears all data and localStorage', () => {
       const store = new Store(mockAdapter());
@@ -253,7 +692,7 @@ describe('Store', () => {
       store.addTask({ name: 'Task', assigneeId: 'p1' });
 
       const listener = vi.fn();
-      store.on('change', listener);
+      store.on('taskRemoved', listener);
 
       store.resetToSeed();
       expect(store.getPeople()).toHaveLength(0);
@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { SyncLoop } from '../src/data/SyncLoop.js';
+import { Store } from '../src/data/Store.js';
+import { GoogleSheetsAdapter } from '../src/data/GoogleSheetsAdapter.js';
+import { CONFIG } from '../src/utils/Config.js';
+
+function makeStore(results) {
+  const store = {
+    calls: 0,
+    async syncFromAdapter() {
+      const ok = results[store.calls++] ?? true;
+      if (!ok) throw new Error('offline');
+    },
+  };
+  return store;
+}
+
+describe('SyncLoop', () => {
+  beforeEach(() => vi.useFakeTimers());
+  afterEach(() => vi.useRealTimers());
+
+  it('syncs on the interval while healthy', async () => {
+    const store = makeStore([]);
+    const loop = new SyncLoop(store, { intervalMs: 60000, retryMs: 5000 });
+    loop.start();
+
+    await vi.advanceTimersByTimeAsync(59000);
+    expect(store.calls).toBe(0);
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(store.calls).toBe(1);
+    await vi.advanceTimersByTimeAsync(60000);
+    expect(store.calls).toBe(2);
+    loop.stop();
+  });
+
+  it('retries sooner after failures, backing off, then recovers', async () => {
+    const store = makeStore([false, false, true]);
+    const loop = new SyncLoop(store, { intervalMs: 60000, retryMs: 5000 });
+    const errors = [];
+    let recovered = 0;
+    loop.onError((err, failures) => errors.push(failures));
+    loop.onRecover(() => recovered++);
+    loop.start({ now: true });
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(store.calls).toBe(1);
+    expect(loop.retryDelay()).toBe(5000);
+
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(store.calls).toBe(2);
+    expect(loop.retryDelay()).toBe(10000);
+
+    await vi.advanceTimersByTimeAsync(10000);
+    expect(store.calls).toBe(3);
+    expect(errors).toEqual([1, 2]);
+    expect(recovered).toBe(1);
+    expect(loop.getFailureCount()).toBe(0);
+    loop.stop();
+  });
+
+  it('never waits longer than the interval between retries', () => {
+    const loop = new SyncLoop(makeStore([]), { intervalMs: 30000, retryMs: 5000 });
+    loop._failures = 10;
+    expect(loop.retryDelay()).toBe(30000);
+  });
+
+  it('stops scheduling once stopped', async () => {
+    const store = makeStore([]);
+    const loop = new SyncLoop(store, { intervalMs: 1000, retryMs: 500 });
+    loop.start();
+    loop.stop();
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(store.calls).toBe(0);
+  });
+});
+
+describe('SyncLoop with a real adapter', () => {
+  beforeEach(() => {
+    const saved = {};
+    vi.stubGlobal('localStorage', {
+      getItem: key => saved[key] ?? null,
+      setItem: (key, value) => { saved[key] = value; },
+      removeItem: key => { delete saved[key]; },
+    });
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    CONFIG.GOOGLE_SHEET_ID = 'sheet-123';
+  });
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    CONFIG.GOOGLE_SHEET_ID = '';
+  });
+
+  it('backs off when the source cannot be fetched', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => { throw new TypeError('Failed to fetch'); }));
+    const store = new Store(new GoogleSheetsAdapter());
+    await expect(store.syncFromAdapter()).rejects.toThrow('Failed to fetch');
+
+    vi.useFakeTimers();
+    const loop = new SyncLoop(store, { intervalMs: 60000, retryMs: 5000 });
+    const errors = [];
+    loop.onError((err, failures) => errors.push(failures));
+    loop.start({ now: true });
+    await vi.advanceTimersByTimeAsync(5000);
+    loop.stop();
+    vi.useRealTimers();
+
+    expect(errors).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { mergeCollection, changedFields } from '../src/data/SyncMerge.js';
+
+const task = { id: 't1', name: 'Auth', percentComplete: 20, category: 'Backend' };
+
+describe('mergeCollection', () => {
+  it('takes each side’s edits to different fields', () => {
+    const local = [{ ...task, name: 'Auth v2' }];
+    const remote = [{ ...task, percentComplete: 60 }];
+    const { records, base, conflicts } = mergeCollection('task', [task], local, remote);
+
+    expect(records).toEqual([{ ...task, name: 'Auth v2', percentComplete: 60 }]);
+    expect(base).toEqual(remote);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('reports fields edited differently on both sides and keeps the local value', () => {
+    const local = [{ ...task, percentComplete: 40 }];
+    const remote = [{ ...task, percentComplete: 60 }];
+    const { records, base, conflicts } = mergeCollection('task', [task], local, remote);
+
+    expect(records[0].percentComplete).toBe(40);
+    expect(base[0].percentComplete).toBe(20); // unresolved — found again next sync
+    expect(conflicts).toEqual([{
+      id: 'task:t1', entity: 'task', entityId: 't1', name: 'Auth', kind: 'changed',
+      fields: [{ field: 'percentComplete', base: 20, local: 40, remote: 60 }],
+      local: local[0], remote: remote[0],
+    }]);
+  });
+
+  it('accepts identical edits on both sides', () => {
+    const edited = { ...task, percentComplete: 60 };
+    const { conflicts } = mergeCollection('task', [task], [edited], [{ ...edited }]);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('keeps additions from both sides', () => {
+    const mine = { id: 't2', name: 'Local' };
+    const theirs = { id: 't3', name: 'Remote' };
+    const { records, base } = mergeCollection('task', [task], [task, mine], [task, theirs]);
+
+    expect(records.map(r => r.id)).toEqual(['t1', 't3', 't2']);
+    expect(base.map(r => r.id)).toEqual(['t1', 't3']); // local addition isn't synced yet
+  });
+
+  it('applies untouched deletes from either side', () => {
+    const other = { id: 't2', name: 'Docs' };
+    const { records } = mergeCollection('task', [task, other], [task], [other]);
+    expect(records).toEqual([]);
+  });
+
+  it('flags deletes of records edited on the other side', () => {
+    const edited = { ...task, name: 'Auth v2' };
+
+    const remoteDelete = mergeCollection('task', [task], [edited], []);
+    expect(remoteDelete.records).toEqual([edited]);
+    expect(remoteDelete.conflicts[0].kind).toBe('deletedRemote');
+
+    const localDelete = mergeCollection('task', [task], [], [edited]);
+    expect(localDelete.records).toEqual([]);
+    expect(localDelete.conflicts[0]).toMatchObject({ kind: 'deletedLocal', remote: edited });
+  });
+
+  it('merges array fields as sets', () => {
+    const ms = { id: 'm1', name: 'Beta', taskIds: ['a', 'b'] };
+    const local = [{ ...ms, taskIds: ['a', 'b', 'c'] }];   // added c
+    const remote = [{ ...ms, taskIds: ['b', 'd'] }];       // removed a, added d
+    const { records, conflicts } = mergeCollection('milestone', [ms], local, remote);
+
+    expect(records[0].taskIds).toEqual(['b', 'c', 'd']);
+    expect(conflicts).toEqual([]);
+  });
+});
+
+describe('changedFields', () => {
+  it('lists fields that differ', () => {
+    expect(changedFields({ ...task, name: 'X', percentComplete: 30 }, task)).toEqual(['name', 'percentComplete']);
+    expect(changedFields(task, undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest';
+import { getBlockingTasks, isTaskBlocked, getDependentIds } from '../src/data/TaskGraph.js';
+
+const tasks = [
+  { id: 'spec', percentComplete: 100 },
+  { id: 'api', percentComplete: 40, dependsOn: ['spec'] },
+  { id: 'ui', percentComplete: 0, dependsOn: ['api', 'spec'] },
+  { id: 'launch', percentComplete: 0, dependsOn: ['ui', 'deleted'] },
+];
+
+describe('TaskGraph', () => {
+  it('blocks a task until every prerequisite is complete', () => {
+    expect(isTaskBlocked(tasks[0], tasks)).toBe(false);
+    expect(isTaskBlocked(tasks[1], tasks)).toBe(false);
+    expect(getBlockingTasks(tasks[2], tasks).map(t => t.id)).toEqual(['api']);
+  });
+
+  it('ignores prerequisites that no longer exist', () => {
+    expect(getBlockingTasks(tasks[3], tasks).map(t => t.id)).toEqual(['ui']);
+  });
+
+  it('finds direct and indirect dependents', () => {
+    expect([...getDependentIds('spec', tasks)].sort()).toEqual(['api', 'launch', 'ui']);
+    expect(getDependentIds('launch', tasks).size).toBe(0);
+  });
+});
@@ -216,4 +216,37 @@ describe('TerrainGenerator', () => {
       expect(tile.structureId).toBe('ms-1');
     });
   });
+
+  describe('removal', () => {
+    it('frees a resource node tile for pathfinding', () => {
+      const grid = new GameGrid(40, 40);
+      const gen = new TerrainGenerator();
+      gen.generate(grid);
+
+      const node = gen.placeResourceNode(grid, { id: 't1', category: 'Design', discoveryPercent: 50, percentComplete: 0 });
+      gen.removeResourceNode(grid, node);
+
+      const tile = grid.getTile(node.col, node.row);
+      expect(tile.resourceNodeId).toBe(null);
+      expect(grid.isWalkable(node.col, node.row)).toBe(true);
+    });
+
+    it('unblocks exactly the tiles a structure blocked', () => {
+      const grid = new GameGrid(40, 40);
+      const gen = new TerrainGenerator();
+      gen.generate(grid);
+
+      const structure = gen.placeStructure(grid, { id: 'ms-1', name: 'Test', taskIds: [] });
+      expect(structure.footprint[0]).toEqual({ col: structure.col, row: structure.row });
+      for (const { col, row } of structure.footprint) {
+        expect(grid.getTile(col, row).blocked).toBe(true);
+      }
+
+      gen.removeStructure(grid, structure);
+      expect(grid.getTile(structure.col, structure.row).structureId).toBe(null);
+      for (const { col, row } of structure.footprint) {
+        expect(grid.getTile(col, row).blocked).toBe(false);
+      }
+    });
+  });
 });
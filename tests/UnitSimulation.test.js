@@ -0,0 +1,311 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { UnitSimulation, FIXED_DT } from '../src/units/UnitSimulation.js';
+import { runSimulation } from '../src/units/SimulationRunner.js';
+import { UnitStates } from '../src/units/UnitState.js';
+import { GameGrid } from '../src/map/GameGrid.js';
+import { BaseLayout } from '../src/map/BaseLayout.js';
+import { Store } from '../src/data/Store.js';
+import { SeedAdapter } from '../src/data/SeedAdapter.js';
+
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn(key => store[key] ?? null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn(key => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+vi.stubGlobal('localStorage', localStorageMock);
+
+beforeEach(() => {
+  localStorageMock.clear();
+});
+
+const NOW = new Date('2026-10-10T12:00:00');
+
+function task(id, fields = {}) {
+  return {
+    id,
+    name: id,
+    assigneeId: 'p1',
+    percentComplete: 100,
+    discoveryPercent: 40,
+    expectedDate: '',
+    milestoneId: null,
+    dependsOn: [],
+    ...fields,
+  };
+}
+
+async function makeStore(tasks, people = [{ id: 'p1', name: 'Alice', role: 'Dev', color: '#fff' }], milestones = []) {
+  const adapter = {
+    fetchPeople: async () => people,
+    fetchTasks: async () => tasks,
+    fetchMilestones: async () => milestones,
+    fetchResourceTypes: async () => [],
+    sync: async () => {},
+  };
+  const store = new Store(adapter);
+  await store.syncFromAdapter();
+  return store;
+}
+
+// 24×24 open map, base in the middle, everything near it explored
+function makeWorld(store, { seed = 1, nodes = [], reveal = 24 } = {}) {
+  const grid = new GameGrid(24, 24);
+  grid.revealTilesInRadius(12, 12, reveal);
+  const base = new BaseLayout(grid, 12, 12, 3);
+  const sim = new UnitSimulation(grid, store, base, { seed, clock: () => NOW });
+  sim.setResourceNodePositions(nodes);
+  sim.refresh();
+  for (const person of store.getPeople()) {
+    sim.markSpawned(person.id, base.getSpawnPosition(0, 1));
+  }
+  return sim;
+}
+
+function runSteps(sim, steps) {
+  for (let i = 0; i < steps; i++) sim.step();
+}
+
+describe('UnitSimulation', () => {
+  it('gathers overdue tasks first', async () => {
+    const store = await makeStore([
+      task('later', { expectedDate: '2026-12-01' }),
+      task('late', { expectedDate: '2026-10-01' }),
+    ]);
+    const sim = makeWorld(store, {
+      nodes: [{ taskId: 'later', col: 18, row: 12 }, { taskId: 'late', col: 6, row: 12 }],
+    });
+
+    expect(sim.getUnitState('p1').assignedTaskId).toBe('late');
+
+    let steps = 0;
+    while (sim.progress.get('late') === 0 && steps < 3000) {
+      sim.step();
+      steps++;
+    }
+    expect(sim.progress.get('late')).toBeGreaterThan(0);
+    expect(sim.progress.get('later')).toBe(0);
+  });
+
+  it('never advances progress past the real value', async () => {
+    const store = await makeStore([task('t1', { percentComplete: 30 })]);
+    const sim = makeWorld(store, { nodes: [{ taskId: 't1', col: 15, row: 12 }] });
+
+    runSteps(sim, 2 * 60 * 60); // two simulated minutes
+    expect(sim.progress.get('t1')).toBe(30);
+    expect(store.getTask('t1').percentComplete).toBe(30);
+  });
+
+  it('starts from the real progress after catchUp(), with finished nodes worked out', async () => {
+    const store = await makeStore([task('done'), task('half', { percentComplete: 50 })]);
+    const sim = makeWorld(store, { nodes: [{ taskId: 'done', col: 15, row: 12 }, { taskId: 'half', col: 9, row: 12 }] });
+    const depleted = [];
+    sim.on('nodeDepleted', e => depleted.push(e));
+
+    sim.catchUp();
+    expect(sim.progress.get('done')).toBe(100);
+    expect(sim.progress.get('half')).toBe(50);
+    expect(depleted).toEqual([{ taskId: 'done', permanent: true }]);
+    expect(sim.isNodeAvailable('done')).toBe(false);
+  });
+
+  it('keeps a gathered node unavailable until it regrows', async () => {
+    const store = await makeStore([task('t1')]);
+    const sim = makeWorld(store, { nodes: [{ taskId: 't1', col: 15, row: 12 }] });
+    const depleted = [];
+    sim.on('nodeDepleted', e => depleted.push(e));
+
+    let steps = 0;
+    while (depleted.length === 0 && steps < 3000) {
+      sim.step();
+      steps++;
+    }
+    expect(depleted).toEqual([{ taskId: 't1', permanent: false }]);
+    expect(sim.isNodeAvailable('t1')).toBe(false);
+    expect(sim.getUnitState('p1').carryingResource).toEqual({ type: 'Resource', taskId: 't1' });
+  });
+
+  it('sends co-assignees to gather a shared node together, faster than alone', async () => {
+    const people = [
+      { id: 'p1', name: 'Alice', role: 'Dev', color: '#fff' },
+      { id: 'p2', name: 'Bob', role: 'Dev', color: '#000' },
+    ];
+    const stepsToDeplete = async (assigneeIds) => {
+      const store = await makeStore([task('t1', { assigneeIds })], people);
+      const sim = makeWorld(store, { nodes: [{ taskId: 't1', col: 15, row: 12 }] });
+      let depleted = false;
+      sim.on('nodeDepleted', () => { depleted = true; });
+      let steps = 0;
+      let crew = [];
+      while (!depleted && steps < 3000) {
+        sim.step();
+        steps++;
+        const gathering = ['p1', 'p2'].filter(id => sim.getUnitState(id).state === UnitStates.GATHERING);
+        if (gathering.length > 0) crew = gathering.map(id => ({ ...sim.getUnit(id).position }));
+      }
+      return { sim, steps, crew };
+    };
+
+    const solo = await stepsToDeplete(['p1']);
+    const pair = await stepsToDeplete(['p1', 'p2']);
+
+    expect(pair.crew).toHaveLength(2);
+    expect(Math.hypot(pair.crew[0].x - pair.crew[1].x, pair.crew[0].z - pair.crew[1].z)).toBeGreaterThan(0.3);
+    expect(pair.steps).toBeLessThan(solo.steps);
+    // Each carries half a load
+    expect(pair.sim.getUnitState('p1').carryingResource).toMatchObject({ taskId: 't1', share: 0.5 });
+    expect(pair.sim.getUnitState('p2').carryingResource).toMatchObject({ taskId: 't1', share: 0.5 });
+  });
+
+  it('sends units home to rest while off duty and back to work after', async () => {
+    const store = await makeStore([task('t1')]);
+    const sim = makeWorld(store, { nodes: [{ taskId: 't1', col: 20, row: 12 }] });
+    runSteps(sim, 30);
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.MOVING_TO_RESOURCE);
+
+    sim.setOffDuty(true);
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.RESTING);
+    runSteps(sim, 20 * 60);
+    const deposit = sim.base.getDepositPosition();
+    const position = sim.getUnit('p1').position;
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.RESTING);
+    expect(Math.hypot(position.x - deposit.x, position.z - deposit.z)).toBeLessThan(1.5);
+
+    sim.setOffDuty(false);
+    runSteps(sim, 2);
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.MOVING_TO_RESOURCE);
+  });
+
+  it('delivers a load to its milestone before resting off duty', async () => {
+    const store = await makeStore(
+      [task('t1', { milestoneId: 'm1' })],
+      undefined,
+      [{ id: 'm1', name: 'Launch', taskIds: ['t1'] }],
+    );
+    const sim = makeWorld(store, { nodes: [{ taskId: 't1', col: 16, row: 12 }] });
+    sim.setStructurePositions([{ milestoneId: 'm1', col: 20, row: 16 }]);
+
+    let steps = 0;
+    while (sim.getUnitState('p1').state !== UnitStates.MOVING_TO_STRUCTURE && steps < 3000) {
+      sim.step();
+      steps++;
+    }
+    expect(sim.getUnitState('p1').carryingResource).toEqual({ type: 'Resource', taskId: 't1' });
+
+    sim.setOffDuty(true);
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.MOVING_TO_STRUCTURE);
+    steps = 0;
+    while (sim.progress.get('t1') === 0 && steps < 3000) {
+      sim.step();
+      steps++;
+    }
+    expect(sim.progress.get('t1')).toBeGreaterThan(0);
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.RESTING);
+    expect(sim.getUnitState('p1').carryingResource).toBeNull();
+  });
+
+  it('keeps someone out of office at the base until their absence ends', async () => {
+    let now = NOW;
+    const store = await makeStore([task('t1')], [
+      { id: 'p1', name: 'Alice', role: 'Dev', color: '#fff', outOfOffice: [{ start: '2026-10-12', end: '2026-10-13' }] },
+    ]);
+    const grid = new GameGrid(24, 24);
+    grid.revealTilesInRadius(12, 12, 24);
+    const base = new BaseLayout(grid, 12, 12, 3);
+    const sim = new UnitSimulation(grid, store, base, { clock: () => now });
+    sim.setResourceNodePositions([{ taskId: 't1', col: 20, row: 12 }]);
+    sim.refresh();
+    sim.markSpawned('p1', base.getSpawnPosition(0, 1));
+    runSteps(sim, 30);
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.MOVING_TO_RESOURCE);
+
+    now = new Date('2026-10-12T10:00:00');
+    runSteps(sim, 60);
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.VACATION);
+    expect(sim.getUnitState('p1').lastDayAway).toBe('2026-10-13');
+    runSteps(sim, 20 * 60);
+    const deposit = sim.base.getDepositPosition();
+    const position = sim.getUnit('p1').position;
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.VACATION);
+    expect(Math.hypot(position.x - deposit.x, position.z - deposit.z)).toBeLessThan(1.5);
+
+    now = new Date('2026-10-14T10:00:00');
+    runSteps(sim, 60);
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.MOVING_TO_RESOURCE);
+  });
+
+  it('gives the same run for the same seed', async () => {
+    const positions = async () => {
+      const store = await makeStore([], [
+        { id: 'p1', name: 'Alice', role: 'Dev', color: '#fff' },
+        { id: 'p2', name: 'Bob', role: 'Dev', color: '#000' },
+      ]);
+      const sim = makeWorld(store, { seed: 7, reveal: 5 });
+      runSteps(sim, 600);
+      return ['p1', 'p2'].map(id => ({ ...sim.getUnit(id).position, state: sim.getUnitState(id).state }));
+    };
+
+    const first = await positions();
+    expect(first.some(p => p.state === UnitStates.SCOUTING)).toBe(true);
+    expect(await positions()).toEqual(first);
+  });
+
+  it('steps at a fixed timestep', async () => {
+    const sim = makeWorld(await makeStore([]));
+    sim.update(0.01);
+    expect(sim.getElapsed()).toBe(0);
+    sim.update(0.01);
+    expect(sim.getElapsed()).toBe(FIXED_DT);
+  });
+
+  it('leaves units without a position until they are spawned', async () => {
+    const store = await makeStore([task('t1')]);
+    const grid = new GameGrid(24, 24);
+    const sim = new UnitSimulation(grid, store, new BaseLayout(grid, 12, 12, 3), { clock: () => NOW });
+    sim.refresh();
+    runSteps(sim, 10);
+
+    expect(sim.isSpawned('p1')).toBe(false);
+    expect(sim.getUnit('p1').position).toBeNull();
+    expect(sim.getUnitState('p1').state).toBe(UnitStates.IDLE);
+  });
+});
+
+describe('runSimulation', () => {
+  it('samples unit states and progress every sim hour', async () => {
+    const store = new Store(new SeedAdapter());
+    await store.syncFromAdapter();
+    const start = new Date('2026-10-10T09:00:00Z');
+    const trace = runSimulation({ store, hours: 2, seed: 3, start });
+
+    expect(trace.samples.map(s => s.hour)).toEqual([0, 1, 2]);
+    expect(trace.samples[2].time).toBe('2026-10-10T11:00:00.000Z');
+    expect(trace.samples[0].units).toHaveLength(store.getPeople().length);
+    expect(Object.keys(trace.samples[0].tasks)).toHaveLength(store.getTasks().length);
+    for (const t of store.getTasks()) {
+      expect(trace.samples[2].tasks[t.id]).toBeLessThanOrEqual(t.percentComplete);
+    }
+  });
+
+  it('gives the same trace whatever day it runs on', async () => {
+    const start = new Date('2026-01-05T09:00:00Z');
+    const run = async (today) => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(today));
+      try {
+        localStorageMock.clear();
+        const store = new Store(new SeedAdapter({ today: start }));
+        await store.syncFromAdapter();
+        return runSimulation({ store, hours: 3, seed: 7, start });
+      } finally {
+        vi.useRealTimers();
+      }
+    };
+
+    expect(await run('2025-06-02T10:00:00Z')).toEqual(await run('2026-10-19T16:00:00Z'));
+  });
+});
@@ -2,8 +2,8 @@ import { describe, it, expect } from 'vitest';
 import { UnitStates, UnitStateLabels, UnitStateMachine } from '../src/units/UnitState.js';
 
 describe('UnitStates', () => {
-  it('defines 9 states', () => {
-    expect(Object.keys(UnitStates)).toHaveLength(9);
+  it('defines 10 states', () => {
+    expect(Object.keys(UnitStates)).toHaveLength(10);
   });
 
   it('every state has a label', () => {
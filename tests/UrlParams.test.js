@@ -0,0 +1,50 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { parseUrlParams, applyUrlParams } from '../src/utils/UrlParams.js';
+import { CONFIG } from '../src/utils/Config.js';
+
+describe('parseUrlParams', () => {
+  it('reads a kiosk wall-screen setup', () => {
+    const parsed = parseUrlParams('?mode=kiosk&source=google-sheets&sheet=abc123&tour=1&timeOfDay=real');
+    expect(parsed.kiosk).toBe(true);
+    expect(parsed.hideUI).toBe(true);
+    expect(parsed.tour).toBe(true);
+    expect(parsed.config).toEqual({ DATA_SOURCE: 'google-sheets', GOOGLE_SHEET_ID: 'abc123', TIME_OF_DAY: 'real' });
+    expect(parsed.warnings).toEqual([]);
+  });
+
+  it('defaults to the normal interactive app', () => {
+    const parsed = parseUrlParams('');
+    expect(parsed).toEqual({ config: {}, kiosk: false, hideUI: false, tour: false, warnings: [] });
+  });
+
+  it('takes the sheet ID out of a pasted sheet URL', () => {
+    const url = 'https://docs.google.com/spreadsheets/d/1AbC_dEf/edit#gid=0';
+    expect(parseUrlParams(`?sheet=${encodeURIComponent(url)}`).config.GOOGLE_SHEET_ID).toBe('1AbC_dEf');
+  });
+
+  it('reads flags, other sources and the sync interval', () => {
+    const parsed = parseUrlParams('?hideUI=true&tour=0&source=github&repo=acme/app&sync=30');
+    expect(parsed.kiosk).toBe(false);
+    expect(parsed.hideUI).toBe(true);
+    expect(parsed.tour).toBe(false);
+    expect(parsed.config).toEqual({ DATA_SOURCE: 'github', GITHUB_REPO: 'acme/app', SYNC_INTERVAL_MS: 30000 });
+  });
+
+  it('skips bad values with a warning', () => {
+    const parsed = parseUrlParams('?source=trello&sync=soon&timeOfDay=dusk&mode=tv');
+    expect(parsed.config).toEqual({});
+    expect(parsed.kiosk).toBe(false);
+    expect(parsed.warnings).toHaveLength(4);
+  });
+});
+
+describe('applyUrlParams', () => {
+  const original = { ...CONFIG };
+  afterEach(() => Object.assign(CONFIG, original));
+
+  it('overrides CONFIG', () => {
+    applyUrlParams(parseUrlParams('?source=jira&jql=project%20%3D%20WEB'));
+    expect(CONFIG.DATA_SOURCE).toBe('jira');
+    expect(CONFIG.JIRA_JQL).toBe('project = WEB');
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { WorkCalendar } from '../src/data/WorkCalendar.js';
+
+const calendar = new WorkCalendar({
+  weekendDays: [0, 6],
+  holidays: ['2026-12-25'],
+  outOfOffice: { p1: [{ start: '2026-10-19', end: '2026-10-21' }] },
+});
+
+describe('WorkCalendar', () => {
+  it('skips weekends and holidays', () => {
+    expect(calendar.isWorkingDay('2026-10-16')).toBe(true);  // Friday
+    expect(calendar.isWorkingDay('2026-10-17')).toBe(false); // Saturday
+    expect(calendar.isWorkingDay('2026-10-18')).toBe(false); // Sunday
+    expect(calendar.isWorkingDay('2026-12-25')).toBe(false); // holiday, a Friday
+    expect(calendar.isWorkingDay('not a date')).toBe(false);
+  });
+
+  it('skips a person\'s out-of-office days only in their view', () => {
+    const p1 = calendar.forPerson('p1');
+    expect(calendar.isWorkingDay('2026-10-20')).toBe(true);
+    expect(p1.isWorkingDay('2026-10-20')).toBe(false);
+    expect(p1.isWorkingDay('2026-10-22')).toBe(true);
+    expect(calendar.forPerson('p2').isWorkingDay('2026-10-20')).toBe(true);
+    expect(calendar.isOutOfOffice('p1', '2026-10-21')).toBe(true);
+    expect(calendar.isOutOfOffice('p1', new Date(2026, 9, 22, 9))).toBe(false);
+  });
+
+  it('counts working days elapsed since a date, with today\'s fraction', () => {
+    expect(calendar.workingDaysElapsed('2026-10-15', new Date(2026, 9, 16, 12))).toBeCloseTo(1.5);
+    // The weekend adds nothing
+    expect(calendar.workingDaysElapsed('2026-10-15', new Date(2026, 9, 18, 12))).toBe(2);
+    expect(calendar.workingDaysElapsed('2026-10-20', new Date(2026, 9, 16, 12))).toBe(0);
+    expect(calendar.workingDaysElapsed('', new Date(2026, 9, 16))).toBeNull();
+  });
+
+  it('counts working days until a date, negative once passed', () => {
+    const friday = new Date(2026, 9, 16, 12);
+    expect(calendar.workingDaysUntil('2026-10-19', friday)).toBe(1);
+    expect(calendar.workingDaysUntil('2026-10-16', friday)).toBe(0);
+    expect(calendar.workingDaysUntil('2026-10-12', friday)).toBe(-4);
+    expect(calendar.workingDaysBetween('2026-10-16', '2026-10-19')).toBe(1);
+    expect(calendar.workingDaysBetween('2026-10-19', '2026-10-16')).toBe(-1);
+  });
+
+  it('adds working days', () => {
+    const friday = new Date(2026, 9, 16, 12);
+    expect(calendar.addWorkingDays(friday, 1)).toBe('2026-10-19');
+    expect(calendar.addWorkingDays(friday, 0.2)).toBe('2026-10-16'); // fits in the rest of Friday
+    expect(calendar.addWorkingDays(friday, 0.7)).toBe('2026-10-19');
+    expect(calendar.addWorkingDays(friday, 0)).toBe('2026-10-16');
+    expect(calendar.forPerson('p1').addWorkingDays(friday, 1)).toBe('2026-10-22');
+    expect(new WorkCalendar({ weekendDays: [0, 1, 2, 3, 4, 5, 6] }).addWorkingDays(friday, 1)).toBeNull();
+  });
+
+  it('dates days in the team\'s time zone', () => {
+    const instant = new Date('2026-10-16T20:00:00Z');
+    expect(new WorkCalendar({ timeZone: 'Asia/Kolkata' }).dateKey(instant)).toBe('2026-10-17');
+    expect(new WorkCalendar({ timeZone: 'America/Los_Angeles' }).dateKey(instant)).toBe('2026-10-16');
+    // Still Friday in Los Angeles, so a Friday task is due today there
+    const la = new WorkCalendar({ timeZone: 'America/Los_Angeles' });
+    expect(la.workingDaysUntil('2026-10-16', instant)).toBe(0);
+    expect(la.workingDaysElapsed('2026-10-16', instant)).toBeCloseTo(13 / 24);
+  });
+});
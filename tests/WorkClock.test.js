@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { WorkClock, compressWorkday } from '../src/utils/WorkClock.js';
+import { WorkCalendar } from '../src/data/WorkCalendar.js';
+
+const calendar = new WorkCalendar({ weekendDays: [0, 6], holidays: ['2026-12-25'] });
+
+function makeClock(mode, date) {
+  return new WorkClock({
+    mode,
+    hourRate: 0.2,
+    workDayStart: 9,
+    workDayEnd: 17,
+    calendar,
+    now: () => date,
+  });
+}
+
+describe('compressWorkday', () => {
+  it('spreads office hours over daylight and the rest over night', () => {
+    expect(compressWorkday(9, 9, 17)).toBe(6);
+    expect(compressWorkday(13, 9, 17)).toBe(12);
+    expect(compressWorkday(17, 9, 17)).toBe(18);
+    expect(compressWorkday(5, 9, 17)).toBe(3);            // three quarters through the night
+    expect(compressWorkday(1, 9, 17)).toBe(0);            // midnight of the sun clock
+  });
+});
+
+describe('WorkClock', () => {
+  it('runs its own fast day in accelerated mode', () => {
+    const clock = makeClock('accelerated', new Date(2026, 9, 17, 23));
+    expect(clock.getHour()).toBe(6);
+    clock.update(10);
+    expect(clock.getHour()).toBeCloseTo(8);
+    clock.skip(20);
+    expect(clock.getHour()).toBeCloseTo(4);
+    // Not tied to the calendar, so never a rest day or off duty
+    expect(clock.isRestDay()).toBe(false);
+    expect(clock.isOffDuty()).toBe(false);
+  });
+
+  it('follows the wall clock in real mode', () => {
+    const clock = makeClock('real', new Date(2026, 9, 19, 14, 30));
+    expect(clock.getHour()).toBe(14.5);
+    expect(clock.getSunHour()).toBe(14.5);
+    expect(clock.isOffDuty()).toBe(false);
+  });
+
+  it('compresses office hours into daylight in workday mode', () => {
+    const clock = makeClock('workday', new Date(2026, 9, 19, 13));
+    expect(clock.getHour()).toBe(13);
+    expect(clock.getSunHour()).toBe(12);
+  });
+
+  it('is off duty outside office hours and all day on rest days', () => {
+    expect(makeClock('real', new Date(2026, 9, 19, 8, 59)).isOffDuty()).toBe(true);
+    expect(makeClock('real', new Date(2026, 9, 19, 17)).isOffDuty()).toBe(true);
+    expect(makeClock('workday', new Date(2026, 9, 19, 9)).isOffDuty()).toBe(false);
+    const saturday = makeClock('workday', new Date(2026, 9, 17, 11));
+    expect(saturday.isRestDay()).toBe(true);
+    expect(saturday.isOffDuty()).toBe(true);
+    expect(makeClock('real', new Date(2026, 11, 25, 11)).isRestDay()).toBe(true); // holiday, a Friday
+  });
+
+  it('uses a swapped-in calendar for rest days', () => {
+    const clock = makeClock('real', new Date(2026, 9, 19, 11)); // a Monday
+    expect(clock.isRestDay()).toBe(false);
+    clock.setCalendar(new WorkCalendar({ weekendDays: [0, 6], holidays: ['2026-10-19'] }));
+    expect(clock.isRestDay()).toBe(true);
+  });
+});
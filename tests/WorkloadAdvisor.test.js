@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { suggestReassignments } from '../src/data/WorkloadAdvisor.js';
+import { computePhaseBalance, IDEAL_DISCOVERY } from '../src/data/ResourceCalculator.js';
+
+const now = new Date('2026-10-10T12:00:00');
+
+const people = [
+  { id: 'p1', name: 'Alice' },
+  { id: 'p2', name: 'Bob' },
+];
+
+function makeTask(id, overrides = {}) {
+  return {
+    id,
+    name: id,
+    assigneeId: 'p1',
+    discoveryPercent: 40,
+    executionPercent: 60,
+    percentComplete: 0,
+    expectedDate: '',
+    ...overrides,
+  };
+}
+
+function apply(tasks, suggestions) {
+  return tasks.map(t => {
+    const move = suggestions.find(s => s.taskId === t.id);
+    return move ? { ...t, assigneeId: move.toId } : t;
+  });
+}
+
+describe('suggestReassignments', () => {
+  it('moves overdue work from an exhausted person to a fresher one', () => {
+    const tasks = [
+      makeTask('late', { expectedDate: '2026-09-01' }),
+      makeTask('fresh'),
+      makeTask('other-1', { assigneeId: 'p2' }),
+      makeTask('other-2', { assigneeId: 'p2' }),
+      makeTask('other-3', { assigneeId: 'p2' }),
+    ];
+    const [first] = suggestReassignments(people, tasks, now);
+
+    expect(first).toMatchObject({ taskId: 'late', fromId: 'p1', toId: 'p2' });
+    expect(first.teamMin.after).toBeGreaterThan(first.teamMin.before);
+    expect(first.from.after).toBeGreaterThan(first.from.before);
+    expect(first.to.after).toBeLessThan(first.to.before);
+  });
+
+  it('never hands work to someone more tired', () => {
+    // Easy work would lift Alice's average stamina, but she's the one struggling
+    const tasks = [
+      makeTask('late', { expectedDate: '2026-09-01' }),
+      makeTask('easy', { assigneeId: 'p2' }),
+    ];
+    expect(suggestReassignments(people, tasks, now).filter(s => s.toId === 'p1')).toEqual([]);
+  });
+
+  it('suggests nothing for a balanced team', () => {
+    const tasks = [makeTask('a'), makeTask('b', { assigneeId: 'p2' })];
+    expect(suggestReassignments(people, tasks, now)).toEqual([]);
+  });
+
+  it('never moves finished tasks', () => {
+    const tasks = [
+      makeTask('done', { percentComplete: 100, expectedDate: '2026-09-01' }),
+      makeTask('late', { expectedDate: '2026-09-01' }),
+    ];
+    const suggestions = suggestReassignments(people, tasks, now);
+    expect(suggestions.map(s => s.taskId)).not.toContain('done');
+  });
+
+  it('evens out scout / gather mixes', () => {
+    const tasks = [
+      makeTask('scout-1', { discoveryPercent: 100 }),
+      makeTask('scout-2', { discoveryPercent: 100 }),
+      makeTask('gather-1', { assigneeId: 'p2', discoveryPercent: 0 }),
+      makeTask('gather-2', { assigneeId: 'p2', discoveryPercent: 0 }),
+    ];
+    const deviation = (list) => people.reduce((sum, p) => {
+      const own = list.filter(t => t.assigneeId === p.id);
+      return sum + Math.abs(computePhaseBalance(own) - IDEAL_DISCOVERY);
+    }, 0);
+
+    const suggestions = suggestReassignments(people, tasks, now);
+    expect(suggestions.length).toBeGreaterThan(0);
+    expect(deviation(apply(tasks, suggestions))).toBeLessThan(deviation(tasks));
+  });
+
+  it('chains suggestions and stops at the limit', () => {
+    const team = ['p1', 'p2', 'p3', 'p4'].map(id => ({ id, name: id }));
+    const tasks = [
+      makeTask('late-1', { expectedDate: '2026-09-01' }),
+      makeTask('late-2', { expectedDate: '2026-09-05' }),
+      makeTask('fresh'),
+      ...['p2', 'p3', 'p4'].flatMap(p => [makeTask(`${p}-a`, { assigneeId: p }), makeTask(`${p}-b`, { assigneeId: p })]),
+    ];
+
+    const all = suggestReassignments(team, tasks, now);
+    expect(all.length).toBeGreaterThan(1);
+    for (let i = 1; i < all.length; i++) {
+      expect(all[i].teamMin.before).toBeCloseTo(all[i - 1].teamMin.after);
+      expect(all[i].teamMin.after).toBeGreaterThanOrEqual(all[i].teamMin.before);
+    }
+    expect(suggestReassignments(team, tasks, now, { limit: 1 })).toHaveLength(1);
+  });
+});
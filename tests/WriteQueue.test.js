@@ -0,0 +1,94 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { WriteQueue } from '../src/data/WriteQueue.js';
+
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn(key => store[key] ?? null),
+    setItem: vi.fn((key, value) => { store[key] = value; }),
+    removeItem: vi.fn(key => { delete store[key]; }),
+    clear: vi.fn(() => { store = {}; }),
+  };
+})();
+
+vi.stubGlobal('localStorage', localStorageMock);
+vi.stubGlobal('crypto', { randomUUID: () => 'op-' + Math.random().toString(36).slice(2, 8) });
+
+const alice = { id: 'p1', name: 'Alice', role: 'Dev', color: '#fff' };
+
+beforeEach(() => {
+  localStorageMock.clear();
+});
+
+describe('WriteQueue', () => {
+  it('coalesces edits to the same record', () => {
+    const queue = new WriteQueue();
+    queue.enqueue({ entity: 'person', action: 'update', entityId: 'p1', before: alice, after: { ...alice, name: 'Al' } });
+    queue.enqueue({ entity: 'person', action: 'update', entityId: 'p1', before: { ...alice, name: 'Al' }, after: { ...alice, name: 'Ally' } });
+
+    const [op] = queue.getOps();
+    expect(queue.getOps()).toHaveLength(1);
+    expect(op.before.name).toBe('Alice'); // still matches the row in the source
+    expect(op.after.name).toBe('Ally');
+  });
+
+  it('drops a create that is deleted before it was sent', () => {
+    const queue = new WriteQueue();
+    queue.enqueue({ entity: 'task', action: 'create', entityId: 't1', before: null, after: { id: 't1', name: 'Auth' } });
+    queue.enqueue({ entity: 'task', action: 'update', entityId: 't1', before: null, after: { id: 't1', name: 'Auth v2' } });
+    expect(queue.getOps()[0]).toMatchObject({ action: 'create', after: { name: 'Auth v2' } });
+
+    queue.enqueue({ entity: 'task', action: 'delete', entityId: 't1', before: { id: 't1', name: 'Auth v2' }, after: null });
+    expect(queue.getOps()).toEqual([]);
+  });
+
+  it('turns update + delete into a delete of the original row', () => {
+    const queue = new WriteQueue();
+    queue.enqueue({ entity: 'person', action: 'update', entityId: 'p1', before: alice, after: { ...alice, name: 'Al' } });
+    queue.enqueue({ entity: 'person', action: 'delete', entityId: 'p1', before: { ...alice, name: 'Al' }, after: null });
+
+    expect(queue.getOps()).toHaveLength(1);
+    expect(queue.getOps()[0]).toMatchObject({ action: 'delete', before: { name: 'Alice' }, after: null });
+  });
+
+  it('does not merge into ops already being sent', () => {
+    const queue = new WriteQueue();
+    queue.enqueue({ entity: 'person', action: 'update', entityId: 'p1', before: alice, after: { ...alice, name: 'Al' } });
+    queue.markSending(queue.getPending());
+    queue.enqueue({ entity: 'person', action: 'update', entityId: 'p1', before: { ...alice, name: 'Al' }, after: { ...alice, name: 'Ally' } });
+
+    expect(queue.getOps()).toHaveLength(2);
+    expect(queue.getPending()).toHaveLength(1);
+  });
+
+  it('removes accepted ops and keeps rejected ones as failed', () => {
+    const queue = new WriteQueue();
+    queue.enqueue({ entity: 'person', action: 'update', entityId: 'p1', before: alice, after: alice });
+    queue.enqueue({ entity: 'person', action: 'delete', entityId: 'p2', before: { id: 'p2', name: 'Bob' }, after: null });
+    const [ok, rejected] = queue.getOps();
+    queue.markSending(queue.getPending());
+
+    queue.applyResults([
+      { id: ok.id, ok: true },
+      { id: rejected.id, ok: false, error: 'Row "Bob" not found' },
+    ]);
+
+    expect(queue.getOps()).toHaveLength(1);
+    expect(queue.getFailed()[0].error).toBe('Row "Bob" not found');
+    expect(queue.getPending()).toEqual([]);
+
+    queue.retry(rejected.id);
+    expect(queue.getPending()).toHaveLength(1);
+    queue.discard(rejected.id);
+    expect(queue.getOps()).toEqual([]);
+  });
+
+  it('survives a reload, resuming interrupted sends', () => {
+    const queue = new WriteQueue();
+    queue.enqueue({ entity: 'person', action: 'update', entityId: 'p1', before: alice, after: alice });
+    queue.markSending(queue.getPending());
+
+    const reloaded = new WriteQueue();
+    expect(reloaded.getPending()).toHaveLength(1);
+  });
+});